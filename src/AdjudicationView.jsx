@@ -0,0 +1,347 @@
+import { useState } from "react";
+import MetricInput from "./MetricInput.jsx";
+import { adjudicationQueue } from "./adjudication";
+import { ratingValuesEqual } from "./ratingMerge";
+import { emptyRating, formatMetricValue, tagLabel } from "./rubric";
+
+const cardStyle = {
+  borderRadius: 10,
+  border: "1px solid #e5e7eb",
+  backgroundColor: "#ffffff",
+  padding: 10,
+  boxShadow: "0 1px 2px rgba(15, 23, 42, 0.04)",
+};
+
+const cellStyle = {
+  padding: 6,
+  border: "1px solid #e5e7eb",
+  verticalAlign: "top",
+  fontSize: 12,
+};
+
+const pickRating = (rubric, rating) => {
+  const picked = { idealResponse: rating.idealResponse || "" };
+  rubric.metrics.forEach((m) => {
+    picked[m.key] = rating[m.key];
+  });
+  return picked;
+};
+
+// Side-by-side ratings of one turn with the editable final rating.
+function TurnAdjudication({ item, call, rubric, existing, nameOf, onSave, onOpenTurn }) {
+  const [draft, setDraft] = useState(() =>
+    existing ? pickRating(rubric, existing) : emptyRating(rubric)
+  );
+  const [sourceUserId, setSourceUserId] = useState(existing?.sourceUserId ?? null);
+
+  const annotatorIds = Object.keys(item.ratings);
+  const previous = call.dialogue[item.idx - 1];
+
+  const update = (field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+    setSourceUserId(null);
+  };
+
+  const takeRatingOf = (userId) => {
+    setDraft(pickRating(rubric, item.ratings[userId]));
+    setSourceUserId(userId);
+  };
+
+  const unchanged = existing && ratingValuesEqual(rubric, existing, draft);
+
+  return (
+    <div style={{ ...cardStyle, display: "flex", flexDirection: "column", gap: 10 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={{ fontWeight: 600, fontSize: 14 }}>
+          {item.callId} · Turn {item.idx}
+        </div>
+        <button
+          onClick={() => onOpenTurn(item.callId, item.idx)}
+          style={{ fontSize: 12, color: "#6366f1", cursor: "pointer" }}
+        >
+          Open in transcript
+        </button>
+      </div>
+
+      {previous && (
+        <div style={{ fontSize: 12, color: "#4b5563", whiteSpace: "pre-wrap" }}>
+          <strong>{previous.author}:</strong> {previous.text}
+        </div>
+      )}
+      <div
+        style={{
+          padding: 8,
+          borderRadius: 8,
+          backgroundColor: "#eff6ff",
+          border: "1px solid #e5e7eb",
+          fontSize: 13,
+          whiteSpace: "pre-wrap",
+          maxHeight: 140,
+          overflowY: "auto",
+        }}
+      >
+        {item.text}
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ borderCollapse: "collapse", width: "100%" }}>
+          <thead>
+            <tr>
+              <th style={{ ...cellStyle, textAlign: "left" }} />
+              {annotatorIds.map((uid) => (
+                <th key={uid} style={{ ...cellStyle, textAlign: "left", fontWeight: 600 }}>
+                  <div>{nameOf(uid)}</div>
+                  <button
+                    onClick={() => takeRatingOf(uid)}
+                    style={{
+                      marginTop: 4,
+                      padding: "2px 8px",
+                      fontSize: 11,
+                      borderRadius: 999,
+                      border: "1px solid #6366f1",
+                      background: sourceUserId === uid ? "#6366f1" : "#ffffff",
+                      color: sourceUserId === uid ? "#ffffff" : "#6366f1",
+                      cursor: "pointer",
+                    }}
+                  >
+                    {sourceUserId === uid ? "Using this" : "Use this"}
+                  </button>
+                </th>
+              ))}
+              <th
+                style={{
+                  ...cellStyle,
+                  textAlign: "left",
+                  fontWeight: 600,
+                  backgroundColor: "#f0fdf4",
+                  minWidth: 220,
+                }}
+              >
+                Final
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {rubric.metrics.map((metric) => (
+              <tr key={metric.key}>
+                <td style={{ ...cellStyle, fontWeight: 500 }}>{metric.label}</td>
+                {annotatorIds.map((uid) => (
+                  <td key={uid} style={cellStyle}>
+                    {formatMetricValue(metric, item.ratings[uid][metric.key])}
+                    {item.ratings[uid].rationales?.[metric.key] && (
+                      <div style={{ color: "#6b7280", whiteSpace: "pre-wrap", marginTop: 2 }}>
+                        {item.ratings[uid].rationales[metric.key]}
+                      </div>
+                    )}
+                  </td>
+                ))}
+                <td style={{ ...cellStyle, backgroundColor: "#f0fdf4" }}>
+                  <MetricInput
+                    metric={metric}
+                    value={draft[metric.key]}
+                    onChange={(value) => update(metric.key, value)}
+                  />
+                </td>
+              </tr>
+            ))}
+            {(rubric.tags.length > 0 || item.flagged) && (
+              <tr>
+                <td style={{ ...cellStyle, fontWeight: 500 }}>Tags</td>
+                {annotatorIds.map((uid) => {
+                  const { tags = [], flagged } = item.ratings[uid];
+                  return (
+                    <td key={uid} style={cellStyle}>
+                      {flagged && <div style={{ color: "#b45309" }}>Flagged for review</div>}
+                      {tags.length > 0
+                        ? tags.map((t) => tagLabel(rubric, t)).join(", ")
+                        : !flagged && <span style={{ color: "#9ca3af" }}>None</span>}
+                    </td>
+                  );
+                })}
+                <td style={{ ...cellStyle, backgroundColor: "#f0fdf4" }} />
+              </tr>
+            )}
+            <tr>
+              <td style={{ ...cellStyle, fontWeight: 500 }}>Ideal response</td>
+              {annotatorIds.map((uid) => (
+                <td key={uid} style={{ ...cellStyle, whiteSpace: "pre-wrap" }}>
+                  {item.ratings[uid].idealResponse || (
+                    <span style={{ color: "#9ca3af" }}>None</span>
+                  )}
+                </td>
+              ))}
+              <td style={{ ...cellStyle, backgroundColor: "#f0fdf4" }}>
+                <textarea
+                  value={draft.idealResponse}
+                  onChange={(e) => update("idealResponse", e.target.value)}
+                  placeholder="Consensus ideal response..."
+                  style={{
+                    width: "100%",
+                    minHeight: 80,
+                    fontSize: 12,
+                    padding: 6,
+                    borderRadius: 6,
+                    border: "1px solid #d1d5db",
+                    resize: "vertical",
+                    boxSizing: "border-box",
+                  }}
+                />
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <span style={{ fontSize: 12, color: "#6b7280" }}>
+          {existing
+            ? `Adjudicated by ${existing.adjudicatedBy || "unknown"}${
+                existing.sourceUserId ? ` (from ${nameOf(existing.sourceUserId)})` : " (consensus)"
+              }`
+            : "Not adjudicated yet"}
+        </span>
+        <button
+          onClick={() => onSave(item.callId, item.idx, draft, sourceUserId)}
+          disabled={unchanged}
+          style={{
+            padding: "6px 12px",
+            fontSize: 13,
+            borderRadius: 999,
+            border: "1px solid #16a34a",
+            background: unchanged ? "#f3f4f6" : "#16a34a",
+            color: unchanged ? "#9ca3af" : "#ffffff",
+            cursor: unchanged ? "default" : "pointer",
+            fontWeight: 500,
+          }}
+        >
+          {existing ? "Update final rating" : "Save final rating"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Adjudicator view: pick or write one final rating per rated turn.
+function AdjudicationView({
+  calls,
+  rubric,
+  ratingsByAnnotator,
+  adjudications,
+  annotatorNames,
+  currentUserId,
+  onSave,
+  onOpenTurn,
+}) {
+  const [show, setShow] = useState("disagree"); // "disagree" | "flagged" | "pending" | "all"
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const queue = adjudicationQueue({ calls, rubric, ratingsByAnnotator, adjudications });
+  const shown = queue.filter((t) => {
+    if (show === "disagree") return t.disagree;
+    if (show === "flagged") return t.flagged;
+    if (show === "pending") return !t.adjudicated;
+    return true;
+  });
+  const keyOf = (t) => `${t.callId}:${t.idx}`;
+  const selected = shown.find((t) => keyOf(t) === selectedKey) || shown[0];
+  const nameOf = (uid) => (uid === currentUserId ? "Me" : annotatorNames[uid] || uid);
+
+  return (
+    <section
+      style={{
+        flex: 1,
+        minWidth: 800,
+        padding: 12,
+        backgroundColor: "#f3f4f6",
+        display: "grid",
+        gridTemplateColumns: "280px 1fr",
+        gap: 12,
+        overflow: "hidden",
+      }}
+    >
+      <div style={{ display: "flex", flexDirection: "column", gap: 8, minHeight: 0 }}>
+        <div style={{ fontWeight: 700, fontSize: 16, color: "#111827" }}>Adjudication</div>
+        <select
+          value={show}
+          onChange={(e) => setShow(e.target.value)}
+          style={{
+            fontSize: 13,
+            padding: "4px 6px",
+            borderRadius: 6,
+            border: "1px solid #d1d5db",
+          }}
+        >
+          <option value="disagree">Disagreements</option>
+          <option value="flagged">Flagged for review</option>
+          <option value="pending">Not adjudicated</option>
+          <option value="all">All rated turns</option>
+        </select>
+        <div style={{ fontSize: 12, color: "#6b7280" }}>
+          {queue.filter((t) => t.adjudicated).length} of {queue.length} rated or flagged turns
+          adjudicated
+        </div>
+        <div style={{ overflowY: "auto", flex: 1 }}>
+          {shown.map((t) => (
+            <button
+              key={keyOf(t)}
+              onClick={() => setSelectedKey(keyOf(t))}
+              style={{
+                display: "block",
+                width: "100%",
+                textAlign: "left",
+                borderRadius: 8,
+                border: `1px solid ${selected && keyOf(selected) === keyOf(t) ? "#6366f1" : "#e5e7eb"}`,
+                backgroundColor: "#ffffff",
+                padding: 6,
+                marginBottom: 6,
+                cursor: "pointer",
+              }}
+            >
+              <div
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  fontSize: 11,
+                  color: "#6b7280",
+                }}
+              >
+                <span>
+                  {t.callId} · Turn {t.idx} · {Object.keys(t.ratings).length} rating
+                  {Object.keys(t.ratings).length === 1 ? "" : "s"}
+                </span>
+                {t.adjudicated ? (
+                  <span style={{ color: "#16a34a" }}>Final</span>
+                ) : t.disagree ? (
+                  <span style={{ color: "#b91c1c" }}>Disagree</span>
+                ) : (
+                  t.flagged && <span style={{ color: "#b45309" }}>Flagged</span>
+                )}
+              </div>
+              <div style={{ fontSize: 12, maxHeight: 34, overflow: "hidden" }}>{t.text}</div>
+            </button>
+          ))}
+          {shown.length === 0 && (
+            <div style={{ fontSize: 12, color: "#6b7280" }}>Nothing to adjudicate here.</div>
+          )}
+        </div>
+      </div>
+
+      <div style={{ overflowY: "auto" }}>
+        {selected && (
+          <TurnAdjudication
+            key={`${keyOf(selected)}:${adjudications[selected.callId]?.[selected.idx]?.updatedAt ?? ""}`}
+            item={selected}
+            call={calls.find((c) => c.call_id === selected.callId)}
+            rubric={rubric}
+            existing={adjudications[selected.callId]?.[selected.idx]}
+            nameOf={nameOf}
+            onSave={onSave}
+            onOpenTurn={onOpenTurn}
+          />
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default AdjudicationView;
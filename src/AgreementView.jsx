@@ -0,0 +1,245 @@
+import { useState } from "react";
+import { buildAgreementReport } from "./agreement";
+import { downloadJson } from "./download";
+import { formatMetricValue } from "./rubric";
+
+const cardStyle = {
+  borderRadius: 10,
+  border: "1px solid #e5e7eb",
+  backgroundColor: "#ffffff",
+  padding: 10,
+  boxShadow: "0 1px 2px rgba(15, 23, 42, 0.04)",
+};
+
+const headingStyle = {
+  fontSize: 13,
+  fontWeight: 600,
+  marginBottom: 8,
+  color: "#111827",
+};
+
+const cellStyle = { padding: 6, textAlign: "center", border: "1px solid #e5e7eb" };
+
+const formatNumber = (value) => (value === null || value === undefined ? "–" : value.toFixed(2));
+
+// rough reading of kappa / alpha: red below 0.4, amber below 0.67, green above
+const agreementColor = (value) => {
+  if (value === null || value === undefined) return "#f9fafb";
+  if (value < 0.4) return "rgba(239, 68, 68, 0.25)";
+  if (value < 0.67) return "rgba(245, 158, 11, 0.25)";
+  return "rgba(34, 197, 94, 0.25)";
+};
+
+// Inter-annotator agreement over turns rated by more than one annotator.
+function AgreementView({
+  calls,
+  rubric,
+  ratingsByAnnotator,
+  annotatorNames,
+  currentUserId,
+  onOpenTurn,
+}) {
+  const [matrixMetric, setMatrixMetric] = useState(rubric.metrics[0]?.key ?? "");
+
+  const report = buildAgreementReport({ calls, rubric, ratingsByAnnotator });
+  const nameOf = (uid) => (uid === currentUserId ? "Me" : annotatorNames[uid] || uid);
+  const metricsByKey = Object.fromEntries(rubric.metrics.map((m) => [m.key, m]));
+  const selected = report.metrics.find((m) => m.key === matrixMetric) || report.metrics[0];
+
+  return (
+    <section
+      style={{
+        flex: 1,
+        minWidth: 800,
+        padding: 12,
+        overflowY: "auto",
+        backgroundColor: "#f3f4f6",
+        display: "flex",
+        flexDirection: "column",
+        gap: 12,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+        <div style={{ fontWeight: 700, fontSize: 16, color: "#111827" }}>Agreement</div>
+        <span style={{ fontSize: 12, color: "#6b7280" }}>
+          {report.annotators.length} annotator{report.annotators.length === 1 ? "" : "s"} ·{" "}
+          {report.sharedCalls.length} shared call{report.sharedCalls.length === 1 ? "" : "s"}
+        </span>
+        <button
+          onClick={() => downloadJson("agreement_report.json", report)}
+          style={{
+            marginLeft: "auto",
+            padding: "6px 12px",
+            fontSize: 12,
+            borderRadius: 999,
+            border: "1px solid #6366f1",
+            background: "#ffffff",
+            color: "#6366f1",
+            fontWeight: 500,
+            cursor: "pointer",
+          }}
+        >
+          Download report (JSON)
+        </button>
+      </div>
+
+      {report.sharedCalls.length === 0 && (
+        <div style={{ ...cardStyle, fontSize: 13, color: "#6b7280" }}>
+          No turn has been rated by more than one annotator yet. Assign calls with an overlap
+          above 1 to measure agreement.
+        </div>
+      )}
+
+      {/* Per-metric summary */}
+      <div style={cardStyle}>
+        <div style={headingStyle}>Per metric</div>
+        <table style={{ borderCollapse: "collapse", fontSize: 12, width: "100%" }}>
+          <thead>
+            <tr style={{ color: "#4b5563" }}>
+              <th style={{ ...cellStyle, textAlign: "left", fontWeight: 500 }}>Metric</th>
+              <th style={{ ...cellStyle, fontWeight: 500 }}>Shared turns</th>
+              <th style={{ ...cellStyle, fontWeight: 500 }}>Cohen's κ (mean of pairs)</th>
+              <th style={{ ...cellStyle, fontWeight: 500 }}>Fleiss' κ</th>
+              <th style={{ ...cellStyle, fontWeight: 500 }}>Krippendorff's α</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.metrics.map((m) => (
+              <tr key={m.key}>
+                <td style={{ ...cellStyle, textAlign: "left" }}>{m.label}</td>
+                <td style={cellStyle}>{m.units}</td>
+                {[m.cohensKappa, m.fleissKappa, m.krippendorffAlpha].map((value, i) => (
+                  <td key={i} style={{ ...cellStyle, backgroundColor: agreementColor(value) }}>
+                    {formatNumber(value)}
+                    {i === 2 && value !== null && (
+                      <span style={{ color: "#6b7280" }}> ({m.level})</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Pairwise annotator matrix */}
+      {selected && report.annotators.length > 1 && (
+        <div style={cardStyle}>
+          <div style={{ ...headingStyle, display: "flex", alignItems: "center", gap: 8 }}>
+            Pairwise Cohen's κ
+            <select
+              value={selected.key}
+              onChange={(e) => setMatrixMetric(e.target.value)}
+              style={{
+                fontSize: 12,
+                padding: "2px 4px",
+                borderRadius: 6,
+                border: "1px solid #d1d5db",
+                fontWeight: 400,
+              }}
+            >
+              {report.metrics.map((m) => (
+                <option key={m.key} value={m.key}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+            <thead>
+              <tr>
+                <th />
+                {report.annotators.map((uid) => (
+                  <th key={uid} style={{ padding: 4, fontWeight: 500, color: "#4b5563" }}>
+                    {nameOf(uid)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {report.annotators.map((a) => (
+                <tr key={a}>
+                  <th
+                    style={{ padding: 4, fontWeight: 500, color: "#4b5563", textAlign: "left" }}
+                  >
+                    {nameOf(a)}
+                  </th>
+                  {report.annotators.map((b) => {
+                    const cell = selected.pairwise[a][b];
+                    return (
+                      <td
+                        key={b}
+                        title={
+                          cell.n > 0
+                            ? `n = ${cell.n}, exact agreement ${Math.round(cell.agreement * 100)}%`
+                            : "No shared turns"
+                        }
+                        style={{
+                          ...cellStyle,
+                          backgroundColor: a === b ? "#f3f4f6" : agreementColor(cell.kappa),
+                        }}
+                      >
+                        {a === b ? "" : formatNumber(cell.kappa)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Turns with the largest disagreement */}
+      <div style={cardStyle}>
+        <div style={headingStyle}>Largest disagreements</div>
+        <div style={{ fontSize: 11, color: "#6b7280", marginBottom: 6 }}>
+          Spread between annotators, averaged over metrics (0–100%). Click to open the turn.
+        </div>
+        {report.disagreements.map((t) => (
+          <button
+            key={`${t.callId}:${t.idx}`}
+            onClick={() => onOpenTurn(t.callId, t.idx)}
+            style={{
+              display: "block",
+              width: "100%",
+              textAlign: "left",
+              borderRadius: 8,
+              border: "1px solid #e5e7eb",
+              padding: 6,
+              marginBottom: 6,
+              cursor: "pointer",
+            }}
+          >
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                fontSize: 11,
+                color: "#6b7280",
+              }}
+            >
+              <span>
+                {t.callId} · Turn {t.idx}
+              </span>
+              <strong style={{ color: "#b91c1c" }}>{Math.round(t.disagreement * 100)}%</strong>
+            </div>
+            {Object.entries(t.values).map(([key, values]) => (
+              <div key={key} style={{ fontSize: 12, color: "#111827" }}>
+                {metricsByKey[key]?.label}:{" "}
+                {Object.entries(values)
+                  .map(([uid, v]) => `${nameOf(uid)} ${formatMetricValue(metricsByKey[key], v)}`)
+                  .join(" · ")}
+              </div>
+            ))}
+          </button>
+        ))}
+        {report.disagreements.length === 0 && (
+          <div style={{ fontSize: 12, color: "#6b7280" }}>No disagreements.</div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default AgreementView;
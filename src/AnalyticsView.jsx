@@ -0,0 +1,344 @@
+import { useState } from "react";
+import {
+  collectRatedTurns,
+  correlationMatrix,
+  lowestScoringTurns,
+  metricHistogram,
+  perCallAverages,
+} from "./analytics";
+import { metricScoreRange } from "./rubric";
+
+const cardStyle = {
+  borderRadius: 10,
+  border: "1px solid #e5e7eb",
+  backgroundColor: "#ffffff",
+  padding: 10,
+  boxShadow: "0 1px 2px rgba(15, 23, 42, 0.04)",
+};
+
+const headingStyle = {
+  fontSize: 13,
+  fontWeight: 600,
+  marginBottom: 8,
+  color: "#111827",
+};
+
+const selectStyle = {
+  fontSize: 13,
+  padding: "4px 6px",
+  borderRadius: 6,
+  border: "1px solid #d1d5db",
+  backgroundColor: "#ffffff",
+  color: "#111827",
+};
+
+const formatNumber = (value, digits = 2) => (value === null ? "–" : value.toFixed(digits));
+
+// red (-1) .. white (0) .. green (+1)
+const correlationColor = (r) => {
+  if (r === null) return "#f9fafb";
+  const alpha = Math.min(Math.abs(r), 1) * 0.6;
+  return r >= 0 ? `rgba(34, 197, 94, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+};
+
+function Histogram({ metric, histogram }) {
+  const maxCount = Math.max(1, ...histogram.bins.map((b) => b.count));
+  return (
+    <div style={cardStyle}>
+      <div style={{ ...headingStyle, marginBottom: 2 }}>{metric.label}</div>
+      <div style={{ fontSize: 11, color: "#6b7280", marginBottom: 8 }}>
+        n = {histogram.n} · mean {formatNumber(histogram.mean)}
+      </div>
+      <div style={{ display: "flex", alignItems: "flex-end", gap: 6, height: 90 }}>
+        {histogram.bins.map((bin) => (
+          <div
+            key={String(bin.value)}
+            style={{
+              flex: 1,
+              display: "flex",
+              flexDirection: "column",
+              alignItems: "center",
+              justifyContent: "flex-end",
+              height: "100%",
+            }}
+            title={`${bin.label}: ${bin.count}`}
+          >
+            <div style={{ fontSize: 10, color: "#4b5563" }}>{bin.count}</div>
+            <div
+              style={{
+                width: "100%",
+                height: `${(bin.count / maxCount) * 70}px`,
+                minHeight: bin.count > 0 ? 2 : 0,
+                backgroundColor: "#6366f1",
+                borderRadius: "4px 4px 0 0",
+              }}
+            />
+            <div
+              style={{
+                fontSize: 10,
+                color: "#6b7280",
+                marginTop: 2,
+                whiteSpace: "nowrap",
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+                maxWidth: "100%",
+              }}
+            >
+              {bin.label}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Rating distributions across all calls.
+// ratingsByAnnotator / completionsByAnnotator: { [userId]: ratings | completions }
+function AnalyticsView({
+  calls,
+  rubric,
+  ratingsByAnnotator,
+  completionsByAnnotator,
+  annotatorNames,
+  currentUserId,
+  onOpenTurn,
+}) {
+  const [completion, setCompletion] = useState("all");
+  const [annotatorId, setAnnotatorId] = useState(currentUserId);
+
+  const turns = collectRatedTurns({
+    calls,
+    rubric,
+    ratingsByAnnotator,
+    completionsByAnnotator,
+    completion,
+    annotatorId,
+  });
+  const numericMetrics = rubric.metrics.filter((m) => metricScoreRange(m) !== null);
+  const callAverages = perCallAverages(rubric, turns);
+  const lowest = lowestScoringTurns(rubric, turns);
+  const correlations = correlationMatrix(numericMetrics, turns);
+  const nameOf = (uid) => (uid === currentUserId ? "Me" : annotatorNames[uid] || uid);
+
+  return (
+    <section
+      style={{
+        flex: 1,
+        minWidth: 800,
+        padding: 12,
+        overflowY: "auto",
+        backgroundColor: "#f3f4f6",
+        display: "flex",
+        flexDirection: "column",
+        gap: 12,
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: 12,
+        }}
+      >
+        <div style={{ fontWeight: 700, fontSize: 16, color: "#111827" }}>Analytics</div>
+        <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 6 }}>
+          Calls
+          <select
+            value={completion}
+            onChange={(e) => setCompletion(e.target.value)}
+            style={selectStyle}
+          >
+            <option value="all">All</option>
+            <option value="completed">Marked done</option>
+            <option value="not_completed">Not marked done</option>
+          </select>
+        </label>
+        <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 6 }}>
+          Annotator
+          <select
+            value={annotatorId}
+            onChange={(e) => setAnnotatorId(e.target.value)}
+            style={selectStyle}
+          >
+            <option value="all">All annotators</option>
+            {Object.keys(ratingsByAnnotator).map((uid) => (
+              <option key={uid} value={uid}>
+                {nameOf(uid)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <span style={{ fontSize: 12, color: "#6b7280" }}>
+          {turns.length} rated turn{turns.length === 1 ? "" : "s"} in {callAverages.length} call
+          {callAverages.length === 1 ? "" : "s"}
+        </span>
+      </div>
+
+      {/* Per-metric histograms */}
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fill, minmax(240px, 1fr))",
+          gap: 12,
+        }}
+      >
+        {rubric.metrics.map((metric) => (
+          <Histogram key={metric.key} metric={metric} histogram={metricHistogram(metric, turns)} />
+        ))}
+      </div>
+
+      {/* Correlation between metrics */}
+      {numericMetrics.length > 1 && (
+        <div style={cardStyle}>
+          <div style={headingStyle}>Correlation between metrics (Pearson r)</div>
+          <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+            <thead>
+              <tr>
+                <th />
+                {numericMetrics.map((m) => (
+                  <th
+                    key={m.key}
+                    style={{ padding: 4, fontWeight: 500, color: "#4b5563", maxWidth: 120 }}
+                  >
+                    {m.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {numericMetrics.map((a) => (
+                <tr key={a.key}>
+                  <th
+                    style={{
+                      padding: 4,
+                      fontWeight: 500,
+                      color: "#4b5563",
+                      textAlign: "left",
+                      maxWidth: 200,
+                    }}
+                  >
+                    {a.label}
+                  </th>
+                  {numericMetrics.map((b) => {
+                    const { r, n } = correlations[a.key][b.key];
+                    return (
+                      <td
+                        key={b.key}
+                        title={`n = ${n}`}
+                        style={{
+                          padding: 6,
+                          textAlign: "center",
+                          border: "1px solid #e5e7eb",
+                          backgroundColor: correlationColor(r),
+                        }}
+                      >
+                        {formatNumber(r)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+        {/* Per-call averages */}
+        <div style={cardStyle}>
+          <div style={headingStyle}>Average scores per call (lowest first)</div>
+          <div style={{ maxHeight: 360, overflowY: "auto" }}>
+            <table style={{ borderCollapse: "collapse", fontSize: 12, width: "100%" }}>
+              <thead>
+                <tr style={{ color: "#4b5563", textAlign: "left" }}>
+                  <th style={{ padding: 4, fontWeight: 500 }}>Call</th>
+                  <th style={{ padding: 4, fontWeight: 500 }}>Turns</th>
+                  {numericMetrics.map((m) => (
+                    <th key={m.key} style={{ padding: 4, fontWeight: 500 }} title={m.label}>
+                      {m.label.split(" ")[0]}
+                    </th>
+                  ))}
+                  <th style={{ padding: 4, fontWeight: 500 }}>Overall</th>
+                </tr>
+              </thead>
+              <tbody>
+                {callAverages.map((c) => (
+                  <tr key={c.callId} style={{ borderTop: "1px solid #f3f4f6" }}>
+                    <td style={{ padding: 4, wordBreak: "break-all" }}>{c.callId}</td>
+                    <td style={{ padding: 4 }}>{c.turns}</td>
+                    {numericMetrics.map((m) => (
+                      <td key={m.key} style={{ padding: 4 }}>
+                        {formatNumber(c.means[m.key])}
+                      </td>
+                    ))}
+                    <td style={{ padding: 4 }}>
+                      {c.overall === null ? "–" : `${Math.round(c.overall * 100)}%`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Lowest-scoring turns */}
+        <div style={cardStyle}>
+          <div style={headingStyle}>Lowest-scoring turns</div>
+          <div style={{ fontSize: 11, color: "#6b7280", marginBottom: 6 }}>
+            Overall = mean of the turn's scores, each scaled to 0–100%. Click to open.
+          </div>
+          <div style={{ maxHeight: 360, overflowY: "auto" }}>
+            {lowest.map((t) => (
+              <button
+                key={`${t.userId}:${t.callId}:${t.idx}`}
+                onClick={() => onOpenTurn(t.callId, t.idx)}
+                style={{
+                  display: "block",
+                  width: "100%",
+                  textAlign: "left",
+                  borderRadius: 8,
+                  border: "1px solid #e5e7eb",
+                  padding: 6,
+                  marginBottom: 6,
+                  cursor: "pointer",
+                }}
+              >
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    fontSize: 11,
+                    color: "#6b7280",
+                  }}
+                >
+                  <span>
+                    {t.callId} · Turn {t.idx}
+                    {annotatorId === "all" ? ` · ${nameOf(t.userId)}` : ""}
+                  </span>
+                  <strong style={{ color: "#b91c1c" }}>{Math.round(t.overall * 100)}%</strong>
+                </div>
+                <div
+                  style={{
+                    fontSize: 12,
+                    color: "#111827",
+                    maxHeight: 34,
+                    overflow: "hidden",
+                  }}
+                >
+                  {t.text}
+                </div>
+              </button>
+            ))}
+            {lowest.length === 0 && (
+              <div style={{ fontSize: 12, color: "#6b7280" }}>No scored turns yet.</div>
+            )}
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default AnalyticsView;
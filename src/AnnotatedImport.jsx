@@ -0,0 +1,275 @@
+import { useState } from "react";
+import { parseAnnotatedText, planAnnotatedImport } from "./annotatedImport";
+
+const MAX_LISTED_PROBLEMS = 200;
+
+const pillButton = (color, filled, disabled) => ({
+  padding: "6px 12px",
+  fontSize: 13,
+  borderRadius: 999,
+  border: `1px solid ${disabled ? "#d1d5db" : color}`,
+  background: disabled ? "#f3f4f6" : filled ? color : "#ffffff",
+  color: disabled ? "#9ca3af" : filled ? "#ffffff" : color,
+  cursor: disabled ? "default" : "pointer",
+  fontWeight: 500,
+  whiteSpace: "nowrap",
+});
+
+// Import dialog for files written by "Download call" / "Download all".
+// Shows a dry-run summary and only calls onApply(plan, options) on confirm.
+function AnnotatedImport({
+  rubric,
+  ratings,
+  callLevelRatings,
+  spans,
+  completedCalls,
+  knownCallIds,
+  onApply,
+  onClose,
+}) {
+  // [{ source, calls, errors }] one per file
+  const [results, setResults] = useState([]);
+  const [includeUnknown, setIncludeUnknown] = useState(true);
+  const [pushToServer, setPushToServer] = useState(true);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [isReading, setIsReading] = useState(false);
+
+  const readFiles = async (fileList) => {
+    const files = [...fileList];
+    if (files.length === 0) return;
+    setIsReading(true);
+    const parsed = await Promise.all(
+      files.map(async (file) => {
+        try {
+          return { source: file.name, ...parseAnnotatedText(file.name, await file.text(), rubric) };
+        } catch (e) {
+          return {
+            source: file.name,
+            calls: [],
+            errors: [{ source: file.name, location: "file", callId: null, message: e.message }],
+          };
+        }
+      })
+    );
+    setResults(parsed);
+    setIsReading(false);
+  };
+
+  const errors = results.flatMap((r) => r.errors);
+  const plan = planAnnotatedImport({
+    rubric,
+    imported: results.flatMap((r) => r.calls),
+    ratings,
+    callLevelRatings,
+    spans,
+    completedCalls,
+    knownCallIds,
+  });
+  const hasFiles = results.length > 0;
+  const nothingToDo =
+    plan.ratingChanges.length === 0 &&
+    plan.callRatingChanges.length === 0 &&
+    plan.spanChanges.length === 0 &&
+    plan.completionChanges.length === 0 &&
+    (!includeUnknown || plan.unknownCalls.length === 0);
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(15, 23, 42, 0.45)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 60,
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: "min(640px, 95vw)",
+          maxHeight: "90vh",
+          overflowY: "auto",
+          backgroundColor: "#ffffff",
+          borderRadius: 12,
+          boxShadow: "0 20px 40px rgba(15,23,42,0.25)",
+          padding: 16,
+          display: "flex",
+          flexDirection: "column",
+          gap: 10,
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <div style={{ fontWeight: 700, fontSize: 16 }}>Import annotated transcripts</div>
+          <button
+            onClick={onClose}
+            style={{ fontSize: 18, lineHeight: 1, cursor: "pointer" }}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ fontSize: 13, color: "#6b7280" }}>
+          Files saved with "Download call" or "Download all". Their ratings and "Mark done"
+          state replace yours for the turns and calls they contain.
+        </div>
+
+        <label
+          onDragOver={(e) => {
+            e.preventDefault();
+            setIsDragOver(true);
+          }}
+          onDragLeave={() => setIsDragOver(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setIsDragOver(false);
+            readFiles(e.dataTransfer.files);
+          }}
+          style={{
+            display: "block",
+            padding: 20,
+            borderRadius: 10,
+            border: `2px dashed ${isDragOver ? "#6366f1" : "#d1d5db"}`,
+            backgroundColor: isDragOver ? "#eef2ff" : "#f9fafb",
+            textAlign: "center",
+            fontSize: 13,
+            color: "#4b5563",
+            cursor: "pointer",
+          }}
+        >
+          {isReading ? "Reading…" : "Drop files here or click to choose"}
+          <input
+            type="file"
+            multiple
+            accept=".json,application/json"
+            onChange={(e) => {
+              readFiles(e.target.files);
+              e.target.value = "";
+            }}
+            style={{ display: "none" }}
+          />
+        </label>
+
+        {hasFiles && (
+          <>
+            <div
+              style={{
+                borderRadius: 8,
+                border: "1px solid #e5e7eb",
+                backgroundColor: "#f9fafb",
+                padding: 10,
+                fontSize: 13,
+                color: "#111827",
+                display: "flex",
+                flexDirection: "column",
+                gap: 2,
+              }}
+            >
+              <div style={{ fontWeight: 600, marginBottom: 4 }}>Dry run</div>
+              <div>
+                Rated turns: {plan.counts.added} added, {plan.counts.changed} changed,{" "}
+                {plan.counts.unchanged} unchanged
+              </div>
+              <div>
+                Call ratings: {plan.callRatingChanges.length} call
+                {plan.callRatingChanges.length === 1 ? "" : "s"} added or changed
+              </div>
+              <div>
+                Span annotations: {plan.spanChanges.length} added or changed
+              </div>
+              <div>
+                "Mark done" changes: {plan.completionChanges.length} call
+                {plan.completionChanges.length === 1 ? "" : "s"}
+              </div>
+              {plan.unknownCalls.length > 0 && (
+                <div>
+                  {plan.unknownCalls.length} call{plan.unknownCalls.length === 1 ? " is" : "s are"}{" "}
+                  not loaded in the dashboard
+                </div>
+              )}
+              {plan.adjudicated && (
+                <div style={{ color: "#b45309" }}>
+                  This file holds adjudicated labels; importing makes them your own ratings.
+                </div>
+              )}
+            </div>
+
+            <div style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 13 }}>
+              {plan.unknownCalls.length > 0 && (
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={includeUnknown}
+                    onChange={(e) => setIncludeUnknown(e.target.checked)}
+                  />{" "}
+                  Also add the {plan.unknownCalls.length} missing call
+                  {plan.unknownCalls.length === 1 ? "" : "s"} to the call list
+                </label>
+              )}
+              <label>
+                <input
+                  type="checkbox"
+                  checked={pushToServer}
+                  onChange={(e) => setPushToServer(e.target.checked)}
+                />{" "}
+                Save the imported ratings to Supabase
+              </label>
+            </div>
+
+            {errors.length > 0 && (
+              <div
+                style={{
+                  borderRadius: 8,
+                  border: "1px solid #fecaca",
+                  backgroundColor: "#fef2f2",
+                  padding: 10,
+                  fontSize: 12,
+                  color: "#7f1d1d",
+                  maxHeight: 220,
+                  overflowY: "auto",
+                }}
+              >
+                <div style={{ fontWeight: 600, marginBottom: 6 }}>
+                  {errors.length} problem{errors.length === 1 ? "" : "s"} found (skipped)
+                </div>
+                {errors.slice(0, MAX_LISTED_PROBLEMS).map((err, i) => (
+                  <div key={i}>
+                    {err.source} · {err.location}
+                    {err.callId ? ` (call_id ${err.callId})` : ""}: {err.message}
+                  </div>
+                ))}
+                {errors.length > MAX_LISTED_PROBLEMS && (
+                  <div style={{ marginTop: 4 }}>…and more</div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 6 }}>
+          <button onClick={onClose} style={pillButton("#6b7280", false, false)}>
+            Cancel
+          </button>
+          <button
+            onClick={() => onApply(plan, { includeUnknown, pushToServer })}
+            disabled={!hasFiles || nothingToDo}
+            style={pillButton("#6366f1", true, !hasFiles || nothingToDo)}
+          >
+            Apply import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AnnotatedImport;
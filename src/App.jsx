@@ -1,49 +1,199 @@
-import { useEffect, useRef, useState } from "react";
+import {
+  useEffect,
+  useEffectEvent,
+  useMemo,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
 import { supabase } from "./supabaseClient";
-
-const RATINGS_STORAGE_KEY = "call_rating_dashboard_ratings_v1";
-const COMPLETED_CALLS_KEY = "call_rating_dashboard_completed_v1";
-const USER_ID = "demo-user";
-
-const EMPTY_RATING = {
-  codeSwitch: 0,
-  colloquialness: 0,
-  emotionalIntelligence: 0,
-  sopAdherence: 0,
-  idealResponse: "",
-};
-
-const METRICS = [
-  { key: "codeSwitch", label: "Code-Switch - Response Level" },
-  { key: "colloquialness", label: "Colloquialness - Response Level" },
-  { key: "emotionalIntelligence", label: "Emotional Intelligence - Response Level" },
-  {
-    key: "sopAdherence",
-    label:
-      "SOP Adherence (Instruction Adherence / Error Recovery / Task Success) - Conversational Level",
-  },
+import {
+  ADJUDICATIONS_CONFLICT_COLUMNS,
+  adjudicationToRow,
+  applyAdjudicationRows,
+} from "./adjudication";
+import { buildAnnotatedCall } from "./annotatedExport";
+import {
+  ANNOTATORS_CONFLICT_COLUMNS,
+  ASSIGNMENTS_CONFLICT_COLUMNS,
+  applyAssignmentRows,
+  assigneesOf,
+  assignmentToRow,
+  isAssignedTo,
+  newAssignment,
+  nextQueueTask,
+} from "./assignments";
+import AdjudicationView from "./AdjudicationView.jsx";
+import AgreementView from "./AgreementView.jsx";
+import AnalyticsView from "./AnalyticsView.jsx";
+import AnnotatedImport from "./AnnotatedImport.jsx";
+import AssignmentPanel from "./AssignmentPanel.jsx";
+import CalibrationView from "./CalibrationView.jsx";
+import CallFilters from "./CallFilters.jsx";
+import CallRatingPanel from "./CallRatingPanel.jsx";
+import ConflictView from "./ConflictView.jsx";
+import ProductivityView from "./ProductivityView.jsx";
+import RatingModal from "./RatingModal.jsx";
+import SpanDialog from "./SpanDialog.jsx";
+import TrainingExport from "./TrainingExport.jsx";
+import TranscriptUpload from "./TranscriptUpload.jsx";
+import VirtualList from "./VirtualList.jsx";
+import {
+  CALL_RATINGS_CONFLICT_COLUMNS,
+  applyCallRatingRows,
+  callRatingToRow,
+  emptyCallRating,
+  getCallRatingStatus,
+  hasCallForm,
+  seedCallRatings,
+  turnValuesFromRatings,
+  turnValuesFromRows,
+} from "./callRating";
+import {
+  COMPLETIONS_CONFLICT_COLUMNS,
+  completionToRow,
+  isCallCompleted,
+  mergeCompletionRows,
+  rowToCompletion,
+  toggledCompletion,
+} from "./completion";
+import {
+  CALIBRATION_CONFLICT_COLUMNS,
+  GOLD_CONFLICT_COLUMNS,
+  applyAttemptRows,
+  applyGoldRows,
+  applyGoldTurnRows,
+  attemptToRow,
+  goldForCall,
+  goldToRow,
+  isGoldCall,
+  isGoldHidden,
+  nextAttemptNumber,
+  scoreAttempt,
+} from "./calibration";
+import {
+  callMatchesFilters,
+  countMatchingUtterances,
+  filtersFromSearch,
+  filtersToSearch,
+  highlightSegments,
+  searchTerms,
+} from "./callFilters";
+import { createOutbox } from "./outbox";
+import {
+  applyRatingUpdates,
+  markRatingsSynced,
+  mergeRemoteRows,
+  touchRating,
+} from "./ratingMerge";
+import { downloadJson } from "./download";
+import { realtimeTransport } from "./realtime";
+import { isAdjudicator, isLead } from "./roles";
+import { navigateTo, parseRoute } from "./router";
+import {
+  SPANS_CONFLICT_COLUMNS,
+  applySpanRows,
+  groupSpans,
+  newSpan,
+  selectionOffsets,
+  spanLabelOf,
+  spanSegments,
+  spanToRow,
+} from "./spans";
+import { userStorageKey } from "./storage";
+import {
+  TIME_CONFLICT_COLUMNS,
+  applyTimeEntries,
+  createTimeTracker,
+  timeEntryToRow,
+} from "./timeTracking";
+import { loadTranscripts, TRANSCRIPTS_URL } from "./transcriptLoader";
+import {
+  DEFAULT_RUBRIC,
+  emptyRating,
+  getRatingStatus,
+  loadRubric,
+  ratingNotesToRow,
+  ratingToRow,
+  rowToRating,
+  tagLabel,
+} from "./rubric";
+
+const OUTBOX_KEY = "call_rating_dashboard_outbox_v1";
+const PRESENCE_ROOM = "call_rating_dashboard";
+
+// teamData: the view needs other annotators' ratings for every call
+const VIEWS = [
+  { key: "annotate", label: "Annotate" },
+  { key: "analytics", label: "Analytics", teamData: true },
+  { key: "agreement", label: "Agreement", teamData: true },
+  { key: "adjudication", label: "Adjudicate", adjudicatorOnly: true, teamData: true },
+  { key: "calibration", label: "Calibration" },
+  { key: "productivity", label: "Productivity" },
 ];
-
-const METRIC_KEYS = METRICS.map((m) => m.key);
-
-// rating status helper for progress + list
-const getRatingStatus = (rating) => {
-  if (!rating) return "not_started";
-  const hasAnyMetric = METRIC_KEYS.some((k) => (rating[k] || 0) > 0);
-  const hasIdeal = (rating.idealResponse || "").trim().length > 0;
-  if (!hasAnyMetric && !hasIdeal) return "not_started";
-
-  const allMetricsFilled = METRIC_KEYS.every((k) => (rating[k] || 0) > 0);
-  if (allMetricsFilled && hasIdeal) return "complete";
-  return "partial";
+const RATINGS_CONFLICT_COLUMNS = "call_id,turn_index,user_id";
+const CALL_RATING_STATUS_LABELS = {
+  complete: "Complete",
+  partial: "Partial",
+  not_started: "Not started",
 };
 
-function App() {
+// row keys for the windowed lists (see VirtualList.jsx)
+const callKey = (call) => call.call_id;
+const utteranceKey = (utt, idx) => idx;
+
+const shortName = (email, userId) => (email ? email.split("@")[0] : userId.slice(0, 8));
+
+// ideal-response, rationale and call-summary keystrokes are coalesced for
+// this long before saving
+const IDEAL_RESPONSE_SAVE_DELAY_MS = 800;
+
+const sendUpsert = ({ table, onConflict, rows }) =>
+  supabase.from(table).upsert(rows, { onConflict, ignoreDuplicates: false });
+
+const fetchGoldRows = (callIds) => supabase.from("gold_ratings").select("*").in("call_id", callIds);
+
+// realtime is injectable so the live-update wiring can run against a mock.
+// store and the initial ratings / call ratings / completions / time entries /
+// spans come from storage.js.
+function App({
+  user,
+  onSignOut,
+  store,
+  initialRatings,
+  initialCallLevelRatings,
+  initialCompletedCalls,
+  initialTimeEntries,
+  initialSpans,
+  realtime = realtimeTransport,
+}) {
+  const userId = user.id;
+  const lead = isLead(user);
+  const adjudicator = isAdjudicator(user);
+
   const [calls, setCalls] = useState([]);
   const [selectedCallId, setSelectedCallId] = useState(null);
   // ratings: { [callId]: { [turnIndex]: { ...metrics } } }
-  const [ratings, setRatings] = useState({});
-  const [completedCalls, setCompletedCalls] = useState({}); // { callId: true }
+  const [ratings, setRatings] = useState(initialRatings);
+  // conversation-level ratings: { [callId]: { ...callMetrics, summary } } (see callRating.js)
+  const [callLevelRatings, setCallLevelRatings] = useState(initialCallLevelRatings);
+  // { callId: { completed, completedAt, completedBy, updatedAt } }
+  const [completedCalls, setCompletedCalls] = useState(initialCompletedCalls);
+
+  // pending Supabase writes, persisted per annotator (see outbox.js)
+  const [outbox] = useState(() =>
+    createOutbox({ storageKey: userStorageKey(OUTBOX_KEY, userId), send: sendUpsert })
+  );
+  const syncStatus = useSyncExternalStore(outbox.subscribe, outbox.getStatus);
+
+  const [rubric, setRubric] = useState(DEFAULT_RUBRIC);
+  const [rubricError, setRubricError] = useState(null);
+
+  // "annotate" or one of the report views in VIEWS
+  const [view, setView] = useState("annotate");
+
+  // sidebar search and filters, mirrored in the URL (see callFilters.js)
+  const [filters, setFilters] = useState(() => filtersFromSearch(window.location.search));
 
   // sidebar resizing
   const [sidebarWidth, setSidebarWidth] = useState(260);
@@ -52,65 +202,209 @@ function App() {
   // modal state: { callId, idx } | null
   const [activeRatingTarget, setActiveRatingTarget] = useState(null);
 
-  const utteranceRefs = useRef({}); // { "callId:idx": HTMLDivElement }
+  // true once the first Supabase load has been merged; the outbox waits for
+  // it so queued edits are compared against the server before being sent
+  const [sharedRatingsLoaded, setSharedRatingsLoaded] = useState(false);
+  // true once this annotator's call_level_ratings rows have been merged
+  const [callRatingsLoaded, setCallRatingsLoaded] = useState(false);
+  const [showConflicts, setShowConflicts] = useState(false);
+  // progress of the initial transcript load (see transcriptLoader.js)
+  const [transcriptLoad, setTranscriptLoad] = useState({ loading: true, loaded: 0, errors: [] });
+  // transcript upload dialog; initial results carry a bad transcripts.json
+  const [uploadDialog, setUploadDialog] = useState(null); // { initialResults } | null
+  const [showTrainingExport, setShowTrainingExport] = useState(false);
+  const [showAnnotatedImport, setShowAnnotatedImport] = useState(false);
+
+  // other annotators' work, kept apart from this annotator's ratings
+  // teamRatings: { [userId]: { [callId]: { [turnIndex]: rating } } }
+  const [teamRatings, setTeamRatings] = useState({});
+  // teamCompleted: { [userId]: { [callId]: completion } }
+  const [teamCompleted, setTeamCompleted] = useState({});
+  // who is in the dashboard right now: [{ userId, email, callId }]
+  const [presence, setPresence] = useState([]);
+  const presenceRoom = useRef(null);
+  // work queue: { [callId]: { [userId]: assignment } } (see assignments.js)
+  const [assignments, setAssignments] = useState({});
+  // everyone who has signed in: { [userId]: email }
+  const [annotatorDirectory, setAnnotatorDirectory] = useState({});
+  const [showAssignments, setShowAssignments] = useState(false);
+  // final ratings: { [callId]: { [turnIndex]: adjudication } } (see adjudication.js)
+  const [adjudications, setAdjudications] = useState({});
+  // gold reference ratings and calibration attempts (see calibration.js)
+  const [gold, setGold] = useState({});
+  const [calibrationAttempts, setCalibrationAttempts] = useState([]);
+  // active time per call and rating-modal session (see timeTracking.js)
+  const [timeEntries, setTimeEntries] = useState(initialTimeEntries);
+  const [timeTracker] = useState(() => createTimeTracker());
+  const turnSessionRef = useRef(null); // the open rating-modal session
+  // highlighted utterance spans: { [spanId]: span } (see spans.js)
+  const [spans, setSpans] = useState(initialSpans);
+  // text selected in the transcript: { callId, idx, start, end } | null
+  const [pendingSelection, setPendingSelection] = useState(null);
+  // span dialog: { spanId } for an existing span, a pendingSelection for a new one
+  const [spanDialog, setSpanDialog] = useState(null);
+  // whose labels "Download call" / "Download all" export
+  const [exportSource, setExportSource] = useState("mine"); // "mine" | "adjudicated"
+
+  const transcriptListRef = useRef(null); // VirtualList of the selected call's dialogue
+  // latest committed ratings, for merges computed outside a state update
+  // (and the last state handed to the store)
+  const ratingsRef = useRef(ratings);
+  const savedCallLevelRatingsRef = useRef(callLevelRatings);
+  const savedCompletedRef = useRef(completedCalls);
+  const savedSpansRef = useRef(spans);
+  // this annotator's call_ratings rows from the last successful load
+  const ownTurnRowsRef = useRef(null);
+  // which of the other annotators' rows have been fetched (see loadTeamRows)
+  const teamLoadedRef = useRef({ rubric: null, all: false, callIds: new Set() });
 
   // ---------------------------------------------------
-  // Load transcripts.json
+  // Load the transcript batch (see transcriptLoader.js). A single JSON file is
+  // validated like an upload: problems open the upload dialog with the report
+  // instead of loading anything. Chunked and JSONL batches load as they
+  // stream in and skip bad calls, which are counted under the call list.
   // ---------------------------------------------------
   useEffect(() => {
-    fetch("/transcripts.json")
-      .then((r) => r.json())
-      .then((data) => {
-        const normalized = data.map((item) => item.data || item);
-        setCalls(normalized);
-        if (normalized.length > 0) {
-          setSelectedCallId(normalized[0].call_id);
+    const controller = new AbortController();
+    const route = parseRoute(window.location.pathname);
+    let firstCallId = null;
+    let routeFound = false;
+
+    // restore the call / turn from a deep link (see router.js)
+    const selectRouted = (newCalls) => {
+      const routed = newCalls.find((c) => c.call_id === route.callId);
+      if (!routed) return;
+      routeFound = true;
+      setSelectedCallId(routed.call_id);
+      if (routed.dialogue[route.idx]?.author === "Assistant") {
+        setActiveRatingTarget({ callId: routed.call_id, idx: route.idx });
+      }
+    };
+
+    const receiveCalls = (newCalls) => {
+      if (controller.signal.aborted) return;
+      firstCallId = firstCallId ?? newCalls[0].call_id;
+      setCalls((prev) => [...prev, ...newCalls]);
+      setTranscriptLoad((prev) => ({ ...prev, loaded: prev.loaded + newCalls.length }));
+      if (!routeFound) selectRouted(newCalls);
+      // without a deep link the first call is selected straight away
+      if (!route.callId) setSelectedCallId((prev) => prev ?? firstCallId);
+    };
+
+    loadTranscripts(TRANSCRIPTS_URL, receiveCalls, controller.signal)
+      .then((result) => {
+        if (result.chunked) {
+          if (result.errors.length > 0) {
+            console.error(`Problems in ${TRANSCRIPTS_URL}:`, result.errors);
+          }
+          setTranscriptLoad((prev) => ({ ...prev, loading: false, errors: result.errors }));
+          if (!routeFound && firstCallId) setSelectedCallId((prev) => prev ?? firstCallId);
+          return;
+        }
+
+        const { source, parsed } = result;
+        setTranscriptLoad({ loading: false, loaded: parsed.calls.length, errors: [] });
+        const hasDuplicates = new Set(parsed.calls.map((c) => c.call_id)).size !== parsed.calls.length;
+        if (parsed.errors.length > 0 || hasDuplicates) {
+          console.error(`Problems in ${source}:`, parsed.errors);
+          setUploadDialog({ initialResults: [{ source, ...parsed }] });
+          return;
         }
+        setCalls(parsed.calls);
+        if (parsed.calls.length === 0) return;
+        selectRouted(parsed.calls);
+        if (!routeFound) setSelectedCallId(parsed.calls[0].call_id);
       })
       .catch((err) => {
-        console.error("Failed to load transcripts.json", err);
+        if (!controller.signal.aborted) console.error("Failed to load transcripts", err);
       });
+    return () => controller.abort();
   }, []);
 
   // ---------------------------------------------------
-  // Load ratings from localStorage
+  // Run the outbox: retries with backoff, flushes when back online
   // ---------------------------------------------------
   useEffect(() => {
-    try {
-      const raw = window.localStorage.getItem(RATINGS_STORAGE_KEY);
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        if (parsed && typeof parsed === "object") {
-          setRatings(parsed);
-        }
-      }
-    } catch (e) {
-      console.warn("Failed to load ratings from localStorage", e);
-    }
-  }, []);
+    if (!sharedRatingsLoaded) return;
+    return outbox.start();
+  }, [outbox, sharedRatingsLoaded]);
+
+  // the server now holds the sent version of these turns (see ratingMerge.js)
+  const handleSentRows = useEffectEvent(({ table, rows }) => {
+    if (table !== "call_ratings") return;
+    const own = rows.filter((r) => r.user_id === userId);
+    if (own.length > 0) setRatings((prev) => markRatingsSynced(prev, own));
+  });
+
+  useEffect(() => outbox.subscribeSent(handleSentRows), [outbox]);
 
   // ---------------------------------------------------
-  // Load completed calls from localStorage
+  // Load the rating rubric (see rubric.js)
   // ---------------------------------------------------
   useEffect(() => {
-    try {
-      const raw = window.localStorage.getItem(COMPLETED_CALLS_KEY);
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        if (parsed && typeof parsed === "object") {
-          setCompletedCalls(parsed);
-        }
-      }
-    } catch (e) {
-      console.warn("Failed to load completed calls from localStorage", e);
-    }
+    loadRubric()
+      .then((loaded) => setRubric(loaded))
+      .catch((err) => {
+        console.error("Failed to load rubric, using the default", err);
+        setRubricError(err.message);
+      });
   }, []);
 
+  // ---------------------------------------------------
+  // Apply call_ratings rows coming from Supabase (initial load or realtime).
+  // This annotator's rows are merged by timestamp (see ratingMerge.js);
+  // everyone else's go to teamRatings, for the calls whose team rows were
+  // fetched (a single live row would make a call look barely started).
+  // ---------------------------------------------------
+  const isTeamCallLoaded = (callId) =>
+    teamLoadedRef.current.all || teamLoadedRef.current.callIds.has(callId);
+
+  const applyServerRatingRows = useEffectEvent((rows) => {
+    const own = rows.filter((r) => r.user_id === userId);
+    const others = rows.filter(
+      (r) => r.user_id && r.user_id !== userId && isTeamCallLoaded(r.call_id)
+    );
+
+    if (own.length > 0) {
+      const snapshot = ratingsRef.current;
+      const { updates, conflicts } = mergeRemoteRows(rubric, snapshot, own, (r) =>
+        outbox.hasPending("call_ratings", RATINGS_CONFLICT_COLUMNS, r)
+      );
+      // a conflicting local edit is held back until the annotator picks a side
+      conflicts.forEach(({ callId, idx }) =>
+        outbox.discard("call_ratings", RATINGS_CONFLICT_COLUMNS, {
+          call_id: callId,
+          turn_index: idx,
+          user_id: userId,
+        })
+      );
+      setRatings((prev) => applyRatingUpdates(prev, snapshot, updates));
+    }
+
+    if (others.length > 0) {
+      setTeamRatings((prev) => {
+        const next = { ...prev };
+        others.forEach((r) => {
+          if (!r.call_id || r.turn_index == null) return;
+          const forUser = { ...(next[r.user_id] || {}) };
+          const forCall = { ...(forUser[r.call_id] || {}) };
+          forCall[r.turn_index] = rowToRating(rubric, r, emptyRating(rubric));
+          forUser[r.call_id] = forCall;
+          next[r.user_id] = forUser;
+        });
+        return next;
+      });
+    }
+  });
+
   // ---------------------------------------------------
   // Load shared ratings from Supabase, merge safely
   // EXPECTED TABLE COLUMNS:
-  // call_id, turn_index, user_id,
-  // code_switch, colloquialness, emotional_intelligence, sop_adherence, ideal_response
+  // call_id, turn_index, user_id, ideal_response, updated_at, revision,
+  // plus one column per rubric metric (metric.column), e.g.
+  // code_switch, colloquialness, emotional_intelligence,
+  // and the turn notes: rationales (jsonb), tags (text[]), flagged (boolean)
+  // Only this annotator's rows; other annotators' are fetched below.
   // ---------------------------------------------------
   useEffect(() => {
     const loadSharedRatings = async () => {
@@ -118,321 +412,1430 @@ function App() {
         const { data, error } = await supabase
           .from("call_ratings")
           .select("*")
-          .eq("user_id", USER_ID);
-
-        console.log("Loaded ratings from Supabase:", { data, error });
+          .eq("user_id", userId);
 
         if (error) {
           console.error("Error loading ratings from Supabase:", error);
           return;
         }
         if (!data) return;
+        ownTurnRowsRef.current = data;
 
-        setRatings((prev) => {
-          const next = { ...prev };
-
-          data.forEach((r) => {
-            const callId = r.call_id;
-            const idx = r.turn_index;
-            if (!callId || idx == null) return;
-
-            if (!next[callId]) next[callId] = {};
-
-            const existing = next[callId][idx] || { ...EMPTY_RATING };
-
-            next[callId][idx] = {
-              ...existing,
-              codeSwitch:
-                typeof r.code_switch === "number" ? r.code_switch : existing.codeSwitch || 0,
-              colloquialness:
-                typeof r.colloquialness === "number"
-                  ? r.colloquialness
-                  : existing.colloquialness || 0,
-              emotionalIntelligence:
-                typeof r.emotional_intelligence === "number"
-                  ? r.emotional_intelligence
-                  : existing.emotionalIntelligence || 0,
-              sopAdherence:
-                typeof r.sop_adherence === "number" ? r.sop_adherence : existing.sopAdherence || 0,
-              idealResponse:
-                typeof r.ideal_response === "string"
-                  ? r.ideal_response
-                  : existing.idealResponse || "",
-            };
-          });
-
-          return next;
-        });
+        applyServerRatingRows(data);
       } catch (e) {
         console.error("Unexpected error loading Supabase ratings:", e);
+      } finally {
+        setSharedRatingsLoaded(true);
       }
     };
 
     loadSharedRatings();
-  }, []);
+  }, [userId, rubric]);
 
   // ---------------------------------------------------
-  // Save ratings to localStorage whenever they change
+  // Load other annotators' ratings and completions where they are shown: the
+  // selected call and calls someone is viewing (team progress in the
+  // sidebar), and all calls for the views marked teamData in VIEWS. Each
+  // scope is fetched once; live updates keep it current afterwards.
   // ---------------------------------------------------
+  const teamNeedsAll = !!VIEWS.find((v) => v.key === view)?.teamData;
+  const teamCallIds = [
+    ...new Set([selectedCallId, ...presence.map((p) => p?.callId)].filter(Boolean)),
+  ]
+    .sort()
+    .join(",");
+
   useEffect(() => {
-    try {
-      window.localStorage.setItem(RATINGS_STORAGE_KEY, JSON.stringify(ratings));
-    } catch (e) {
-      console.warn("Failed to save ratings to localStorage", e);
+    // rows parsed with another rubric are fetched again
+    if (teamLoadedRef.current.rubric !== rubric) {
+      teamLoadedRef.current = { rubric, all: false, callIds: new Set() };
     }
-  }, [ratings]);
+    const loaded = teamLoadedRef.current;
+    if (loaded.all) return;
+    const callIds = teamNeedsAll
+      ? null
+      : teamCallIds.split(",").filter((id) => id && !loaded.callIds.has(id));
+    if (callIds?.length === 0) return;
+
+    // marked up front so a scope is not requested twice; unmarked on failure
+    const mark = (isLoaded) => {
+      if (!callIds) loaded.all = isLoaded;
+      else callIds.forEach((id) => (isLoaded ? loaded.callIds.add(id) : loaded.callIds.delete(id)));
+    };
+    mark(true);
+
+    const teamQuery = (table) => {
+      const query = supabase.from(table).select("*").neq("user_id", userId);
+      return callIds ? query.in("call_id", callIds) : query;
+    };
+
+    const loadTeamRows = async () => {
+      try {
+        const [rated, completed] = await Promise.all([
+          teamQuery("call_ratings"),
+          teamQuery("call_completions"),
+        ]);
+        if (rated.error || completed.error) {
+          console.error(
+            "Error loading team ratings from Supabase:",
+            rated.error || completed.error
+          );
+          mark(false);
+          return;
+        }
+        if (rated.data) applyServerRatingRows(rated.data);
+        if (completed.data) applyServerCompletionRows(completed.data);
+      } catch (e) {
+        console.error("Unexpected error loading team ratings:", e);
+        mark(false);
+      }
+    };
+
+    loadTeamRows();
+  }, [userId, rubric, teamNeedsAll, teamCallIds]);
 
   // ---------------------------------------------------
-  // Save completed calls to localStorage whenever they change
+  // Live updates: call_ratings inserts/updates from any annotator
   // ---------------------------------------------------
   useEffect(() => {
-    try {
-      window.localStorage.setItem(COMPLETED_CALLS_KEY, JSON.stringify(completedCalls));
-    } catch (e) {
-      console.warn("Failed to save completed calls to localStorage", e);
+    if (!sharedRatingsLoaded) return;
+    return realtime.subscribeTable("call_ratings", ({ eventType, row }) => {
+      if (eventType === "INSERT" || eventType === "UPDATE") {
+        applyServerRatingRows([row]);
+      }
+    });
+  }, [realtime, sharedRatingsLoaded]);
+
+  // ---------------------------------------------------
+  // Apply call_completions rows (initial load or realtime); see completion.js
+  // ---------------------------------------------------
+  const applyServerCompletionRows = useEffectEvent((rows) => {
+    const own = rows.filter((r) => r.user_id === userId);
+    const others = rows.filter(
+      (r) => r.user_id && r.user_id !== userId && isTeamCallLoaded(r.call_id)
+    );
+
+    if (own.length > 0) {
+      const updates = mergeCompletionRows(completedCalls, own, (r) =>
+        outbox.hasPending("call_completions", COMPLETIONS_CONFLICT_COLUMNS, r)
+      );
+      if (Object.keys(updates).length > 0) {
+        setCompletedCalls((prev) => ({ ...prev, ...updates }));
+      }
+    }
+
+    if (others.length > 0) {
+      setTeamCompleted((prev) => {
+        const next = { ...prev };
+        others.forEach((r) => {
+          if (!r.call_id) return;
+          next[r.user_id] = { ...(next[r.user_id] || {}), [r.call_id]: rowToCompletion(r) };
+        });
+        return next;
+      });
     }
-  }, [completedCalls]);
+  });
+
+  // completions only ever stored in this browser (v1) are pushed up once
+  const pushLocalOnlyCompletions = useEffectEvent((rows) => {
+    const onServer = new Set(rows.filter((r) => r.user_id === userId).map((r) => r.call_id));
+    Object.entries(completedCalls).forEach(([callId, completion]) => {
+      if (onServer.has(callId) || !completion.completed) return;
+      outbox.enqueue({
+        table: "call_completions",
+        onConflict: COMPLETIONS_CONFLICT_COLUMNS,
+        row: completionToRow(callId, userId, completion),
+      });
+    });
+  });
 
   // ---------------------------------------------------
-  // Sidebar resize mouse handlers
+  // Load call completion from Supabase
+  // EXPECTED TABLE COLUMNS (call_completions):
+  // call_id, user_id, completed, completed_at, completed_by, updated_at
+  // unique (call_id, user_id)
+  // Only this annotator's rows; other annotators' come with their ratings.
   // ---------------------------------------------------
   useEffect(() => {
-    const handleMouseMove = (e) => {
-      if (!isResizingSidebar) return;
-      const newWidth = Math.min(Math.max(e.clientX, 200), 500);
-      setSidebarWidth(newWidth);
-    };
+    const loadSharedCompletions = async () => {
+      try {
+        const { data, error } = await supabase
+          .from("call_completions")
+          .select("*")
+          .eq("user_id", userId);
+        if (error) {
+          console.error("Error loading call completions from Supabase:", error);
+          return;
+        }
+        if (!data) return;
 
-    const handleMouseUp = () => {
-      if (isResizingSidebar) {
-        setIsResizingSidebar(false);
+        applyServerCompletionRows(data);
+        pushLocalOnlyCompletions(data);
+      } catch (e) {
+        console.error("Unexpected error loading call completions:", e);
       }
     };
 
-    window.addEventListener("mousemove", handleMouseMove);
-    window.addEventListener("mouseup", handleMouseUp);
-    return () => {
-      window.removeEventListener("mousemove", handleMouseMove);
-      window.removeEventListener("mouseup", handleMouseUp);
+    loadSharedCompletions();
+  }, [userId]);
+
+  useEffect(() => {
+    return realtime.subscribeTable("call_completions", ({ eventType, row }) => {
+      if (eventType === "INSERT" || eventType === "UPDATE") {
+        applyServerCompletionRows([row]);
+      }
+    });
+  }, [realtime]);
+
+  // ---------------------------------------------------
+  // Conversation-level ratings (see callRating.js)
+  // EXPECTED TABLE COLUMNS (call_level_ratings):
+  // call_id, user_id, summary, updated_at, revision,
+  // plus one column per call metric (metric.column), e.g.
+  // task_success, sop_adherence, overall_quality
+  // unique (call_id, user_id)
+  // ---------------------------------------------------
+  const applyServerCallRatingRows = useEffectEvent((rows) => {
+    const own = rows.filter((r) => r.user_id === userId);
+    if (own.length === 0) return;
+    setCallLevelRatings((prev) =>
+      applyCallRatingRows(rubric, prev, own, (r) =>
+        outbox.hasPending("call_level_ratings", CALL_RATINGS_CONFLICT_COLUMNS, r)
+      )
+    );
+  });
+
+  useEffect(() => {
+    const loadCallRatings = async () => {
+      try {
+        const { data, error } = await supabase
+          .from("call_level_ratings")
+          .select("*")
+          .eq("user_id", userId);
+        if (error) {
+          console.error("Error loading call ratings from Supabase:", error);
+          return;
+        }
+        if (data) applyServerCallRatingRows(data);
+        setCallRatingsLoaded(true);
+      } catch (e) {
+        console.error("Unexpected error loading call ratings:", e);
+      }
     };
-  }, [isResizingSidebar]);
 
-  const selectedCall = calls.find((c) => c.call_id === selectedCallId);
+    loadCallRatings();
+  }, [userId, rubric]);
+
+  // Calls rated before a metric moved to the call form get a call rating
+  // seeded from the turn values (see seedCallRatings). Waits for both loads,
+  // so a call rating only the server has is never overwritten.
+  const carryOverTurnValues = useEffectEvent(() => {
+    if (!ownTurnRowsRef.current) return;
+    const seeded = seedCallRatings(rubric, callLevelRatings, [
+      ...turnValuesFromRatings(ratingsRef.current),
+      ...turnValuesFromRows(rubric, ownTurnRowsRef.current),
+    ]);
+    const updates = Object.entries(seeded).map(([callId, values]) => ({
+      callId,
+      rating: touchRating(emptyCallRating(rubric), values),
+    }));
+    if (updates.length === 0) return;
+    setCallLevelRatings((prev) => {
+      const next = { ...prev };
+      updates.forEach(({ callId, rating }) => {
+        next[callId] = next[callId] || rating;
+      });
+      return next;
+    });
+    updates.forEach(({ callId, rating }) =>
+      outbox.enqueue({
+        table: "call_level_ratings",
+        onConflict: CALL_RATINGS_CONFLICT_COLUMNS,
+        row: { call_id: callId, user_id: userId, ...callRatingToRow(rubric, rating) },
+      })
+    );
+  });
+
+  useEffect(() => {
+    if (sharedRatingsLoaded && callRatingsLoaded) carryOverTurnValues();
+  }, [sharedRatingsLoaded, callRatingsLoaded, rubric]);
+
+  useEffect(() => {
+    return realtime.subscribeTable("call_level_ratings", ({ eventType, row }) => {
+      if (eventType === "INSERT" || eventType === "UPDATE") {
+        applyServerCallRatingRows([row]);
+      }
+    });
+  }, [realtime]);
 
   // ---------------------------------------------------
-  // Derived: assistant turns + progress for selected call
+  // Assignments and the annotator directory
+  // EXPECTED TABLE COLUMNS:
+  // call_assignments: call_id, user_id, active, assigned_by, assigned_at, updated_at
+  //   unique (call_id, user_id)
+  // annotators: user_id, email, updated_at; unique (user_id)
+  // Leads see every assignment, annotators only their own.
   // ---------------------------------------------------
-  let assistantTurnsForSelected = [];
-  let totalAssistantTurns = 0;
-  let fullyRatedCount = 0;
-  let partiallyRatedCount = 0;
+  const applyServerAssignmentRows = useEffectEvent((rows) => {
+    const visible = lead ? rows : rows.filter((r) => r.user_id === userId);
+    if (visible.length === 0) return;
+    setAssignments((prev) =>
+      applyAssignmentRows(prev, visible, (r) =>
+        outbox.hasPending("call_assignments", ASSIGNMENTS_CONFLICT_COLUMNS, r)
+      )
+    );
+  });
 
-  if (selectedCall) {
-    const callRatings = ratings[selectedCall.call_id] || {};
-    assistantTurnsForSelected = selectedCall.dialogue
-      .map((utt, idx) => ({
-        ...utt,
-        idx,
-        rating: callRatings[idx],
-      }))
-      .filter((u) => u.author === "Assistant");
+  useEffect(() => {
+    const loadAssignments = async () => {
+      try {
+        const assignmentQuery = supabase.from("call_assignments").select("*");
+        const [assigned, people] = await Promise.all([
+          lead ? assignmentQuery : assignmentQuery.eq("user_id", userId),
+          supabase.from("annotators").select("*"),
+        ]);
+        if (assigned.error) {
+          console.error("Error loading call assignments from Supabase:", assigned.error);
+        } else if (assigned.data) {
+          applyServerAssignmentRows(assigned.data);
+        }
+        if (people.error) {
+          console.error("Error loading annotators from Supabase:", people.error);
+        } else if (people.data) {
+          setAnnotatorDirectory((prev) => {
+            const next = { ...prev };
+            people.data.forEach((r) => {
+              if (r.user_id) next[r.user_id] = r.email || "";
+            });
+            return next;
+          });
+        }
+      } catch (e) {
+        console.error("Unexpected error loading assignments:", e);
+      }
+    };
 
-    totalAssistantTurns = assistantTurnsForSelected.length;
+    loadAssignments();
+  }, [userId, lead]);
 
-    assistantTurnsForSelected.forEach((t) => {
-      const status = getRatingStatus(t.rating);
-      if (status === "complete") fullyRatedCount += 1;
-      else if (status === "partial") partiallyRatedCount += 1;
+  useEffect(() => {
+    return realtime.subscribeTable("call_assignments", ({ eventType, row }) => {
+      if (eventType === "INSERT" || eventType === "UPDATE") {
+        applyServerAssignmentRows([row]);
+      }
     });
-  }
+  }, [realtime]);
 
-  const progressPercent =
-    totalAssistantTurns > 0 ? Math.round((fullyRatedCount / totalAssistantTurns) * 100) : 0;
+  // register in the annotator directory so leads can assign work to us
+  useEffect(() => {
+    outbox.enqueue({
+      table: "annotators",
+      onConflict: ANNOTATORS_CONFLICT_COLUMNS,
+      row: { user_id: userId, email: user.email || "", updated_at: new Date().toISOString() },
+    });
+  }, [outbox, userId, user.email]);
 
   // ---------------------------------------------------
-  // Update rating locally + send to Supabase
-  // field is one of:
-  // "codeSwitch" | "colloquialness" | "emotionalIntelligence" | "sopAdherence" | "idealResponse"
+  // Adjudicated ratings
+  // EXPECTED TABLE COLUMNS (adjudicated_ratings):
+  // call_id, turn_index, adjudicated_by, source_user_id, ideal_response,
+  // updated_at, revision, plus the metric columns of call_ratings
+  // unique (call_id, turn_index)
   // ---------------------------------------------------
-  const handleRatingChange = async (callId, idx, field, value) => {
-    const prevForCall = ratings[callId] || {};
-    const prevForUtterance = prevForCall[idx] || { ...EMPTY_RATING };
+  const applyServerAdjudicationRows = useEffectEvent((rows) => {
+    setAdjudications((prev) =>
+      applyAdjudicationRows(rubric, prev, rows, (r) =>
+        outbox.hasPending("adjudicated_ratings", ADJUDICATIONS_CONFLICT_COLUMNS, r)
+      )
+    );
+  });
 
-    const updated = {
-      ...prevForUtterance,
-      [field]: field === "idealResponse" ? value : value || 0,
+  useEffect(() => {
+    const loadAdjudications = async () => {
+      try {
+        const { data, error } = await supabase.from("adjudicated_ratings").select("*");
+        if (error) {
+          console.error("Error loading adjudicated ratings from Supabase:", error);
+          return;
+        }
+        if (data) applyServerAdjudicationRows(data);
+      } catch (e) {
+        console.error("Unexpected error loading adjudicated ratings:", e);
+      }
     };
 
-    // 1) Update local state (drives localStorage)
-    setRatings((prev) => ({
-      ...prev,
-      [callId]: {
-        ...(prev[callId] || {}),
-        [idx]: updated,
-      },
-    }));
+    loadAdjudications();
+  }, [userId, rubric]);
 
-    // 2) Upsert into Supabase
-    try {
-      const { data, error } = await supabase
-        .from("call_ratings")
-        .upsert(
-          {
-            call_id: callId,
-            turn_index: idx,
-            user_id: USER_ID,
-            code_switch: updated.codeSwitch || 0,
-            colloquialness: updated.colloquialness || 0,
-            emotional_intelligence: updated.emotionalIntelligence || 0,
-            sop_adherence: updated.sopAdherence || 0,
-            ideal_response: updated.idealResponse || "",
-          },
-          {
-            onConflict: "call_id,turn_index,user_id",
-            ignoreDuplicates: false,
-          }
-        );
+  useEffect(() => {
+    return realtime.subscribeTable("adjudicated_ratings", ({ eventType, row }) => {
+      if (eventType === "INSERT" || eventType === "UPDATE") {
+        applyServerAdjudicationRows([row]);
+      }
+    });
+  }, [realtime]);
 
-      console.log("Upsert rating result:", { data, error });
+  // ---------------------------------------------------
+  // Gold ratings and calibration attempts
+  // EXPECTED TABLE COLUMNS:
+  // gold_ratings: call_id, turn_index, active, created_by, ideal_response,
+  //   updated_at, revision, plus the metric columns of call_ratings
+  //   unique (call_id, turn_index)
+  // calibration_attempts: call_id, user_id, email, attempt, ratings (jsonb),
+  //   accuracy, submitted_at, updated_at; unique (call_id, user_id, attempt)
+  // gold_turns (view): call_id, turn_index, active, updated_at
+  // Annotators only need their own attempts; leads read everyone's. Leads load
+  // every gold row, annotators the gold turns and, for the calls they have
+  // attempted, the gold rows RLS lets them read (see calibration.js).
+  // ---------------------------------------------------
+  const applyServerGoldRows = useEffectEvent((rows) => {
+    setGold((prev) =>
+      applyGoldRows(rubric, prev, rows, (r) =>
+        outbox.hasPending("gold_ratings", GOLD_CONFLICT_COLUMNS, r)
+      )
+    );
+  });
+
+  // scores this annotator's attempts that were submitted before the gold of
+  // their call could be read
+  const scoreUnscoredAttempts = useEffectEvent((attempts, goldRows) => {
+    const fetched = applyGoldRows(rubric, {}, goldRows);
+    const now = new Date().toISOString();
+    const rows = attempts
+      .filter((a) => a.userId === userId && typeof a.accuracy !== "number")
+      .filter((a) => isGoldCall(fetched, a.callId))
+      .map((a) => ({
+        ...a,
+        accuracy: scoreAttempt(rubric, goldForCall(fetched, a.callId), a.ratings).accuracy,
+        updatedAt: now,
+      }))
+      .filter((a) => typeof a.accuracy === "number")
+      .map(attemptToRow);
+    if (rows.length === 0) return;
+    setCalibrationAttempts((prev) => applyAttemptRows(prev, rows));
+    rows.forEach((row) =>
+      outbox.enqueue({
+        table: "calibration_attempts",
+        onConflict: CALIBRATION_CONFLICT_COLUMNS,
+        row,
+      })
+    );
+  });
+
+  const loadGoldForAttempts = useEffectEvent(async (attempts) => {
+    const callIds = [...new Set(attempts.map((a) => a.callId))];
+    if (callIds.length === 0) return;
+    const { data, error } = await fetchGoldRows(callIds);
+    if (error) {
+      console.error("Error loading gold ratings from Supabase:", error);
+      return;
+    }
+    if (!data) return;
+    applyServerGoldRows(data);
+    scoreUnscoredAttempts(attempts, data);
+  });
 
-      if (error) {
-        console.error("Supabase save error:", error);
+  useEffect(() => {
+    const loadCalibration = async () => {
+      try {
+        const attemptQuery = supabase.from("calibration_attempts").select("*");
+        const [goldRows, attemptRows] = await Promise.all([
+          supabase.from(lead ? "gold_ratings" : "gold_turns").select("*"),
+          lead ? attemptQuery : attemptQuery.eq("user_id", userId),
+        ]);
+        if (goldRows.error) {
+          console.error("Error loading gold ratings from Supabase:", goldRows.error);
+        } else if (goldRows.data && lead) {
+          applyServerGoldRows(goldRows.data);
+        } else if (goldRows.data) {
+          setGold((prev) => applyGoldTurnRows(rubric, prev, goldRows.data));
+        }
+        if (attemptRows.error) {
+          console.error("Error loading calibration attempts from Supabase:", attemptRows.error);
+        } else if (attemptRows.data) {
+          setCalibrationAttempts((prev) => applyAttemptRows(prev, attemptRows.data));
+          if (!lead) await loadGoldForAttempts(applyAttemptRows([], attemptRows.data));
+        }
+      } catch (e) {
+        console.error("Unexpected error loading calibration data:", e);
       }
-    } catch (e) {
-      console.error("Unexpected Supabase save error:", e);
-    }
-  };
+    };
 
-  const scrollToUtterance = (callId, idx) => {
-    const key = `${callId}:${idx}`;
-    const el = utteranceRefs.current[key];
-    if (el) {
-      el.scrollIntoView({ behavior: "smooth", block: "center" });
-    }
-  };
+    loadCalibration();
+  }, [userId, lead, rubric]);
 
-  const openRatingModal = (callId, idx) => {
-    setActiveRatingTarget({ callId, idx });
-    scrollToUtterance(callId, idx);
-  };
+  // an attempt made before its call's gold was readable: the server has it
+  // now, so RLS lets this annotator read the gold rows and score it
+  const handleSentAttempts = useEffectEvent(({ table, rows }) => {
+    if (table !== "calibration_attempts" || lead) return;
+    const unscored = rows.filter((r) => r.user_id === userId && typeof r.accuracy !== "number");
+    if (unscored.length > 0) loadGoldForAttempts(applyAttemptRows([], unscored));
+  });
 
-  const closeRatingModal = () => {
-    setActiveRatingTarget(null);
-  };
+  useEffect(() => outbox.subscribeSent(handleSentAttempts), [outbox]);
+
+  useEffect(() => {
+    return realtime.subscribeTable("gold_ratings", ({ eventType, row }) => {
+      if (eventType === "INSERT" || eventType === "UPDATE") {
+        applyServerGoldRows([row]);
+      }
+    });
+  }, [realtime]);
 
   // ---------------------------------------------------
-  // Toggle call completion
+  // Time tracking: a session per call opened in the annotate view and per
+  // rating-modal visit to a turn
+  // EXPECTED TABLE COLUMNS (annotation_time):
+  // id (uuid, primary key), user_id, email, kind ("call" | "turn"), call_id,
+  // turn_index, started_at, ended_at, active_ms, field_ms (jsonb), updated_at
+  // Annotators only need their own rows; leads read everyone's.
   // ---------------------------------------------------
-  const toggleCallCompleted = (callId) => {
-    setCompletedCalls((prev) => ({
-      ...prev,
-      [callId]: !prev[callId],
-    }));
-  };
+  const recordTimeEntry = useEffectEvent((entry) => {
+    if (entry.activeMs === 0) return;
+    setTimeEntries((prev) => applyTimeEntries(prev, [entry], false));
+    store.saveTimeEntry(entry);
+    outbox.enqueue({
+      table: "annotation_time",
+      onConflict: TIME_CONFLICT_COLUMNS,
+      row: timeEntryToRow(entry),
+    });
+  });
 
-  // ---------------------------------------------------
-  // Build annotated version of all calls (for download)
-  // ---------------------------------------------------
-  const buildAnnotatedCalls = () => {
-    return calls.map((call) => {
-      const callRatings = ratings[call.call_id] || {};
-      return {
-        call_id: call.call_id,
-        dialogue: call.dialogue.map((utt, idx) => {
-          const rating = callRatings[idx];
-          if (utt.author === "Assistant" && rating) {
-            const hasAnyRating =
-              rating.codeSwitch ||
-              rating.colloquialness ||
-              rating.emotionalIntelligence ||
-              rating.sopAdherence ||
-              (rating.idealResponse || "").trim().length > 0;
-
-            if (hasAnyRating) {
-              return {
-                ...utt,
-                rating_code_switch: rating.codeSwitch || 0,
-                rating_colloquialness: rating.colloquialness || 0,
-                rating_emotional_intelligence: rating.emotionalIntelligence || 0,
-                rating_sop_adherence: rating.sopAdherence || 0,
-                rating_ideal_response: rating.idealResponse || "",
-              };
-            }
-          }
-          return utt;
-        }),
-      };
+  useEffect(() => timeTracker.listen(recordTimeEntry), [timeTracker]);
+
+  useEffect(() => {
+    if (view !== "annotate" || !selectedCallId) return;
+    const session = timeTracker.start({
+      userId,
+      email: user.email || "",
+      kind: "call",
+      callId: selectedCallId,
+      turnIndex: null,
     });
-  };
+    return () => recordTimeEntry(session.end());
+  }, [timeTracker, view, selectedCallId, userId, user.email]);
 
-  const handleExportAnnotatedTranscriptsAll = () => {
-    const annotated = buildAnnotatedCalls();
-    const blob = new Blob([JSON.stringify(annotated, null, 2)], {
-      type: "application/json",
+  const ratingCallId = activeRatingTarget?.callId;
+  const ratingIdx = activeRatingTarget?.idx;
+  useEffect(() => {
+    if (ratingCallId === undefined) return;
+    const session = timeTracker.start({
+      userId,
+      email: user.email || "",
+      kind: "turn",
+      callId: ratingCallId,
+      turnIndex: ratingIdx,
     });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "annotated_transcripts_all_calls.json";
-    a.click();
-    URL.revokeObjectURL(url);
-  };
+    turnSessionRef.current = session;
+    return () => {
+      turnSessionRef.current = null;
+      recordTimeEntry(session.end());
+    };
+  }, [timeTracker, ratingCallId, ratingIdx, userId, user.email]);
 
-  const handleExportAnnotatedTranscriptCurrent = () => {
-    if (!selectedCall) return;
-    const annotatedAll = buildAnnotatedCalls();
-    const current = annotatedAll.find((c) => c.call_id === selectedCall.call_id);
-    if (!current) return;
+  // leads see everyone's time, annotators their own
+  const applyServerTimeRows = useEffectEvent((rows) => {
+    const visible = lead ? rows : rows.filter((r) => r.user_id === userId);
+    if (visible.length > 0) setTimeEntries((prev) => applyTimeEntries(prev, visible));
+  });
+
+  useEffect(() => {
+    const loadTimeEntries = async () => {
+      try {
+        const query = supabase.from("annotation_time").select("*");
+        const { data, error } = await (lead ? query : query.eq("user_id", userId));
+        if (error) {
+          console.error("Error loading time entries from Supabase:", error);
+          return;
+        }
+        if (data) applyServerTimeRows(data);
+      } catch (e) {
+        console.error("Unexpected error loading time entries:", e);
+      }
+    };
 
-    const blob = new Blob([JSON.stringify(current, null, 2)], {
-      type: "application/json",
+    loadTimeEntries();
+  }, [userId, lead]);
+
+  useEffect(() => {
+    return realtime.subscribeTable("annotation_time", ({ eventType, row }) => {
+      if (eventType === "INSERT" || eventType === "UPDATE") {
+        applyServerTimeRows([row]);
+      }
     });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `annotated_${selectedCall.call_id}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-  };
+  }, [realtime]);
 
-  // derive info for active modal
-  let activeUtteranceText = "";
-  let activeTurnIndex = null;
-  let activeRating = { ...EMPTY_RATING };
-  if (activeRatingTarget) {
-    const c = calls.find((call) => call.call_id === activeRatingTarget.callId);
-    const u = c?.dialogue?.[activeRatingTarget.idx];
-    activeUtteranceText = u?.text || "";
-    activeTurnIndex = activeRatingTarget.idx;
-    activeRating =
-      ratings[activeRatingTarget.callId]?.[activeRatingTarget.idx] || { ...EMPTY_RATING };
-  }
+  // ---------------------------------------------------
+  // Span annotations (see spans.js)
+  // EXPECTED TABLE COLUMNS (span_annotations):
+  // id (uuid, primary key), user_id, call_id, turn_index, start_offset,
+  // end_offset, text, label, comment, deleted, created_at, updated_at
+  // ---------------------------------------------------
+  const applyServerSpanRows = useEffectEvent((rows) => {
+    const own = rows.filter((r) => r.user_id === userId);
+    if (own.length === 0) return;
+    setSpans((prev) =>
+      applySpanRows(prev, own, (r) =>
+        outbox.hasPending("span_annotations", SPANS_CONFLICT_COLUMNS, r)
+      )
+    );
+  });
 
-  return (
-    <div
-      style={{
-        display: "flex",
-        height: "100vh",
-        width: "100vw",
-        overflowX: "auto",
-        overflowY: "hidden",
-        fontFamily: "system-ui, -apple-system, BlinkMacSystemFont, sans-serif",
-        fontSize: 15,
-        backgroundColor: "#e5e7eb",
-        color: "#111827",
-      }}
-    >
-      {/* Sidebar – list of calls */}
-      <aside
+  useEffect(() => {
+    const loadSpans = async () => {
+      try {
+        const { data, error } = await supabase
+          .from("span_annotations")
+          .select("*")
+          .eq("user_id", userId);
+        if (error) {
+          console.error("Error loading span annotations from Supabase:", error);
+          return;
+        }
+        if (data) applyServerSpanRows(data);
+      } catch (e) {
+        console.error("Unexpected error loading span annotations:", e);
+      }
+    };
+
+    loadSpans();
+  }, [userId]);
+
+  useEffect(() => {
+    return realtime.subscribeTable("span_annotations", ({ eventType, row }) => {
+      if (eventType === "INSERT" || eventType === "UPDATE") {
+        applyServerSpanRows([row]);
+      }
+    });
+  }, [realtime]);
+
+  // ---------------------------------------------------
+  // Presence (who views which call)
+  // ---------------------------------------------------
+  useEffect(() => {
+    const room = realtime.joinRoom(PRESENCE_ROOM, {
+      presenceKey: `${userId}:${Math.random().toString(36).slice(2, 10)}`,
+      onPresence: setPresence,
+    });
+    presenceRoom.current = room;
+    return () => {
+      presenceRoom.current = null;
+      room.leave();
+    };
+  }, [realtime, userId]);
+
+  useEffect(() => {
+    presenceRoom.current?.track({ userId, email: user.email || "", callId: selectedCallId });
+  }, [userId, user.email, selectedCallId, realtime]);
+
+  // ---------------------------------------------------
+  // Save ratings and call ratings locally whenever they change; the store
+  // writes only the turns / calls that differ from the previous state
+  // (see storage.js)
+  // ---------------------------------------------------
+  useEffect(() => {
+    const previous = ratingsRef.current;
+    ratingsRef.current = ratings;
+    store.saveRatings(previous, ratings);
+  }, [ratings, store]);
+
+  useEffect(() => {
+    const previous = savedCallLevelRatingsRef.current;
+    savedCallLevelRatingsRef.current = callLevelRatings;
+    store.saveCallRatings(previous, callLevelRatings);
+  }, [callLevelRatings, store]);
+
+  useEffect(() => {
+    const previous = savedSpansRef.current;
+    savedSpansRef.current = spans;
+    store.saveSpans(previous, spans);
+  }, [spans, store]);
+
+  // ---------------------------------------------------
+  // Save completed calls locally whenever they change
+  // ---------------------------------------------------
+  useEffect(() => {
+    const previous = savedCompletedRef.current;
+    savedCompletedRef.current = completedCalls;
+    store.saveCompletions(previous, completedCalls);
+  }, [completedCalls, store]);
+
+  // ---------------------------------------------------
+  // Keep the sidebar filters in the URL
+  // ---------------------------------------------------
+  useEffect(() => {
+    const search = filtersToSearch(filters, window.location.search);
+    if (search === window.location.search) return;
+    window.history.replaceState(
+      window.history.state,
+      "",
+      `${window.location.pathname}${search}${window.location.hash}`
+    );
+  }, [filters]);
+
+  // ---------------------------------------------------
+  // Routing: the URL follows the selected call / open turn, and back /
+  // forward restore them (see router.js)
+  // ---------------------------------------------------
+  useEffect(() => {
+    if (!selectedCallId) return;
+    navigateTo({
+      callId: selectedCallId,
+      idx: activeRatingTarget?.callId === selectedCallId ? activeRatingTarget.idx : null,
+    });
+  }, [selectedCallId, activeRatingTarget]);
+
+  // only Assistant turns are rated; a link to any other turn selects the call
+  const isRatableTurn = useEffectEvent((callId, idx) => {
+    const call = calls.find((c) => c.call_id === callId);
+    return call?.dialogue[idx]?.author === "Assistant";
+  });
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const route = parseRoute(window.location.pathname);
+      setFilters(filtersFromSearch(window.location.search));
+      if (!route.callId) return;
+      outbox.flush();
+      setView("annotate");
+      setSelectedCallId(route.callId);
+      setActiveRatingTarget(
+        route.idx !== null && isRatableTurn(route.callId, route.idx)
+          ? { callId: route.callId, idx: route.idx }
+          : null
+      );
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [outbox]);
+
+  // ---------------------------------------------------
+  // Keep the turn being rated in view, including after a call or view switch
+  // ---------------------------------------------------
+  useEffect(() => {
+    if (!activeRatingTarget || view !== "annotate") return;
+    if (activeRatingTarget.callId !== selectedCallId) return;
+    transcriptListRef.current?.scrollToIndex(activeRatingTarget.idx);
+  }, [activeRatingTarget, view, selectedCallId]);
+
+  // ---------------------------------------------------
+  // Sidebar resize mouse handlers
+  // ---------------------------------------------------
+  useEffect(() => {
+    const handleMouseMove = (e) => {
+      if (!isResizingSidebar) return;
+      const newWidth = Math.min(Math.max(e.clientX, 200), 500);
+      setSidebarWidth(newWidth);
+    };
+
+    const handleMouseUp = () => {
+      if (isResizingSidebar) {
+        setIsResizingSidebar(false);
+      }
+    };
+
+    window.addEventListener("mousemove", handleMouseMove);
+    window.addEventListener("mouseup", handleMouseUp);
+    return () => {
+      window.removeEventListener("mousemove", handleMouseMove);
+      window.removeEventListener("mouseup", handleMouseUp);
+    };
+  }, [isResizingSidebar]);
+
+  const selectedCall = useMemo(
+    () => calls.find((c) => c.call_id === selectedCallId),
+    [calls, selectedCallId]
+  );
+
+  // derived from the whole batch, so only recomputed when their inputs change
+  const visibleCalls = useMemo(
+    () =>
+      calls.filter((call) =>
+        callMatchesFilters({
+          call,
+          callRatings: ratings[call.call_id],
+          callLevelRating: callLevelRatings[call.call_id],
+          completedCalls,
+          rubric,
+          filters,
+          inQueue: isAssignedTo(assignments, call.call_id, userId),
+        })
+      ),
+    [calls, ratings, callLevelRatings, completedCalls, rubric, filters, assignments, userId]
+  );
+  const terms = useMemo(() => searchTerms(filters.q), [filters.q]);
+  const spansByTurn = useMemo(() => groupSpans(spans), [spans]);
+  // gold calls are rated blind, so only leads see other annotators' ratings
+  // of them in the team views
+  const teamViewCalls = useMemo(
+    () => (lead ? calls : calls.filter((c) => !isGoldCall(gold, c.call_id))),
+    [lead, calls, gold]
+  );
+  // call_id -> position in the batch, for the "Task N" labels
+  const taskNumbers = useMemo(() => new Map(calls.map((c, i) => [c.call_id, i + 1])), [calls]);
+
+  // ---------------------------------------------------
+  // Derived: assistant turns + progress for selected call
+  // ---------------------------------------------------
+  const selectedCallRatings = selectedCall ? ratings[selectedCall.call_id] : undefined;
+  const { assistantTurnsForSelected, fullyRatedCount, partiallyRatedCount } = useMemo(() => {
+    const progress = { assistantTurnsForSelected: [], fullyRatedCount: 0, partiallyRatedCount: 0 };
+    if (!selectedCall) return progress;
+    const callRatings = selectedCallRatings || {};
+    progress.assistantTurnsForSelected = selectedCall.dialogue
+      .map((utt, idx) => ({
+        ...utt,
+        idx,
+        rating: callRatings[idx],
+      }))
+      .filter((u) => u.author === "Assistant");
+
+    progress.assistantTurnsForSelected.forEach((t) => {
+      const status = getRatingStatus(t.rating, rubric);
+      if (status === "complete") progress.fullyRatedCount += 1;
+      else if (status === "partial") progress.partiallyRatedCount += 1;
+    });
+    return progress;
+  }, [selectedCall, selectedCallRatings, rubric]);
+  const totalAssistantTurns = assistantTurnsForSelected.length;
+
+  // turns whose local rating diverged from the server copy
+  const conflictList = [];
+  Object.entries(ratings).forEach(([callId, turns]) => {
+    Object.entries(turns).forEach(([idx, rating]) => {
+      if (!rating?.conflict) return;
+      const call = calls.find((c) => c.call_id === callId);
+      conflictList.push({
+        callId,
+        idx: Number(idx),
+        text: call?.dialogue?.[idx]?.text || "",
+        local: rating,
+        remote: rating.conflict,
+      });
+    });
+  });
+
+  // ---------------------------------------------------
+  // Derived: presence + team progress for the sidebar
+  // ---------------------------------------------------
+  const annotatorNames = {}; // { userId: short display name }
+  const viewersByCall = {}; // { callId: [{ userId, name }] }
+  Object.entries(annotatorDirectory).forEach(([uid, email]) => {
+    annotatorNames[uid] = shortName(email, uid);
+  });
+  Object.entries(teamCompleted).forEach(([uid, byCall]) => {
+    const withEmail = Object.values(byCall).find((c) => c.completedBy);
+    if (withEmail) annotatorNames[uid] = shortName(withEmail.completedBy, uid);
+  });
+  presence.forEach((p) => {
+    if (!p?.userId) return;
+    annotatorNames[p.userId] = shortName(p.email, p.userId);
+    if (p.userId === userId || !p.callId) return;
+    const viewers = viewersByCall[p.callId] || (viewersByCall[p.callId] = []);
+    if (!viewers.some((v) => v.userId === p.userId)) {
+      viewers.push({ userId: p.userId, name: annotatorNames[p.userId] });
+    }
+  });
+
+  const teamProgressForCall = (call) => {
+    const totalTurns = (call.dialogue || []).filter((u) => u.author === "Assistant").length;
+    const teamUserIds = new Set([...Object.keys(teamRatings), ...Object.keys(teamCompleted)]);
+    return [...teamUserIds]
+      .map((uid) => {
+        const callRatings = teamRatings[uid]?.[call.call_id] || {};
+        const complete = Object.values(callRatings).filter(
+          (r) => getRatingStatus(r, rubric) === "complete"
+        ).length;
+        return {
+          userId: uid,
+          name: annotatorNames[uid] || shortName("", uid),
+          complete,
+          totalTurns,
+          done: !!teamCompleted[uid]?.[call.call_id]?.completed,
+        };
+      })
+      .filter((p) => p.complete > 0 || p.done);
+  };
+
+  const progressPercent =
+    totalAssistantTurns > 0 ? Math.round((fullyRatedCount / totalAssistantTurns) * 100) : 0;
+
+  // ---------------------------------------------------
+  // Update rating locally + queue it for Supabase
+  // field is a rubric metric key, "idealResponse" or a turn note
+  // ("rationales", "tags", "flagged"; see rubric.js)
+  // ---------------------------------------------------
+  const handleRatingChange = (callId, idx, field, value) => {
+    const prevForCall = ratings[callId] || {};
+    const prevForUtterance = prevForCall[idx] || emptyRating(rubric);
+
+    const updated = touchRating(prevForUtterance, { [field]: value });
+
+    // 1) Update local state (saved locally, see storage.js)
+    setRatings((prev) => ({
+      ...prev,
+      [callId]: {
+        ...(prev[callId] || {}),
+        [idx]: updated,
+      },
+    }));
+
+    // 2) Queue the upsert into Supabase (retried until it lands). Typing in the
+    // ideal response or a rationale is held back so one turn's keystrokes
+    // become one write.
+    outbox.enqueue(
+      {
+        table: "call_ratings",
+        onConflict: RATINGS_CONFLICT_COLUMNS,
+        row: {
+          call_id: callId,
+          turn_index: idx,
+          user_id: userId,
+          ...ratingToRow(rubric, updated),
+          ...ratingNotesToRow(rubric, updated),
+        },
+      },
+      {
+        delayMs:
+          field === "idealResponse" || field === "rationales" ? IDEAL_RESPONSE_SAVE_DELAY_MS : 0,
+      }
+    );
+  };
+
+  // ---------------------------------------------------
+  // Update the call-level rating locally + queue it for Supabase
+  // field is a call metric key or "summary" (see callRating.js)
+  // ---------------------------------------------------
+  const handleCallRatingChange = (callId, field, value) => {
+    const updated = touchRating(callLevelRatings[callId] || emptyCallRating(rubric), {
+      [field]: value,
+    });
+    setCallLevelRatings((prev) => ({ ...prev, [callId]: updated }));
+    outbox.enqueue(
+      {
+        table: "call_level_ratings",
+        onConflict: CALL_RATINGS_CONFLICT_COLUMNS,
+        row: { call_id: callId, user_id: userId, ...callRatingToRow(rubric, updated) },
+      },
+      { delayMs: field === "summary" ? IDEAL_RESPONSE_SAVE_DELAY_MS : 0 }
+    );
+  };
+
+  // ---------------------------------------------------
+  // Save or delete a span annotation locally + queue it for Supabase
+  // ---------------------------------------------------
+  const writeSpan = (span) => {
+    setSpans((prev) => ({ ...prev, [span.id]: span }));
+    outbox.enqueue({
+      table: "span_annotations",
+      onConflict: SPANS_CONFLICT_COLUMNS,
+      row: spanToRow(span),
+    });
+  };
+
+  const saveSpanDialog = ({ label, comment }) => {
+    const existing = spanDialog.spanId && spans[spanDialog.spanId];
+    if (existing) {
+      writeSpan({ ...existing, label, comment, updatedAt: new Date().toISOString() });
+    } else {
+      const { callId, idx, start, end } = spanDialog;
+      const utt = calls.find((c) => c.call_id === callId)?.dialogue[idx];
+      if (!utt) return;
+      writeSpan(
+        newSpan({
+          userId,
+          callId,
+          turnIndex: idx,
+          start,
+          end,
+          text: utt.text.slice(start, end),
+          label,
+          comment,
+        })
+      );
+    }
+    setSpanDialog(null);
+  };
+
+  const deleteSpanDialog = () => {
+    const existing = spans[spanDialog.spanId];
+    if (existing) writeSpan({ ...existing, deleted: true, updatedAt: new Date().toISOString() });
+    setSpanDialog(null);
+  };
+
+  // ---------------------------------------------------
+  // Resolve a local/server conflict (see ratingMerge.js)
+  // choice is "local" or "remote"
+  // ---------------------------------------------------
+  const resolveConflict = (callId, idx, choice) => {
+    const current = ratings[callId]?.[idx];
+    if (!current?.conflict) return;
+    const { conflict: remote, ...local } = current;
+    const rowKey = { call_id: callId, turn_index: idx, user_id: userId };
+
+    let resolved;
+    if (choice === "local") {
+      resolved = touchRating(
+        { ...local, revision: Math.max(local.revision || 0, remote.revision || 0) },
+        { syncedAt: remote.updatedAt }
+      );
+      outbox.enqueue({
+        table: "call_ratings",
+        onConflict: RATINGS_CONFLICT_COLUMNS,
+        row: {
+          ...rowKey,
+          ...ratingToRow(rubric, resolved),
+          ...ratingNotesToRow(rubric, resolved),
+        },
+      });
+    } else {
+      resolved = { ...remote, syncedAt: remote.updatedAt };
+      outbox.discard("call_ratings", RATINGS_CONFLICT_COLUMNS, rowKey);
+    }
+
+    setRatings((prev) => ({
+      ...prev,
+      [callId]: { ...(prev[callId] || {}), [idx]: resolved },
+    }));
+  };
+
+  const scrollToUtterance = (callId, idx) => {
+    if (callId !== selectedCallId) return;
+    transcriptListRef.current?.scrollToIndex(idx);
+  };
+
+  const openRatingModal = (callId, idx) => {
+    setActiveRatingTarget({ callId, idx });
+    scrollToUtterance(callId, idx);
+  };
+
+  // open a turn from one of the other views (analytics, reports, ...)
+  const openTurnFromView = (callId, idx) => {
+    setView("annotate");
+    selectCall(callId);
+    setActiveRatingTarget({ callId, idx });
+  };
+
+  const closeRatingModal = () => {
+    setActiveRatingTarget(null);
+    outbox.flush();
+  };
+
+  const selectCall = (callId) => {
+    if (callId !== selectedCallId) outbox.flush();
+    setSelectedCallId(callId);
+  };
+
+  // ---------------------------------------------------
+  // Keyboard navigation from inside the rating modal
+  // ---------------------------------------------------
+  const assistantTurnIndices = (call) =>
+    call.dialogue.reduce((acc, utt, idx) => {
+      if (utt.author === "Assistant") acc.push(idx);
+      return acc;
+    }, []);
+
+  const isTurnRated = (callId, idx) =>
+    getRatingStatus(ratings[callId]?.[idx], rubric) === "complete";
+
+  const moveRatingTarget = (callId, idx) => {
+    outbox.flush();
+    setSelectedCallId(callId);
+    setActiveRatingTarget({ callId, idx });
+    scrollToUtterance(callId, idx);
+  };
+
+  const moveToAdjacentTurn = (step) => {
+    const call = calls.find((c) => c.call_id === activeRatingTarget.callId);
+    if (!call) return;
+    const turns = assistantTurnIndices(call);
+    const next = turns[turns.indexOf(activeRatingTarget.idx) + step];
+    if (next !== undefined) moveRatingTarget(call.call_id, next);
+  };
+
+  // next turn in this call that isn't fully rated, wrapping around
+  const moveToNextUnratedTurn = () => {
+    const call = calls.find((c) => c.call_id === activeRatingTarget.callId);
+    if (!call) return;
+    const turns = assistantTurnIndices(call);
+    const pos = turns.indexOf(activeRatingTarget.idx);
+    const ordered = [...turns.slice(pos + 1), ...turns.slice(0, pos)];
+    const next = ordered.find((idx) => !isTurnRated(call.call_id, idx));
+    if (next !== undefined) moveRatingTarget(call.call_id, next);
+  };
+
+  // next call (in list order, wrapping) not marked done, at its first unrated turn
+  const moveToNextUnfinishedCall = () => {
+    const pos = calls.findIndex((c) => c.call_id === activeRatingTarget.callId);
+    const ordered = [...calls.slice(pos + 1), ...calls.slice(0, pos)];
+    const call = ordered.find(
+      (c) =>
+        !isCallCompleted(completedCalls, c.call_id) && assistantTurnIndices(c).length > 0
+    );
+    if (!call) return;
+    const turns = assistantTurnIndices(call);
+    const idx = turns.find((i) => !isTurnRated(call.call_id, i)) ?? turns[0];
+    moveRatingTarget(call.call_id, idx);
+  };
+
+  // ---------------------------------------------------
+  // Load validated calls from the upload dialog
+  // ---------------------------------------------------
+  const loadUploadedCalls = (newCalls, mode) => {
+    outbox.flush();
+    if (mode === "append") {
+      setCalls((prev) => [...prev, ...newCalls]);
+      if (!selectedCallId && newCalls.length > 0) setSelectedCallId(newCalls[0].call_id);
+    } else {
+      setCalls(newCalls);
+      setActiveRatingTarget(null);
+      setSelectedCallId(newCalls[0]?.call_id ?? null);
+    }
+    setUploadDialog(null);
+  };
+
+  // ---------------------------------------------------
+  // Toggle call completion
+  // ---------------------------------------------------
+  const toggleCallCompleted = (callId) => {
+    const next = toggledCompletion(completedCalls[callId], user.email || userId);
+    setCompletedCalls((prev) => ({
+      ...prev,
+      [callId]: next,
+    }));
+    outbox.enqueue({
+      table: "call_completions",
+      onConflict: COMPLETIONS_CONFLICT_COLUMNS,
+      row: completionToRow(callId, userId, next),
+    });
+  };
+
+  // ---------------------------------------------------
+  // Assignments (leads) and the work queue (everyone)
+  // ---------------------------------------------------
+  const setAssignment = (callId, assigneeId, active) => {
+    const next = newAssignment(active, user.email || userId, assignments[callId]?.[assigneeId]);
+    setAssignments((prev) => ({
+      ...prev,
+      [callId]: { ...(prev[callId] || {}), [assigneeId]: next },
+    }));
+    outbox.enqueue({
+      table: "call_assignments",
+      onConflict: ASSIGNMENTS_CONFLICT_COLUMNS,
+      row: assignmentToRow(callId, assigneeId, next),
+    });
+  };
+
+  const assignCalls = (planned) => {
+    planned.forEach(({ callId, userId: assigneeId }) => setAssignment(callId, assigneeId, true));
+  };
+
+  const nextTask = useMemo(
+    () =>
+      nextQueueTask({
+        calls,
+        assignments,
+        userId,
+        completedCalls,
+        ratings,
+        callLevelRatings,
+        rubric,
+      }),
+    [calls, assignments, userId, completedCalls, ratings, callLevelRatings, rubric]
+  );
+
+  // a task without a turn only needs the call rating: open the call, not the modal
+  const startNextTask = () => {
+    if (!nextTask) return;
+    setView("annotate");
+    if (nextTask.idx === null) {
+      selectCall(nextTask.callId);
+      setActiveRatingTarget(null);
+      return;
+    }
+    moveRatingTarget(nextTask.callId, nextTask.idx);
+  };
+
+  // ---------------------------------------------------
+  // Adjudication: save the final rating for a turn
+  // ---------------------------------------------------
+  const saveAdjudication = (callId, idx, values, sourceUserId) => {
+    const current = adjudications[callId]?.[idx] || emptyRating(rubric);
+    const next = touchRating(current, {
+      ...values,
+      adjudicatedBy: user.email || userId,
+      sourceUserId,
+    });
+    setAdjudications((prev) => ({
+      ...prev,
+      [callId]: { ...(prev[callId] || {}), [idx]: next },
+    }));
+    outbox.enqueue({
+      table: "adjudicated_ratings",
+      onConflict: ADJUDICATIONS_CONFLICT_COLUMNS,
+      row: adjudicationToRow(rubric, callId, idx, next),
+    });
+  };
+
+  // ---------------------------------------------------
+  // Gold calls (leads) and calibration attempts (everyone)
+  // ---------------------------------------------------
+  const ratingValues = (rating) => {
+    const values = { idealResponse: rating.idealResponse || "" };
+    rubric.metrics.forEach((m) => {
+      values[m.key] = rating[m.key];
+    });
+    return values;
+  };
+
+  // reference ratings for a call: adjudicated where there is one, else mine
+  const referenceRatingsFor = (callId) => {
+    const reference = {};
+    const call = calls.find((c) => c.call_id === callId);
+    call?.dialogue.forEach((utt, idx) => {
+      if (utt.author !== "Assistant") return;
+      const candidate = [adjudications[callId]?.[idx], ratings[callId]?.[idx]].find(
+        (r) => getRatingStatus(r, rubric) !== "not_started"
+      );
+      if (candidate) reference[idx] = candidate;
+    });
+    return reference;
+  };
+
+  const setGoldForCall = (callId, active) => {
+    const changes = {};
+    if (active) {
+      Object.entries(referenceRatingsFor(callId)).forEach(([idx, rating]) => {
+        const current = gold[callId]?.[idx] || emptyRating(rubric);
+        changes[idx] = touchRating(current, {
+          ...ratingValues(rating),
+          active: true,
+          createdBy: user.email || userId,
+        });
+      });
+    } else {
+      Object.entries(gold[callId] || {}).forEach(([idx, g]) => {
+        if (g.active) changes[idx] = touchRating(g, { active: false });
+      });
+    }
+
+    setGold((prev) => ({ ...prev, [callId]: { ...(prev[callId] || {}), ...changes } }));
+    Object.entries(changes).forEach(([idx, g]) =>
+      outbox.enqueue({
+        table: "gold_ratings",
+        onConflict: GOLD_CONFLICT_COLUMNS,
+        row: goldToRow(rubric, callId, Number(idx), g),
+      })
+    );
+  };
+
+  // scored right away when the gold values are readable, else once the
+  // attempt has reached the server (see handleSentAttempts)
+  const submitCalibration = (callId, attemptRatings) => {
+    const now = new Date().toISOString();
+    const goldTurns = goldForCall(gold, callId);
+    const attempt = {
+      callId,
+      userId,
+      email: user.email || "",
+      attempt: nextAttemptNumber(calibrationAttempts, callId, userId),
+      ratings: attemptRatings,
+      accuracy: isGoldHidden(goldTurns)
+        ? null
+        : scoreAttempt(rubric, goldTurns, attemptRatings).accuracy,
+      submittedAt: now,
+      updatedAt: now,
+    };
+    setCalibrationAttempts((prev) => [...prev, attempt]);
+    outbox.enqueue({
+      table: "calibration_attempts",
+      onConflict: CALIBRATION_CONFLICT_COLUMNS,
+      row: attemptToRow(attempt),
+    });
+    if (attempt.accuracy === null) outbox.flush();
+  };
+
+  // ---------------------------------------------------
+  // Build annotated version of all calls (for download, see annotatedExport.js)
+  // ---------------------------------------------------
+  const buildAnnotatedCalls = (source = "mine") => {
+    const labels = source === "adjudicated" ? adjudications : ratings;
+    return calls.map((call) =>
+      buildAnnotatedCall(rubric, call, {
+        source,
+        labels: labels[call.call_id],
+        completion: completedCalls[call.call_id],
+        callRating: callLevelRatings[call.call_id],
+        spans: spansByTurn[call.call_id],
+      })
+    );
+  };
+
+  // ---------------------------------------------------
+  // Apply an annotated-file import (see annotatedImport.js). Imported values
+  // count as fresh edits, so they win over older server copies when merged.
+  // ---------------------------------------------------
+  const applyAnnotatedImport = (plan, { includeUnknown, pushToServer }) => {
+    const ratingUpdates = plan.ratingChanges.map(({ callId, idx, values }) => ({
+      callId,
+      idx,
+      rating: touchRating(ratings[callId]?.[idx] || emptyRating(rubric), values),
+    }));
+    setRatings((prev) => {
+      const next = { ...prev };
+      ratingUpdates.forEach(({ callId, idx, rating }) => {
+        next[callId] = { ...(next[callId] || {}), [idx]: rating };
+      });
+      return next;
+    });
+
+    const callRatingUpdates = plan.callRatingChanges.map(({ callId, values }) => ({
+      callId,
+      rating: touchRating(callLevelRatings[callId] || emptyCallRating(rubric), values),
+    }));
+    setCallLevelRatings((prev) => {
+      const next = { ...prev };
+      callRatingUpdates.forEach(({ callId, rating }) => {
+        next[callId] = rating;
+      });
+      return next;
+    });
+
+    const now = new Date().toISOString();
+    const spanUpdates = plan.spanChanges.map(({ callId, idx, span, existingId }) =>
+      existingId
+        ? { ...spans[existingId], comment: span.comment, updatedAt: now }
+        : newSpan({ userId, callId, turnIndex: idx, ...span })
+    );
+    setSpans((prev) => {
+      const next = { ...prev };
+      spanUpdates.forEach((span) => {
+        next[span.id] = span;
+      });
+      return next;
+    });
+
+    const completionUpdates = plan.completionChanges.map(({ callId, completion }) => ({
+      callId,
+      completion: { ...completion, updatedAt: now },
+    }));
+    setCompletedCalls((prev) => {
+      const next = { ...prev };
+      completionUpdates.forEach(({ callId, completion }) => {
+        next[callId] = completion;
+      });
+      return next;
+    });
+
+    if (includeUnknown && plan.unknownCalls.length > 0) {
+      setCalls((prev) => [...prev, ...plan.unknownCalls]);
+      if (!selectedCallId) setSelectedCallId(plan.unknownCalls[0].call_id);
+    }
+
+    if (pushToServer) {
+      ratingUpdates.forEach(({ callId, idx, rating }) =>
+        outbox.enqueue({
+          table: "call_ratings",
+          onConflict: RATINGS_CONFLICT_COLUMNS,
+          row: {
+            call_id: callId,
+            turn_index: idx,
+            user_id: userId,
+            ...ratingToRow(rubric, rating),
+            ...ratingNotesToRow(rubric, rating),
+          },
+        })
+      );
+      callRatingUpdates.forEach(({ callId, rating }) =>
+        outbox.enqueue({
+          table: "call_level_ratings",
+          onConflict: CALL_RATINGS_CONFLICT_COLUMNS,
+          row: { call_id: callId, user_id: userId, ...callRatingToRow(rubric, rating) },
+        })
+      );
+      completionUpdates.forEach(({ callId, completion }) =>
+        outbox.enqueue({
+          table: "call_completions",
+          onConflict: COMPLETIONS_CONFLICT_COLUMNS,
+          row: completionToRow(callId, userId, completion),
+        })
+      );
+      spanUpdates.forEach((span) =>
+        outbox.enqueue({
+          table: "span_annotations",
+          onConflict: SPANS_CONFLICT_COLUMNS,
+          row: spanToRow(span),
+        })
+      );
+      outbox.flush();
+    }
+    setShowAnnotatedImport(false);
+  };
+
+  const exportSuffix = exportSource === "adjudicated" ? "_adjudicated" : "";
+
+  const handleExportAnnotatedTranscriptsAll = () => {
+    downloadJson(
+      `annotated_transcripts_all_calls${exportSuffix}.json`,
+      buildAnnotatedCalls(exportSource)
+    );
+  };
+
+  const handleExportAnnotatedTranscriptCurrent = () => {
+    if (!selectedCall) return;
+    const annotatedAll = buildAnnotatedCalls(exportSource);
+    const current = annotatedAll.find((c) => c.call_id === selectedCall.call_id);
+    if (!current) return;
+
+    downloadJson(`annotated_${selectedCall.call_id}${exportSuffix}.json`, current);
+  };
+
+  // derive info for active modal
+  let activeUtteranceText = "";
+  let activeTurnPosition = null;
+  let activeRating = emptyRating(rubric);
+  if (activeRatingTarget) {
+    const c = calls.find((call) => call.call_id === activeRatingTarget.callId);
+    const u = c?.dialogue?.[activeRatingTarget.idx];
+    activeUtteranceText = u?.text || "";
+    if (c) {
+      const turns = assistantTurnIndices(c);
+      activeTurnPosition = {
+        current: turns.indexOf(activeRatingTarget.idx) + 1,
+        total: turns.length,
+      };
+    }
+    activeRating =
+      ratings[activeRatingTarget.callId]?.[activeRatingTarget.idx] || emptyRating(rubric);
+  }
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        height: "100vh",
+        width: "100vw",
+        overflowX: "auto",
+        overflowY: "hidden",
+        fontFamily: "system-ui, -apple-system, BlinkMacSystemFont, sans-serif",
+        fontSize: 15,
+        backgroundColor: "#e5e7eb",
+        color: "#111827",
+      }}
+    >
+      {/* Sidebar – list of calls */}
+      <aside
         style={{
           width: sidebarWidth,
           minWidth: 200,
           maxWidth: 500,
           borderRight: "1px solid #d1d5db",
-          overflowY: "auto",
+          overflowY: "hidden",
           overflowX: "auto",
           backgroundColor: "#f9fafb",
           boxSizing: "border-box",
+          display: "flex",
+          flexDirection: "column",
         }}
       >
         <div
@@ -444,657 +1847,1131 @@ function App() {
             backgroundColor: "#ffffff",
           }}
         >
-          Calls
-        </div>
-        {calls.map((call, index) => {
-          const isSelected = call.call_id === selectedCallId;
-          const isCompleted = !!completedCalls[call.call_id];
-
-          let rowBg = "#ffffff";
-          if (isCompleted && isSelected) rowBg = "#bbf7d0"; // darker green
-          else if (isCompleted) rowBg = "#dcfce7"; // light green
-          else if (isSelected) rowBg = "#dbeafe"; // blue
-
-          return (
-            <div
-              key={call.call_id}
-              style={{
-                borderBottom: "1px solid #e5e7eb",
-                background: rowBg,
-                padding: 8,
-                display: "flex",
-                flexDirection: "column",
-                gap: 6,
-              }}
-            >
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginBottom: 8 }}>
+            {VIEWS.filter((v) => !v.adjudicatorOnly || adjudicator).map((v) => (
               <button
-                onClick={() => setSelectedCallId(call.call_id)}
+                key={v.key}
+                onClick={() => setView(v.key)}
                 style={{
-                  display: "block",
-                  width: "100%",
-                  textAlign: "left",
-                  padding: 4,
-                  border: "none",
-                  background: "transparent",
-                  cursor: "pointer",
+                  padding: "3px 10px",
+                  fontSize: 12,
+                  borderRadius: 999,
+                  border: "1px solid #6366f1",
+                  background: view === v.key ? "#6366f1" : "#ffffff",
+                  color: view === v.key ? "#ffffff" : "#6366f1",
+                  fontWeight: 500,
+                  whiteSpace: "nowrap",
                 }}
               >
-                <div
+                {v.label}
+              </button>
+            ))}
+          </div>
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              gap: 6,
+            }}
+          >
+            <span>Calls</span>
+            <div style={{ display: "flex", gap: 4 }}>
+              {lead && (
+                <button
+                  onClick={() => setShowAssignments(true)}
                   style={{
-                    fontSize: 13,
-                    fontWeight: isSelected ? 700 : 500,
-                    whiteSpace: "normal", // wrap to show full id
-                    color: "#111827",
+                    padding: "2px 8px",
+                    fontSize: 11,
+                    borderRadius: 999,
+                    border: "1px solid #6366f1",
+                    background: "#ffffff",
+                    color: "#6366f1",
+                    fontWeight: 600,
+                    whiteSpace: "nowrap",
                   }}
                 >
-                  Task {index + 1}: {call.call_id}
-                </div>
-                <div style={{ fontSize: 12, color: "#6b7280" }}>
-                  {call.dialogue?.length ?? 0} turns
-                </div>
-              </button>
+                  Assign
+                </button>
+              )}
               <button
-                onClick={() => toggleCallCompleted(call.call_id)}
+                onClick={() => setUploadDialog({ initialResults: null })}
                 style={{
-                  alignSelf: "flex-start",
                   padding: "2px 8px",
                   fontSize: 11,
                   borderRadius: 999,
-                  border: "1px solid #10b981",
-                  cursor: "pointer",
-                  background: isCompleted ? "#10b981" : "#ffffff",
-                  color: isCompleted ? "#ffffff" : "#10b981",
+                  border: "1px solid #6366f1",
+                  background: "#ffffff",
+                  color: "#6366f1",
                   fontWeight: 600,
                   whiteSpace: "nowrap",
                 }}
               >
-                {isCompleted ? "Completed ✓" : "Mark done"}
+                Upload
               </button>
             </div>
-          );
-        })}
-      </aside>
-
-      {/* Drag handle between sidebar and main */}
-      <div
-        onMouseDown={() => setIsResizingSidebar(true)}
-        style={{
-          width: 4,
-          cursor: "col-resize",
-          backgroundColor: isResizingSidebar ? "#bfdbfe" : "transparent",
-          borderRight: "1px solid #d1d5db",
-        }}
-      />
-
-      {/* Main – middle transcript + right panel */}
-      <main
-        style={{
-          flex: 1,
-          minWidth: 800,
-          display: "grid",
-          gridTemplateColumns: "2fr 1.1fr",
-          backgroundColor: "#e5e7eb",
-          overflowX: "auto",
-          overflowY: "hidden",
-        }}
-      >
-        {/* Middle – transcript */}
-        <section
-          style={{
-            borderRight: "1px solid #d1d5db",
-            padding: 12,
-            overflowY: "auto",
-            overflowX: "auto",
-            backgroundColor: "#f3f4f6",
-          }}
-        >
+          </div>
           <div
             style={{
-              marginBottom: 10,
-              fontWeight: 700,
-              fontSize: 16,
-              color: "#111827",
-              whiteSpace: "nowrap",
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              gap: 6,
+              marginTop: 6,
+              fontSize: 12,
+              fontWeight: 400,
+              color: "#6b7280",
             }}
           >
-            Transcript (click an Assistant turn to rate)
+            <span style={{ wordBreak: "break-all" }}>{user.email || userId}</span>
+            <button
+              onClick={onSignOut}
+              style={{
+                padding: "2px 8px",
+                fontSize: 11,
+                borderRadius: 999,
+                border: "1px solid #d1d5db",
+                background: "#ffffff",
+                color: "#4b5563",
+                whiteSpace: "nowrap",
+              }}
+            >
+              Sign out
+            </button>
           </div>
-          {selectedCall ? (
-            selectedCall.dialogue.map((utt, idx) => {
-              const key = `${selectedCall.call_id}:${idx}`;
-              const isAssistant = utt.author === "Assistant";
-              return (
-                <div
-                  key={key}
-                  ref={(el) => (utteranceRefs.current[key] = el)}
-                  onClick={() =>
-                    isAssistant && openRatingModal(selectedCall.call_id, idx)
-                  }
+          <div style={{ display: "flex", gap: 4, marginTop: 8 }}>
+            {[
+              { key: "", label: "All calls" },
+              { key: "mine", label: "My queue" },
+            ].map((mode) => (
+              <button
+                key={mode.key}
+                onClick={() => setFilters((prev) => ({ ...prev, queue: mode.key }))}
+                style={{
+                  padding: "2px 10px",
+                  fontSize: 12,
+                  borderRadius: 999,
+                  border: "1px solid #6366f1",
+                  background: filters.queue === mode.key ? "#6366f1" : "#ffffff",
+                  color: filters.queue === mode.key ? "#ffffff" : "#6366f1",
+                  fontWeight: 500,
+                  whiteSpace: "nowrap",
+                }}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={startNextTask}
+            disabled={!nextTask}
+            title={
+              !nextTask
+                ? "Nothing left in your queue"
+                : nextTask.idx === null
+                  ? `${nextTask.callId}, call rating`
+                  : `${nextTask.callId}, turn ${nextTask.idx}`
+            }
+            style={{
+              marginTop: 8,
+              width: "100%",
+              padding: "5px 10px",
+              fontSize: 13,
+              borderRadius: 999,
+              border: "1px solid #16a34a",
+              background: nextTask ? "#16a34a" : "#f3f4f6",
+              color: nextTask ? "#ffffff" : "#9ca3af",
+              fontWeight: 600,
+              cursor: nextTask ? "pointer" : "default",
+            }}
+          >
+            Start next task
+          </button>
+        </div>
+        <CallFilters
+          filters={filters}
+          rubric={rubric}
+          shownCount={visibleCalls.length}
+          totalCount={calls.length}
+          onChange={setFilters}
+        />
+        {(transcriptLoad.loading || transcriptLoad.errors.length > 0) && (
+          <div
+            title={transcriptLoad.errors.length > 0 ? "Details are in the browser console" : undefined}
+            style={{
+              padding: "4px 12px",
+              fontSize: 12,
+              borderBottom: "1px solid #e5e7eb",
+              color: transcriptLoad.errors.length > 0 ? "#b91c1c" : "#6b7280",
+            }}
+          >
+            {transcriptLoad.loading && `Loading calls… ${transcriptLoad.loaded.toLocaleString()} so far`}
+            {!transcriptLoad.loading &&
+              `${transcriptLoad.errors.length} problem${
+                transcriptLoad.errors.length === 1 ? "" : "s"
+              } in the transcript files (skipped)`}
+          </div>
+        )}
+        <VirtualList
+          items={visibleCalls}
+          getKey={callKey}
+          estimatedHeight={110}
+          style={{ flex: 1, minHeight: 0 }}
+          renderItem={(call) => {
+            const matchCount = countMatchingUtterances(call, terms);
+            const isSelected = call.call_id === selectedCallId;
+            const isCompleted = isCallCompleted(completedCalls, call.call_id);
+            const completion = completedCalls[call.call_id];
+            const viewers = viewersByCall[call.call_id] || [];
+            const teamProgress = teamProgressForCall(call);
+            const assignees = assigneesOf(assignments, call.call_id);
+
+            let rowBg = "#ffffff";
+            if (isCompleted && isSelected) rowBg = "#bbf7d0"; // darker green
+            else if (isCompleted) rowBg = "#dcfce7"; // light green
+            else if (isSelected) rowBg = "#dbeafe"; // blue
+
+            return (
+              <div
+                style={{
+                  borderBottom: "1px solid #e5e7eb",
+                  background: rowBg,
+                  padding: 8,
+                  display: "flex",
+                  flexDirection: "column",
+                  gap: 6,
+                }}
+              >
+                <button
+                  onClick={() => {
+                    selectCall(call.call_id);
+                    setView("annotate");
+                  }}
                   style={{
-                    marginBottom: 8,
-                    padding: 12,
-                    borderRadius: 10,
-                    backgroundColor: isAssistant ? "#eff6ff" : "#ffffff",
-                    border: "1px solid #e5e7eb",
-                    boxShadow: "0 1px 2px rgba(15, 23, 42, 0.03)",
-                    overflowX: "auto",
-                    cursor: isAssistant ? "pointer" : "default",
+                    display: "block",
+                    width: "100%",
+                    textAlign: "left",
+                    padding: 4,
+                    border: "none",
+                    background: "transparent",
+                    cursor: "pointer",
                   }}
                 >
                   <div
                     style={{
-                      fontSize: 12,
-                      fontWeight: 600,
-                      marginBottom: 4,
-                      color: isAssistant ? "#1d4ed8" : "#4b5563",
-                      textTransform: "uppercase",
-                      letterSpacing: 0.4,
-                      whiteSpace: "nowrap",
-                    }}
-                  >
-                    {utt.author} {isAssistant ? "(click to rate)" : ""}
-                  </div>
-                  <div
-                    style={{
-                      fontSize: 16,
+                      fontSize: 13,
+                      fontWeight: isSelected ? 700 : 500,
+                      whiteSpace: "normal", // wrap to show full id
                       color: "#111827",
-                      lineHeight: 1.45,
-                      whiteSpace: "pre-wrap",
                     }}
                   >
-                    {utt.text}
+                    Task {taskNumbers.get(call.call_id)}: {call.call_id}
                   </div>
-                </div>
-              );
-            })
-          ) : (
-            <div>Select a call from the left sidebar.</div>
-          )}
-        </section>
+                  <div style={{ fontSize: 12, color: "#6b7280" }}>
+                    {call.dialogue?.length ?? 0} turns
+                    {matchCount > 0 && (
+                      <span style={{ color: "#b45309" }}>
+                        {" "}
+                        · {matchCount} match{matchCount === 1 ? "" : "es"}
+                      </span>
+                    )}
+                  </div>
+                  {teamProgress.length > 0 && (
+                    <div style={{ fontSize: 11, color: "#6b7280", marginTop: 2 }}>
+                      {teamProgress
+                        .map(
+                          (p) =>
+                            `${p.name} ${p.complete}/${p.totalTurns}${p.done ? " ✓" : ""}`
+                        )
+                        .join(" · ")}
+                    </div>
+                  )}
+                  {assignees.length > 0 && (
+                    <div style={{ fontSize: 11, color: "#4338ca", marginTop: 2 }}>
+                      Assigned:{" "}
+                      {assignees
+                        .map((uid) => (uid === userId ? "you" : annotatorNames[uid] || uid))
+                        .join(", ")}
+                    </div>
+                  )}
+                </button>
+                {viewers.length > 0 && (
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
+                    {viewers.map((v) => (
+                      <span
+                        key={v.userId}
+                        title={`${v.name} is viewing this call`}
+                        style={{
+                          padding: "1px 6px",
+                          fontSize: 10,
+                          borderRadius: 999,
+                          backgroundColor: "#ede9fe",
+                          color: "#5b21b6",
+                          whiteSpace: "nowrap",
+                        }}
+                      >
+                        👁 {v.name}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                <button
+                  onClick={() => toggleCallCompleted(call.call_id)}
+                  title={
+                    isCompleted && completion.completedAt
+                      ? `Completed by ${completion.completedBy || "you"} on ${new Date(
+                          completion.completedAt
+                        ).toLocaleString()}`
+                      : undefined
+                  }
+                  style={{
+                    alignSelf: "flex-start",
+                    padding: "2px 8px",
+                    fontSize: 11,
+                    borderRadius: 999,
+                    border: "1px solid #10b981",
+                    cursor: "pointer",
+                    background: isCompleted ? "#10b981" : "#ffffff",
+                    color: isCompleted ? "#ffffff" : "#10b981",
+                    fontWeight: 600,
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  {isCompleted ? "Completed ✓" : "Mark done"}
+                </button>
+              </div>
+            );
+          }}
+        />
+      </aside>
+
+      {/* Drag handle between sidebar and main */}
+      <div
+        onMouseDown={() => setIsResizingSidebar(true)}
+        style={{
+          width: 4,
+          cursor: "col-resize",
+          backgroundColor: isResizingSidebar ? "#bfdbfe" : "transparent",
+          borderRight: "1px solid #d1d5db",
+        }}
+      />
 
-        {/* Right – call overview + quick navigation + exports */}
-        <section
+      {/* Main – middle transcript + right panel */}
+      {view === "annotate" && (
+        <main
           style={{
-            padding: 12,
-            overflowY: "auto",
+            flex: 1,
+            minWidth: 800,
+            display: "grid",
+            gridTemplateColumns: "2fr 1.1fr",
+            backgroundColor: "#e5e7eb",
             overflowX: "auto",
-            backgroundColor: "#f3f4f6",
+            overflowY: "hidden",
           }}
         >
-          {/* Header + downloads */}
-          <div
+          {/* Middle – transcript */}
+          <section
             style={{
+              borderRight: "1px solid #d1d5db",
+              padding: 12,
+              overflowY: "hidden",
+              overflowX: "auto",
+              backgroundColor: "#f3f4f6",
               display: "flex",
-              justifyContent: "space-between",
-              alignItems: "center",
-              marginBottom: 10,
-              gap: 8,
+              flexDirection: "column",
             }}
           >
             <div
               style={{
+                marginBottom: 10,
                 fontWeight: 700,
                 fontSize: 16,
                 color: "#111827",
+                whiteSpace: "nowrap",
               }}
             >
-              Call overview
+              Transcript (click an Assistant turn to rate, select text to annotate it)
             </div>
-            <div style={{ display: "flex", gap: 6 }}>
-              <button
-                onClick={handleExportAnnotatedTranscriptCurrent}
-                style={{
-                  padding: "6px 10px",
-                  fontSize: 13,
-                  borderRadius: 999,
-                  border: "1px solid #6366f1",
-                  cursor: "pointer",
-                  background: "#6366f1",
-                  color: "#ffffff",
-                  fontWeight: 500,
-                  whiteSpace: "nowrap",
+            {selectedCall ? (
+              <VirtualList
+                key={selectedCall.call_id}
+                ref={transcriptListRef}
+                items={selectedCall.dialogue}
+                getKey={utteranceKey}
+                estimatedHeight={90}
+                gap={8}
+                style={{ flex: 1, minHeight: 0 }}
+                renderItem={(utt, idx) => {
+                  const isAssistant = utt.author === "Assistant";
+                  const selection =
+                    pendingSelection?.callId === selectedCall.call_id &&
+                    pendingSelection.idx === idx
+                      ? pendingSelection
+                      : null;
+                  const turnSpans = spansByTurn[selectedCall.call_id]?.[idx] || [];
+                  const renderText = (text, keyPrefix) =>
+                    highlightSegments(text, terms).map((seg, i) =>
+                      seg.match ? (
+                        <mark
+                          key={`${keyPrefix}-${i}`}
+                          style={{ backgroundColor: "#fde68a", borderRadius: 2 }}
+                        >
+                          {seg.text}
+                        </mark>
+                      ) : (
+                        seg.text
+                      )
+                    );
+                  return (
+                    <div
+                      onClick={() => {
+                        // finishing a text selection is not a click on the turn
+                        if (!window.getSelection()?.isCollapsed) return;
+                        if (isAssistant) openRatingModal(selectedCall.call_id, idx);
+                      }}
+                      style={{
+                        padding: 12,
+                        borderRadius: 10,
+                        backgroundColor: isAssistant ? "#eff6ff" : "#ffffff",
+                        border: "1px solid #e5e7eb",
+                        boxShadow: "0 1px 2px rgba(15, 23, 42, 0.03)",
+                        overflowX: "auto",
+                        cursor: isAssistant ? "pointer" : "default",
+                      }}
+                    >
+                      <div
+                        style={{
+                          display: "flex",
+                          alignItems: "center",
+                          gap: 8,
+                          fontSize: 12,
+                          fontWeight: 600,
+                          marginBottom: 4,
+                          color: isAssistant ? "#1d4ed8" : "#4b5563",
+                          textTransform: "uppercase",
+                          letterSpacing: 0.4,
+                          whiteSpace: "nowrap",
+                        }}
+                      >
+                        <span>
+                          {utt.author} {isAssistant ? "(click to rate)" : ""}
+                        </span>
+                        {selection && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setSpanDialog(selection);
+                              setPendingSelection(null);
+                            }}
+                            style={{
+                              fontSize: 11,
+                              padding: "1px 8px",
+                              borderRadius: 999,
+                              border: "1px solid #6366f1",
+                              backgroundColor: "#eef2ff",
+                              color: "#4338ca",
+                              cursor: "pointer",
+                              textTransform: "none",
+                              letterSpacing: 0,
+                            }}
+                          >
+                            Annotate selection
+                          </button>
+                        )}
+                      </div>
+                      <div
+                        onMouseUp={(e) => {
+                          const offsets = selectionOffsets(e.currentTarget);
+                          setPendingSelection(
+                            offsets ? { callId: selectedCall.call_id, idx, ...offsets } : null
+                          );
+                        }}
+                        style={{
+                          fontSize: 16,
+                          color: "#111827",
+                          lineHeight: 1.45,
+                          whiteSpace: "pre-wrap",
+                        }}
+                      >
+                        {spanSegments(utt.text, turnSpans).map((seg, i) => {
+                          if (seg.spans.length === 0) {
+                            return <span key={i}>{renderText(seg.text, i)}</span>;
+                          }
+                          // the innermost (last starting) span is the one clicked
+                          const top = seg.spans[seg.spans.length - 1];
+                          return (
+                            <span
+                              key={i}
+                              onClick={(e) => {
+                                if (!window.getSelection()?.isCollapsed) return;
+                                e.stopPropagation();
+                                setSpanDialog({ spanId: top.id });
+                              }}
+                              title={seg.spans
+                                .map((s) =>
+                                  [spanLabelOf(rubric, s.label).label, s.comment]
+                                    .filter(Boolean)
+                                    .join(": ")
+                                )
+                                .join("\n")}
+                              style={{
+                                backgroundColor: spanLabelOf(rubric, top.label).color,
+                                borderBottom:
+                                  seg.spans.length > 1 ? "2px solid #4b5563" : undefined,
+                                borderRadius: 2,
+                                cursor: "pointer",
+                              }}
+                            >
+                              {renderText(seg.text, i)}
+                            </span>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  );
                 }}
-              >
-                Download call
-              </button>
-              <button
-                onClick={handleExportAnnotatedTranscriptsAll}
+              />
+            ) : (
+              <div>Select a call from the left sidebar.</div>
+            )}
+          </section>
+
+          {/* Right – call overview + quick navigation + exports */}
+          <section
+            style={{
+              padding: 12,
+              overflowY: "auto",
+              overflowX: "auto",
+              backgroundColor: "#f3f4f6",
+            }}
+          >
+            {/* Header + downloads */}
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                marginBottom: 10,
+                gap: 8,
+              }}
+            >
+              <div
                 style={{
-                  padding: "6px 10px",
-                  fontSize: 13,
-                  borderRadius: 999,
-                  border: "1px solid #10b981",
-                  cursor: "pointer",
-                  background: "#10b981",
-                  color: "#ffffff",
-                  fontWeight: 500,
-                  whiteSpace: "nowrap",
+                  fontWeight: 700,
+                  fontSize: 16,
+                  color: "#111827",
                 }}
               >
-                Download all
-              </button>
+                Call overview
+              </div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+                <select
+                  value={exportSource}
+                  onChange={(e) => setExportSource(e.target.value)}
+                  title="Labels used by Download call / Download all"
+                  style={{
+                    fontSize: 12,
+                    padding: "4px 6px",
+                    borderRadius: 999,
+                    border: "1px solid #d1d5db",
+                    backgroundColor: "#ffffff",
+                  }}
+                >
+                  <option value="mine">My labels</option>
+                  <option value="adjudicated">Adjudicated labels</option>
+                </select>
+                <button
+                  onClick={handleExportAnnotatedTranscriptCurrent}
+                  style={{
+                    padding: "6px 10px",
+                    fontSize: 13,
+                    borderRadius: 999,
+                    border: "1px solid #6366f1",
+                    cursor: "pointer",
+                    background: "#6366f1",
+                    color: "#ffffff",
+                    fontWeight: 500,
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  Download call
+                </button>
+                <button
+                  onClick={handleExportAnnotatedTranscriptsAll}
+                  style={{
+                    padding: "6px 10px",
+                    fontSize: 13,
+                    borderRadius: 999,
+                    border: "1px solid #10b981",
+                    cursor: "pointer",
+                    background: "#10b981",
+                    color: "#ffffff",
+                    fontWeight: 500,
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  Download all
+                </button>
+                <button
+                  onClick={() => setShowAnnotatedImport(true)}
+                  style={{
+                    padding: "6px 10px",
+                    fontSize: 13,
+                    borderRadius: 999,
+                    border: "1px solid #10b981",
+                    cursor: "pointer",
+                    background: "#ffffff",
+                    color: "#047857",
+                    fontWeight: 500,
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  Import
+                </button>
+                <button
+                  onClick={() => setShowTrainingExport(true)}
+                  style={{
+                    padding: "6px 10px",
+                    fontSize: 13,
+                    borderRadius: 999,
+                    border: "1px solid #6366f1",
+                    cursor: "pointer",
+                    background: "#ffffff",
+                    color: "#6366f1",
+                    fontWeight: 500,
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  Training data
+                </button>
+              </div>
             </div>
-          </div>
 
-          {/* Progress block */}
-          {selectedCall ? (
+            {/* Sync status for queued Supabase writes */}
             <div
               style={{
-                borderRadius: 10,
-                border: "1px solid #e5e7eb",
-                backgroundColor: "#ffffff",
-                padding: 10,
-                marginBottom: 12,
-                boxShadow: "0 1px 2px rgba(15, 23, 42, 0.04)",
+                display: "flex",
+                alignItems: "center",
+                gap: 6,
+                fontSize: 12,
+                color: "#4b5563",
+                marginBottom: 10,
               }}
+              title={syncStatus.lastError || undefined}
             >
-              <div
+              <span
                 style={{
-                  fontSize: 12,
-                  color: "#6b7280",
-                  marginBottom: 4,
+                  display: "inline-block",
+                  width: 8,
+                  height: 8,
+                  borderRadius: "50%",
+                  backgroundColor:
+                    syncStatus.failed > 0
+                      ? "#ef4444"
+                      : syncStatus.pending > 0
+                      ? "#f97316"
+                      : "#22c55e",
                 }}
-              >
-                Call ID
-              </div>
+              />
+              <span>
+                {syncStatus.failed > 0
+                  ? `Failed ${syncStatus.failed}`
+                  : syncStatus.pending > 0
+                  ? `Pending ${syncStatus.pending}${syncStatus.flushing ? " (syncing…)" : ""}`
+                  : "Synced"}
+                {syncStatus.failed > 0 &&
+                  syncStatus.pending > 0 &&
+                  `, pending ${syncStatus.pending}`}
+              </span>
+              {syncStatus.failed > 0 && (
+                <button
+                  onClick={() => outbox.retryFailed()}
+                  style={{
+                    padding: "2px 8px",
+                    fontSize: 11,
+                    borderRadius: 999,
+                    border: "1px solid #ef4444",
+                    background: "#ffffff",
+                    color: "#ef4444",
+                    fontWeight: 600,
+                  }}
+                >
+                  Retry
+                </button>
+              )}
+            </div>
+
+            {conflictList.length > 0 && (
               <div
                 style={{
-                  fontSize: 13,
-                  fontWeight: 500,
-                  marginBottom: 8,
-                  wordBreak: "break-all",
-                  color: "#111827",
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  gap: 8,
+                  borderRadius: 10,
+                  border: "1px solid #fed7aa",
+                  backgroundColor: "#fff7ed",
+                  color: "#9a3412",
+                  padding: 10,
+                  marginBottom: 12,
+                  fontSize: 12,
                 }}
               >
-                {selectedCall.call_id}
+                <span>
+                  {conflictList.length} rating
+                  {conflictList.length === 1 ? " differs" : "s differ"} from the server copy.
+                </span>
+                <button
+                  onClick={() => setShowConflicts(true)}
+                  style={{
+                    padding: "2px 8px",
+                    fontSize: 11,
+                    borderRadius: 999,
+                    border: "1px solid #f97316",
+                    background: "#ffffff",
+                    color: "#f97316",
+                    fontWeight: 600,
+                  }}
+                >
+                  Review
+                </button>
               </div>
+            )}
 
+            {rubricError && (
               <div
                 style={{
+                  borderRadius: 10,
+                  border: "1px solid #fecaca",
+                  backgroundColor: "#fef2f2",
+                  color: "#b91c1c",
+                  padding: 10,
+                  marginBottom: 12,
                   fontSize: 12,
-                  color: "#4b5563",
-                  marginBottom: 6,
+                  whiteSpace: "pre-wrap",
                 }}
               >
-                Assistant turns fully rated:{" "}
-                <strong>
-                  {fullyRatedCount}/{totalAssistantTurns}
-                </strong>{" "}
-                {totalAssistantTurns > 0 && `(${progressPercent}%)`}
+                {rubricError}
+                {"\n"}Using the default rubric instead.
               </div>
+            )}
 
+            {/* Progress block */}
+            {selectedCall ? (
               <div
                 style={{
-                  width: "100%",
-                  height: 8,
-                  borderRadius: 999,
-                  backgroundColor: "#e5e7eb",
-                  overflow: "hidden",
-                  marginBottom: 6,
+                  borderRadius: 10,
+                  border: "1px solid #e5e7eb",
+                  backgroundColor: "#ffffff",
+                  padding: 10,
+                  marginBottom: 12,
+                  boxShadow: "0 1px 2px rgba(15, 23, 42, 0.04)",
                 }}
               >
                 <div
                   style={{
-                    width: `${progressPercent}%`,
-                    height: "100%",
+                    fontSize: 12,
+                    color: "#6b7280",
+                    marginBottom: 4,
+                  }}
+                >
+                  Call ID
+                </div>
+                <div
+                  style={{
+                    fontSize: 13,
+                    fontWeight: 500,
+                    marginBottom: 8,
+                    wordBreak: "break-all",
+                    color: "#111827",
+                  }}
+                >
+                  {selectedCall.call_id}
+                </div>
+
+                <div
+                  style={{
+                    fontSize: 12,
+                    color: "#6b7280",
+                    marginBottom: 8,
+                  }}
+                >
+                  Rubric: {rubric.name}
+                </div>
+
+                <div
+                  style={{
+                    fontSize: 12,
+                    color: "#4b5563",
+                    marginBottom: 6,
+                  }}
+                >
+                  Assistant turns fully rated:{" "}
+                  <strong>
+                    {fullyRatedCount}/{totalAssistantTurns}
+                  </strong>{" "}
+                  {totalAssistantTurns > 0 && `(${progressPercent}%)`}
+                </div>
+
+                {hasCallForm(rubric) && (
+                  <div style={{ fontSize: 12, color: "#4b5563", marginBottom: 6 }}>
+                    Call rating:{" "}
+                    <strong>
+                      {CALL_RATING_STATUS_LABELS[
+                        getCallRatingStatus(callLevelRatings[selectedCall.call_id], rubric)
+                      ]}
+                    </strong>
+                  </div>
+                )}
+
+                <div
+                  style={{
+                    width: "100%",
+                    height: 8,
                     borderRadius: 999,
-                    background:
-                      progressPercent === 100 ? "#10b981" : "#6366f1",
-                    transition: "width 0.2s ease-out",
+                    backgroundColor: "#e5e7eb",
+                    overflow: "hidden",
+                    marginBottom: 6,
                   }}
-                />
-              </div>
+                >
+                  <div
+                    style={{
+                      width: `${progressPercent}%`,
+                      height: "100%",
+                      borderRadius: 999,
+                      background:
+                        progressPercent === 100 ? "#10b981" : "#6366f1",
+                      transition: "width 0.2s ease-out",
+                    }}
+                  />
+                </div>
 
-              <div
-                style={{
-                  display: "flex",
-                  gap: 10,
-                  fontSize: 11,
-                  color: "#6b7280",
-                }}
-              >
-                <span>Partial: {partiallyRatedCount}</span>
-                <span>
-                  Not started:{" "}
-                  {Math.max(
-                    totalAssistantTurns - fullyRatedCount - partiallyRatedCount,
-                    0
-                  )}
-                </span>
+                <div
+                  style={{
+                    display: "flex",
+                    gap: 10,
+                    fontSize: 11,
+                    color: "#6b7280",
+                  }}
+                >
+                  <span>Partial: {partiallyRatedCount}</span>
+                  <span>
+                    Not started:{" "}
+                    {Math.max(
+                      totalAssistantTurns - fullyRatedCount - partiallyRatedCount,
+                      0
+                    )}
+                  </span>
+                </div>
               </div>
-            </div>
-          ) : (
-            <div style={{ fontSize: 13, color: "#6b7280" }}>
-              Select a call on the left to see its overview here.
-            </div>
-          )}
-
-          {/* Assistant turns list with status */}
-          {selectedCall && (
-            <div
-              style={{
-                marginTop: 4,
-              }}
-            >
-              <div
-                style={{
-                  fontSize: 13,
-                  fontWeight: 600,
-                  marginBottom: 6,
-                  color: "#111827",
-                }}
-              >
-                Assistant turns in this call
+            ) : (
+              <div style={{ fontSize: 13, color: "#6b7280" }}>
+                Select a call on the left to see its overview here.
               </div>
+            )}
+
+            {selectedCall && hasCallForm(rubric) && (
+              <CallRatingPanel
+                key={selectedCall.call_id}
+                rubric={rubric}
+                rating={callLevelRatings[selectedCall.call_id]}
+                onChange={(field, value) =>
+                  handleCallRatingChange(selectedCall.call_id, field, value)
+                }
+              />
+            )}
+
+            {/* Assistant turns list with status */}
+            {selectedCall && (
               <div
                 style={{
-                  fontSize: 11,
-                  color: "#6b7280",
-                  marginBottom: 6,
+                  marginTop: 4,
                 }}
               >
-                Click any row to jump to that turn and open the rating dialog.
-              </div>
+                <div
+                  style={{
+                    fontSize: 13,
+                    fontWeight: 600,
+                    marginBottom: 6,
+                    color: "#111827",
+                  }}
+                >
+                  Assistant turns in this call
+                </div>
+                <div
+                  style={{
+                    fontSize: 11,
+                    color: "#6b7280",
+                    marginBottom: 6,
+                  }}
+                >
+                  Click any row to jump to that turn and open the rating dialog.
+                </div>
 
-              {assistantTurnsForSelected.map((t) => {
-                const status = getRatingStatus(t.rating);
-                const isActive =
-                  activeRatingTarget &&
-                  activeRatingTarget.callId === selectedCall.call_id &&
-                  activeRatingTarget.idx === t.idx;
+                {assistantTurnsForSelected.map((t) => {
+                  const status = getRatingStatus(t.rating, rubric);
+                  const isActive =
+                    activeRatingTarget &&
+                    activeRatingTarget.callId === selectedCall.call_id &&
+                    activeRatingTarget.idx === t.idx;
 
-                const statusColor =
-                  status === "complete"
+                  const statusColor = t.rating?.conflict
+                    ? "#ef4444"
+                    : status === "complete"
                     ? "#22c55e"
                     : status === "partial"
                     ? "#f97316"
                     : "#d1d5db";
 
-                const statusLabel =
-                  status === "complete"
+                  const statusLabel = t.rating?.conflict
+                    ? "Conflict"
+                    : status === "complete"
                     ? "Complete"
                     : status === "partial"
                     ? "Partial"
                     : "Not started";
 
-                return (
-                  <button
-                    key={t.idx}
-                    onClick={() => openRatingModal(selectedCall.call_id, t.idx)}
-                    style={{
-                      width: "100%",
-                      textAlign: "left",
-                      borderRadius: 10,
-                      border: isActive
-                        ? "1px solid #6366f1"
-                        : "1px solid #e5e7eb",
-                      backgroundColor: "#ffffff",
-                      padding: 8,
-                      marginBottom: 6,
-                      cursor: "pointer",
-                      boxShadow: isActive
-                        ? "0 0 0 1px rgba(99,102,241,0.2)"
-                        : "0 1px 2px rgba(15, 23, 42, 0.03)",
-                    }}
-                  >
-                    <div
+                  return (
+                    <button
+                      key={t.idx}
+                      onClick={() => openRatingModal(selectedCall.call_id, t.idx)}
                       style={{
-                        display: "flex",
-                        justifyContent: "space-between",
-                        alignItems: "center",
-                        marginBottom: 4,
+                        width: "100%",
+                        textAlign: "left",
+                        borderRadius: 10,
+                        border: isActive
+                          ? "1px solid #6366f1"
+                          : "1px solid #e5e7eb",
+                        backgroundColor: "#ffffff",
+                        padding: 8,
+                        marginBottom: 6,
+                        cursor: "pointer",
+                        boxShadow: isActive
+                          ? "0 0 0 1px rgba(99,102,241,0.2)"
+                          : "0 1px 2px rgba(15, 23, 42, 0.03)",
                       }}
                     >
                       <div
                         style={{
-                          fontSize: 11,
-                          color: "#6b7280",
+                          display: "flex",
+                          justifyContent: "space-between",
+                          alignItems: "center",
+                          marginBottom: 4,
                         }}
                       >
-                        Turn {t.idx}
+                        <div
+                          style={{
+                            fontSize: 11,
+                            color: "#6b7280",
+                          }}
+                        >
+                          Turn {t.idx}
+                        </div>
+                        <div
+                          style={{
+                            display: "flex",
+                            alignItems: "center",
+                            gap: 4,
+                            fontSize: 11,
+                            color: "#4b5563",
+                          }}
+                        >
+                          <span
+                            style={{
+                              display: "inline-block",
+                              width: 8,
+                              height: 8,
+                              borderRadius: "50%",
+                              backgroundColor: statusColor,
+                            }}
+                          />
+                          <span>{statusLabel}</span>
+                        </div>
                       </div>
                       <div
                         style={{
-                          display: "flex",
-                          alignItems: "center",
-                          gap: 4,
-                          fontSize: 11,
-                          color: "#4b5563",
+                          fontSize: 12,
+                          color: "#111827",
+                          maxHeight: 40,
+                          overflow: "hidden",
                         }}
                       >
-                        <span
-                          style={{
-                            display: "inline-block",
-                            width: 8,
-                            height: 8,
-                            borderRadius: "50%",
-                            backgroundColor: statusColor,
-                          }}
-                        />
-                        <span>{statusLabel}</span>
+                        {t.text}
                       </div>
-                    </div>
-                    <div
-                      style={{
-                        fontSize: 12,
-                        color: "#111827",
-                        maxHeight: 40,
-                        overflow: "hidden",
-                      }}
-                    >
-                      {t.text}
-                    </div>
-                  </button>
-                );
-              })}
-            </div>
+                      {(t.rating?.flagged || t.rating?.tags?.length > 0) && (
+                        <div style={{ fontSize: 11, color: "#b45309", marginTop: 4 }}>
+                          {[
+                            t.rating.flagged && "⚑ Flagged",
+                            ...(t.rating.tags || []).map((tag) => tagLabel(rubric, tag)),
+                          ]
+                            .filter(Boolean)
+                            .join(" · ")}
+                        </div>
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </section>
+        </main>
+      )}
+
+      {view === "analytics" && (
+        <AnalyticsView
+          calls={teamViewCalls}
+          rubric={rubric}
+          ratingsByAnnotator={{ ...teamRatings, [userId]: ratings }}
+          completionsByAnnotator={{ ...teamCompleted, [userId]: completedCalls }}
+          annotatorNames={annotatorNames}
+          currentUserId={userId}
+          onOpenTurn={openTurnFromView}
+        />
+      )}
+
+      {view === "agreement" && (
+        <AgreementView
+          calls={teamViewCalls}
+          rubric={rubric}
+          ratingsByAnnotator={{ ...teamRatings, [userId]: ratings }}
+          annotatorNames={annotatorNames}
+          currentUserId={userId}
+          onOpenTurn={openTurnFromView}
+        />
+      )}
+
+      {view === "adjudication" && adjudicator && (
+        <AdjudicationView
+          calls={calls}
+          rubric={rubric}
+          ratingsByAnnotator={{ ...teamRatings, [userId]: ratings }}
+          adjudications={adjudications}
+          annotatorNames={annotatorNames}
+          currentUserId={userId}
+          onSave={saveAdjudication}
+          onOpenTurn={openTurnFromView}
+        />
+      )}
+
+      {view === "calibration" && (
+        <CalibrationView
+          calls={calls}
+          rubric={rubric}
+          gold={gold}
+          attempts={calibrationAttempts}
+          currentUserId={userId}
+          lead={lead}
+          annotatorNames={annotatorNames}
+          hasReference={(callId) => Object.keys(referenceRatingsFor(callId)).length > 0}
+          onSubmit={submitCalibration}
+          onSetGold={setGoldForCall}
+        />
+      )}
+
+      {view === "productivity" && (
+        <ProductivityView
+          entries={timeEntries}
+          rubric={rubric}
+          annotatorNames={annotatorNames}
+          currentUserId={userId}
+          lockedUserId={lead ? null : userId}
+        />
+      )}
+
+      {showAnnotatedImport && (
+        <AnnotatedImport
+          rubric={rubric}
+          ratings={ratings}
+          callLevelRatings={callLevelRatings}
+          spans={spans}
+          completedCalls={completedCalls}
+          knownCallIds={calls.map((c) => c.call_id)}
+          onApply={applyAnnotatedImport}
+          onClose={() => setShowAnnotatedImport(false)}
+        />
+      )}
+
+      {showAssignments && (
+        <AssignmentPanel
+          calls={calls}
+          shownCallIds={visibleCalls.map((c) => c.call_id)}
+          assignments={assignments}
+          annotators={Object.entries({ ...annotatorDirectory, [userId]: user.email || "" }).map(
+            ([uid, email]) => ({ userId: uid, name: email || annotatorNames[uid] || uid })
           )}
-        </section>
-      </main>
+          onAssign={assignCalls}
+          onUnassign={(callId, assigneeId) => setAssignment(callId, assigneeId, false)}
+          onClose={() => setShowAssignments(false)}
+        />
+      )}
 
-      {/* Modal for per-utterance ratings */}
-      {activeRatingTarget && (
-        <div
-          style={{
-            position: "fixed",
-            inset: 0,
-            backgroundColor: "rgba(15, 23, 42, 0.45)",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-            zIndex: 50,
-          }}
-          onClick={closeRatingModal}
-        >
-          <div
-            onClick={(e) => e.stopPropagation()}
-            style={{
-              width: "min(800px, 95vw)",
-              maxHeight: "90vh",
-              backgroundColor: "#ffffff",
-              borderRadius: 12,
-              boxShadow: "0 20px 40px rgba(15,23,42,0.25)",
-              padding: 16,
-              display: "flex",
-              flexDirection: "column",
-              gap: 10,
-            }}
-          >
-            <div
-              style={{
-                display: "flex",
-                justifyContent: "space-between",
-                alignItems: "center",
-                marginBottom: 4,
-              }}
-            >
-              <div
-                style={{
-                  fontWeight: 700,
-                  fontSize: 16,
-                }}
-              >
-                Rate Assistant @ turn {activeTurnIndex}
-              </div>
-              <button
-                onClick={closeRatingModal}
-                style={{
-                  border: "none",
-                  background: "transparent",
-                  cursor: "pointer",
-                  fontSize: 18,
-                  lineHeight: 1,
-                }}
-                aria-label="Close"
-              >
-                ×
-              </button>
-            </div>
+      {uploadDialog && (
+        <TranscriptUpload
+          existingCallIds={calls.map((c) => c.call_id)}
+          initialResults={uploadDialog.initialResults}
+          onLoad={loadUploadedCalls}
+          onClose={() => setUploadDialog(null)}
+        />
+      )}
 
-            <div
-              style={{
-                fontSize: 13,
-                color: "#6b7280",
-              }}
-            >
-              Rate this turn on each metric and optionally write the ideal response.
-            </div>
+      {showTrainingExport && (
+        <TrainingExport
+          calls={calls}
+          ratings={ratings}
+          callLevelRatings={callLevelRatings}
+          completedCalls={completedCalls}
+          rubric={rubric}
+          onClose={() => setShowTrainingExport(false)}
+        />
+      )}
 
-            <div
-              style={{
-                padding: 10,
-                borderRadius: 8,
-                backgroundColor: "#f9fafb",
-                border: "1px solid #e5e7eb",
-                maxHeight: 120,
-                overflowY: "auto",
-                fontSize: 14,
-              }}
-            >
-              {activeUtteranceText}
-            </div>
+      {showConflicts && (
+        <ConflictView
+          rubric={rubric}
+          conflicts={conflictList}
+          onResolve={resolveConflict}
+          onClose={() => setShowConflicts(false)}
+        />
+      )}
 
-            <div style={{ marginTop: 4 }}>
-              {METRICS.map((metric) => (
-                <div
-                  key={metric.key}
-                  style={{
-                    marginBottom: 8,
-                  }}
-                >
-                  <div
-                    style={{
-                      fontSize: 13,
-                      marginBottom: 2,
-                      color: "#111827",
-                    }}
-                  >
-                    {metric.label}
-                  </div>
-                  <div>
-                    {[1, 2, 3, 4, 5].map((star) => (
-                      <button
-                        key={star}
-                        type="button"
-                        onClick={() =>
-                          handleRatingChange(
-                            activeRatingTarget.callId,
-                            activeRatingTarget.idx,
-                            metric.key,
-                            star
-                          )
-                        }
-                        style={{
-                          border: "none",
-                          background: "transparent",
-                          cursor: "pointer",
-                          fontSize: 22,
-                          padding: 0,
-                          marginRight: 4,
-                          color:
-                            star <= (activeRating[metric.key] || 0)
-                              ? "#f59e0b"
-                              : "#d1d5db",
-                        }}
-                      >
-                        ★
-                      </button>
-                    ))}
-                    <span
-                      style={{
-                        fontSize: 12,
-                        color: "#4b5563",
-                        marginLeft: 6,
-                      }}
-                    >
-                      {activeRating[metric.key]
-                        ? `${activeRating[metric.key]} / 5`
-                        : "Not rated"}
-                    </span>
-                  </div>
-                </div>
-              ))}
-            </div>
+      {/* Modal for per-utterance ratings */}
+      {activeRatingTarget && (
+        <RatingModal
+          rubric={rubric}
+          turnIndex={activeRatingTarget.idx}
+          turnPosition={activeTurnPosition}
+          utteranceText={activeUtteranceText}
+          rating={activeRating}
+          onChange={(field, value) => {
+            turnSessionRef.current?.mark(field);
+            handleRatingChange(activeRatingTarget.callId, activeRatingTarget.idx, field, value);
+          }}
+          onClose={closeRatingModal}
+          onPrevTurn={() => moveToAdjacentTurn(-1)}
+          onNextTurn={() => moveToAdjacentTurn(1)}
+          onNextUnratedTurn={moveToNextUnratedTurn}
+          onNextUnfinishedCall={moveToNextUnfinishedCall}
+        />
+      )}
 
-            <div style={{ marginTop: 4 }}>
-              <div
-                style={{
-                  fontSize: 13,
-                  marginBottom: 4,
-                  color: "#111827",
-                }}
-              >
-                Ideal response for this assistant turn
-              </div>
-              <textarea
-                value={activeRating.idealResponse}
-                onChange={(e) =>
-                  handleRatingChange(
-                    activeRatingTarget.callId,
-                    activeRatingTarget.idx,
-                    "idealResponse",
-                    e.target.value
-                  )
+      {/* Label + comment for a highlighted transcript span */}
+      {spanDialog && (
+        <SpanDialog
+          rubric={rubric}
+          span={
+            spanDialog.spanId
+              ? spans[spanDialog.spanId]
+              : {
+                  text: selectedCall?.dialogue[spanDialog.idx]?.text.slice(
+                    spanDialog.start,
+                    spanDialog.end
+                  ),
                 }
-                placeholder="Write the ideal response you would want the assistant to give here..."
-                style={{
-                  width: "100%",
-                  minHeight: 80,
-                  fontSize: 13,
-                  padding: 8,
-                  borderRadius: 8,
-                  border: "1px solid #d1d5db",
-                  resize: "vertical",
-                  backgroundColor: "#ffffff",
-                  color: "#111827",
-                }}
-              />
-            </div>
-
-            <div
-              style={{
-                marginTop: 10,
-                display: "flex",
-                justifyContent: "flex-end",
-                gap: 8,
-              }}
-            >
-              <button
-                onClick={closeRatingModal}
-                style={{
-                  padding: "6px 12px",
-                  fontSize: 13,
-                  borderRadius: 999,
-                  border: "1px solid #d1d5db",
-                  backgroundColor: "#ffffff",
-                  cursor: "pointer",
-                }}
-              >
-                Close
-              </button>
-            </div>
-          </div>
-        </div>
+          }
+          onSave={saveSpanDialog}
+          onDelete={spanDialog.spanId ? deleteSpanDialog : undefined}
+          onClose={() => setSpanDialog(null)}
+        />
       )}
     </div>
   );
@@ -0,0 +1,187 @@
+import { act, cleanup, render, screen } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import App from "./App.jsx";
+import { createMockTransport } from "./realtime";
+import { DEFAULT_RUBRIC, emptyRating, ratingToRow } from "./rubric";
+
+// ---------------------------------------------------
+// Live updates and presence, driven through the mock realtime transport.
+// Runs in local auth mode (see vite.config.js), so every Supabase query
+// finds no rows and the realtime events below are the only team data.
+// ---------------------------------------------------
+
+const CALLS = [
+  {
+    call_id: "call-1",
+    dialogue: [
+      { author: "User", text: "Hi, I lost my card." },
+      { author: "Assistant", text: "Sorry to hear that, let me block it." },
+    ],
+  },
+];
+
+// jsdom has no ResizeObserver (see VirtualList.jsx)
+class NoopResizeObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+}
+
+const memoryStore = () => ({
+  kind: "memory",
+  saveRatings: () => {},
+  saveCallRatings: () => {},
+  saveCompletions: () => {},
+  saveTimeEntry: () => {},
+  saveSpans: () => {},
+});
+
+// lets the initial loads (resolved promises) and their effects settle
+const settle = () => act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+
+const renderApp = async (realtime, props = {}) => {
+  render(
+    <App
+      user={{ id: "me", email: "me@example.com" }}
+      onSignOut={() => {}}
+      store={memoryStore()}
+      initialRatings={{}}
+      initialCallLevelRatings={{}}
+      initialCompletedCalls={{}}
+      initialTimeEntries={[]}
+      initialSpans={{}}
+      realtime={realtime}
+      {...props}
+    />
+  );
+  await screen.findByText("Task 1: call-1");
+  await settle();
+};
+
+describe("App realtime", () => {
+  let realtime;
+
+  beforeEach(() => {
+    vi.stubGlobal("ResizeObserver", NoopResizeObserver);
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => new Response(JSON.stringify(CALLS), { status: 200 }))
+    );
+    // a channel of its own, so tests don't hear each other
+    realtime = createMockTransport({ channelName: `test-${Math.random()}` });
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.unstubAllGlobals();
+    window.localStorage.clear();
+  });
+
+  it("shows another annotator's live rating in the team progress of the open call", async () => {
+    await renderApp(realtime);
+    expect(screen.queryByText("other 1/1")).toBeNull();
+
+    act(() =>
+      realtime.emitTableChange("call_ratings", {
+        eventType: "UPDATE",
+        row: {
+          call_id: "call-1",
+          turn_index: 1,
+          user_id: "other",
+          code_switch: 4,
+          colloquialness: 5,
+          emotional_intelligence: 4,
+          ideal_response: "Sorry to hear that. I'm blocking the card now.",
+          updated_at: new Date().toISOString(),
+          revision: 1,
+        },
+      })
+    );
+
+    expect(await screen.findByText("other 1/1")).toBeTruthy();
+  });
+
+  it("ignores the echo of an own write while a newer edit is still queued", async () => {
+    const rating = (values, updatedAt, revision) => ({
+      ...emptyRating(DEFAULT_RUBRIC),
+      ...values,
+      updatedAt,
+      revision,
+      syncedAt: null,
+    });
+    const row = (r) => ({
+      call_id: "call-1",
+      turn_index: 1,
+      user_id: "me",
+      ...ratingToRow(DEFAULT_RUBRIC, r),
+    });
+    const sent = rating({ codeSwitch: 2 }, "2026-01-01T10:00:00.000Z", 1);
+    const edited = rating({ codeSwitch: 4 }, "2026-01-01T10:05:00.000Z", 2);
+    // revision 2 is held back in the outbox (as a delayed ideal-response save is)
+    const outboxKey = "call_rating_dashboard_outbox_v1:me";
+    window.localStorage.setItem(
+      outboxKey,
+      JSON.stringify([
+        {
+          key: "call_ratings|call-1|1|me",
+          table: "call_ratings",
+          onConflict: "call_id,turn_index,user_id",
+          row: row(edited),
+          revision: 1,
+          attempts: 0,
+          lastError: null,
+          nextAttemptAt: Date.now() + 60000,
+        },
+      ])
+    );
+    await renderApp(realtime, { initialRatings: { "call-1": { 1: edited } } });
+
+    act(() => realtime.emitTableChange("call_ratings", { eventType: "UPDATE", row: row(sent) }));
+    await settle();
+
+    expect(screen.queryByText(/differs from the server copy/)).toBeNull();
+    const queued = JSON.parse(window.localStorage.getItem(outboxKey));
+    expect(queued.map((e) => e.row)).toEqual([row(edited)]);
+  });
+
+  it("shows an annotator who is not a lead only their own tracked time", async () => {
+    const entry = (userId, email) => ({
+      id: `${userId}-1`,
+      userId,
+      email,
+      kind: "call",
+      callId: "call-1",
+      turnIndex: null,
+      startedAt: "2026-01-01T10:00:00.000Z",
+      endedAt: "2026-01-01T10:30:00.000Z",
+      activeMs: 30 * 60 * 1000,
+      fieldMs: {},
+      updatedAt: "2026-01-01T10:30:00.000Z",
+    });
+    await renderApp(realtime, {
+      initialTimeEntries: [entry("me", "me@example.com"), entry("other", "olga@example.com")],
+    });
+
+    act(() => screen.getByRole("button", { name: "Productivity" }).click());
+
+    const select = await screen.findByRole("combobox", { name: /Annotator/ });
+    expect(select.disabled).toBe(true);
+    expect(select.value).toBe("me");
+    expect(screen.getByRole("cell", { name: "Me" })).toBeTruthy();
+    expect(screen.queryByText("olga@example.com")).toBeNull();
+  });
+
+  it("shows who else is viewing a call", async () => {
+    await renderApp(realtime);
+
+    const room = realtime.joinRoom("call_rating_dashboard", {
+      presenceKey: "other:tab",
+      onPresence: () => {},
+    });
+    act(() => room.track({ userId: "other", email: "olga@example.com", callId: "call-1" }));
+
+    expect(await screen.findByTitle("olga is viewing this call")).toBeTruthy();
+    act(() => room.leave());
+    expect(screen.queryByTitle("olga is viewing this call")).toBeNull();
+  });
+});
@@ -0,0 +1,228 @@
+import { useState } from "react";
+import { assigneesOf, assignmentLoad, planAssignments } from "./assignments";
+
+const selectStyle = {
+  fontSize: 13,
+  padding: "4px 6px",
+  borderRadius: 6,
+  border: "1px solid #d1d5db",
+  backgroundColor: "#ffffff",
+  color: "#111827",
+};
+
+// Lead-only dialog for handing calls out to annotators.
+// annotators: [{ userId, name }]
+function AssignmentPanel({
+  calls,
+  shownCallIds,
+  assignments,
+  annotators,
+  onAssign,
+  onUnassign,
+  onClose,
+}) {
+  const [scope, setScope] = useState("unassigned");
+  const [selected, setSelected] = useState(() => annotators.map((a) => a.userId));
+  const [overlap, setOverlap] = useState(1);
+
+  const nameOf = (userId) => annotators.find((a) => a.userId === userId)?.name || userId;
+
+  let scopeCallIds = calls.map((c) => c.call_id);
+  if (scope === "unassigned") {
+    scopeCallIds = scopeCallIds.filter((id) => assigneesOf(assignments, id).length === 0);
+  } else if (scope === "shown") {
+    scopeCallIds = scopeCallIds.filter((id) => shownCallIds.includes(id));
+  }
+
+  const planned = planAssignments({
+    callIds: scopeCallIds,
+    annotatorIds: selected,
+    overlap,
+    assignments,
+  });
+
+  const toggleAnnotator = (userId) =>
+    setSelected((prev) =>
+      prev.includes(userId) ? prev.filter((id) => id !== userId) : [...prev, userId]
+    );
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(15, 23, 42, 0.45)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 60,
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: "min(720px, 95vw)",
+          maxHeight: "90vh",
+          overflowY: "auto",
+          backgroundColor: "#ffffff",
+          borderRadius: 12,
+          boxShadow: "0 20px 40px rgba(15,23,42,0.25)",
+          padding: 16,
+          display: "flex",
+          flexDirection: "column",
+          gap: 12,
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <div style={{ fontWeight: 700, fontSize: 16 }}>Assign calls</div>
+          <button
+            onClick={onClose}
+            style={{ fontSize: 18, lineHeight: 1, cursor: "pointer" }}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ fontSize: 13, color: "#6b7280" }}>
+          Calls are spread over the selected annotators, fewest assigned calls first. An
+          overlap above 1 gives each call to that many annotators for agreement measurement.
+        </div>
+
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 16, fontSize: 13 }}>
+          <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            Calls
+            <select value={scope} onChange={(e) => setScope(e.target.value)} style={selectStyle}>
+              <option value="unassigned">Unassigned calls</option>
+              <option value="shown">Calls shown in the sidebar</option>
+              <option value="all">All calls</option>
+            </select>
+          </label>
+          <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            Annotators per call
+            <input
+              type="number"
+              min={1}
+              max={Math.max(1, annotators.length)}
+              value={overlap}
+              onChange={(e) => setOverlap(Math.max(1, Number(e.target.value) || 1))}
+              style={{ ...selectStyle, width: 56 }}
+            />
+          </label>
+        </div>
+
+        <div style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 13 }}>
+          <div style={{ fontWeight: 600 }}>Annotators</div>
+          {annotators.map((a) => (
+            <label key={a.userId}>
+              <input
+                type="checkbox"
+                checked={selected.includes(a.userId)}
+                onChange={() => toggleAnnotator(a.userId)}
+              />{" "}
+              {a.name}{" "}
+              <span style={{ color: "#6b7280" }}>
+                ({assignmentLoad(assignments, a.userId)} assigned)
+              </span>
+            </label>
+          ))}
+          {annotators.length === 0 && (
+            <div style={{ color: "#6b7280" }}>
+              No annotators yet. Annotators appear here after their first sign-in.
+            </div>
+          )}
+        </div>
+
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <span style={{ fontSize: 13, color: "#4b5563" }}>
+            {planned.length} new assignment{planned.length === 1 ? "" : "s"} for{" "}
+            {scopeCallIds.length} call{scopeCallIds.length === 1 ? "" : "s"}
+          </span>
+          <button
+            onClick={() => onAssign(planned)}
+            disabled={planned.length === 0}
+            style={{
+              padding: "6px 12px",
+              fontSize: 13,
+              borderRadius: 999,
+              border: "1px solid #6366f1",
+              background: planned.length === 0 ? "#f3f4f6" : "#6366f1",
+              color: planned.length === 0 ? "#9ca3af" : "#ffffff",
+              cursor: planned.length === 0 ? "default" : "pointer",
+              fontWeight: 500,
+            }}
+          >
+            Assign
+          </button>
+        </div>
+
+        <div style={{ borderTop: "1px solid #e5e7eb", paddingTop: 8 }}>
+          <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>
+            Current assignments
+          </div>
+          <div style={{ maxHeight: 280, overflowY: "auto" }}>
+            <table style={{ borderCollapse: "collapse", fontSize: 12, width: "100%" }}>
+              <tbody>
+                {calls.map((call) => {
+                  const assignees = assigneesOf(assignments, call.call_id);
+                  return (
+                    <tr key={call.call_id} style={{ borderTop: "1px solid #f3f4f6" }}>
+                      <td style={{ padding: 4, wordBreak: "break-all", width: "40%" }}>
+                        {call.call_id}
+                      </td>
+                      <td style={{ padding: 4 }}>
+                        {assignees.length === 0 && (
+                          <span style={{ color: "#9ca3af" }}>Unassigned</span>
+                        )}
+                        {assignees.map((uid) => (
+                          <span
+                            key={uid}
+                            style={{
+                              display: "inline-flex",
+                              alignItems: "center",
+                              gap: 4,
+                              padding: "1px 6px",
+                              marginRight: 4,
+                              marginBottom: 2,
+                              borderRadius: 999,
+                              backgroundColor: "#e0e7ff",
+                              color: "#3730a3",
+                            }}
+                          >
+                            {nameOf(uid)}
+                            <button
+                              onClick={() => onUnassign(call.call_id, uid)}
+                              style={{ cursor: "pointer", color: "#6366f1" }}
+                              aria-label={`Unassign ${nameOf(uid)}`}
+                            >
+                              ×
+                            </button>
+                          </span>
+                        ))}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AssignmentPanel;
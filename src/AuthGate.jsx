@@ -0,0 +1,81 @@
+import { useEffect, useState } from "react";
+import App from "./App.jsx";
+import LoginScreen from "./LoginScreen.jsx";
+import { auth } from "./auth";
+import { openLocalStore } from "./storage";
+
+// Shows the login screen until there is a session, then mounts the dashboard
+// for the signed-in annotator once their locally saved work is loaded. Keyed
+// by user id so a different sign-in starts from a clean state.
+function AuthGate() {
+  // undefined while the persisted session is being restored
+  const [session, setSession] = useState(undefined);
+  // { userId, store, ratings, callRatings, completedCalls, timeEntries, spans }
+  // (see storage.js)
+  const [localData, setLocalData] = useState(null);
+  const sessionUserId = session?.user?.id;
+
+  useEffect(() => {
+    let active = true;
+
+    auth
+      .getSession()
+      .then(({ data, error }) => {
+        if (error) console.error("Error restoring session:", error);
+        if (active) setSession(data?.session ?? null);
+      })
+      .catch((e) => {
+        console.error("Unexpected error restoring session:", e);
+        if (active) setSession(null);
+      });
+
+    const { data } = auth.onAuthStateChange((_event, nextSession) => {
+      setSession(nextSession ?? null);
+    });
+
+    return () => {
+      active = false;
+      data.subscription.unsubscribe();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!sessionUserId) return;
+    let active = true;
+    openLocalStore(sessionUserId).then((opened) => {
+      if (active) setLocalData({ userId: sessionUserId, ...opened });
+    });
+    return () => {
+      active = false;
+    };
+  }, [sessionUserId]);
+
+  const handleSignOut = async () => {
+    const { error } = await auth.signOut();
+    if (error) console.error("Sign-out error:", error);
+  };
+
+  if (session === undefined || (session && localData?.userId !== session.user.id)) {
+    return (
+      <div style={{ padding: 24, fontSize: 14, color: "#6b7280" }}>Loading…</div>
+    );
+  }
+
+  if (!session) return <LoginScreen />;
+
+  return (
+    <App
+      key={session.user.id}
+      user={session.user}
+      onSignOut={handleSignOut}
+      store={localData.store}
+      initialRatings={localData.ratings}
+      initialCallLevelRatings={localData.callRatings}
+      initialCompletedCalls={localData.completedCalls}
+      initialTimeEntries={localData.timeEntries}
+      initialSpans={localData.spans}
+    />
+  );
+}
+
+export default AuthGate;
@@ -0,0 +1,500 @@
+import { useState } from "react";
+import MetricInput from "./MetricInput.jsx";
+import {
+  calibrationHistory,
+  goldForCall,
+  isGoldCall,
+  isGoldHidden,
+  scoreAttempt,
+} from "./calibration";
+import { emptyRating, formatMetricValue } from "./rubric";
+
+const cardStyle = {
+  borderRadius: 10,
+  border: "1px solid #e5e7eb",
+  backgroundColor: "#ffffff",
+  padding: 10,
+  boxShadow: "0 1px 2px rgba(15, 23, 42, 0.04)",
+};
+
+const headingStyle = {
+  fontSize: 13,
+  fontWeight: 600,
+  marginBottom: 8,
+  color: "#111827",
+};
+
+const cellStyle = { padding: 6, border: "1px solid #e5e7eb", fontSize: 12 };
+
+const percent = (value) => (value === null || value === undefined ? "–" : `${Math.round(value * 100)}%`);
+
+// green when close to gold, red when far off
+const deviationColor = (deviation) => {
+  if (deviation === null || deviation === undefined) return "#f9fafb";
+  if (deviation === 0) return "rgba(34, 197, 94, 0.2)";
+  if (deviation <= 0.25) return "rgba(245, 158, 11, 0.2)";
+  return "rgba(239, 68, 68, 0.2)";
+};
+
+const pillStyle = (active) => ({
+  padding: "3px 10px",
+  fontSize: 12,
+  borderRadius: 999,
+  border: "1px solid #6366f1",
+  background: active ? "#6366f1" : "#ffffff",
+  color: active ? "#ffffff" : "#6366f1",
+  fontWeight: 500,
+  cursor: "pointer",
+});
+
+// Per-metric deviation and per-turn feedback for one scored attempt.
+function AttemptResults({ rubric, call, score }) {
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+      <div style={{ fontSize: 22, fontWeight: 700, color: "#111827" }}>
+        {percent(score.accuracy)}{" "}
+        <span style={{ fontSize: 13, fontWeight: 400, color: "#6b7280" }}>
+          agreement with gold
+        </span>
+      </div>
+
+      <table style={{ borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ color: "#4b5563" }}>
+            <th style={{ ...cellStyle, textAlign: "left", fontWeight: 500 }}>Metric</th>
+            <th style={{ ...cellStyle, fontWeight: 500 }}>Mean deviation</th>
+            <th style={{ ...cellStyle, fontWeight: 500 }}>Exact matches</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rubric.metrics.map((m) => {
+            const result = score.metrics[m.key];
+            if (!result || result.n === 0) return null;
+            return (
+              <tr key={m.key}>
+                <td style={cellStyle}>{m.label}</td>
+                <td
+                  style={{
+                    ...cellStyle,
+                    textAlign: "center",
+                    backgroundColor: deviationColor(result.deviation),
+                  }}
+                >
+                  {percent(result.deviation)}
+                </td>
+                <td style={{ ...cellStyle, textAlign: "center" }}>{percent(result.exact)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div style={headingStyle}>Feedback per turn</div>
+      {score.turns.map((turn) => (
+        <div key={turn.idx} style={{ ...cardStyle, boxShadow: "none" }}>
+          <div style={{ fontSize: 11, color: "#6b7280", marginBottom: 4 }}>
+            Turn {turn.idx} · deviation {percent(turn.deviation)}
+          </div>
+          <div style={{ fontSize: 13, whiteSpace: "pre-wrap", marginBottom: 6 }}>
+            {call.dialogue[turn.idx]?.text}
+          </div>
+          {rubric.metrics.map((m) => {
+            const r = turn.metrics[m.key];
+            if (!r) return null;
+            return (
+              <div
+                key={m.key}
+                style={{
+                  fontSize: 12,
+                  padding: "2px 6px",
+                  borderRadius: 4,
+                  marginBottom: 2,
+                  backgroundColor: deviationColor(r.deviation),
+                }}
+              >
+                {m.label}: you {formatMetricValue(m, r.value)} · gold{" "}
+                {formatMetricValue(m, r.gold)}
+              </div>
+            );
+          })}
+          {turn.goldIdeal && (
+            <div style={{ fontSize: 12, marginTop: 6, whiteSpace: "pre-wrap" }}>
+              <strong>Gold ideal response:</strong> {turn.goldIdeal}
+              {turn.idealResponse && (
+                <div style={{ color: "#4b5563", marginTop: 2 }}>
+                  <strong>Yours:</strong> {turn.idealResponse}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Blind rating of the gold turns of one call.
+function CalibrationSession({ rubric, call, goldTurns, onSubmit }) {
+  const [draft, setDraft] = useState({}); // { [turnIndex]: rating }
+
+  const update = (idx, field, value) =>
+    setDraft((prev) => ({
+      ...prev,
+      [idx]: { ...(prev[idx] || emptyRating(rubric)), [field]: value },
+    }));
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+      <div style={{ fontSize: 13, color: "#6b7280" }}>
+        Rate the highlighted Assistant turns. The reference ratings are shown after you
+        submit.
+      </div>
+      {call.dialogue.map((utt, idx) => {
+        const isGoldTurn = idx in goldTurns;
+        const rating = draft[idx] || emptyRating(rubric);
+        return (
+          <div
+            key={idx}
+            style={{
+              padding: 10,
+              borderRadius: 10,
+              border: `1px solid ${isGoldTurn ? "#6366f1" : "#e5e7eb"}`,
+              backgroundColor: utt.author === "Assistant" ? "#eff6ff" : "#ffffff",
+            }}
+          >
+            <div
+              style={{
+                fontSize: 11,
+                fontWeight: 600,
+                color: "#4b5563",
+                textTransform: "uppercase",
+                marginBottom: 2,
+              }}
+            >
+              {utt.author}
+            </div>
+            <div style={{ fontSize: 14, whiteSpace: "pre-wrap" }}>{utt.text}</div>
+            {isGoldTurn && (
+              <div style={{ marginTop: 8, display: "flex", flexDirection: "column", gap: 6 }}>
+                {rubric.metrics.map((metric) => (
+                  <div key={metric.key}>
+                    <div style={{ fontSize: 12, color: "#111827" }}>{metric.label}</div>
+                    <MetricInput
+                      metric={metric}
+                      value={rating[metric.key]}
+                      onChange={(value) => update(idx, metric.key, value)}
+                    />
+                  </div>
+                ))}
+                <textarea
+                  value={rating.idealResponse}
+                  onChange={(e) => update(idx, "idealResponse", e.target.value)}
+                  placeholder="Ideal response (optional in calibration)..."
+                  style={{
+                    width: "100%",
+                    minHeight: 60,
+                    fontSize: 12,
+                    padding: 6,
+                    borderRadius: 6,
+                    border: "1px solid #d1d5db",
+                    resize: "vertical",
+                    boxSizing: "border-box",
+                  }}
+                />
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <button
+        onClick={() => onSubmit(call.call_id, draft)}
+        style={{
+          alignSelf: "flex-end",
+          padding: "6px 14px",
+          fontSize: 13,
+          borderRadius: 999,
+          border: "1px solid #16a34a",
+          background: "#16a34a",
+          color: "#ffffff",
+          fontWeight: 600,
+          cursor: "pointer",
+        }}
+      >
+        Submit and compare with gold
+      </button>
+    </div>
+  );
+}
+
+// Calibration against gold calls; leads also manage gold calls and see
+// every annotator's calibration history.
+function CalibrationView({
+  calls,
+  rubric,
+  gold,
+  attempts,
+  currentUserId,
+  lead,
+  annotatorNames,
+  hasReference,
+  onSubmit,
+  onSetGold,
+}) {
+  const [tab, setTab] = useState("practice"); // "practice" | "annotators" | "gold"
+  const [selectedCallId, setSelectedCallId] = useState(null);
+  const [retrying, setRetrying] = useState(false);
+
+  const goldCalls = calls.filter((c) => isGoldCall(gold, c.call_id));
+  const selectedCall = goldCalls.find((c) => c.call_id === selectedCallId) || goldCalls[0];
+  const myAttempts = attempts.filter((a) => a.userId === currentUserId);
+  const latestFor = (callId) =>
+    myAttempts
+      .filter((a) => a.callId === callId)
+      .sort((a, b) => b.attempt - a.attempt)[0] || null;
+  const latest = selectedCall ? latestFor(selectedCall.call_id) : null;
+  const nameOf = (uid, email) =>
+    uid === currentUserId ? "Me" : annotatorNames[uid] || email || uid;
+
+  const selectCall = (callId) => {
+    setSelectedCallId(callId);
+    setRetrying(false);
+  };
+
+  const submit = (callId, ratings) => {
+    onSubmit(callId, ratings);
+    setRetrying(false);
+  };
+
+  return (
+    <section
+      style={{
+        flex: 1,
+        minWidth: 800,
+        padding: 12,
+        overflowY: "auto",
+        backgroundColor: "#f3f4f6",
+        display: "flex",
+        flexDirection: "column",
+        gap: 12,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <div style={{ fontWeight: 700, fontSize: 16, color: "#111827", marginRight: 8 }}>
+          Calibration
+        </div>
+        <button onClick={() => setTab("practice")} style={pillStyle(tab === "practice")}>
+          Practice
+        </button>
+        {lead && (
+          <>
+            <button
+              onClick={() => setTab("annotators")}
+              style={pillStyle(tab === "annotators")}
+            >
+              Annotators
+            </button>
+            <button onClick={() => setTab("gold")} style={pillStyle(tab === "gold")}>
+              Gold calls
+            </button>
+          </>
+        )}
+      </div>
+
+      {tab === "practice" && (
+        <div style={{ display: "grid", gridTemplateColumns: "260px 1fr", gap: 12 }}>
+          <div style={cardStyle}>
+            <div style={headingStyle}>Gold calls</div>
+            {goldCalls.map((c) => {
+              const last = latestFor(c.call_id);
+              return (
+                <button
+                  key={c.call_id}
+                  onClick={() => selectCall(c.call_id)}
+                  style={{
+                    display: "block",
+                    width: "100%",
+                    textAlign: "left",
+                    padding: 6,
+                    marginBottom: 4,
+                    borderRadius: 8,
+                    border: `1px solid ${
+                      selectedCall?.call_id === c.call_id ? "#6366f1" : "#e5e7eb"
+                    }`,
+                    cursor: "pointer",
+                    fontSize: 12,
+                  }}
+                >
+                  <div style={{ wordBreak: "break-all" }}>{c.call_id}</div>
+                  <div style={{ color: "#6b7280" }}>
+                    {last ? `Attempt ${last.attempt}: ${percent(last.accuracy)}` : "Not tried"}
+                  </div>
+                </button>
+              );
+            })}
+            {goldCalls.length === 0 && (
+              <div style={{ fontSize: 12, color: "#6b7280" }}>No gold calls yet.</div>
+            )}
+          </div>
+
+          <div style={cardStyle}>
+            {selectedCall && latest && !retrying && (
+              <>
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    marginBottom: 8,
+                  }}
+                >
+                  <div style={headingStyle}>
+                    {selectedCall.call_id} · attempt {latest.attempt}
+                  </div>
+                  <button onClick={() => setRetrying(true)} style={pillStyle(false)}>
+                    Try again
+                  </button>
+                </div>
+                {isGoldHidden(goldForCall(gold, selectedCall.call_id)) ? (
+                  <div style={{ fontSize: 13, color: "#6b7280" }}>
+                    Comparing with gold once your attempt is saved...
+                  </div>
+                ) : (
+                  <AttemptResults
+                    rubric={rubric}
+                    call={selectedCall}
+                    score={scoreAttempt(
+                      rubric,
+                      goldForCall(gold, selectedCall.call_id),
+                      latest.ratings
+                    )}
+                  />
+                )}
+              </>
+            )}
+            {selectedCall && (!latest || retrying) && (
+              <CalibrationSession
+                key={`${selectedCall.call_id}:${latest?.attempt ?? 0}`}
+                rubric={rubric}
+                call={selectedCall}
+                goldTurns={goldForCall(gold, selectedCall.call_id)}
+                onSubmit={submit}
+              />
+            )}
+          </div>
+        </div>
+      )}
+
+      {tab === "annotators" && lead && (
+        <div style={cardStyle}>
+          <div style={headingStyle}>Calibration history</div>
+          <table style={{ borderCollapse: "collapse", width: "100%" }}>
+            <thead>
+              <tr style={{ color: "#4b5563" }}>
+                <th style={{ ...cellStyle, textAlign: "left", fontWeight: 500 }}>Annotator</th>
+                <th style={{ ...cellStyle, fontWeight: 500 }}>Attempts</th>
+                <th style={{ ...cellStyle, fontWeight: 500 }}>Latest</th>
+                <th style={{ ...cellStyle, fontWeight: 500 }}>Mean</th>
+                {rubric.metrics.map((m) => (
+                  <th key={m.key} style={{ ...cellStyle, fontWeight: 500 }} title={m.label}>
+                    {m.label.split(" ")[0]} dev.
+                  </th>
+                ))}
+                <th style={{ ...cellStyle, textAlign: "left", fontWeight: 500 }}>History</th>
+              </tr>
+            </thead>
+            <tbody>
+              {calibrationHistory(attempts).map((h) => {
+                const scores = h.attempts.map((a) =>
+                  scoreAttempt(rubric, goldForCall(gold, a.callId), a.ratings)
+                );
+                return (
+                  <tr key={h.userId}>
+                    <td style={cellStyle}>{nameOf(h.userId, h.email)}</td>
+                    <td style={{ ...cellStyle, textAlign: "center" }}>{h.attempts.length}</td>
+                    <td style={{ ...cellStyle, textAlign: "center" }}>{percent(h.latest)}</td>
+                    <td style={{ ...cellStyle, textAlign: "center" }}>{percent(h.mean)}</td>
+                    {rubric.metrics.map((m) => {
+                      const devs = scores
+                        .map((s) => s.metrics[m.key]?.deviation)
+                        .filter((d) => d !== null && d !== undefined);
+                      const dev =
+                        devs.length > 0 ? devs.reduce((a, b) => a + b, 0) / devs.length : null;
+                      return (
+                        <td
+                          key={m.key}
+                          style={{
+                            ...cellStyle,
+                            textAlign: "center",
+                            backgroundColor: deviationColor(dev),
+                          }}
+                        >
+                          {percent(dev)}
+                        </td>
+                      );
+                    })}
+                    <td style={{ ...cellStyle, color: "#4b5563" }}>
+                      {h.attempts
+                        .map(
+                          (a) =>
+                            `${(a.submittedAt || "").slice(0, 10)} ${a.callId} ${percent(a.accuracy)}`
+                        )
+                        .join(" · ")}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {attempts.length === 0 && (
+            <div style={{ fontSize: 12, color: "#6b7280", marginTop: 6 }}>
+              No calibration attempts yet.
+            </div>
+          )}
+        </div>
+      )}
+
+      {tab === "gold" && lead && (
+        <div style={cardStyle}>
+          <div style={headingStyle}>Gold calls</div>
+          <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 8 }}>
+            Marking a call as gold copies its adjudicated ratings as the reference (or your
+            own ratings for turns without an adjudicated one).
+          </div>
+          {calls.map((c) => {
+            const isGold = isGoldCall(gold, c.call_id);
+            const canMark = isGold || hasReference(c.call_id);
+            return (
+              <label
+                key={c.call_id}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 6,
+                  fontSize: 12,
+                  padding: "3px 0",
+                  color: canMark ? "#111827" : "#9ca3af",
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={isGold}
+                  disabled={!canMark}
+                  onChange={() => onSetGold(c.call_id, !isGold)}
+                />
+                {c.call_id}
+                {isGold && (
+                  <span style={{ color: "#6b7280" }}>
+                    ({Object.keys(goldForCall(gold, c.call_id)).length} gold turns)
+                  </span>
+                )}
+                {!canMark && <span>(no ratings to copy)</span>}
+              </label>
+            );
+          })}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default CalibrationView;
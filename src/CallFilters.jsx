@@ -0,0 +1,202 @@
+import { DEFAULT_FILTERS, hasActiveFilters } from "./callFilters";
+import { metricScoreRange } from "./rubric";
+
+const selectStyle = {
+  fontSize: 12,
+  padding: "3px 4px",
+  borderRadius: 6,
+  border: "1px solid #d1d5db",
+  backgroundColor: "#ffffff",
+  color: "#111827",
+  minWidth: 0,
+};
+
+const labelStyle = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  gap: 6,
+  fontSize: 12,
+  color: "#4b5563",
+};
+
+// Search box and filters shown above the call list.
+function CallFilters({ filters, rubric, shownCount, totalCount, onChange }) {
+  const numericMetrics = rubric.metrics.filter((m) => metricScoreRange(m) !== null);
+  const selectedMetric = numericMetrics.find((m) => m.key === filters.metric);
+  const range = selectedMetric ? metricScoreRange(selectedMetric) : null;
+  const rangeValues = range
+    ? Array.from({ length: range[1] - range[0] + 1 }, (_, i) => range[0] + i)
+    : [];
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  return (
+    <div
+      style={{
+        padding: "8px 12px",
+        borderBottom: "1px solid #e5e7eb",
+        backgroundColor: "#ffffff",
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+      }}
+    >
+      <input
+        type="search"
+        value={filters.q}
+        onChange={(e) => update({ q: e.target.value })}
+        placeholder="Search transcripts…"
+        style={{
+          fontSize: 13,
+          padding: "5px 8px",
+          borderRadius: 6,
+          border: "1px solid #d1d5db",
+          width: "100%",
+          boxSizing: "border-box",
+        }}
+      />
+
+      <label style={labelStyle}>
+        Status
+        <select
+          value={filters.done}
+          onChange={(e) => update({ done: e.target.value })}
+          style={selectStyle}
+        >
+          <option value="">Any</option>
+          <option value="yes">Marked done</option>
+          <option value="no">Not marked done</option>
+        </select>
+      </label>
+
+      <label style={labelStyle}>
+        Turns
+        <select
+          value={filters.status}
+          onChange={(e) => update({ status: e.target.value })}
+          style={selectStyle}
+        >
+          <option value="">Any</option>
+          <option value="partial">Some partially rated</option>
+          <option value="unrated">All unrated</option>
+          <option value="rated">All rated</option>
+        </select>
+      </label>
+
+      <label style={labelStyle}>
+        Ideal response
+        <select
+          value={filters.ideal}
+          onChange={(e) => update({ ideal: e.target.value })}
+          style={selectStyle}
+        >
+          <option value="">Any</option>
+          <option value="with">At least one</option>
+          <option value="without">None</option>
+        </select>
+      </label>
+
+      <label style={labelStyle}>
+        Review
+        <select
+          value={filters.flagged}
+          onChange={(e) => update({ flagged: e.target.value })}
+          style={selectStyle}
+        >
+          <option value="">Any</option>
+          <option value="yes">Some turn flagged</option>
+          <option value="no">Nothing flagged</option>
+        </select>
+      </label>
+
+      {rubric.tags.length > 0 && (
+        <label style={labelStyle}>
+          Tag
+          <select
+            value={filters.tag}
+            onChange={(e) => update({ tag: e.target.value })}
+            style={selectStyle}
+          >
+            <option value="">Any</option>
+            {rubric.tags.map((t) => (
+              <option key={t.key} value={t.key}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {numericMetrics.length > 0 && (
+        <div style={{ ...labelStyle, flexWrap: "wrap" }}>
+          Score
+          <div style={{ display: "flex", gap: 4, alignItems: "center", minWidth: 0 }}>
+            <select
+              value={filters.metric}
+              onChange={(e) => update({ metric: e.target.value, min: null, max: null })}
+              style={{ ...selectStyle, maxWidth: 120 }}
+            >
+              <option value="">Any metric</option>
+              {numericMetrics.map((m) => (
+                <option key={m.key} value={m.key}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+            {selectedMetric && (
+              <>
+                <select
+                  value={filters.min ?? ""}
+                  onChange={(e) =>
+                    update({ min: e.target.value === "" ? null : Number(e.target.value) })
+                  }
+                  style={selectStyle}
+                  aria-label="Minimum score"
+                >
+                  <option value="">min</option>
+                  {rangeValues.map((v) => (
+                    <option key={v} value={v}>
+                      ≥ {v}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={filters.max ?? ""}
+                  onChange={(e) =>
+                    update({ max: e.target.value === "" ? null : Number(e.target.value) })
+                  }
+                  style={selectStyle}
+                  aria-label="Maximum score"
+                >
+                  <option value="">max</option>
+                  {rangeValues.map((v) => (
+                    <option key={v} value={v}>
+                      ≤ {v}
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div style={{ ...labelStyle, color: "#6b7280" }}>
+        <span>
+          Showing {shownCount} of {totalCount} call{totalCount === 1 ? "" : "s"}
+        </span>
+        {hasActiveFilters(filters) && (
+          <button
+            onClick={() => onChange({ ...DEFAULT_FILTERS, queue: filters.queue })}
+            style={{ fontSize: 12, color: "#6366f1", cursor: "pointer" }}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CallFilters;
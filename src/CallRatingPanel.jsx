@@ -0,0 +1,91 @@
+import MetricInput from "./MetricInput.jsx";
+import { emptyCallRating, getCallRatingStatus } from "./callRating";
+
+const STATUS_STYLES = {
+  complete: { label: "Complete", color: "#047857", background: "#d1fae5" },
+  partial: { label: "Partial", color: "#b45309", background: "#fef3c7" },
+  not_started: { label: "Not started", color: "#4b5563", background: "#f3f4f6" },
+};
+
+// Conversation-level rating of the selected call (see callRating.js).
+// onChange(field, value) with field a call metric key or "summary".
+function CallRatingPanel({ rubric, rating, onChange }) {
+  const values = rating || emptyCallRating(rubric);
+  const status = STATUS_STYLES[getCallRatingStatus(rating, rubric)];
+
+  return (
+    <div
+      style={{
+        borderRadius: 10,
+        border: "1px solid #e5e7eb",
+        backgroundColor: "#ffffff",
+        padding: 10,
+        marginBottom: 12,
+        boxShadow: "0 1px 2px rgba(15, 23, 42, 0.04)",
+        display: "flex",
+        flexDirection: "column",
+        gap: 10,
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={{ fontSize: 13, fontWeight: 600, color: "#111827" }}>Call rating</div>
+        <span
+          style={{
+            padding: "1px 8px",
+            fontSize: 11,
+            borderRadius: 999,
+            color: status.color,
+            backgroundColor: status.background,
+            fontWeight: 600,
+          }}
+        >
+          {status.label}
+        </span>
+      </div>
+
+      {rubric.callMetrics.map((metric) => (
+        <div key={metric.key}>
+          <div style={{ fontSize: 12, fontWeight: 500, color: "#374151" }}>
+            {metric.label}
+            {metric.required && <span style={{ color: "#ef4444" }}> *</span>}
+          </div>
+          {metric.description && (
+            <div style={{ fontSize: 11, color: "#6b7280", marginBottom: 2 }}>
+              {metric.description}
+            </div>
+          )}
+          <MetricInput
+            metric={metric}
+            value={values[metric.key]}
+            onChange={(value) => onChange(metric.key, value)}
+          />
+        </div>
+      ))}
+
+      <label style={{ fontSize: 12, fontWeight: 500, color: "#374151" }}>
+        Summary
+        {rubric.callSummary.required && <span style={{ color: "#ef4444" }}> *</span>}
+        <textarea
+          value={values.summary || ""}
+          onChange={(e) => onChange("summary", e.target.value)}
+          placeholder="What happened in this call, and what went well or wrong overall"
+          rows={3}
+          style={{
+            display: "block",
+            width: "100%",
+            marginTop: 4,
+            padding: 6,
+            fontSize: 13,
+            fontFamily: "inherit",
+            borderRadius: 6,
+            border: "1px solid #d1d5db",
+            boxSizing: "border-box",
+            resize: "vertical",
+          }}
+        />
+      </label>
+    </div>
+  );
+}
+
+export default CallRatingPanel;
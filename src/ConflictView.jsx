@@ -0,0 +1,195 @@
+import { formatMetricValue, ratingNotesEqual, tagLabel } from "./rubric";
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : "unknown time");
+
+// one line per written rationale, then tags and the review flag
+const formatNotes = (rubric, rating) => {
+  const lines = rubric.metrics
+    .filter((m) => rating.rationales?.[m.key])
+    .map((m) => `${m.label}: ${rating.rationales[m.key]}`);
+  if (rating.tags?.length > 0) {
+    lines.push(`Tags: ${rating.tags.map((t) => tagLabel(rubric, t)).join(", ")}`);
+  }
+  if (rating.flagged) lines.push("Flagged for review");
+  return lines.join("\n") || "—";
+};
+
+const buttonStyle = (color) => ({
+  padding: "4px 10px",
+  fontSize: 12,
+  borderRadius: 999,
+  border: `1px solid ${color}`,
+  background: "#ffffff",
+  color,
+  fontWeight: 600,
+  cursor: "pointer",
+  whiteSpace: "nowrap",
+});
+
+// Side-by-side view of turns whose local rating diverged from the server copy.
+// conflicts: [{ callId, idx, text, local, remote }]
+function ConflictView({ rubric, conflicts, onResolve, onClose }) {
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(15, 23, 42, 0.45)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 60,
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: "min(900px, 95vw)",
+          maxHeight: "90vh",
+          overflowY: "auto",
+          backgroundColor: "#ffffff",
+          borderRadius: 12,
+          boxShadow: "0 20px 40px rgba(15,23,42,0.25)",
+          padding: 16,
+          display: "flex",
+          flexDirection: "column",
+          gap: 12,
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <div style={{ fontWeight: 700, fontSize: 16 }}>
+            Rating conflicts ({conflicts.length})
+          </div>
+          <button
+            onClick={onClose}
+            style={{ fontSize: 18, lineHeight: 1, cursor: "pointer" }}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+        <div style={{ fontSize: 13, color: "#6b7280" }}>
+          These turns were changed here and on the server since they were last synced.
+          Pick the version to keep.
+        </div>
+
+        {conflicts.length === 0 && (
+          <div style={{ fontSize: 13, color: "#047857" }}>All conflicts resolved.</div>
+        )}
+
+        {conflicts.map(({ callId, idx, text, local, remote }) => {
+          const rows = [
+            ...rubric.metrics.map((m) => ({
+              key: m.key,
+              label: m.label,
+              mine: formatMetricValue(m, local[m.key]),
+              theirs: formatMetricValue(m, remote[m.key]),
+              differs: (local[m.key] ?? null) !== (remote[m.key] ?? null),
+            })),
+            {
+              key: "idealResponse",
+              label: "Ideal response",
+              mine: local.idealResponse || "—",
+              theirs: remote.idealResponse || "—",
+              differs: (local.idealResponse || "") !== (remote.idealResponse || ""),
+            },
+            {
+              key: "notes",
+              label: "Rationales, tags, flag",
+              mine: formatNotes(rubric, local),
+              theirs: formatNotes(rubric, remote),
+              differs: !ratingNotesEqual(local, remote),
+            },
+          ];
+
+          return (
+            <div
+              key={`${callId}:${idx}`}
+              style={{
+                border: "1px solid #e5e7eb",
+                borderRadius: 10,
+                padding: 10,
+              }}
+            >
+              <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 4 }}>
+                {callId} · Turn {idx}
+              </div>
+              <div
+                style={{
+                  fontSize: 13,
+                  color: "#111827",
+                  maxHeight: 60,
+                  overflow: "hidden",
+                  marginBottom: 8,
+                }}
+              >
+                {text}
+              </div>
+
+              <div
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "minmax(120px, 1fr) 2fr 2fr",
+                  gap: 1,
+                  backgroundColor: "#e5e7eb",
+                  fontSize: 12,
+                  marginBottom: 8,
+                }}
+              >
+                <div style={{ background: "#f9fafb", padding: 6, fontWeight: 600 }}>Field</div>
+                <div style={{ background: "#f9fafb", padding: 6, fontWeight: 600 }}>
+                  Yours ({formatTime(local.updatedAt)})
+                </div>
+                <div style={{ background: "#f9fafb", padding: 6, fontWeight: 600 }}>
+                  Server ({formatTime(remote.updatedAt)})
+                </div>
+                {rows.map((r) => {
+                  const cellStyle = {
+                    background: r.differs ? "#fff7ed" : "#ffffff",
+                    padding: 6,
+                    whiteSpace: "pre-wrap",
+                  };
+                  return [
+                    <div key={`${r.key}:label`} style={cellStyle}>
+                      {r.label}
+                    </div>,
+                    <div key={`${r.key}:mine`} style={cellStyle}>
+                      {r.mine}
+                    </div>,
+                    <div key={`${r.key}:theirs`} style={cellStyle}>
+                      {r.theirs}
+                    </div>,
+                  ];
+                })}
+              </div>
+
+              <div style={{ display: "flex", justifyContent: "flex-end", gap: 8 }}>
+                <button
+                  onClick={() => onResolve(callId, idx, "local")}
+                  style={buttonStyle("#6366f1")}
+                >
+                  Keep mine
+                </button>
+                <button
+                  onClick={() => onResolve(callId, idx, "remote")}
+                  style={buttonStyle("#10b981")}
+                >
+                  Use server version
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default ConflictView;
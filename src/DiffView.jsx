@@ -0,0 +1,48 @@
+import { diffWords } from "./textDiff";
+
+const PART_STYLES = {
+  same: {},
+  removed: { backgroundColor: "#fee2e2", color: "#991b1b", textDecoration: "line-through" },
+  added: { backgroundColor: "#dcfce7", color: "#166534" },
+};
+
+const columnStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: 8,
+  borderRadius: 8,
+  border: "1px solid #e5e7eb",
+  backgroundColor: "#ffffff",
+};
+
+const renderParts = (parts) =>
+  parts.map((part, i) => (
+    <span key={i} style={PART_STYLES[part.type]}>
+      {i > 0 && " "}
+      {part.text}
+    </span>
+  ));
+
+// Word-level diff of an Assistant turn against its ideal response (see
+// textDiff.js). mode "inline" marks both sides in one text; "side" shows the
+// original with removals next to the ideal response with additions.
+function DiffView({ original, revised, mode }) {
+  const parts = diffWords(original, revised);
+
+  if (mode === "inline") return <div>{renderParts(parts)}</div>;
+
+  return (
+    <div style={{ display: "flex", gap: 8 }}>
+      <div style={columnStyle}>
+        <div style={{ fontSize: 11, color: "#6b7280", marginBottom: 4 }}>Assistant</div>
+        {renderParts(parts.filter((p) => p.type !== "added"))}
+      </div>
+      <div style={columnStyle}>
+        <div style={{ fontSize: 11, color: "#6b7280", marginBottom: 4 }}>Ideal response</div>
+        {renderParts(parts.filter((p) => p.type !== "removed"))}
+      </div>
+    </div>
+  );
+}
+
+export default DiffView;
@@ -0,0 +1,119 @@
+import { useState } from "react";
+import { isLocalAuth, sendMagicLink } from "./auth";
+
+function LoginScreen() {
+  const [email, setEmail] = useState("");
+  const [status, setStatus] = useState("idle"); // idle | sending | sent | error
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    setStatus("sending");
+    setErrorMessage("");
+    try {
+      const { error } = await sendMagicLink(email.trim());
+      if (error) {
+        console.error("Sign-in error:", error);
+        setErrorMessage(error.message || "Could not send the sign-in link.");
+        setStatus("error");
+        return;
+      }
+      setStatus("sent");
+    } catch (err) {
+      console.error("Unexpected sign-in error:", err);
+      setErrorMessage("Could not send the sign-in link.");
+      setStatus("error");
+    }
+  };
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        height: "100vh",
+        width: "100vw",
+        fontFamily: "system-ui, -apple-system, BlinkMacSystemFont, sans-serif",
+        fontSize: 15,
+        backgroundColor: "#e5e7eb",
+        color: "#111827",
+      }}
+    >
+      <form
+        onSubmit={handleSubmit}
+        style={{
+          width: "min(380px, 92vw)",
+          backgroundColor: "#ffffff",
+          borderRadius: 12,
+          border: "1px solid #e5e7eb",
+          boxShadow: "0 20px 40px rgba(15,23,42,0.12)",
+          padding: 20,
+          display: "flex",
+          flexDirection: "column",
+          gap: 10,
+        }}
+      >
+        <div style={{ fontWeight: 700, fontSize: 16 }}>Call rating dashboard</div>
+        <div style={{ fontSize: 13, color: "#6b7280" }}>
+          {isLocalAuth
+            ? "Local auth mode: enter any email to sign in on this machine."
+            : "Sign in with your work email. We'll send you a magic link."}
+        </div>
+
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="you@example.com"
+          autoFocus
+          required
+          style={{
+            fontSize: 14,
+            padding: 8,
+            borderRadius: 8,
+            border: "1px solid #d1d5db",
+            backgroundColor: "#ffffff",
+            color: "#111827",
+          }}
+        />
+
+        <button
+          type="submit"
+          disabled={status === "sending"}
+          style={{
+            padding: "8px 12px",
+            fontSize: 13,
+            borderRadius: 999,
+            border: "1px solid #6366f1",
+            cursor: status === "sending" ? "default" : "pointer",
+            background: "#6366f1",
+            color: "#ffffff",
+            fontWeight: 500,
+            textAlign: "center",
+            opacity: status === "sending" ? 0.7 : 1,
+          }}
+        >
+          {status === "sending"
+            ? "Sending…"
+            : isLocalAuth
+            ? "Sign in"
+            : "Send magic link"}
+        </button>
+
+        {status === "sent" && !isLocalAuth && (
+          <div style={{ fontSize: 13, color: "#047857" }}>
+            Check {email.trim()} for a sign-in link. You can close this tab.
+          </div>
+        )}
+        {status === "error" && (
+          <div style={{ fontSize: 13, color: "#b91c1c" }}>{errorMessage}</div>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default LoginScreen;
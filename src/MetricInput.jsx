@@ -0,0 +1,61 @@
+import { formatMetricValue, scaleOptions } from "./rubric";
+
+// Renders the input for one rubric metric according to its scale.
+function MetricInput({ metric, value, onChange }) {
+  const options = scaleOptions(metric);
+  const isStars = metric.scale.type === "stars";
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 4 }}>
+      {options.map((opt) =>
+        isStars ? (
+          <button
+            key={opt.value}
+            type="button"
+            onClick={() => onChange(opt.value)}
+            aria-label={`${opt.value} star${opt.value > 1 ? "s" : ""}`}
+            style={{
+              border: "none",
+              background: "transparent",
+              cursor: "pointer",
+              fontSize: 22,
+              padding: 0,
+              color: opt.value <= (value || 0) ? "#f59e0b" : "#d1d5db",
+            }}
+          >
+            ★
+          </button>
+        ) : (
+          <button
+            key={String(opt.value)}
+            type="button"
+            onClick={() => onChange(opt.value)}
+            style={{
+              padding: "3px 10px",
+              fontSize: 12,
+              borderRadius: 999,
+              border: value === opt.value ? "1px solid #6366f1" : "1px solid #d1d5db",
+              background: value === opt.value ? "#6366f1" : "#ffffff",
+              color: value === opt.value ? "#ffffff" : "#374151",
+              cursor: "pointer",
+              whiteSpace: "nowrap",
+            }}
+          >
+            {opt.label}
+          </button>
+        )
+      )}
+      <span
+        style={{
+          fontSize: 12,
+          color: "#4b5563",
+          marginLeft: 6,
+        }}
+      >
+        {formatMetricValue(metric, value)}
+      </span>
+    </div>
+  );
+}
+
+export default MetricInput;
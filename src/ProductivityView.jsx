@@ -0,0 +1,200 @@
+import { useState } from "react";
+import { downloadJson } from "./download";
+import { buildProductivityReport, formatDuration } from "./productivity";
+
+const cardStyle = {
+  borderRadius: 10,
+  border: "1px solid #e5e7eb",
+  backgroundColor: "#ffffff",
+  padding: 10,
+  boxShadow: "0 1px 2px rgba(15, 23, 42, 0.04)",
+};
+
+const headingStyle = {
+  fontSize: 13,
+  fontWeight: 600,
+  marginBottom: 8,
+  color: "#111827",
+};
+
+const cellStyle = { padding: 6, textAlign: "center", border: "1px solid #e5e7eb" };
+
+const inputStyle = {
+  fontSize: 12,
+  padding: "2px 4px",
+  borderRadius: 6,
+  border: "1px solid #d1d5db",
+};
+
+const formatRate = (value) => (value === null ? "–" : value.toFixed(1));
+
+// Active time and throughput per annotator (see timeTracking.js / productivity.js).
+// lockedUserId limits the view to that annotator's own time (annotators who
+// aren't leads).
+function ProductivityView({ entries, rubric, annotatorNames, currentUserId, lockedUserId }) {
+  const [selectedAnnotator, setAnnotator] = useState(""); // "" = everyone
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+
+  const annotator = lockedUserId || selectedAnnotator;
+  const report = buildProductivityReport({ entries, userId: annotator, from, to });
+  const nameOf = (uid, email) =>
+    uid === currentUserId ? "Me" : annotatorNames[uid] || email || uid;
+  const annotatorIds = lockedUserId ? [lockedUserId] : [...new Set(entries.map((e) => e.userId))];
+
+  const fieldLabels = {
+    ...Object.fromEntries(rubric.metrics.map((m) => [m.key, m.label])),
+    idealResponse: "Ideal response",
+    rationales: "Rationales",
+    tags: "Tags",
+    flagged: "Flag for review",
+  };
+  const fieldTotal = Object.values(report.total.fields).reduce((sum, f) => sum + f.ms, 0);
+
+  return (
+    <section
+      style={{
+        flex: 1,
+        minWidth: 800,
+        padding: 12,
+        overflowY: "auto",
+        backgroundColor: "#f3f4f6",
+        display: "flex",
+        flexDirection: "column",
+        gap: 12,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <div style={{ fontWeight: 700, fontSize: 16, color: "#111827" }}>Productivity</div>
+        <label style={{ fontSize: 12, color: "#4b5563" }}>
+          Annotator{" "}
+          <select
+            value={annotator}
+            onChange={(e) => setAnnotator(e.target.value)}
+            disabled={!!lockedUserId}
+            style={inputStyle}
+          >
+            {!lockedUserId && <option value="">Everyone</option>}
+            {annotatorIds.map((uid) => (
+              <option key={uid} value={uid}>
+                {nameOf(uid, entries.find((e) => e.userId === uid)?.email)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={{ fontSize: 12, color: "#4b5563" }}>
+          From{" "}
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} style={inputStyle} />
+        </label>
+        <label style={{ fontSize: 12, color: "#4b5563" }}>
+          To <input type="date" value={to} onChange={(e) => setTo(e.target.value)} style={inputStyle} />
+        </label>
+        <button
+          onClick={() => downloadJson("productivity_report.json", { annotator, from, to, ...report })}
+          style={{
+            marginLeft: "auto",
+            padding: "6px 12px",
+            fontSize: 12,
+            borderRadius: 999,
+            border: "1px solid #6366f1",
+            background: "#ffffff",
+            color: "#6366f1",
+            fontWeight: 500,
+            cursor: "pointer",
+          }}
+        >
+          Download report (JSON)
+        </button>
+      </div>
+
+      <div style={{ fontSize: 12, color: "#6b7280" }}>
+        Only active time counts: a minute without mouse or keyboard activity, or a hidden tab,
+        pauses the clock.
+      </div>
+
+      {report.annotators.length === 0 ? (
+        <div style={{ ...cardStyle, fontSize: 13, color: "#6b7280" }}>
+          No tracked time in this range yet.
+        </div>
+      ) : (
+        <>
+          {/* Summary */}
+          <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+            {[
+              { label: "Active time", value: formatDuration(report.total.activeMs) },
+              { label: "Turns rated", value: report.total.turnsRated },
+              { label: "Turns per hour", value: formatRate(report.total.turnsPerHour) },
+              { label: "Median time per turn", value: formatDuration(report.total.medianTurnMs) },
+            ].map((stat) => (
+              <div key={stat.label} style={{ ...cardStyle, minWidth: 150 }}>
+                <div style={{ fontSize: 12, color: "#6b7280" }}>{stat.label}</div>
+                <div style={{ fontSize: 20, fontWeight: 700, color: "#111827" }}>{stat.value}</div>
+              </div>
+            ))}
+          </div>
+
+          {/* Per annotator */}
+          <div style={cardStyle}>
+            <div style={headingStyle}>Per annotator</div>
+            <table style={{ borderCollapse: "collapse", fontSize: 12, width: "100%" }}>
+              <thead>
+                <tr style={{ color: "#4b5563" }}>
+                  <th style={{ ...cellStyle, textAlign: "left", fontWeight: 500 }}>Annotator</th>
+                  <th style={{ ...cellStyle, fontWeight: 500 }}>Active time</th>
+                  <th style={{ ...cellStyle, fontWeight: 500 }}>Turns rated</th>
+                  <th style={{ ...cellStyle, fontWeight: 500 }}>Turns per hour</th>
+                  <th style={{ ...cellStyle, fontWeight: 500 }}>Median per turn</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.annotators.map((a) => (
+                  <tr key={a.userId}>
+                    <td style={{ ...cellStyle, textAlign: "left" }}>{nameOf(a.userId, a.email)}</td>
+                    <td style={cellStyle}>{formatDuration(a.activeMs)}</td>
+                    <td style={cellStyle}>{a.turnsRated}</td>
+                    <td style={cellStyle}>{formatRate(a.turnsPerHour)}</td>
+                    <td style={cellStyle}>{formatDuration(a.medianTurnMs)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Per rating field */}
+          <div style={cardStyle}>
+            <div style={headingStyle}>Time per metric</div>
+            <div style={{ fontSize: 11, color: "#6b7280", marginBottom: 6 }}>
+              Time in the rating modal before each edit, counted toward the field edited.
+            </div>
+            <table style={{ borderCollapse: "collapse", fontSize: 12, width: "100%" }}>
+              <thead>
+                <tr style={{ color: "#4b5563" }}>
+                  <th style={{ ...cellStyle, textAlign: "left", fontWeight: 500 }}>Field</th>
+                  <th style={{ ...cellStyle, fontWeight: 500 }}>Total</th>
+                  <th style={{ ...cellStyle, fontWeight: 500 }}>Turns</th>
+                  <th style={{ ...cellStyle, fontWeight: 500 }}>Mean per turn</th>
+                  <th style={{ ...cellStyle, fontWeight: 500 }}>Share</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(report.total.fields).map(([field, f]) => (
+                  <tr key={field}>
+                    <td style={{ ...cellStyle, textAlign: "left" }}>{fieldLabels[field] || field}</td>
+                    <td style={cellStyle}>{formatDuration(f.ms)}</td>
+                    <td style={cellStyle}>{f.turns}</td>
+                    <td style={cellStyle}>{formatDuration(f.ms / f.turns)}</td>
+                    <td style={cellStyle}>
+                      {fieldTotal > 0 ? `${Math.round((f.ms / fieldTotal) * 100)}%` : "–"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+export default ProductivityView;
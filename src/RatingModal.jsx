@@ -0,0 +1,528 @@
+import { useEffect, useRef, useState } from "react";
+import DiffView from "./DiffView.jsx";
+import MetricInput from "./MetricInput.jsx";
+import { levelLabel, scaleOptions, unsetValue } from "./rubric";
+import { editStats } from "./textDiff";
+
+const SHORTCUTS = [
+  ["1 – 9, 0", "Set the focused metric"],
+  ["Backspace", "Clear the focused metric"],
+  ["↑ / ↓", "Focus previous / next metric"],
+  ["K or ← / J or →", "Previous / next Assistant turn"],
+  ["N", "Next unrated turn in this call"],
+  ["Shift + N", "Next unfinished call"],
+  ["I", "Write the ideal response"],
+  ["F", "Flag / unflag for review"],
+  ["D", "Switch text / inline diff / side-by-side diff"],
+  ["?", "Show / hide this list"],
+  ["Esc", "Close"],
+];
+
+const FOCUSABLE =
+  'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// value a digit key selects for a metric, or undefined if it selects nothing
+const valueForDigit = (metric, digit) => {
+  const options = scaleOptions(metric);
+  const direct = options.find((o) => o.value === digit);
+  if (direct) return direct.value;
+  if (metric.scale.type === "categorical" && digit >= 1) return options[digit - 1]?.value;
+  return undefined;
+};
+
+// how the Assistant text is shown once there is an ideal response to compare
+const TEXT_VIEWS = [
+  { key: "text", label: "Text" },
+  { key: "inline", label: "Inline diff" },
+  { key: "side", label: "Side by side" },
+];
+
+const nextTextView = (view) =>
+  TEXT_VIEWS[(TEXT_VIEWS.findIndex((t) => t.key === view) + 1) % TEXT_VIEWS.length].key;
+
+const isTypingTarget = (el) =>
+  el && (el.tagName === "TEXTAREA" || el.tagName === "INPUT" || el.tagName === "SELECT");
+
+// Rating dialog for one Assistant turn, fully usable from the keyboard.
+// onChange(field, value) with field a metric key, "idealResponse" or one of
+// the turn notes "rationales", "tags", "flagged" (see rubric.js).
+// Navigation callbacks move the dialog to another turn without closing it.
+function RatingModal({
+  rubric,
+  turnIndex,
+  turnPosition, // { current, total } among the call's Assistant turns
+  utteranceText,
+  rating,
+  onChange,
+  onClose,
+  onPrevTurn,
+  onNextTurn,
+  onNextUnratedTurn,
+  onNextUnfinishedCall,
+}) {
+  const [focusedMetric, setFocusedMetric] = useState(0);
+  const [showHelp, setShowHelp] = useState(false);
+  const [textView, setTextView] = useState("text");
+  const hasIdeal = (rating.idealResponse || "").trim().length > 0;
+  const showDiff = hasIdeal && textView !== "text";
+  const stats = hasIdeal ? editStats(utteranceText, rating.idealResponse) : null;
+  const dialogRef = useRef(null);
+  const textareaRef = useRef(null);
+
+  // take focus on open, give it back on close
+  useEffect(() => {
+    const previouslyFocused = document.activeElement;
+    dialogRef.current?.focus();
+    return () => {
+      if (previouslyFocused instanceof HTMLElement) previouslyFocused.focus();
+    };
+  }, []);
+
+  const trapTab = (e) => {
+    const focusables = [...dialogRef.current.querySelectorAll(FOCUSABLE)].filter(
+      (el) => !el.disabled
+    );
+    if (focusables.length === 0) return;
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || active === dialogRef.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Tab") {
+      trapTab(e);
+      return;
+    }
+    if (e.key === "Escape") {
+      e.preventDefault();
+      if (showHelp) setShowHelp(false);
+      else onClose();
+      return;
+    }
+    // typing in the ideal response or a rationale must not trigger shortcuts
+    if (isTypingTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const metric = rubric.metrics[focusedMetric];
+    let handled = true;
+
+    if (/^[0-9]$/.test(e.key)) {
+      const value = metric ? valueForDigit(metric, Number(e.key)) : undefined;
+      if (value !== undefined) onChange(metric.key, value);
+    } else if (e.key === "Backspace" || e.key === "Delete") {
+      if (metric) onChange(metric.key, unsetValue(metric));
+    } else if (e.key === "ArrowUp") {
+      setFocusedMetric((i) => Math.max(i - 1, 0));
+    } else if (e.key === "ArrowDown") {
+      setFocusedMetric((i) => Math.min(i + 1, rubric.metrics.length - 1));
+    } else if (e.key === "j" || e.key === "ArrowRight") {
+      onNextTurn();
+    } else if (e.key === "k" || e.key === "ArrowLeft") {
+      onPrevTurn();
+    } else if (e.key === "N") {
+      onNextUnfinishedCall();
+    } else if (e.key === "n") {
+      onNextUnratedTurn();
+    } else if (e.key === "i") {
+      textareaRef.current?.focus();
+    } else if (e.key === "f") {
+      onChange("flagged", !rating.flagged);
+    } else if (e.key === "d") {
+      setTextView(nextTextView);
+    } else if (e.key === "?") {
+      setShowHelp((v) => !v);
+    } else {
+      handled = false;
+    }
+
+    if (handled) e.preventDefault();
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(15, 23, 42, 0.45)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 50,
+      }}
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={`Rate Assistant turn ${turnIndex}`}
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          position: "relative",
+          width: "min(800px, 95vw)",
+          maxHeight: "90vh",
+          overflowY: "auto",
+          backgroundColor: "#ffffff",
+          borderRadius: 12,
+          boxShadow: "0 20px 40px rgba(15,23,42,0.25)",
+          padding: 16,
+          display: "flex",
+          flexDirection: "column",
+          gap: 10,
+          outline: "none",
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            marginBottom: 4,
+          }}
+        >
+          <div
+            style={{
+              fontWeight: 700,
+              fontSize: 16,
+            }}
+          >
+            Rate Assistant @ turn {turnIndex}
+            {turnPosition && (
+              <span style={{ fontSize: 12, fontWeight: 400, color: "#6b7280" }}>
+                {" "}
+                ({turnPosition.current} of {turnPosition.total})
+              </span>
+            )}
+          </div>
+          <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+            <button
+              onClick={() => setShowHelp((v) => !v)}
+              style={{ fontSize: 12, color: "#6366f1", cursor: "pointer" }}
+              aria-label="Keyboard shortcuts"
+            >
+              ? Shortcuts
+            </button>
+            <button
+              onClick={onClose}
+              style={{
+                border: "none",
+                background: "transparent",
+                cursor: "pointer",
+                fontSize: 18,
+                lineHeight: 1,
+              }}
+              aria-label="Close"
+            >
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div
+          style={{
+            fontSize: 13,
+            color: "#6b7280",
+          }}
+        >
+          Rate this turn on each metric and optionally write the ideal response.
+        </div>
+
+        {hasIdeal && (
+          <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12 }}>
+            {TEXT_VIEWS.map((v) => (
+              <button
+                key={v.key}
+                onClick={() => setTextView(v.key)}
+                aria-pressed={textView === v.key}
+                style={{
+                  padding: "2px 10px",
+                  borderRadius: 999,
+                  border: `1px solid ${textView === v.key ? "#6366f1" : "#d1d5db"}`,
+                  backgroundColor: textView === v.key ? "#eef2ff" : "#ffffff",
+                  color: textView === v.key ? "#4338ca" : "#374151",
+                  cursor: "pointer",
+                }}
+              >
+                {v.label}
+              </button>
+            ))}
+            <span style={{ marginLeft: "auto", color: "#6b7280" }}>
+              {stats.wordDistance} word edit{stats.wordDistance === 1 ? "" : "s"}
+              {stats.wordEditRate !== null && ` (${Math.round(stats.wordEditRate * 100)}%)`} ·{" "}
+              {stats.charDistance} character{stats.charDistance === 1 ? "" : "s"}
+            </span>
+          </div>
+        )}
+
+        <div
+          style={{
+            padding: 10,
+            borderRadius: 8,
+            backgroundColor: "#f9fafb",
+            border: "1px solid #e5e7eb",
+            maxHeight: showDiff ? 280 : 120,
+            overflowY: "auto",
+            fontSize: 14,
+          }}
+        >
+          {showDiff ? (
+            <DiffView original={utteranceText} revised={rating.idealResponse} mode={textView} />
+          ) : (
+            utteranceText
+          )}
+        </div>
+
+        <div style={{ marginTop: 4 }}>
+          {rubric.metrics.map((metric, i) => (
+            <div
+              key={metric.key}
+              onMouseDown={() => setFocusedMetric(i)}
+              style={{
+                marginBottom: 8,
+                paddingLeft: 8,
+                borderLeft: `3px solid ${i === focusedMetric ? "#6366f1" : "transparent"}`,
+              }}
+            >
+              <div
+                style={{
+                  fontSize: 13,
+                  marginBottom: 2,
+                  color: "#111827",
+                }}
+              >
+                {metric.label} - {levelLabel(metric)}
+                {!metric.required && <span style={{ color: "#9ca3af" }}> (optional)</span>}
+              </div>
+              {metric.description && (
+                <div style={{ fontSize: 11, color: "#6b7280", marginBottom: 2 }}>
+                  {metric.description}
+                </div>
+              )}
+              <MetricInput
+                metric={metric}
+                value={rating[metric.key]}
+                onChange={(value) => onChange(metric.key, value)}
+              />
+              <textarea
+                value={rating.rationales?.[metric.key] || ""}
+                onChange={(e) =>
+                  onChange("rationales", { ...rating.rationales, [metric.key]: e.target.value })
+                }
+                placeholder="Why this rating? (optional)"
+                aria-label={`${metric.label} rationale`}
+                rows={1}
+                style={{
+                  display: "block",
+                  width: "100%",
+                  marginTop: 4,
+                  fontSize: 12,
+                  padding: "4px 6px",
+                  borderRadius: 6,
+                  border: "1px solid #e5e7eb",
+                  resize: "vertical",
+                  backgroundColor: "#ffffff",
+                  color: "#111827",
+                  boxSizing: "border-box",
+                }}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 6 }}>
+          {rubric.tags.map((tag) => {
+            const tags = rating.tags || [];
+            const on = tags.includes(tag.key);
+            return (
+              <button
+                key={tag.key}
+                onClick={() =>
+                  onChange("tags", on ? tags.filter((t) => t !== tag.key) : [...tags, tag.key])
+                }
+                title={tag.description || undefined}
+                aria-pressed={on}
+                style={{
+                  padding: "2px 10px",
+                  fontSize: 12,
+                  borderRadius: 999,
+                  border: `1px solid ${on ? "#dc2626" : "#d1d5db"}`,
+                  backgroundColor: on ? "#fee2e2" : "#ffffff",
+                  color: on ? "#b91c1c" : "#374151",
+                  cursor: "pointer",
+                }}
+              >
+                {tag.label}
+              </button>
+            );
+          })}
+          <button
+            onClick={() => onChange("flagged", !rating.flagged)}
+            aria-pressed={!!rating.flagged}
+            style={{
+              marginLeft: "auto",
+              padding: "2px 10px",
+              fontSize: 12,
+              borderRadius: 999,
+              border: `1px solid ${rating.flagged ? "#d97706" : "#d1d5db"}`,
+              backgroundColor: rating.flagged ? "#fef3c7" : "#ffffff",
+              color: rating.flagged ? "#b45309" : "#374151",
+              cursor: "pointer",
+            }}
+          >
+            {rating.flagged ? "⚑ Flagged for review" : "⚐ Flag for review"}
+          </button>
+        </div>
+
+        <div style={{ marginTop: 4 }}>
+          <div
+            style={{
+              fontSize: 13,
+              marginBottom: 4,
+              color: "#111827",
+            }}
+          >
+            Ideal response for this assistant turn
+            {!rubric.idealResponse.required && (
+              <span style={{ color: "#9ca3af" }}> (optional)</span>
+            )}
+            <button
+              onClick={() => onChange("idealResponse", utteranceText)}
+              disabled={hasIdeal}
+              title={hasIdeal ? "Clear the ideal response to start over" : undefined}
+              style={{
+                marginLeft: 8,
+                fontSize: 12,
+                color: hasIdeal ? "#9ca3af" : "#6366f1",
+                cursor: hasIdeal ? "default" : "pointer",
+              }}
+            >
+              Start from original
+            </button>
+          </div>
+          <textarea
+            ref={textareaRef}
+            value={rating.idealResponse}
+            onChange={(e) => onChange("idealResponse", e.target.value)}
+            placeholder="Write the ideal response you would want the assistant to give here..."
+            style={{
+              width: "100%",
+              minHeight: 80,
+              fontSize: 13,
+              padding: 8,
+              borderRadius: 8,
+              border: "1px solid #d1d5db",
+              resize: "vertical",
+              backgroundColor: "#ffffff",
+              color: "#111827",
+            }}
+          />
+        </div>
+
+        <div
+          style={{
+            marginTop: 10,
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: 8,
+          }}
+        >
+          <div style={{ display: "flex", gap: 8 }}>
+            <button
+              onClick={onPrevTurn}
+              style={{
+                padding: "6px 12px",
+                fontSize: 13,
+                borderRadius: 999,
+                border: "1px solid #d1d5db",
+                backgroundColor: "#ffffff",
+                cursor: "pointer",
+              }}
+            >
+              ← Previous
+            </button>
+            <button
+              onClick={onNextTurn}
+              style={{
+                padding: "6px 12px",
+                fontSize: 13,
+                borderRadius: 999,
+                border: "1px solid #d1d5db",
+                backgroundColor: "#ffffff",
+                cursor: "pointer",
+              }}
+            >
+              Next →
+            </button>
+          </div>
+          <button
+            onClick={onClose}
+            style={{
+              padding: "6px 12px",
+              fontSize: 13,
+              borderRadius: 999,
+              border: "1px solid #d1d5db",
+              backgroundColor: "#ffffff",
+              cursor: "pointer",
+            }}
+          >
+            Close
+          </button>
+        </div>
+
+        {showHelp && (
+          <div
+            style={{
+              position: "absolute",
+              inset: 0,
+              backgroundColor: "rgba(255, 255, 255, 0.97)",
+              borderRadius: 12,
+              padding: 20,
+              display: "flex",
+              flexDirection: "column",
+              gap: 8,
+            }}
+          >
+            <div style={{ fontWeight: 700, fontSize: 15 }}>Keyboard shortcuts</div>
+            <table style={{ fontSize: 13, borderCollapse: "collapse" }}>
+              <tbody>
+                {SHORTCUTS.map(([keys, action]) => (
+                  <tr key={keys}>
+                    <td style={{ padding: "4px 12px 4px 0", whiteSpace: "nowrap" }}>
+                      <kbd
+                        style={{
+                          padding: "1px 6px",
+                          borderRadius: 4,
+                          border: "1px solid #d1d5db",
+                          backgroundColor: "#f9fafb",
+                          fontFamily: "inherit",
+                        }}
+                      >
+                        {keys}
+                      </kbd>
+                    </td>
+                    <td style={{ padding: "4px 0", color: "#374151" }}>{action}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={{ fontSize: 12, color: "#6b7280" }}>
+              Shortcuts are off while typing in the ideal response or a rationale; press Esc
+              to close.
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RatingModal;
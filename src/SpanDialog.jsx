@@ -0,0 +1,153 @@
+import { useState } from "react";
+
+const fieldStyle = {
+  display: "block",
+  width: "100%",
+  marginTop: 4,
+  padding: 6,
+  fontSize: 13,
+  fontFamily: "inherit",
+  borderRadius: 6,
+  border: "1px solid #d1d5db",
+  boxSizing: "border-box",
+};
+
+const buttonStyle = (color, filled) => ({
+  padding: "6px 12px",
+  fontSize: 13,
+  borderRadius: 999,
+  border: `1px solid ${color}`,
+  background: filled ? color : "#ffffff",
+  color: filled ? "#ffffff" : color,
+  cursor: "pointer",
+  fontWeight: 500,
+});
+
+// Label and comment for a highlighted span of an utterance (see spans.js).
+// span is { text, label, comment } for a new selection or an existing span;
+// onDelete is only given for existing spans.
+function SpanDialog({ rubric, span, onSave, onDelete, onClose }) {
+  const [label, setLabel] = useState(span.label || rubric.spanLabels[0]?.key || "");
+  const [comment, setComment] = useState(span.comment || "");
+  const canSave = label.trim().length > 0;
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(15, 23, 42, 0.45)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 60,
+      }}
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Annotate span"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => e.key === "Escape" && onClose()}
+        style={{
+          width: "min(480px, 95vw)",
+          backgroundColor: "#ffffff",
+          borderRadius: 12,
+          boxShadow: "0 20px 40px rgba(15,23,42,0.25)",
+          padding: 16,
+          display: "flex",
+          flexDirection: "column",
+          gap: 12,
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={{ fontWeight: 700, fontSize: 16 }}>
+            {onDelete ? "Edit span" : "Annotate span"}
+          </div>
+          <button
+            onClick={onClose}
+            style={{ fontSize: 18, lineHeight: 1, cursor: "pointer" }}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+
+        <div
+          style={{
+            padding: 8,
+            borderRadius: 8,
+            backgroundColor: "#f9fafb",
+            border: "1px solid #e5e7eb",
+            fontSize: 14,
+            whiteSpace: "pre-wrap",
+            maxHeight: 120,
+            overflowY: "auto",
+          }}
+        >
+          {span.text}
+        </div>
+
+        <label style={{ fontSize: 12, fontWeight: 500, color: "#374151" }}>
+          Label
+          {rubric.spanLabels.length > 0 ? (
+            <select value={label} onChange={(e) => setLabel(e.target.value)} style={fieldStyle}>
+              {rubric.spanLabels.map((l) => (
+                <option key={l.key} value={l.key} title={l.description || undefined}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              placeholder="e.g. wrong_code_switch"
+              style={fieldStyle}
+            />
+          )}
+        </label>
+
+        <label style={{ fontSize: 12, fontWeight: 500, color: "#374151" }}>
+          Comment
+          <textarea
+            autoFocus
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="What is wrong with this part (optional)"
+            rows={3}
+            style={{ ...fieldStyle, resize: "vertical" }}
+          />
+        </label>
+
+        <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+          <div>
+            {onDelete && (
+              <button onClick={onDelete} style={buttonStyle("#dc2626", false)}>
+                Delete
+              </button>
+            )}
+          </div>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button onClick={onClose} style={buttonStyle("#6b7280", false)}>
+              Cancel
+            </button>
+            <button
+              onClick={() => onSave({ label: label.trim(), comment })}
+              disabled={!canSave}
+              style={{
+                ...buttonStyle("#6366f1", canSave),
+                cursor: canSave ? "pointer" : "default",
+              }}
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SpanDialog;
@@ -0,0 +1,183 @@
+import { useState } from "react";
+import { downloadJsonl } from "./download";
+import { metricScoreRange } from "./rubric";
+import { EXPORT_MODES, buildTrainingRecords } from "./trainingExport";
+
+const selectStyle = {
+  fontSize: 13,
+  padding: "4px 6px",
+  borderRadius: 6,
+  border: "1px solid #d1d5db",
+  backgroundColor: "#ffffff",
+  color: "#111827",
+};
+
+// Dialog for exporting SFT records or preference pairs as JSONL.
+function TrainingExport({ calls, ratings, callLevelRatings, completedCalls, rubric, onClose }) {
+  const [mode, setMode] = useState("sft");
+  const [completion, setCompletion] = useState("all");
+  const [minScores, setMinScores] = useState({}); // { metricKey: number }
+
+  const numericMetrics = rubric.metrics.filter((m) => metricScoreRange(m) !== null);
+
+  const records = buildTrainingRecords({
+    calls,
+    ratings,
+    callLevelRatings,
+    completedCalls,
+    rubric,
+    mode,
+    filters: { completion, minScores },
+  });
+
+  const handleDownload = () => {
+    downloadJsonl(`training_${EXPORT_MODES[mode].fileSuffix}.jsonl`, records);
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(15, 23, 42, 0.45)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 60,
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: "min(560px, 95vw)",
+          maxHeight: "90vh",
+          overflowY: "auto",
+          backgroundColor: "#ffffff",
+          borderRadius: 12,
+          boxShadow: "0 20px 40px rgba(15,23,42,0.25)",
+          padding: 16,
+          display: "flex",
+          flexDirection: "column",
+          gap: 12,
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <div style={{ fontWeight: 700, fontSize: 16 }}>Export training data</div>
+          <button
+            onClick={onClose}
+            style={{ fontSize: 18, lineHeight: 1, cursor: "pointer" }}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ fontSize: 13, color: "#6b7280" }}>
+          One record per Assistant turn with an ideal response. The context is the
+          dialogue before that turn.
+        </div>
+
+        <div style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 13 }}>
+          {Object.entries(EXPORT_MODES).map(([key, { label }]) => (
+            <label key={key}>
+              <input type="radio" checked={mode === key} onChange={() => setMode(key)} />{" "}
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 8 }}>
+          Calls
+          <select
+            value={completion}
+            onChange={(e) => setCompletion(e.target.value)}
+            style={selectStyle}
+          >
+            <option value="all">All calls</option>
+            <option value="completed">Only calls marked done</option>
+            <option value="not_completed">Only calls not marked done</option>
+          </select>
+        </label>
+
+        {numericMetrics.length > 0 && (
+          <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+            <div style={{ fontSize: 13, fontWeight: 600 }}>Minimum scores</div>
+            {numericMetrics.map((metric) => {
+              const [min, max] = metricScoreRange(metric);
+              const values = Array.from({ length: max - min + 1 }, (_, i) => min + i);
+              return (
+                <label
+                  key={metric.key}
+                  style={{
+                    fontSize: 12,
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    gap: 8,
+                  }}
+                >
+                  <span>{metric.label}</span>
+                  <select
+                    value={minScores[metric.key] ?? ""}
+                    onChange={(e) =>
+                      setMinScores((prev) => ({
+                        ...prev,
+                        [metric.key]: e.target.value === "" ? null : Number(e.target.value),
+                      }))
+                    }
+                    style={selectStyle}
+                  >
+                    <option value="">Any</option>
+                    {values.map((v) => (
+                      <option key={v} value={v}>
+                        ≥ {v}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              );
+            })}
+          </div>
+        )}
+
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            marginTop: 4,
+          }}
+        >
+          <span style={{ fontSize: 13, color: "#4b5563" }}>
+            {records.length} record{records.length === 1 ? "" : "s"}
+          </span>
+          <button
+            onClick={handleDownload}
+            disabled={records.length === 0}
+            style={{
+              padding: "6px 12px",
+              fontSize: 13,
+              borderRadius: 999,
+              border: "1px solid #6366f1",
+              background: records.length === 0 ? "#f3f4f6" : "#6366f1",
+              color: records.length === 0 ? "#9ca3af" : "#ffffff",
+              cursor: records.length === 0 ? "default" : "pointer",
+              fontWeight: 500,
+            }}
+          >
+            Download JSONL
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TrainingExport;
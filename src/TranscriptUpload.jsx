@@ -0,0 +1,243 @@
+import { useState } from "react";
+import { combineParsed, parseTranscriptText } from "./transcriptIngest";
+
+const MAX_LISTED_PROBLEMS = 200;
+
+const pillButton = (color, filled, disabled) => ({
+  padding: "6px 12px",
+  fontSize: 13,
+  borderRadius: 999,
+  border: `1px solid ${disabled ? "#d1d5db" : color}`,
+  background: disabled ? "#f3f4f6" : filled ? color : "#ffffff",
+  color: disabled ? "#9ca3af" : filled ? "#ffffff" : color,
+  cursor: disabled ? "default" : "pointer",
+  fontWeight: 500,
+  whiteSpace: "nowrap",
+});
+
+// Upload dialog: parses and validates transcript files, shows a report and
+// only hands calls to onLoad(calls, mode) once the annotator confirms.
+// initialResults lets the app open it with an already-parsed file.
+function TranscriptUpload({ existingCallIds, initialResults, onLoad, onClose }) {
+  // [{ source, calls, errors }] one per file
+  const [results, setResults] = useState(initialResults || []);
+  const [mode, setMode] = useState("replace"); // replace | append
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [isReading, setIsReading] = useState(false);
+
+  const readFiles = async (fileList) => {
+    const files = [...fileList];
+    if (files.length === 0) return;
+    setIsReading(true);
+    const parsed = await Promise.all(
+      files.map(async (file) => {
+        try {
+          const text = await file.text();
+          return { source: file.name, ...parseTranscriptText(file.name, text) };
+        } catch (e) {
+          return {
+            source: file.name,
+            calls: [],
+            errors: [{ source: file.name, location: "file", callId: null, message: e.message }],
+          };
+        }
+      })
+    );
+    setResults(parsed);
+    setIsReading(false);
+  };
+
+  const report = combineParsed(results, mode === "append" ? existingCallIds : []);
+  const problemCount = report.errors.length + report.duplicates.length;
+  const hasFiles = results.length > 0;
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        backgroundColor: "rgba(15, 23, 42, 0.45)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 60,
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: "min(760px, 95vw)",
+          maxHeight: "90vh",
+          overflowY: "auto",
+          backgroundColor: "#ffffff",
+          borderRadius: 12,
+          boxShadow: "0 20px 40px rgba(15,23,42,0.25)",
+          padding: 16,
+          display: "flex",
+          flexDirection: "column",
+          gap: 10,
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <div style={{ fontWeight: 700, fontSize: 16 }}>Load transcripts</div>
+          <button
+            onClick={onClose}
+            style={{ fontSize: 18, lineHeight: 1, cursor: "pointer" }}
+            aria-label="Close"
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ fontSize: 13, color: "#6b7280" }}>
+          JSON (array of calls), JSONL (one call per line) or CSV with one row per
+          utterance and columns <code>call_id</code>, <code>author</code>, <code>text</code>{" "}
+          and optionally <code>turn_index</code>.
+        </div>
+
+        <label
+          onDragOver={(e) => {
+            e.preventDefault();
+            setIsDragOver(true);
+          }}
+          onDragLeave={() => setIsDragOver(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setIsDragOver(false);
+            readFiles(e.dataTransfer.files);
+          }}
+          style={{
+            display: "block",
+            padding: 20,
+            borderRadius: 10,
+            border: `2px dashed ${isDragOver ? "#6366f1" : "#d1d5db"}`,
+            backgroundColor: isDragOver ? "#eef2ff" : "#f9fafb",
+            textAlign: "center",
+            fontSize: 13,
+            color: "#4b5563",
+            cursor: "pointer",
+          }}
+        >
+          {isReading ? "Reading…" : "Drop files here or click to choose"}
+          <input
+            type="file"
+            multiple
+            accept=".json,.jsonl,.ndjson,.csv,application/json,text/csv"
+            onChange={(e) => {
+              readFiles(e.target.files);
+              e.target.value = "";
+            }}
+            style={{ display: "none" }}
+          />
+        </label>
+
+        {hasFiles && (
+          <>
+            <div style={{ fontSize: 13, color: "#111827" }}>
+              {results.map((r) => (
+                <div key={r.source}>
+                  <strong>{r.source}</strong>: {r.calls.length} valid call
+                  {r.calls.length === 1 ? "" : "s"}
+                  {r.errors.length > 0 &&
+                    `, ${r.errors.length} problem${r.errors.length === 1 ? "" : "s"}`}
+                </div>
+              ))}
+            </div>
+
+            <div style={{ display: "flex", gap: 12, fontSize: 13 }}>
+              <label>
+                <input
+                  type="radio"
+                  checked={mode === "replace"}
+                  onChange={() => setMode("replace")}
+                />{" "}
+                Replace current calls
+              </label>
+              <label>
+                <input
+                  type="radio"
+                  checked={mode === "append"}
+                  onChange={() => setMode("append")}
+                />{" "}
+                Add to current calls
+              </label>
+            </div>
+
+            {problemCount > 0 ? (
+              <div
+                style={{
+                  borderRadius: 8,
+                  border: "1px solid #fecaca",
+                  backgroundColor: "#fef2f2",
+                  padding: 10,
+                  fontSize: 12,
+                  color: "#7f1d1d",
+                  maxHeight: 260,
+                  overflowY: "auto",
+                }}
+              >
+                <div style={{ fontWeight: 600, marginBottom: 6 }}>
+                  {problemCount} problem{problemCount === 1 ? "" : "s"} found
+                </div>
+                {report.duplicates.slice(0, MAX_LISTED_PROBLEMS).map((d) => (
+                  <div key={`dup:${d.callId}`}>
+                    Duplicate call_id <strong>{d.callId}</strong> in {d.sources.join(", ")}
+                  </div>
+                ))}
+                {report.errors.slice(0, MAX_LISTED_PROBLEMS).map((err, i) => (
+                  <div key={`err:${i}`}>
+                    {err.source} · {err.location}
+                    {err.callId ? ` (call_id ${err.callId})` : ""}: {err.message}
+                  </div>
+                ))}
+                {(report.errors.length > MAX_LISTED_PROBLEMS ||
+                  report.duplicates.length > MAX_LISTED_PROBLEMS) && (
+                  <div style={{ marginTop: 4 }}>…and more</div>
+                )}
+              </div>
+            ) : (
+              <div style={{ fontSize: 13, color: "#047857" }}>
+                All {report.calls.length} calls passed validation.
+              </div>
+            )}
+          </>
+        )}
+
+        <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 6 }}>
+          <button onClick={onClose} style={pillButton("#6b7280", false, false)}>
+            Cancel
+          </button>
+          {problemCount > 0 && (
+            <button
+              onClick={() => onLoad(report.calls, mode)}
+              disabled={report.calls.length === 0}
+              style={pillButton("#f97316", false, report.calls.length === 0)}
+            >
+              Load valid calls only ({report.calls.length})
+            </button>
+          )}
+          <button
+            onClick={() => onLoad(report.calls, mode)}
+            disabled={!hasFiles || problemCount > 0 || report.calls.length === 0}
+            style={pillButton(
+              "#6366f1",
+              true,
+              !hasFiles || problemCount > 0 || report.calls.length === 0
+            )}
+          >
+            Load {report.calls.length} call{report.calls.length === 1 ? "" : "s"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TranscriptUpload;
@@ -0,0 +1,142 @@
+import {
+  useCallback,
+  useImperativeHandle,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+
+// rows kept mounted above and below the viewport, in pixels
+const OVERSCAN_PX = 600;
+
+// first index whose row ends below y (offsets[i] is where row i starts)
+const rowAt = (offsets, y) => {
+  let lo = 0;
+  let hi = offsets.length - 2;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (offsets[mid + 1] <= y) lo = mid + 1;
+    else hi = mid;
+  }
+  return Math.max(lo, 0);
+};
+
+// Windowed list: only the rows in or near the viewport are mounted, so a
+// list of tens of thousands of calls renders as fast as a screenful.
+// Rows can be any height. Each mounted row is measured and estimatedHeight
+// stands in until then. The list is its own scroll container; give it a
+// height (e.g. flex: 1 with minHeight: 0) through style.
+// getKey(item, index) must be stable across renders (define it outside the
+// component). ref exposes scrollToIndex(index), which centres that row and
+// keeps it there while the rows around it are measured.
+function VirtualList({ ref, items, getKey, renderItem, estimatedHeight = 80, gap = 0, style }) {
+  const containerRef = useRef(null);
+  const [heights, setHeights] = useState({}); // { [key]: px, gap included }
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(() => window.innerHeight);
+  // { index } of the row scrollToIndex was asked for, until the user scrolls
+  const [pinned, setPinned] = useState(null);
+
+  const [observer] = useState(
+    () =>
+      new ResizeObserver((entries) => {
+        const measured = {};
+        entries.forEach((entry) => {
+          const key = entry.target.dataset.virtualKey;
+          const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+          if (key === undefined) setViewportHeight(height);
+          else measured[key] = height;
+        });
+        setHeights((prev) =>
+          Object.entries(measured).some(([key, h]) => prev[key] !== h)
+            ? { ...prev, ...measured }
+            : prev
+        );
+      })
+  );
+
+  const observeContainer = useCallback(
+    (el) => {
+      containerRef.current = el;
+      if (!el) return;
+      observer.observe(el);
+      return () => observer.unobserve(el);
+    },
+    [observer]
+  );
+
+  const observeRow = useCallback(
+    (el) => {
+      if (!el) return;
+      observer.observe(el);
+      return () => observer.unobserve(el);
+    },
+    [observer]
+  );
+
+  // offsets[i] = top of row i; offsets[items.length] = total height
+  const offsets = useMemo(() => {
+    const result = new Array(items.length + 1);
+    result[0] = 0;
+    items.forEach((item, i) => {
+      const measured = heights[getKey(item, i)];
+      result[i + 1] = result[i] + (measured ?? estimatedHeight + gap);
+    });
+    return result;
+  }, [items, heights, getKey, estimatedHeight, gap]);
+
+  useImperativeHandle(ref, () => ({ scrollToIndex: (index) => setPinned({ index }) }), []);
+
+  // re-centres the pinned row each time measurements move it
+  useLayoutEffect(() => {
+    const el = containerRef.current;
+    if (!pinned || !el || pinned.index < 0 || pinned.index >= items.length) return;
+    const rowTop = offsets[pinned.index];
+    const rowHeight = offsets[pinned.index + 1] - rowTop;
+    const target = Math.max(0, rowTop + rowHeight / 2 - el.clientHeight / 2);
+    if (Math.abs(el.scrollTop - target) > 1) el.scrollTop = target;
+  }, [pinned, offsets, items.length]);
+
+  const first = rowAt(offsets, Math.max(0, scrollTop - OVERSCAN_PX));
+  const last = Math.min(items.length - 1, rowAt(offsets, scrollTop + viewportHeight + OVERSCAN_PX));
+  const unpin = () => setPinned(null);
+
+  return (
+    <div
+      ref={observeContainer}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      onWheel={unpin}
+      onPointerDown={unpin}
+      onTouchStart={unpin}
+      onKeyDown={unpin}
+      style={{ overflowY: "auto", ...style }}
+    >
+      <div style={{ position: "relative", height: offsets[items.length] }}>
+        {items.length > 0 &&
+          items.slice(first, last + 1).map((item, i) => {
+            const index = first + i;
+            const key = getKey(item, index);
+            return (
+              <div
+                key={key}
+                ref={observeRow}
+                data-virtual-key={key}
+                style={{
+                  position: "absolute",
+                  top: offsets[index],
+                  left: 0,
+                  right: 0,
+                  paddingBottom: gap,
+                }}
+              >
+                {renderItem(item, index)}
+              </div>
+            );
+          })}
+      </div>
+    </div>
+  );
+}
+
+export default VirtualList;
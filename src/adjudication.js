@@ -0,0 +1,81 @@
+import { isNewer, metricValuesEqual } from "./ratingMerge";
+import { emptyRating, getRatingStatus, ratingToRow, rowToRating } from "./rubric";
+
+// ---------------------------------------------------
+// Adjudicated (final) ratings, one per turn
+// Local shape: { [callId]: { [turnIndex]: { ...rating, adjudicatedBy, sourceUserId } } }
+// sourceUserId is the annotator whose rating was taken as-is, or null for a
+// consensus written by the adjudicator.
+// Supabase table adjudicated_ratings:
+// call_id, turn_index, adjudicated_by, source_user_id, ideal_response,
+// updated_at, revision, plus one column per rubric metric (as call_ratings)
+// unique (call_id, turn_index)
+// ---------------------------------------------------
+
+export const ADJUDICATIONS_CONFLICT_COLUMNS = "call_id,turn_index";
+
+export const adjudicationToRow = (rubric, callId, idx, adjudication) => ({
+  call_id: callId,
+  turn_index: idx,
+  adjudicated_by: adjudication.adjudicatedBy,
+  source_user_id: adjudication.sourceUserId || null,
+  ...ratingToRow(rubric, adjudication),
+});
+
+const rowToAdjudication = (rubric, row) => ({
+  ...rowToRating(rubric, row, emptyRating(rubric)),
+  adjudicatedBy: row.adjudicated_by || null,
+  sourceUserId: row.source_user_id || null,
+});
+
+// Applies server rows; the newer side wins. isDirty(row) -> local write queued.
+export const applyAdjudicationRows = (rubric, current, rows, isDirty = () => false) => {
+  const next = { ...current };
+  rows.forEach((row) => {
+    if (!row.call_id || row.turn_index == null || isDirty(row)) return;
+    const local = next[row.call_id]?.[row.turn_index];
+    if (local && !isNewer(row.updated_at, local.updatedAt)) return;
+    next[row.call_id] = {
+      ...(next[row.call_id] || {}),
+      [row.turn_index]: rowToAdjudication(rubric, row),
+    };
+  });
+  return next;
+};
+
+// Assistant turns rated or flagged for review by at least one annotator,
+// disagreements first, then flagged turns:
+// [{ callId, idx, text, ratings: { [userId]: rating }, disagree, flagged, adjudicated }]
+export const adjudicationQueue = ({ calls, rubric, ratingsByAnnotator, adjudications }) => {
+  const queue = [];
+  calls.forEach((call) => {
+    call.dialogue.forEach((utt, idx) => {
+      if (utt.author !== "Assistant") return;
+      const ratings = {};
+      Object.entries(ratingsByAnnotator).forEach(([userId, byCall]) => {
+        const rating = byCall[call.call_id]?.[idx];
+        if (getRatingStatus(rating, rubric) !== "not_started" || rating?.flagged) {
+          ratings[userId] = rating;
+        }
+      });
+      const rated = Object.values(ratings);
+      if (rated.length === 0) return;
+
+      // ideal responses and turn notes are almost never equal, so only the
+      // metric values decide whether annotators disagree
+      const disagree = rated.some((r) => !metricValuesEqual(rubric, r, rated[0]));
+      queue.push({
+        callId: call.call_id,
+        idx,
+        text: utt.text,
+        ratings,
+        disagree,
+        flagged: rated.some((r) => r.flagged),
+        adjudicated: !!adjudications[call.call_id]?.[idx],
+      });
+    });
+  });
+  return queue.sort(
+    (a, b) => Number(b.disagree) - Number(a.disagree) || Number(b.flagged) - Number(a.flagged)
+  );
+};
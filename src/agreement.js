@@ -0,0 +1,224 @@
+import { isMetricAnswered, scaleOptions } from "./rubric";
+
+// ---------------------------------------------------
+// Inter-annotator agreement
+// A "unit" is one Assistant turn rated on a metric by two or more annotators:
+// { callId, idx, values: { [userId]: value } }
+// Categorical metrics are treated as nominal, every other scale as ordinal
+// (categories ordered as in scaleOptions).
+//   Cohen's kappa      unweighted, per annotator pair; the summary is the mean
+//   Fleiss' kappa      all annotators, units may have different rater counts
+//   Krippendorff alpha ordinal (nominal for categorical metrics)
+// Every statistic is null when there is not enough data to compute it.
+// ---------------------------------------------------
+
+export const metricLevel = (metric) =>
+  metric.scale.type === "categorical" ? "nominal" : "ordinal";
+
+const mean = (values) => {
+  const present = values.filter((v) => v !== null);
+  return present.length > 0 ? present.reduce((s, v) => s + v, 0) / present.length : null;
+};
+
+// Assistant turns of each call that at least two annotators rated on this metric.
+export const collectUnits = (metric, calls, ratingsByAnnotator) => {
+  const units = [];
+  calls.forEach((call) => {
+    call.dialogue.forEach((utt, idx) => {
+      if (utt.author !== "Assistant") return;
+      const values = {};
+      Object.entries(ratingsByAnnotator).forEach(([userId, ratings]) => {
+        const value = ratings[call.call_id]?.[idx]?.[metric.key];
+        if (isMetricAnswered(metric, value)) values[userId] = value;
+      });
+      if (Object.keys(values).length >= 2) units.push({ callId: call.call_id, idx, values });
+    });
+  });
+  return units;
+};
+
+// pairs: [[a, b]]; nominal agreement corrected for chance
+export const cohensKappa = (pairs) => {
+  const n = pairs.length;
+  if (n === 0) return null;
+  const countsA = new Map();
+  const countsB = new Map();
+  let observed = 0;
+  pairs.forEach(([a, b]) => {
+    if (a === b) observed += 1;
+    countsA.set(a, (countsA.get(a) || 0) + 1);
+    countsB.set(b, (countsB.get(b) || 0) + 1);
+  });
+  const po = observed / n;
+  let pe = 0;
+  countsA.forEach((count, category) => {
+    pe += (count / n) * ((countsB.get(category) || 0) / n);
+  });
+  if (pe === 1) return po === 1 ? 1 : null;
+  return (po - pe) / (1 - pe);
+};
+
+export const fleissKappa = (units) => {
+  if (units.length === 0) return null;
+  const totals = new Map();
+  let ratingsTotal = 0;
+  let agreementSum = 0;
+
+  units.forEach(({ values }) => {
+    const counts = new Map();
+    Object.values(values).forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+    const n = Object.keys(values).length;
+    let agreeingPairs = 0;
+    counts.forEach((c, category) => {
+      agreeingPairs += c * (c - 1);
+      totals.set(category, (totals.get(category) || 0) + c);
+    });
+    agreementSum += agreeingPairs / (n * (n - 1));
+    ratingsTotal += n;
+  });
+
+  const pBar = agreementSum / units.length;
+  let pe = 0;
+  totals.forEach((count) => {
+    pe += (count / ratingsTotal) ** 2;
+  });
+  if (pe === 1) return pBar === 1 ? 1 : null;
+  return (pBar - pe) / (1 - pe);
+};
+
+// order: categories in ascending order (used for the ordinal distance)
+export const krippendorffAlpha = (units, order, level = "ordinal") => {
+  const rank = new Map(order.map((v, i) => [v, i]));
+  const k = order.length;
+  const coincidence = Array.from({ length: k }, () => new Array(k).fill(0));
+
+  units.forEach(({ values }) => {
+    const ranks = Object.values(values)
+      .map((v) => rank.get(v))
+      .filter((r) => r !== undefined);
+    const m = ranks.length;
+    if (m < 2) return;
+    ranks.forEach((c, i) => {
+      ranks.forEach((r, j) => {
+        if (i !== j) coincidence[c][r] += 1 / (m - 1);
+      });
+    });
+  });
+
+  const marginals = coincidence.map((row) => row.reduce((s, v) => s + v, 0));
+  const n = marginals.reduce((s, v) => s + v, 0);
+  if (n <= 1) return null;
+
+  const distance = (c, r) => {
+    if (level === "nominal") return c === r ? 0 : 1;
+    const [lo, hi] = c < r ? [c, r] : [r, c];
+    let between = 0;
+    for (let g = lo; g <= hi; g += 1) between += marginals[g];
+    return (between - (marginals[lo] + marginals[hi]) / 2) ** 2;
+  };
+
+  let observed = 0;
+  let expected = 0;
+  for (let c = 0; c < k; c += 1) {
+    for (let r = 0; r < k; r += 1) {
+      const d = distance(c, r);
+      observed += coincidence[c][r] * d;
+      expected += marginals[c] * marginals[r] * d;
+    }
+  }
+  if (expected === 0) return observed === 0 ? 1 : null;
+  return 1 - ((n - 1) * observed) / expected;
+};
+
+// { [a]: { [b]: { kappa, agreement, n } } } over units both annotators rated
+export const pairwiseMatrix = (units, annotatorIds) => {
+  const matrix = {};
+  annotatorIds.forEach((a) => {
+    matrix[a] = {};
+    annotatorIds.forEach((b) => {
+      const pairs = units
+        .filter((u) => a in u.values && b in u.values)
+        .map((u) => [u.values[a], u.values[b]]);
+      matrix[a][b] = {
+        kappa: a === b ? null : cohensKappa(pairs),
+        agreement: pairs.length > 0 ? pairs.filter(([x, y]) => x === y).length / pairs.length : null,
+        n: pairs.length,
+      };
+    });
+  });
+  return matrix;
+};
+
+// 0..1: how far apart the annotators are on one unit
+const unitDisagreement = (values, order, level) => {
+  const ranks = Object.values(values).map((v) => order.indexOf(v));
+  if (level === "nominal" || order.length < 2) {
+    return ranks.every((r) => r === ranks[0]) ? 0 : 1;
+  }
+  return (Math.max(...ranks) - Math.min(...ranks)) / (order.length - 1);
+};
+
+// Turns sorted by mean disagreement across metrics, largest first.
+export const largestDisagreements = (rubric, unitsByMetric, limit = 25) => {
+  const byTurn = new Map();
+  rubric.metrics.forEach((metric) => {
+    const order = scaleOptions(metric).map((o) => o.value);
+    unitsByMetric[metric.key].forEach((unit) => {
+      const key = `${unit.callId}:${unit.idx}`;
+      if (!byTurn.has(key)) {
+        byTurn.set(key, { callId: unit.callId, idx: unit.idx, scores: [], values: {} });
+      }
+      const turn = byTurn.get(key);
+      turn.scores.push(unitDisagreement(unit.values, order, metricLevel(metric)));
+      turn.values[metric.key] = unit.values;
+    });
+  });
+
+  return [...byTurn.values()]
+    .map(({ scores, ...turn }) => ({ ...turn, disagreement: mean(scores) }))
+    .filter((t) => t.disagreement > 0)
+    .sort((a, b) => b.disagreement - a.disagreement)
+    .slice(0, limit);
+};
+
+// Full report, also the shape of the JSON download.
+export const buildAgreementReport = ({ calls, rubric, ratingsByAnnotator }) => {
+  const annotatorIds = Object.keys(ratingsByAnnotator);
+  const unitsByMetric = {};
+  const sharedCalls = new Set();
+
+  const metrics = rubric.metrics.map((metric) => {
+    const units = collectUnits(metric, calls, ratingsByAnnotator);
+    unitsByMetric[metric.key] = units;
+    units.forEach((u) => sharedCalls.add(u.callId));
+
+    const level = metricLevel(metric);
+    const order = scaleOptions(metric).map((o) => o.value);
+    const pairwise = pairwiseMatrix(units, annotatorIds);
+    const pairKappas = [];
+    annotatorIds.forEach((a, i) => {
+      annotatorIds.slice(i + 1).forEach((b) => {
+        if (pairwise[a][b].n > 0) pairKappas.push(pairwise[a][b].kappa);
+      });
+    });
+
+    return {
+      key: metric.key,
+      label: metric.label,
+      level,
+      units: units.length,
+      cohensKappa: mean(pairKappas),
+      fleissKappa: fleissKappa(units),
+      krippendorffAlpha: krippendorffAlpha(units, order, level),
+      pairwise,
+    };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    annotators: annotatorIds,
+    sharedCalls: [...sharedCalls],
+    metrics,
+    disagreements: largestDisagreements(rubric, unitsByMetric),
+  };
+};
@@ -0,0 +1,190 @@
+import { describe, expect, it } from "vitest";
+import {
+  cohensKappa,
+  fleissKappa,
+  krippendorffAlpha,
+  largestDisagreements,
+  pairwiseMatrix,
+} from "./agreement";
+import { parseRubric } from "./rubric";
+
+// one unit per row of a subjects × categories count table (Fleiss' layout):
+// counts[j] raters put the subject in category j + 1
+const unitsFromCounts = (table) =>
+  table.map((counts, i) => {
+    const values = {};
+    let rater = 0;
+    counts.forEach((count, j) => {
+      for (let c = 0; c < count; c += 1) {
+        values[`r${rater}`] = j + 1;
+        rater += 1;
+      }
+    });
+    return { callId: "c1", idx: i, values };
+  });
+
+// one unit per column of an observers × units reliability table, null = missing
+const unitsFromObservers = (observers) =>
+  Object.values(observers)[0].map((_, i) => {
+    const values = {};
+    Object.entries(observers).forEach(([id, row]) => {
+      if (row[i] != null) values[id] = row[i];
+    });
+    return { callId: "c1", idx: i, values };
+  });
+
+describe("cohensKappa", () => {
+  it("matches the two-rater worked example (kappa 0.4)", () => {
+    // 50 proposals: 20 yes/yes, 5 yes/no, 10 no/yes, 15 no/no
+    const pairs = [
+      ...Array(20).fill(["yes", "yes"]),
+      ...Array(5).fill(["yes", "no"]),
+      ...Array(10).fill(["no", "yes"]),
+      ...Array(15).fill(["no", "no"]),
+    ];
+    expect(cohensKappa(pairs)).toBeCloseTo(0.4, 10);
+  });
+
+  it("is null without pairs", () => {
+    expect(cohensKappa([])).toBeNull();
+  });
+
+  it("is 1 when both raters only ever use the same category (pe = 1)", () => {
+    expect(cohensKappa([[3, 3], [3, 3]])).toBe(1);
+  });
+
+  it("is negative for systematic disagreement", () => {
+    expect(cohensKappa([[1, 2], [2, 1]])).toBe(-1);
+  });
+});
+
+describe("fleissKappa", () => {
+  it("matches the 14 raters × 10 subjects worked example (kappa 0.210)", () => {
+    const units = unitsFromCounts([
+      [0, 0, 0, 0, 14],
+      [0, 2, 6, 4, 2],
+      [0, 0, 3, 5, 6],
+      [0, 3, 9, 2, 0],
+      [2, 2, 8, 1, 1],
+      [7, 7, 0, 0, 0],
+      [3, 2, 6, 3, 0],
+      [2, 5, 3, 2, 2],
+      [6, 5, 2, 1, 0],
+      [0, 2, 2, 3, 7],
+    ]);
+    expect(fleissKappa(units)).toBeCloseTo(0.21, 2);
+  });
+
+  it("is null without units", () => {
+    expect(fleissKappa([])).toBeNull();
+  });
+
+  it("is 1 when every rating falls in one category (pe = 1)", () => {
+    expect(fleissKappa(unitsFromCounts([[3, 0], [2, 0]]))).toBe(1);
+  });
+
+  it("allows units with different numbers of raters", () => {
+    // perfect agreement within every unit
+    expect(fleissKappa(unitsFromCounts([[2, 0], [0, 3], [4, 0]]))).toBeCloseTo(1, 10);
+  });
+});
+
+describe("krippendorffAlpha", () => {
+  // Krippendorff's reliability data example: 4 observers, 12 units, values
+  // 1..5 with missing data (unit 12 has a single value and is not pairable)
+  const units = unitsFromObservers({
+    A: [1, 2, 3, 3, 2, 1, 4, 1, 2, null, null, null],
+    B: [1, 2, 3, 3, 2, 2, 4, 1, 2, 5, null, 3],
+    C: [null, 3, 3, 3, 2, 3, 4, 2, 2, 5, 1, null],
+    D: [1, 2, 3, 3, 2, 4, 4, 1, 2, 5, 1, null],
+  });
+  const order = [1, 2, 3, 4, 5];
+
+  it("matches the published nominal alpha (0.743)", () => {
+    expect(krippendorffAlpha(units, order, "nominal")).toBeCloseTo(0.743, 3);
+  });
+
+  it("matches the published ordinal alpha (0.815)", () => {
+    expect(krippendorffAlpha(units, order, "ordinal")).toBeCloseTo(0.815, 3);
+  });
+
+  it("is null when no unit has two raters (n <= 1)", () => {
+    const single = [{ values: { a: 1 } }, { values: { b: 2 } }];
+    expect(krippendorffAlpha(single, order)).toBeNull();
+    expect(krippendorffAlpha([], order)).toBeNull();
+  });
+
+  it("ignores values outside the scale", () => {
+    const withStray = [{ values: { a: 1, b: 1, c: 9 } }, { values: { a: 2, b: 2 } }];
+    expect(krippendorffAlpha(withStray, order)).toBe(1);
+  });
+
+  it("is 1 when every value is the same", () => {
+    expect(krippendorffAlpha([{ values: { a: 3, b: 3 } }], order)).toBe(1);
+  });
+});
+
+describe("pairwiseMatrix", () => {
+  it("compares each pair of annotators on the units both rated", () => {
+    const units = [
+      { callId: "c1", idx: 1, values: { a: 1, b: 1, c: 2 } },
+      { callId: "c1", idx: 3, values: { a: 2, b: 1 } },
+    ];
+    const matrix = pairwiseMatrix(units, ["a", "b", "c"]);
+    expect(matrix.a.b).toEqual({ kappa: 0, agreement: 0.5, n: 2 });
+    expect(matrix.a.c).toEqual({ kappa: 0, agreement: 0, n: 1 });
+    expect(matrix.a.a).toMatchObject({ kappa: null, agreement: 1, n: 2 });
+  });
+
+  it("has no agreement for annotators without shared units", () => {
+    const matrix = pairwiseMatrix([{ values: { a: 1, b: 1 } }], ["a", "z"]);
+    expect(matrix.a.z).toEqual({ kappa: null, agreement: null, n: 0 });
+  });
+});
+
+describe("largestDisagreements", () => {
+  const rubric = parseRubric({
+    metrics: [
+      { key: "fluency", label: "Fluency", scale: { type: "stars", max: 5 } },
+      {
+        key: "intent",
+        label: "Intent",
+        scale: {
+          type: "categorical",
+          options: [
+            { value: "billing", label: "Billing" },
+            { value: "card", label: "Card" },
+          ],
+        },
+      },
+    ],
+  });
+
+  it("ranks turns by mean disagreement across metrics and drops full agreement", () => {
+    const result = largestDisagreements(rubric, {
+      fluency: [
+        { callId: "c1", idx: 1, values: { a: 1, b: 5 } },
+        { callId: "c1", idx: 3, values: { a: 2, b: 3 } },
+        { callId: "c2", idx: 1, values: { a: 4, b: 4 } },
+      ],
+      intent: [
+        { callId: "c1", idx: 3, values: { a: "card", b: "billing" } },
+        { callId: "c2", idx: 1, values: { a: "card", b: "card" } },
+      ],
+    });
+
+    expect(result.map(({ callId, idx, disagreement }) => [callId, idx, disagreement])).toEqual([
+      ["c1", 1, 1],
+      ["c1", 3, 0.625],
+    ]);
+    expect(result[1].values).toEqual({
+      fluency: { a: 2, b: 3 },
+      intent: { a: "card", b: "billing" },
+    });
+  });
+
+  it("keeps at most limit turns", () => {
+    const fluency = [1, 3, 5].map((idx) => ({ callId: "c1", idx, values: { a: 1, b: 2 } }));
+    expect(largestDisagreements(rubric, { fluency, intent: [] }, 2)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,151 @@
+import { isCallCompleted } from "./completion";
+import { getRatingStatus, metricScore, metricScoreRange, scaleOptions } from "./rubric";
+
+// ---------------------------------------------------
+// Rating analytics across calls
+// Everything works on a flat list of rated turns:
+// [{ callId, idx, userId, rating, text }]
+// ---------------------------------------------------
+
+const mean = (values) =>
+  values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+// ratingsByAnnotator: { [userId]: ratings }, completionsByAnnotator likewise.
+// completion: "all" | "completed" | "not_completed"; annotatorId: userId | "all"
+export const collectRatedTurns = ({
+  calls,
+  rubric,
+  ratingsByAnnotator,
+  completionsByAnnotator,
+  completion = "all",
+  annotatorId = "all",
+}) => {
+  const turns = [];
+  Object.entries(ratingsByAnnotator).forEach(([userId, ratings]) => {
+    if (annotatorId !== "all" && annotatorId !== userId) return;
+    const completions = completionsByAnnotator[userId] || {};
+
+    calls.forEach((call) => {
+      const done = isCallCompleted(completions, call.call_id);
+      if (completion === "completed" && !done) return;
+      if (completion === "not_completed" && done) return;
+
+      Object.entries(ratings[call.call_id] || {}).forEach(([idx, rating]) => {
+        const utt = call.dialogue[idx];
+        if (!utt || utt.author !== "Assistant") return;
+        if (getRatingStatus(rating, rubric) === "not_started") return;
+        turns.push({ callId: call.call_id, idx: Number(idx), userId, rating, text: utt.text });
+      });
+    });
+  });
+  return turns;
+};
+
+// { bins: [{ value, label, count }], mean, n } over answered turns
+export const metricHistogram = (metric, turns) => {
+  const bins = scaleOptions(metric).map((opt) => ({ ...opt, count: 0 }));
+  const scores = [];
+  turns.forEach(({ rating }) => {
+    const bin = bins.find((b) => b.value === rating[metric.key]);
+    if (!bin) return;
+    bin.count += 1;
+    const score = metricScore(metric, rating[metric.key]);
+    if (score !== null) scores.push(score);
+  });
+  return {
+    bins,
+    mean: mean(scores),
+    n: bins.reduce((sum, b) => sum + b.count, 0),
+  };
+};
+
+// Score scaled to 0..1 so metrics with different scales can be averaged.
+const normalizedScore = (metric, value) => {
+  const score = metricScore(metric, value);
+  const range = metricScoreRange(metric);
+  if (score === null || !range || range[1] === range[0]) return null;
+  return (score - range[0]) / (range[1] - range[0]);
+};
+
+// mean normalized score over the metrics a turn has answered (0..1), or null
+export const overallScore = (rubric, rating) =>
+  mean(
+    rubric.metrics
+      .map((m) => normalizedScore(m, rating[m.key]))
+      .filter((v) => v !== null)
+  );
+
+// [{ callId, turns, means: { [metricKey]: mean }, overall }] lowest overall first
+export const perCallAverages = (rubric, turns) => {
+  const byCall = new Map();
+  turns.forEach((t) => {
+    if (!byCall.has(t.callId)) byCall.set(t.callId, []);
+    byCall.get(t.callId).push(t);
+  });
+
+  return [...byCall.entries()]
+    .map(([callId, callTurns]) => {
+      const means = {};
+      rubric.metrics.forEach((m) => {
+        means[m.key] = mean(
+          callTurns
+            .map((t) => metricScore(m, t.rating[m.key]))
+            .filter((v) => v !== null)
+        );
+      });
+      return {
+        callId,
+        turns: callTurns.length,
+        means,
+        overall: mean(
+          callTurns.map((t) => overallScore(rubric, t.rating)).filter((v) => v !== null)
+        ),
+      };
+    })
+    .sort((a, b) => (a.overall ?? Infinity) - (b.overall ?? Infinity));
+};
+
+export const lowestScoringTurns = (rubric, turns, limit = 20) =>
+  turns
+    .map((t) => ({ ...t, overall: overallScore(rubric, t.rating) }))
+    .filter((t) => t.overall !== null)
+    .sort((a, b) => a.overall - b.overall)
+    .slice(0, limit);
+
+export const pearson = (xs, ys) => {
+  const n = xs.length;
+  if (n < 2) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i += 1) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  if (sxx === 0 || syy === 0) return null;
+  return sxy / Math.sqrt(sxx * syy);
+};
+
+// { [keyA]: { [keyB]: { r, n } } } over turns where both metrics are scored
+export const correlationMatrix = (metrics, turns) => {
+  const matrix = {};
+  metrics.forEach((a) => {
+    matrix[a.key] = {};
+    metrics.forEach((b) => {
+      const xs = [];
+      const ys = [];
+      turns.forEach(({ rating }) => {
+        const x = metricScore(a, rating[a.key]);
+        const y = metricScore(b, rating[b.key]);
+        if (x === null || y === null) return;
+        xs.push(x);
+        ys.push(y);
+      });
+      matrix[a.key][b.key] = { r: pearson(xs, ys), n: xs.length };
+    });
+  });
+  return matrix;
+};
@@ -0,0 +1,64 @@
+import { callRatingToExportFields, getCallRatingStatus } from "./callRating";
+import {
+  getRatingStatus,
+  hasRatingNotes,
+  ratingNotesToExportFields,
+  ratingToExportFields,
+} from "./rubric";
+import { spanToExportFields } from "./spans";
+import { editStats, editStatsToExportFields } from "./textDiff";
+
+// ---------------------------------------------------
+// Annotated version of a call (for download; read back by annotatedImport.js)
+// source: "mine" exports this annotator's ratings, "adjudicated" the final
+// ratings from adjudication (turns without one are left unlabelled).
+// This annotator's call rating goes on the call as call_rating_* fields,
+// their rationales, tags and flags on the turns, their highlighted spans on
+// any utterance as span_annotations (offsets into utt.text, see spans.js).
+// Turns with an ideal response also carry its edit distance to the
+// original (see textDiff.js).
+// labels: { [turnIndex]: rating } of the call, spans: { [turnIndex]: [span] }
+// ---------------------------------------------------
+export const buildAnnotatedCall = (
+  rubric,
+  call,
+  { source = "mine", labels = {}, completion, callRating, spans = {} }
+) => {
+  const callLevelRating = source === "mine" ? callRating : undefined;
+  const callSpans = source === "mine" ? spans : {};
+  return {
+    call_id: call.call_id,
+    labels: source,
+    completed: !!completion?.completed,
+    completed_at: completion?.completed ? completion.completedAt : null,
+    completed_by: completion?.completed ? completion.completedBy : null,
+    ...(getCallRatingStatus(callLevelRating, rubric) !== "not_started" &&
+      callRatingToExportFields(rubric, callLevelRating)),
+    dialogue: call.dialogue.map((utt, idx) => {
+      const rating = labels[idx];
+      const fields = { ...utt };
+      if (callSpans[idx]) {
+        fields.span_annotations = callSpans[idx].map(spanToExportFields);
+      }
+      if (
+        utt.author === "Assistant" &&
+        (getRatingStatus(rating, rubric) !== "not_started" || hasRatingNotes(rating))
+      ) {
+        Object.assign(fields, ratingToExportFields(rubric, rating));
+        if ((rating.idealResponse || "").trim()) {
+          Object.assign(
+            fields,
+            editStatsToExportFields(editStats(utt.text, rating.idealResponse))
+          );
+        }
+        if (source === "adjudicated") {
+          fields.adjudicated_by = rating.adjudicatedBy;
+          fields.adjudication_source_user_id = rating.sourceUserId;
+        } else {
+          Object.assign(fields, ratingNotesToExportFields(rubric, rating));
+        }
+      }
+      return fields;
+    }),
+  };
+};
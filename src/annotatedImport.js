@@ -0,0 +1,193 @@
+import {
+  callRatingValuesEqual,
+  emptyCallRating,
+  exportFieldsToCallRating,
+  getCallRatingStatus,
+} from "./callRating";
+import { normalizeCompletions } from "./completion";
+import { ratingValuesEqual } from "./ratingMerge";
+import { emptyRating, exportFieldsToRating, getRatingStatus, hasRatingNotes } from "./rubric";
+import { exportFieldsToSpans, groupSpans } from "./spans";
+import { validateCall } from "./transcriptIngest";
+
+// ---------------------------------------------------
+// Import of annotated transcript files
+// Reads what buildAnnotatedCall writes (see annotatedExport.js; "Download
+// call" is one call object, "Download all" an array of them): the dialogue
+// with rating_* fields on rated Assistant turns and span_annotations on any
+// utterance, plus completed / completed_at / completed_by and the
+// call_rating_* fields of a call rating.
+// Parsing returns { calls, errors } like transcriptIngest.js, each call being
+//   { call, ratings: { [turnIndex]: values }, spans: { [turnIndex]: [span] },
+//     callRating, completion, labels }
+// where call is the plain transcript with every annotation field removed.
+// ---------------------------------------------------
+
+const ANNOTATION_FIELDS = ["adjudicated_by", "adjudication_source_user_id", "span_annotations"];
+
+const stripAnnotations = (utt) =>
+  Object.fromEntries(
+    Object.entries(utt).filter(
+      ([key]) => !key.startsWith("rating_") && !ANNOTATION_FIELDS.includes(key)
+    )
+  );
+
+export const parseAnnotatedText = (source, text, rubric) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return {
+      calls: [],
+      errors: [{ source, location: "file", callId: null, message: `Invalid JSON: ${e.message}` }],
+    };
+  }
+
+  const items = Array.isArray(data) ? data : [data];
+  const calls = [];
+  const errors = [];
+
+  items.forEach((item, i) => {
+    const location = Array.isArray(data) ? `item ${i + 1}` : "file";
+    const callId = item && item.call_id != null ? String(item.call_id) : null;
+    const problems = validateCall(item);
+    if (problems.length > 0) {
+      problems.forEach((message) => errors.push({ source, location, callId, message }));
+      return;
+    }
+
+    const ratings = {};
+    const spans = {};
+    item.dialogue.forEach((utt, idx) => {
+      const { values, problems: fieldProblems } = exportFieldsToRating(rubric, utt);
+      const { spans: turnSpans, problems: spanProblems } = exportFieldsToSpans(utt);
+      [...fieldProblems, ...spanProblems].forEach((message) =>
+        errors.push({ source, location: `${location}, dialogue[${idx}]`, callId, message })
+      );
+      if (values && utt.author === "Assistant") ratings[idx] = values;
+      if (turnSpans.length > 0) spans[idx] = turnSpans;
+    });
+
+    const { values: callRating, problems: callRatingProblems } = exportFieldsToCallRating(
+      rubric,
+      item
+    );
+    callRatingProblems.forEach((message) => errors.push({ source, location, callId, message }));
+
+    const completion =
+      typeof item.completed === "boolean"
+        ? normalizeCompletions({
+            [callId]: {
+              completed: item.completed,
+              completedAt: item.completed_at,
+              completedBy: item.completed_by,
+            },
+          })[callId]
+        : null;
+
+    calls.push({
+      call: {
+        call_id: callId,
+        dialogue: item.dialogue.map(stripAnnotations),
+      },
+      ratings,
+      spans,
+      callRating,
+      completion,
+      labels: item.labels || "mine",
+    });
+  });
+
+  return { calls, errors };
+};
+
+// Dry run: what applying the imported calls would do to this annotator's data.
+// {
+//   ratingChanges: [{ callId, idx, values, kind: "added" | "changed" }],
+//   counts: { added, changed, unchanged },
+//   callRatingChanges: [{ callId, values }],   call ratings that differ from mine
+//   spanChanges: [{ callId, idx, span, existingId }]   spans I don't have yet
+//                (existingId null) or whose comment differs from mine; a span
+//                is the same when its offsets and label are
+//   completionChanges: [{ callId, completion }],
+//   unknownCalls: [call]       transcripts of calls not loaded in the dashboard
+//   adjudicated: boolean       some file holds adjudicated rather than own labels
+// }
+// When the same call appears in several files the last one wins.
+export const planAnnotatedImport = ({
+  rubric,
+  imported,
+  ratings,
+  callLevelRatings,
+  spans = {},
+  completedCalls,
+  knownCallIds,
+}) => {
+  const byCall = new Map(imported.map((entry) => [entry.call.call_id, entry]));
+  const known = new Set(knownCallIds);
+  const ratingChanges = [];
+  const counts = { added: 0, changed: 0, unchanged: 0 };
+  const callRatingChanges = [];
+  const spanChanges = [];
+  const completionChanges = [];
+  const unknownCalls = [];
+  const currentSpans = groupSpans(spans);
+
+  byCall.forEach((entry, callId) => {
+    const { call, ratings: importedRatings, spans: importedSpans, callRating, completion } = entry;
+    if (!known.has(callId)) unknownCalls.push(call);
+
+    const isBlank = (rating) =>
+      getRatingStatus(rating, rubric) === "not_started" && !hasRatingNotes(rating);
+
+    Object.entries(importedRatings).forEach(([idx, values]) => {
+      const current = ratings[callId]?.[idx];
+      // turn notes missing from the file keep their current value
+      const incoming = { ...emptyRating(rubric), ...current, ...values };
+      if (isBlank(incoming)) return;
+
+      if (isBlank(current)) {
+        counts.added += 1;
+        ratingChanges.push({ callId, idx: Number(idx), values, kind: "added" });
+      } else if (ratingValuesEqual(rubric, current, incoming)) {
+        counts.unchanged += 1;
+      } else {
+        counts.changed += 1;
+        ratingChanges.push({ callId, idx: Number(idx), values, kind: "changed" });
+      }
+    });
+
+    if (callRating && getCallRatingStatus(callRating, rubric) !== "not_started") {
+      const current = callLevelRatings[callId] || emptyCallRating(rubric);
+      if (!callRatingValuesEqual(rubric, current, callRating)) {
+        callRatingChanges.push({ callId, values: callRating });
+      }
+    }
+
+    Object.entries(importedSpans || {}).forEach(([idx, list]) => {
+      const current = currentSpans[callId]?.[idx] || [];
+      list.forEach((span) => {
+        const existing = current.find(
+          (s) => s.start === span.start && s.end === span.end && s.label === span.label
+        );
+        if (existing && (existing.comment || "") === span.comment) return;
+        spanChanges.push({ callId, idx: Number(idx), span, existingId: existing?.id || null });
+      });
+    });
+
+    const currentCompletion = completedCalls[callId];
+    if (completion && !!currentCompletion?.completed !== completion.completed) {
+      completionChanges.push({ callId, completion });
+    }
+  });
+
+  return {
+    ratingChanges,
+    counts,
+    callRatingChanges,
+    spanChanges,
+    completionChanges,
+    unknownCalls,
+    adjudicated: imported.some((entry) => entry.labels === "adjudicated"),
+  };
+};
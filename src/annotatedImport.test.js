@@ -0,0 +1,156 @@
+import { describe, expect, it } from "vitest";
+import { buildAnnotatedCall } from "./annotatedExport";
+import { parseAnnotatedText, planAnnotatedImport } from "./annotatedImport";
+import { emptyCallRating } from "./callRating";
+import { DEFAULT_RUBRIC, emptyRating } from "./rubric";
+import { newSpan } from "./spans";
+
+const CALL = {
+  call_id: "call-1",
+  dialogue: [
+    { author: "User", text: "Hi, I lost my card." },
+    { author: "Assistant", text: "Sorry to hear that, let me block it." },
+    { author: "User", text: "Thanks. Can I get a new one?" },
+    { author: "Assistant", text: "Yes, it arrives in five days." },
+    { author: "User", text: "Great, bye." },
+    { author: "Assistant", text: "Bye!" },
+  ],
+};
+
+const rating = (values) => ({ ...emptyRating(DEFAULT_RUBRIC), ...values });
+
+const RATINGS = {
+  "call-1": {
+    1: rating({
+      codeSwitch: 4,
+      colloquialness: 5,
+      emotionalIntelligence: 3,
+      idealResponse: "Sorry to hear that. I'm blocking it now.",
+      rationales: { colloquialness: "Sounds natural" },
+      tags: ["asr_error"],
+      flagged: true,
+    }),
+    3: rating({ codeSwitch: 2, colloquialness: 3, emotionalIntelligence: 4 }),
+    5: rating({ codeSwitch: 5, colloquialness: 5, emotionalIntelligence: 5 }),
+  },
+};
+
+const CALL_LEVEL_RATINGS = {
+  "call-1": {
+    ...emptyCallRating(DEFAULT_RUBRIC),
+    taskSuccess: 1,
+    sopAdherence: 4,
+    overallQuality: 4,
+    summary: "Card blocked and replaced.",
+  },
+};
+
+const COMPLETED_CALLS = {
+  "call-1": {
+    completed: true,
+    completedAt: "2026-01-01T10:00:00.000Z",
+    completedBy: "me@example.com",
+    updatedAt: "2026-01-01T10:00:00.000Z",
+  },
+};
+
+const span = newSpan({
+  userId: "me",
+  callId: "call-1",
+  turnIndex: 3,
+  start: 16,
+  end: 29,
+  text: "in five days.",
+  label: "factual_error",
+  comment: "It takes seven",
+});
+const SPANS = { [span.id]: span };
+
+const exportFile = () =>
+  JSON.stringify([
+    buildAnnotatedCall(DEFAULT_RUBRIC, CALL, {
+      labels: RATINGS["call-1"],
+      completion: COMPLETED_CALLS["call-1"],
+      callRating: CALL_LEVEL_RATINGS["call-1"],
+      spans: { 3: Object.values(SPANS) },
+    }),
+  ]);
+
+const plan = (ratings) => {
+  const { calls, errors } = parseAnnotatedText("export.json", exportFile(), DEFAULT_RUBRIC);
+  expect(errors).toEqual([]);
+  return planAnnotatedImport({
+    rubric: DEFAULT_RUBRIC,
+    imported: calls,
+    ratings,
+    callLevelRatings: CALL_LEVEL_RATINGS,
+    spans: SPANS,
+    completedCalls: COMPLETED_CALLS,
+    knownCallIds: ["call-1"],
+  });
+};
+
+describe("annotated export round trip", () => {
+  it("changes nothing when a download is imported back unchanged", () => {
+    const [exported] = JSON.parse(exportFile());
+    expect(exported).toMatchObject({ completed: true, call_rating_task_success: 1 });
+    expect(exported.dialogue[1]).toMatchObject({ rating_code_switch: 4, rating_flagged: true });
+    expect(exported.dialogue[3].span_annotations).toHaveLength(1);
+
+    const result = plan(RATINGS);
+    expect(result.counts).toEqual({ added: 0, changed: 0, unchanged: 3 });
+    expect(result.ratingChanges).toEqual([]);
+    expect(result.callRatingChanges).toEqual([]);
+    expect(result.spanChanges).toEqual([]);
+    expect(result.completionChanges).toEqual([]);
+    expect(result.unknownCalls).toEqual([]);
+    expect(result.adjudicated).toBe(false);
+  });
+
+  it("counts turns added, changed and unchanged against the current ratings", () => {
+    const current = {
+      "call-1": {
+        1: RATINGS["call-1"][1],
+        3: { ...RATINGS["call-1"][3], codeSwitch: 1 },
+      },
+    };
+    const result = plan(current);
+    expect(result.counts).toEqual({ added: 1, changed: 1, unchanged: 1 });
+    expect(result.ratingChanges.map(({ idx, kind }) => [idx, kind])).toEqual([
+      [3, "changed"],
+      [5, "added"],
+    ]);
+    expect(result.ratingChanges[0].values.codeSwitch).toBe(2);
+  });
+
+  it("skips a span that no longer matches its utterance and keeps the rest", () => {
+    const [exported] = JSON.parse(exportFile());
+    exported.dialogue[3].text = "Yes, it arrives within a week.";
+    const { calls, errors } = parseAnnotatedText(
+      "export.json",
+      JSON.stringify([exported]),
+      DEFAULT_RUBRIC
+    );
+    expect(errors).toEqual([
+      {
+        source: "export.json",
+        location: "item 1, dialogue[3]",
+        callId: "call-1",
+        message: 'span_annotations[0]: "in five days." is not at 16–29 of the utterance, skipped',
+      },
+    ]);
+    expect(calls[0].spans).toEqual({});
+
+    const result = planAnnotatedImport({
+      rubric: DEFAULT_RUBRIC,
+      imported: calls,
+      ratings: {},
+      callLevelRatings: CALL_LEVEL_RATINGS,
+      spans: {},
+      completedCalls: COMPLETED_CALLS,
+      knownCallIds: ["call-1"],
+    });
+    expect(result.counts).toEqual({ added: 3, changed: 0, unchanged: 0 });
+    expect(result.spanChanges).toEqual([]);
+  });
+});
@@ -0,0 +1,129 @@
+import { getCallRatingStatus, hasCallForm } from "./callRating";
+import { isCallCompleted } from "./completion";
+import { isNewer } from "./ratingMerge";
+import { getRatingStatus } from "./rubric";
+
+// ---------------------------------------------------
+// Call assignments (the work queue)
+// Local shape: { [callId]: { [userId]: { active, assignedBy, assignedAt, updatedAt } } }
+// Supabase table call_assignments, one row per call and annotator:
+// call_id, user_id, active, assigned_by, assigned_at, updated_at
+// unique (call_id, user_id). Unassigning sets active = false so every write
+// is an upsert and goes through the outbox like ratings do.
+// Supabase table annotators lists who can be assigned work:
+// user_id, email, updated_at; unique (user_id). Everyone upserts their own row.
+// ---------------------------------------------------
+
+export const ASSIGNMENTS_CONFLICT_COLUMNS = "call_id,user_id";
+export const ANNOTATORS_CONFLICT_COLUMNS = "user_id";
+
+export const assignmentToRow = (callId, userId, assignment) => ({
+  call_id: callId,
+  user_id: userId,
+  active: assignment.active,
+  assigned_by: assignment.assignedBy,
+  assigned_at: assignment.assignedAt,
+  updated_at: assignment.updatedAt,
+});
+
+const rowToAssignment = (row) => ({
+  active: !!row.active,
+  assignedBy: row.assigned_by || null,
+  assignedAt: row.assigned_at || null,
+  updatedAt: row.updated_at || null,
+});
+
+// Applies server rows, keeping whichever side was updated last.
+// isDirty(row) -> true while a local write for that row is still queued.
+export const applyAssignmentRows = (current, rows, isDirty = () => false) => {
+  const next = { ...current };
+  rows.forEach((row) => {
+    if (!row.call_id || !row.user_id || isDirty(row)) return;
+    const local = next[row.call_id]?.[row.user_id];
+    if (local && !isNewer(row.updated_at, local.updatedAt)) return;
+    next[row.call_id] = { ...(next[row.call_id] || {}), [row.user_id]: rowToAssignment(row) };
+  });
+  return next;
+};
+
+export const assigneesOf = (assignments, callId) =>
+  Object.entries(assignments[callId] || {})
+    .filter(([, a]) => a.active)
+    .map(([userId]) => userId);
+
+export const isAssignedTo = (assignments, callId, userId) =>
+  !!assignments[callId]?.[userId]?.active;
+
+export const assignmentLoad = (assignments, userId) =>
+  Object.keys(assignments).filter((callId) => isAssignedTo(assignments, callId, userId)).length;
+
+// Picks annotators for each call so that every call ends up with `overlap`
+// assignees (counting existing ones), spreading work to whoever has the
+// fewest assigned calls. Returns [{ callId, userId }] of new assignments.
+export const planAssignments = ({ callIds, annotatorIds, overlap, assignments }) => {
+  const load = new Map(annotatorIds.map((id) => [id, assignmentLoad(assignments, id)]));
+  const planned = [];
+
+  callIds.forEach((callId) => {
+    const current = assigneesOf(assignments, callId);
+    const missing = Math.min(overlap, annotatorIds.length) - current.length;
+    if (missing <= 0) return;
+
+    annotatorIds
+      .filter((id) => !current.includes(id))
+      .sort((a, b) => load.get(a) - load.get(b))
+      .slice(0, missing)
+      .forEach((userId) => {
+        planned.push({ callId, userId });
+        load.set(userId, load.get(userId) + 1);
+      });
+  });
+
+  return planned;
+};
+
+export const newAssignment = (active, assignedBy, existing) => {
+  const now = new Date().toISOString();
+  return {
+    active,
+    assignedBy: active ? assignedBy : existing?.assignedBy ?? assignedBy,
+    assignedAt: active ? now : existing?.assignedAt ?? null,
+    updatedAt: now,
+  };
+};
+
+// First call assigned to userId (in list order) that is not marked done,
+// opened at its first Assistant turn that isn't fully rated. idx is null when
+// every turn is rated but the call rating isn't complete. null if none.
+export const nextQueueTask = ({
+  calls,
+  assignments,
+  userId,
+  completedCalls,
+  ratings,
+  callLevelRatings,
+  rubric,
+}) => {
+  for (const call of calls) {
+    if (!isAssignedTo(assignments, call.call_id, userId)) continue;
+    if (isCallCompleted(completedCalls, call.call_id)) continue;
+
+    const turns = call.dialogue
+      .map((utt, idx) => (utt.author === "Assistant" ? idx : null))
+      .filter((idx) => idx !== null);
+    if (turns.length === 0) continue;
+
+    const unrated = turns.find(
+      (idx) => getRatingStatus(ratings[call.call_id]?.[idx], rubric) !== "complete"
+    );
+    if (
+      unrated === undefined &&
+      hasCallForm(rubric) &&
+      getCallRatingStatus(callLevelRatings[call.call_id], rubric) !== "complete"
+    ) {
+      return { callId: call.call_id, idx: null };
+    }
+    return { callId: call.call_id, idx: unrated ?? turns[0] };
+  }
+  return null;
+};
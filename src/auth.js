@@ -0,0 +1,77 @@
+import { supabase } from "./supabaseClient";
+
+// ---------------------------------------------------
+// Auth client
+// Set VITE_AUTH_MODE=local to swap Supabase auth for an in-browser stand-in,
+// so the dashboard can be developed without a reachable Supabase project.
+// Both expose the same subset of the supabase.auth API used by the app.
+// ---------------------------------------------------
+const LOCAL_SESSION_KEY = "call_rating_dashboard_local_session_v1";
+
+export const isLocalAuth = import.meta.env.VITE_AUTH_MODE === "local";
+
+const createLocalAuth = () => {
+  const listeners = new Set();
+
+  const readSession = () => {
+    try {
+      const raw = window.localStorage.getItem(LOCAL_SESSION_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      console.warn("Failed to read local auth session", e);
+      return null;
+    }
+  };
+
+  const writeSession = (session) => {
+    if (session) {
+      window.localStorage.setItem(LOCAL_SESSION_KEY, JSON.stringify(session));
+    } else {
+      window.localStorage.removeItem(LOCAL_SESSION_KEY);
+    }
+  };
+
+  const emit = (event, session) => {
+    listeners.forEach((cb) => cb(event, session));
+  };
+
+  return {
+    getSession: async () => ({ data: { session: readSession() }, error: null }),
+
+    onAuthStateChange: (callback) => {
+      listeners.add(callback);
+      return {
+        data: { subscription: { unsubscribe: () => listeners.delete(callback) } },
+      };
+    },
+
+    // no email is sent: the "magic link" is followed immediately
+    signInWithOtp: async ({ email }) => {
+      const normalized = (email || "").trim().toLowerCase();
+      if (!normalized) {
+        return { data: null, error: new Error("Email is required") };
+      }
+      const session = {
+        access_token: "local",
+        user: { id: `local:${normalized}`, email: normalized },
+      };
+      writeSession(session);
+      emit("SIGNED_IN", session);
+      return { data: {}, error: null };
+    },
+
+    signOut: async () => {
+      writeSession(null);
+      emit("SIGNED_OUT", null);
+      return { error: null };
+    },
+  };
+};
+
+export const auth = isLocalAuth ? createLocalAuth() : supabase.auth;
+
+export const sendMagicLink = (email) =>
+  auth.signInWithOtp({
+    email,
+    options: { emailRedirectTo: window.location.origin },
+  });
@@ -0,0 +1,213 @@
+import { isNewer } from "./ratingMerge";
+import {
+  emptyRating,
+  isMetricAnswered,
+  metricScore,
+  metricScoreRange,
+  ratingToRow,
+  rowToRating,
+} from "./rubric";
+
+// ---------------------------------------------------
+// Gold-standard calibration
+// Gold calls carry reference ratings per Assistant turn; annotators rate them
+// blind in calibration mode and are scored against the reference.
+// Local shapes:
+//   gold      { [callId]: { [turnIndex]: { ...rating, active, createdBy } } }
+//   attempts  [{ callId, userId, email, attempt, ratings, accuracy, submittedAt, updatedAt }]
+//             ratings: { [turnIndex]: rating }
+// Supabase tables:
+//   gold_ratings: call_id, turn_index, active, created_by, ideal_response,
+//     updated_at, revision, plus the metric columns of call_ratings
+//     unique (call_id, turn_index)
+//   calibration_attempts: call_id, user_id, email, attempt, ratings (jsonb),
+//     accuracy, submitted_at, updated_at
+//     unique (call_id, user_id, attempt)
+//   gold_turns: view of gold_ratings with call_id, turn_index, active,
+//     updated_at only, so annotators learn which turns are gold
+// Gold values stay hidden until they have been rated blind: RLS on
+// gold_ratings lets leads read every row and annotators only the calls they
+// have submitted an attempt for (see the README). Until then an annotator's
+// gold turns are placeholders marked hidden, and an attempt is scored once
+// its call's gold rows can be read.
+// ---------------------------------------------------
+
+export const GOLD_CONFLICT_COLUMNS = "call_id,turn_index";
+export const CALIBRATION_CONFLICT_COLUMNS = "call_id,user_id,attempt";
+
+export const goldToRow = (rubric, callId, idx, gold) => ({
+  call_id: callId,
+  turn_index: idx,
+  active: gold.active,
+  created_by: gold.createdBy,
+  ...ratingToRow(rubric, gold),
+});
+
+export const applyGoldRows = (rubric, current, rows, isDirty = () => false) => {
+  const next = { ...current };
+  rows.forEach((row) => {
+    if (!row.call_id || row.turn_index == null || isDirty(row)) return;
+    const local = next[row.call_id]?.[row.turn_index];
+    if (local && !local.hidden && !isNewer(row.updated_at, local.updatedAt)) return;
+    next[row.call_id] = {
+      ...(next[row.call_id] || {}),
+      [row.turn_index]: {
+        ...rowToRating(rubric, row, emptyRating(rubric)),
+        active: !!row.active,
+        createdBy: row.created_by || null,
+      },
+    };
+  });
+  return next;
+};
+
+// gold_turns rows: which turns are gold, without their values
+export const applyGoldTurnRows = (rubric, current, rows) => {
+  const next = { ...current };
+  rows.forEach((row) => {
+    if (!row.call_id || row.turn_index == null) return;
+    const local = next[row.call_id]?.[row.turn_index];
+    if (local && (!local.hidden || !isNewer(row.updated_at, local.updatedAt))) return;
+    next[row.call_id] = {
+      ...(next[row.call_id] || {}),
+      [row.turn_index]: {
+        ...emptyRating(rubric),
+        updatedAt: row.updated_at || null,
+        active: !!row.active,
+        createdBy: null,
+        hidden: true,
+      },
+    };
+  });
+  return next;
+};
+
+// { [turnIndex]: goldRating } of the active reference ratings of a call
+export const goldForCall = (gold, callId) =>
+  Object.fromEntries(Object.entries(gold[callId] || {}).filter(([, g]) => g.active));
+
+export const isGoldCall = (gold, callId) => Object.keys(goldForCall(gold, callId)).length > 0;
+
+// true while some gold turn of the call is a placeholder (values not readable yet)
+export const isGoldHidden = (goldTurns) => Object.values(goldTurns).some((g) => g.hidden);
+
+export const attemptToRow = (attempt) => ({
+  call_id: attempt.callId,
+  user_id: attempt.userId,
+  email: attempt.email,
+  attempt: attempt.attempt,
+  ratings: attempt.ratings,
+  accuracy: attempt.accuracy,
+  submitted_at: attempt.submittedAt,
+  updated_at: attempt.updatedAt,
+});
+
+const attemptKey = (a) => `${a.callId}:${a.userId}:${a.attempt}`;
+
+export const applyAttemptRows = (current, rows) => {
+  const byKey = new Map(current.map((a) => [attemptKey(a), a]));
+  rows.forEach((row) => {
+    if (!row.call_id || !row.user_id) return;
+    const attempt = {
+      callId: row.call_id,
+      userId: row.user_id,
+      email: row.email || "",
+      attempt: row.attempt,
+      ratings: row.ratings || {},
+      accuracy: row.accuracy,
+      submittedAt: row.submitted_at,
+      updatedAt: row.updated_at,
+    };
+    const local = byKey.get(attemptKey(attempt));
+    if (local && !isNewer(attempt.updatedAt, local.updatedAt)) return;
+    byKey.set(attemptKey(attempt), attempt);
+  });
+  return [...byKey.values()];
+};
+
+// 0 (same as gold) .. 1 (as far apart as the scale allows). An unanswered
+// metric counts as fully off; metrics without a numeric score compare exactly.
+export const metricDeviation = (metric, value, goldValue) => {
+  if (!isMetricAnswered(metric, value)) return 1;
+  const range = metricScoreRange(metric);
+  const score = metricScore(metric, value);
+  const goldScore = metricScore(metric, goldValue);
+  if (!range || score === null || goldScore === null || range[1] === range[0]) {
+    return value === goldValue ? 0 : 1;
+  }
+  return Math.abs(score - goldScore) / (range[1] - range[0]);
+};
+
+const mean = (values) =>
+  values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : null;
+
+// Compares one attempt with the gold ratings of a call:
+// { accuracy, metrics: { [key]: { deviation, exact, n } },
+//   turns: [{ idx, deviation, metrics: { [key]: { value, gold, deviation } },
+//             idealResponse, goldIdeal }] }
+// accuracy = 1 - mean deviation over every gold-rated (turn, metric).
+export const scoreAttempt = (rubric, goldTurns, attemptRatings) => {
+  const perMetric = Object.fromEntries(rubric.metrics.map((m) => [m.key, []]));
+  const turns = Object.entries(goldTurns)
+    .map(([idx, goldRating]) => {
+      const mine = attemptRatings[idx] || emptyRating(rubric);
+      const metrics = {};
+      rubric.metrics.forEach((m) => {
+        if (!isMetricAnswered(m, goldRating[m.key])) return;
+        const deviation = metricDeviation(m, mine[m.key], goldRating[m.key]);
+        metrics[m.key] = { value: mine[m.key], gold: goldRating[m.key], deviation };
+        perMetric[m.key].push(deviation);
+      });
+      return {
+        idx: Number(idx),
+        deviation: mean(Object.values(metrics).map((r) => r.deviation)),
+        metrics,
+        idealResponse: mine.idealResponse || "",
+        goldIdeal: goldRating.idealResponse || "",
+      };
+    })
+    .sort((a, b) => a.idx - b.idx);
+
+  const all = Object.values(perMetric).flat();
+  return {
+    accuracy: all.length > 0 ? 1 - mean(all) : null,
+    metrics: Object.fromEntries(
+      Object.entries(perMetric).map(([key, devs]) => [
+        key,
+        {
+          deviation: mean(devs),
+          exact: devs.length > 0 ? devs.filter((d) => d === 0).length / devs.length : null,
+          n: devs.length,
+        },
+      ])
+    ),
+    turns,
+  };
+};
+
+export const nextAttemptNumber = (attempts, callId, userId) =>
+  attempts
+    .filter((a) => a.callId === callId && a.userId === userId)
+    .reduce((max, a) => Math.max(max, a.attempt), 0) + 1;
+
+// Per annotator: [{ userId, email, attempts: [...oldest first], latest, mean }]
+export const calibrationHistory = (attempts) => {
+  const byUser = new Map();
+  attempts.forEach((a) => {
+    if (!byUser.has(a.userId)) byUser.set(a.userId, []);
+    byUser.get(a.userId).push(a);
+  });
+  return [...byUser.entries()].map(([userId, list]) => {
+    const sorted = [...list].sort((a, b) =>
+      (a.submittedAt || "").localeCompare(b.submittedAt || "")
+    );
+    const scores = sorted.map((a) => a.accuracy).filter((v) => typeof v === "number");
+    return {
+      userId,
+      email: sorted.find((a) => a.email)?.email || "",
+      attempts: sorted,
+      latest: scores.length > 0 ? scores[scores.length - 1] : null,
+      mean: mean(scores),
+    };
+  });
+};
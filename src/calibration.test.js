@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { applyGoldRows, applyGoldTurnRows, goldForCall, isGoldHidden } from "./calibration";
+import { parseRubric } from "./rubric";
+
+const RUBRIC = parseRubric({
+  metrics: [{ key: "fluency", label: "Fluency", scale: { type: "stars", max: 5 } }],
+});
+
+const T1 = "2026-01-01T10:00:00.000Z";
+
+describe("gold visibility", () => {
+  const turnRow = { call_id: "c1", turn_index: 1, active: true, updated_at: T1 };
+  const goldRow = { ...turnRow, fluency: 4, created_by: "lead@example.com", revision: 1 };
+
+  it("marks gold turns known only from gold_turns as hidden", () => {
+    const gold = applyGoldTurnRows(RUBRIC, {}, [turnRow]);
+    expect(isGoldHidden(goldForCall(gold, "c1"))).toBe(true);
+  });
+
+  it("replaces a hidden turn with the gold row once it is readable", () => {
+    const hidden = applyGoldTurnRows(RUBRIC, {}, [turnRow]);
+    const gold = applyGoldRows(RUBRIC, hidden, [goldRow]);
+    expect(gold.c1[1]).toMatchObject({ fluency: 4, active: true, createdBy: "lead@example.com" });
+    expect(isGoldHidden(goldForCall(gold, "c1"))).toBe(false);
+  });
+
+  it("does not hide gold values already loaded", () => {
+    const gold = applyGoldRows(RUBRIC, {}, [goldRow]);
+    expect(applyGoldTurnRows(RUBRIC, gold, [turnRow]).c1[1]).toBe(gold.c1[1]);
+  });
+});
@@ -0,0 +1,173 @@
+import { getCallRatingStatus, hasCallForm } from "./callRating";
+import { isCallCompleted } from "./completion";
+import { getRatingStatus, metricScore } from "./rubric";
+
+// ---------------------------------------------------
+// Sidebar search and filters
+// Filters live in the URL query string so a filtered list can be shared:
+//   ?q=refund&done=no&status=partial&metric=colloquialness&max=2&ideal=without
+// q       full-text search over dialogue text (all terms must match)
+// done    "yes" | "no"                        call "Mark done" state
+// status  "partial" | "unrated" | "rated"     rating status of Assistant turns
+//                                             and of the call rating
+// metric, min, max                            some turn scores within [min, max]
+// ideal   "with" | "without"                  some / no turn has an ideal response
+// tag     tag key                             some turn carries that issue tag
+// flagged "yes" | "no"                        some / no turn is flagged for review
+// queue   "mine"                              only calls assigned to me (sidebar mode)
+// ---------------------------------------------------
+
+export const DEFAULT_FILTERS = {
+  q: "",
+  done: "",
+  status: "",
+  metric: "",
+  min: null,
+  max: null,
+  ideal: "",
+  tag: "",
+  flagged: "",
+  queue: "",
+};
+
+const FILTER_KEYS = Object.keys(DEFAULT_FILTERS);
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+export const filtersFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+  FILTER_KEYS.forEach((key) => {
+    if (!params.has(key)) return;
+    filters[key] = key === "min" || key === "max" ? toNumberOrNull(params.get(key)) : params.get(key);
+  });
+  return filters;
+};
+
+// Returns the search string with the filter params replaced; other params are kept.
+export const filtersToSearch = (filters, search = "") => {
+  const params = new URLSearchParams(search);
+  FILTER_KEYS.forEach((key) => {
+    const value = filters[key];
+    if (value === null || value === "" || value === undefined) params.delete(key);
+    else params.set(key, String(value));
+  });
+  const next = params.toString();
+  return next ? `?${next}` : "";
+};
+
+// the queue mode is a sidebar mode, not a filter the "Clear" button resets
+export const hasActiveFilters = (filters) =>
+  FILTER_KEYS.some((key) => key !== "queue" && filters[key] !== DEFAULT_FILTERS[key]);
+
+export const searchTerms = (q) =>
+  (q || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Splits text into [{ text, match }] segments for highlighting search terms.
+export const highlightSegments = (text, terms) => {
+  if (!text || terms.length === 0) return [{ text: text || "", match: false }];
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  return text
+    .split(pattern)
+    .filter((part) => part !== "")
+    .map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
+
+// number of utterances in the call that contain every term
+export const countMatchingUtterances = (call, terms) =>
+  terms.length === 0
+    ? 0
+    : call.dialogue.filter((utt) => {
+        const text = (utt.text || "").toLowerCase();
+        return terms.every((t) => text.includes(t));
+      }).length;
+
+// lower-cased dialogue text per call object, built on the first search;
+// calls are never mutated, so the cache stays valid for the call's lifetime
+const searchTextCache = new WeakMap();
+
+const searchTextOf = (call) => {
+  let text = searchTextCache.get(call);
+  if (text === undefined) {
+    text = call.dialogue.map((utt) => utt.text || "").join("\n").toLowerCase();
+    searchTextCache.set(call, text);
+  }
+  return text;
+};
+
+const matchesSearch = (call, terms) => {
+  if (terms.length === 0) return true;
+  const text = searchTextOf(call);
+  return terms.every((t) => text.includes(t));
+};
+
+// callRatings: the call's turn ratings; callLevelRating: its conversation-level
+// rating (see callRating.js); inQueue: the call is assigned to the signed-in annotator
+export const callMatchesFilters = ({
+  call,
+  callRatings,
+  callLevelRating,
+  completedCalls,
+  rubric,
+  filters,
+  inQueue,
+}) => {
+  if (filters.queue === "mine" && !inQueue) return false;
+  if (!matchesSearch(call, searchTerms(filters.q))) return false;
+
+  const done = isCallCompleted(completedCalls, call.call_id);
+  if (filters.done === "yes" && !done) return false;
+  if (filters.done === "no" && done) return false;
+
+  const metric = rubric.metrics.find((m) => m.key === filters.metric);
+  const byScore = metric && (filters.min !== null || filters.max !== null);
+  // the remaining filters need every turn's rating; skip that when unused
+  if (!filters.status && !byScore && !filters.ideal && !filters.tag && !filters.flagged) {
+    return true;
+  }
+
+  const turns = call.dialogue
+    .map((utt, idx) => ({ utt, rating: callRatings?.[idx] }))
+    .filter(({ utt }) => utt.author === "Assistant");
+  const statuses = turns.map(({ rating }) => getRatingStatus(rating, rubric));
+  if (hasCallForm(rubric)) statuses.push(getCallRatingStatus(callLevelRating, rubric));
+
+  if (filters.status === "partial" && !statuses.includes("partial")) return false;
+  if (filters.status === "unrated" && statuses.some((s) => s !== "not_started")) return false;
+  if (filters.status === "rated" && (statuses.length === 0 || statuses.some((s) => s !== "complete"))) {
+    return false;
+  }
+
+  if (byScore) {
+    const inRange = turns.some(({ rating }) => {
+      const score = rating ? metricScore(metric, rating[metric.key]) : null;
+      if (score === null) return false;
+      if (filters.min !== null && score < filters.min) return false;
+      if (filters.max !== null && score > filters.max) return false;
+      return true;
+    });
+    if (!inRange) return false;
+  }
+
+  const hasIdeal = turns.some(({ rating }) => (rating?.idealResponse || "").trim().length > 0);
+  if (filters.ideal === "with" && !hasIdeal) return false;
+  if (filters.ideal === "without" && hasIdeal) return false;
+
+  if (filters.tag && !turns.some(({ rating }) => (rating?.tags || []).includes(filters.tag))) {
+    return false;
+  }
+  const hasFlagged = turns.some(({ rating }) => !!rating?.flagged);
+  if (filters.flagged === "yes" && !hasFlagged) return false;
+  if (filters.flagged === "no" && hasFlagged) return false;
+
+  return true;
+};
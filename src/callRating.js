@@ -0,0 +1,170 @@
+import { isNewer } from "./ratingMerge";
+import { formStatus, isMetricAnswered, scaleOptions, unsetValue } from "./rubric";
+
+// ---------------------------------------------------
+// Conversation-level ratings, one per call and annotator
+// Rated once in the Call overview with rubric.callMetrics and a free-text
+// summary, instead of repeating the judgment on every Assistant turn.
+// Local shape: { [callId]: { [metricKey]: value, summary, updatedAt, revision } }
+// Supabase table call_level_ratings: call_id, user_id, summary, updated_at,
+//   revision, plus one column per call metric (metric.column)
+//   unique (call_id, user_id)
+// Exports carry call_rating_<column> and call_rating_summary on the call.
+// Call metrics that earlier rubrics asked on every turn (sopAdherence used to
+// be a turn metric) are carried over by seedCallRatings below.
+// ---------------------------------------------------
+
+export const CALL_RATINGS_CONFLICT_COLUMNS = "call_id,user_id";
+
+// the rubric asks for anything at the call level
+export const hasCallForm = (rubric) =>
+  rubric.callMetrics.length > 0 || rubric.callSummary.required;
+
+export const emptyCallRating = (rubric) => {
+  const rating = { summary: "" };
+  rubric.callMetrics.forEach((m) => {
+    rating[m.key] = unsetValue(m);
+  });
+  return rating;
+};
+
+export const getCallRatingStatus = (rating, rubric) =>
+  formStatus(rubric.callMetrics, rating, rating?.summary, rubric.callSummary.required);
+
+// rating -> call_level_ratings columns (without call_id / user_id)
+export const callRatingToRow = (rubric, rating) => {
+  const row = {
+    summary: rating.summary || "",
+    updated_at: rating.updatedAt || new Date().toISOString(),
+    revision: rating.revision || 0,
+  };
+  rubric.callMetrics.forEach((m) => {
+    row[m.column] = isMetricAnswered(m, rating[m.key]) ? rating[m.key] : unsetValue(m);
+  });
+  return row;
+};
+
+const rowToCallRating = (rubric, row) => {
+  const rating = emptyCallRating(rubric);
+  rubric.callMetrics.forEach((m) => {
+    if (row[m.column] !== undefined && row[m.column] !== null) rating[m.key] = row[m.column];
+  });
+  rating.summary = row.summary || "";
+  rating.updatedAt = row.updated_at || null;
+  rating.revision = row.revision ?? 0;
+  return rating;
+};
+
+// Applies this annotator's rows; the newer updated_at wins and rows with a
+// queued local edit (isDirty) are skipped.
+export const applyCallRatingRows = (rubric, current, rows, isDirty = () => false) => {
+  const next = { ...current };
+  rows.forEach((row) => {
+    if (!row.call_id || isDirty(row)) return;
+    const local = next[row.call_id];
+    if (local && !isNewer(row.updated_at, local.updatedAt)) return;
+    next[row.call_id] = rowToCallRating(rubric, row);
+  });
+  return next;
+};
+
+export const callRatingToExportFields = (rubric, rating) => {
+  const fields = {};
+  rubric.callMetrics.forEach((m) => {
+    fields[`call_rating_${m.column}`] = isMetricAnswered(m, rating[m.key])
+      ? rating[m.key]
+      : unsetValue(m);
+  });
+  fields.call_rating_summary = rating.summary || "";
+  return fields;
+};
+
+// call_rating_* fields of an exported call -> { values, problems }, the
+// inverse of callRatingToExportFields; values is null without any such field.
+export const exportFieldsToCallRating = (rubric, item) => {
+  const problems = [];
+  const hasFields =
+    "call_rating_summary" in item ||
+    rubric.callMetrics.some((m) => `call_rating_${m.column}` in item);
+  if (!hasFields) return { values: null, problems };
+
+  const values = { summary: "" };
+  rubric.callMetrics.forEach((m) => {
+    const field = `call_rating_${m.column}`;
+    const value = item[field];
+    if (value === undefined || value === null || value === unsetValue(m)) {
+      values[m.key] = unsetValue(m);
+    } else if (scaleOptions(m).some((o) => o.value === value)) {
+      values[m.key] = value;
+    } else {
+      problems.push(`${field}: ${JSON.stringify(value)} is not on the ${m.label} scale`);
+      values[m.key] = unsetValue(m);
+    }
+  });
+  if (item.call_rating_summary != null && typeof item.call_rating_summary !== "string") {
+    problems.push("call_rating_summary must be a string");
+  } else {
+    values.summary = item.call_rating_summary || "";
+  }
+  return { values, problems };
+};
+
+export const callRatingValuesEqual = (rubric, a, b) =>
+  rubric.callMetrics.every((m) => (a[m.key] ?? null) === (b[m.key] ?? null)) &&
+  (a.summary || "") === (b.summary || "");
+
+// ---------------------------------------------------
+// Carry-over of call metrics that used to be rated per turn
+// Older turn ratings still hold those values: local ratings under the metric
+// key, call_ratings rows in the metric's column. Calls without a call rating
+// get one seeded from them: the rounded mean of the turns for numeric scales,
+// the most frequent value otherwise.
+// turnValues: [{ callId, values: { [metricKey]: value } }]
+// ---------------------------------------------------
+
+// { [callId]: { [turnIndex]: rating } } -> turnValues
+export const turnValuesFromRatings = (ratings) =>
+  Object.entries(ratings).flatMap(([callId, turns]) =>
+    Object.values(turns || {}).map((values) => ({ callId, values: values || {} }))
+  );
+
+// call_ratings rows -> turnValues
+export const turnValuesFromRows = (rubric, rows) =>
+  rows.map((row) => ({
+    callId: row.call_id,
+    values: Object.fromEntries(rubric.callMetrics.map((m) => [m.key, row[m.column]])),
+  }));
+
+const seedValue = (metric, values) => {
+  if (metric.scale.type !== "categorical") {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return Math.round(mean);
+  }
+  const counts = new Map();
+  values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// -> { [callId]: values } for calls in turnValues that have no call rating
+// in callLevelRatings and at least one carried-over value
+export const seedCallRatings = (rubric, callLevelRatings, turnValues) => {
+  const byCall = {};
+  turnValues.forEach(({ callId, values }) => {
+    if (!callId || callLevelRatings[callId]) return;
+    (byCall[callId] || (byCall[callId] = [])).push(values);
+  });
+
+  const seeded = {};
+  Object.entries(byCall).forEach(([callId, turns]) => {
+    const values = {};
+    rubric.callMetrics.forEach((m) => {
+      const valid = new Set(scaleOptions(m).map((o) => o.value));
+      const answered = turns
+        .map((t) => t[m.key])
+        .filter((v) => isMetricAnswered(m, v) && valid.has(v));
+      if (answered.length > 0) values[m.key] = seedValue(m, answered);
+    });
+    if (Object.keys(values).length > 0) seeded[callId] = values;
+  });
+  return seeded;
+};
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { seedCallRatings, turnValuesFromRatings, turnValuesFromRows } from "./callRating";
+import { parseRubric } from "./rubric";
+
+const RUBRIC = parseRubric({
+  metrics: [{ key: "fluency", label: "Fluency", scale: { type: "stars", max: 5 } }],
+  callMetrics: [
+    { key: "sopAdherence", label: "SOP Adherence", scale: { type: "stars", max: 5 } },
+    {
+      key: "outcome",
+      label: "Outcome",
+      scale: {
+        type: "categorical",
+        options: [
+          { value: "resolved", label: "Resolved" },
+          { value: "escalated", label: "Escalated" },
+        ],
+      },
+    },
+  ],
+});
+
+const turn = (callId, values) => ({ callId, values });
+
+describe("seedCallRatings", () => {
+  it("seeds the rounded mean of numeric scores and the most frequent category", () => {
+    const seeded = seedCallRatings(RUBRIC, {}, [
+      turn("c1", { sopAdherence: 4, outcome: "escalated" }),
+      turn("c1", { sopAdherence: 5, outcome: "resolved" }),
+      turn("c1", { sopAdherence: 5, outcome: "escalated" }),
+    ]);
+    expect(seeded).toEqual({ c1: { sopAdherence: 5, outcome: "escalated" } });
+  });
+
+  it("skips unrated and off-scale values, seeding only the metrics that have some", () => {
+    const seeded = seedCallRatings(RUBRIC, {}, [
+      turn("c1", { sopAdherence: 0, outcome: "unknown" }),
+      turn("c1", { sopAdherence: 2, outcome: null }),
+      turn("c1", { sopAdherence: 9 }),
+    ]);
+    expect(seeded).toEqual({ c1: { sopAdherence: 2 } });
+  });
+
+  it("leaves out calls whose turns have no scores", () => {
+    const seeded = seedCallRatings(RUBRIC, {}, [
+      turn("c1", { fluency: 4 }),
+      turn("c1", { sopAdherence: 0, outcome: null }),
+    ]);
+    expect(seeded).toEqual({});
+  });
+
+  it("leaves a call that already has a call rating alone", () => {
+    const seeded = seedCallRatings(RUBRIC, { c1: { sopAdherence: 1, outcome: null } }, [
+      turn("c1", { sopAdherence: 5 }),
+      turn("c2", { sopAdherence: 3 }),
+    ]);
+    expect(seeded).toEqual({ c2: { sopAdherence: 3 } });
+  });
+
+  it("reads the turn values from local ratings and from call_ratings rows", () => {
+    expect(turnValuesFromRatings({ c1: { 1: { sopAdherence: 4 }, 3: null } })).toEqual([
+      turn("c1", { sopAdherence: 4 }),
+      turn("c1", {}),
+    ]);
+    expect(
+      turnValuesFromRows(RUBRIC, [{ call_id: "c1", sop_adherence: 3, outcome: "resolved" }])
+    ).toEqual([turn("c1", { sopAdherence: 3, outcome: "resolved" })]);
+  });
+});
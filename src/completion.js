@@ -0,0 +1,71 @@
+import { isNewer } from "./ratingMerge";
+
+// ---------------------------------------------------
+// Call completion ("Mark done"), per annotator
+// Local shape: { [callId]: { completed, completedAt, completedBy, updatedAt } }
+// Supabase table call_completions, one row per call and annotator:
+// call_id, user_id, completed_by (email), completed, completed_at, updated_at
+// ---------------------------------------------------
+
+export const COMPLETIONS_CONFLICT_COLUMNS = "call_id,user_id";
+
+// Accepts the v1 localStorage shape ({ callId: true }) as well.
+export const normalizeCompletions = (stored) => {
+  const next = {};
+  Object.entries(stored || {}).forEach(([callId, value]) => {
+    if (value && typeof value === "object") {
+      next[callId] = {
+        completed: !!value.completed,
+        completedAt: value.completedAt || null,
+        completedBy: value.completedBy || null,
+        updatedAt: value.updatedAt || null,
+      };
+    } else {
+      next[callId] = { completed: !!value, completedAt: null, completedBy: null, updatedAt: null };
+    }
+  });
+  return next;
+};
+
+export const isCallCompleted = (completedCalls, callId) => !!completedCalls[callId]?.completed;
+
+export const toggledCompletion = (current, completedBy) => {
+  const now = new Date().toISOString();
+  const completed = !current?.completed;
+  return {
+    completed,
+    completedAt: completed ? now : null,
+    completedBy: completed ? completedBy : null,
+    updatedAt: now,
+  };
+};
+
+export const completionToRow = (callId, userId, completion) => ({
+  call_id: callId,
+  user_id: userId,
+  completed: completion.completed,
+  completed_at: completion.completedAt,
+  completed_by: completion.completedBy,
+  updated_at: completion.updatedAt || new Date().toISOString(),
+});
+
+export const rowToCompletion = (row) => ({
+  completed: !!row.completed,
+  completedAt: row.completed_at || null,
+  completedBy: row.completed_by || null,
+  updatedAt: row.updated_at || null,
+});
+
+// Newer side wins per call; a change still queued locally is always newer.
+// Returns only the calls that change.
+export const mergeCompletionRows = (local, rows, isDirty) => {
+  const updates = {};
+  rows.forEach((row) => {
+    if (!row.call_id || isDirty(row)) return;
+    const current = local[row.call_id];
+    const remote = rowToCompletion(row);
+    if (current && !isNewer(remote.updatedAt, current.updatedAt)) return;
+    updates[row.call_id] = remote;
+  });
+  return updates;
+};
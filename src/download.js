@@ -0,0 +1,20 @@
+// Triggers a browser download of text content.
+export const downloadFile = (fileName, content, type = "application/json") => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadJson = (fileName, value) =>
+  downloadFile(fileName, JSON.stringify(value, null, 2), "application/json");
+
+export const downloadJsonl = (fileName, records) =>
+  downloadFile(
+    fileName,
+    records.map((r) => JSON.stringify(r)).join("\n") + (records.length ? "\n" : ""),
+    "application/x-ndjson"
+  );
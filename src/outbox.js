@@ -0,0 +1,263 @@
+// ---------------------------------------------------
+// Persistent outbox for Supabase upserts
+// Every change is recorded in localStorage before it is sent, retried with
+// exponential backoff, and flushed again when the browser comes back online.
+// Entries are keyed by their conflict columns, so a newer change to the same
+// row replaces the queued one (the upsert always carries the full row), and
+// due entries for the same table are sent together as one batched upsert.
+// Rows the server accepted are reported to subscribeSent listeners, so the
+// caller can record which version the server now holds.
+// ---------------------------------------------------
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 60000;
+const MAX_BATCH_SIZE = 100;
+
+const entryKey = (table, onConflict, row) =>
+  [table, ...onConflict.split(",").map((col) => row[col.trim()])].join("|");
+
+const backoffDelay = (attempts, baseDelayMs, maxDelayMs) => {
+  const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(attempts - 1, 0));
+  // up to 20% jitter so several tabs don't retry in lockstep
+  return Math.round(exp * (0.8 + Math.random() * 0.2));
+};
+
+// send({ table, onConflict, rows }) must resolve to { error } (the shape
+// supabase-js returns).
+export const createOutbox = ({
+  storageKey,
+  send,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+}) => {
+  const listeners = new Set();
+  const sentListeners = new Set();
+  let entries = [];
+  let revision = 0;
+  let timer = null;
+  let flushing = false;
+  let flushRequested = false;
+  let started = false;
+  let snapshot = null;
+
+  try {
+    const raw = window.localStorage.getItem(storageKey);
+    if (raw) {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed)) entries = parsed;
+    }
+  } catch (e) {
+    console.warn("Failed to load outbox from localStorage", e);
+  }
+  revision = entries.reduce((max, e) => Math.max(max, e.revision || 0), 0);
+
+  const isFailed = (entry) => entry.attempts >= maxAttempts;
+
+  const buildSnapshot = () => {
+    const failed = entries.filter(isFailed);
+    return {
+      pending: entries.length - failed.length,
+      failed: failed.length,
+      flushing,
+      lastError: failed[0]?.lastError || entries.find((e) => e.lastError)?.lastError || null,
+    };
+  };
+  snapshot = buildSnapshot();
+
+  const notify = () => {
+    snapshot = buildSnapshot();
+    listeners.forEach((cb) => cb());
+  };
+
+  const persist = () => {
+    try {
+      window.localStorage.setItem(storageKey, JSON.stringify(entries));
+    } catch (e) {
+      console.warn("Failed to save outbox to localStorage", e);
+    }
+  };
+
+  const schedule = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (!started) return;
+    const waiting = entries.filter((e) => !isFailed(e));
+    if (waiting.length === 0) return;
+    const nextAt = Math.min(...waiting.map((e) => e.nextAttemptAt || 0));
+    timer = setTimeout(flush, Math.max(nextAt - Date.now(), 0));
+  };
+
+  const sendBatch = async (batch) => {
+    const { table, onConflict } = batch[0];
+    const rows = batch.map((e) => e.row);
+    let error = null;
+    try {
+      ({ error } = await send({ table, onConflict, rows }));
+    } catch (e) {
+      error = e;
+    }
+    if (error) console.error(`Outbox send to ${table} failed:`, error);
+
+    batch.forEach((sent) => {
+      const current = entries.find((e) => e.key === sent.key);
+      // a newer change queued while this one was in flight stays as it is
+      if (!current || current.revision !== sent.revision) return;
+
+      if (!error) {
+        entries = entries.filter((e) => e !== current);
+        return;
+      }
+      const attempts = current.attempts + 1;
+      const updated = {
+        ...current,
+        attempts,
+        lastError: error.message || String(error),
+        nextAttemptAt: Date.now() + backoffDelay(attempts, baseDelayMs, maxDelayMs),
+      };
+      entries = entries.map((e) => (e === current ? updated : e));
+    });
+
+    if (!error) sentListeners.forEach((cb) => cb({ table, onConflict, rows }));
+  };
+
+  async function flush({ force = false } = {}) {
+    if (!started) return;
+    if (flushing) {
+      // run again once the current round is done, so nothing queued is skipped
+      if (force) flushRequested = true;
+      return;
+    }
+    if (typeof navigator !== "undefined" && navigator.onLine === false) return;
+
+    const now = Date.now();
+    const due = entries.filter(
+      (e) => !isFailed(e) && (force || (e.nextAttemptAt || 0) <= now)
+    );
+    if (due.length === 0) {
+      schedule();
+      return;
+    }
+
+    const batches = new Map();
+    due.forEach((e) => {
+      const batchKey = `${e.table}|${e.onConflict}`;
+      if (!batches.has(batchKey)) batches.set(batchKey, []);
+      batches.get(batchKey).push(e);
+    });
+
+    flushing = true;
+    notify();
+    for (const group of batches.values()) {
+      for (let i = 0; i < group.length; i += MAX_BATCH_SIZE) {
+        await sendBatch(group.slice(i, i + MAX_BATCH_SIZE));
+      }
+    }
+    flushing = false;
+    persist();
+    notify();
+
+    if (flushRequested) {
+      flushRequested = false;
+      flush({ force: true });
+      return;
+    }
+    schedule();
+  }
+
+  return {
+    // delayMs holds the entry back so rapid edits to the same row coalesce
+    // into a single write (the latest one)
+    enqueue: ({ table, onConflict, row }, { delayMs = 0 } = {}) => {
+      const key = entryKey(table, onConflict, row);
+      revision += 1;
+      const entry = {
+        key,
+        table,
+        onConflict,
+        row,
+        revision,
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: Date.now() + delayMs,
+      };
+      const exists = entries.some((e) => e.key === key);
+      entries = exists
+        ? entries.map((e) => (e.key === key ? entry : e))
+        : [...entries, entry];
+      persist();
+      notify();
+      schedule();
+    },
+
+    hasPending: (table, onConflict, row) =>
+      entries.some((e) => e.key === entryKey(table, onConflict, row)),
+
+    // drops a queued change without sending it
+    discard: (table, onConflict, row) => {
+      const key = entryKey(table, onConflict, row);
+      if (!entries.some((e) => e.key === key)) return;
+      entries = entries.filter((e) => e.key !== key);
+      persist();
+      notify();
+      schedule();
+    },
+
+    flush: () => flush({ force: true }),
+
+    // give failed entries another full set of attempts
+    retryFailed: () => {
+      entries = entries.map((e) =>
+        isFailed(e) ? { ...e, attempts: 0, nextAttemptAt: Date.now() } : e
+      );
+      persist();
+      notify();
+      flush({ force: true });
+    },
+
+    start: () => {
+      started = true;
+      const handleOnline = () => {
+        entries = entries.map((e) => ({
+          ...e,
+          attempts: isFailed(e) ? 0 : e.attempts,
+          nextAttemptAt: Date.now(),
+        }));
+        persist();
+        notify();
+        flush({ force: true });
+      };
+      // best effort: held-back entries are persisted anyway and sent next load
+      const handlePageHide = () => flush({ force: true });
+      window.addEventListener("online", handleOnline);
+      window.addEventListener("pagehide", handlePageHide);
+      flush();
+      return () => {
+        started = false;
+        window.removeEventListener("online", handleOnline);
+        window.removeEventListener("pagehide", handlePageHide);
+        if (timer) {
+          clearTimeout(timer);
+          timer = null;
+        }
+      };
+    },
+
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getStatus: () => snapshot,
+
+    // listener({ table, onConflict, rows }) after every successful send,
+    // including rows a newer queued change has since replaced
+    subscribeSent: (listener) => {
+      sentListeners.add(listener);
+      return () => sentListeners.delete(listener);
+    },
+  };
+};
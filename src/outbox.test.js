@@ -0,0 +1,211 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createOutbox } from "./outbox";
+
+const STORAGE_KEY = "outbox_test";
+const ON_CONFLICT = "call_id,turn_index";
+
+const row = (turnIndex, value) => ({ call_id: "call-1", turn_index: turnIndex, value });
+
+// send stub: resolves to { error } from the queued results, success once they run out
+const stubSend = (...results) => {
+  const queue = [...results];
+  return vi.fn(async () => ({ error: queue.length > 0 ? queue.shift() : null }));
+};
+
+const storedEntries = () => JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "[]");
+
+describe("createOutbox", () => {
+  let stops = [];
+
+  const startOutbox = (options) => {
+    const outbox = createOutbox({ storageKey: STORAGE_KEY, ...options });
+    return {
+      outbox,
+      start: () => {
+        stops.push(outbox.start());
+      },
+    };
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    // no jitter: retries land exactly on the backoff delay
+    vi.spyOn(Math, "random").mockReturnValue(1);
+    window.localStorage.clear();
+  });
+
+  afterEach(() => {
+    stops.forEach((stop) => stop());
+    stops = [];
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("coalesces changes to the same row into the latest one", async () => {
+    const send = stubSend();
+    const { outbox, start } = startOutbox({ send });
+    outbox.enqueue({ table: "call_ratings", onConflict: ON_CONFLICT, row: row(1, "a") });
+    outbox.enqueue({ table: "call_ratings", onConflict: ON_CONFLICT, row: row(1, "b") });
+    expect(outbox.getStatus().pending).toBe(1);
+
+    start();
+    await vi.runAllTimersAsync();
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls[0][0].rows).toEqual([row(1, "b")]);
+    expect(outbox.getStatus().pending).toBe(0);
+    expect(storedEntries()).toEqual([]);
+  });
+
+  it("sends due rows of one table as a single batch", async () => {
+    const send = stubSend();
+    const { outbox, start } = startOutbox({ send });
+    outbox.enqueue({ table: "call_ratings", onConflict: ON_CONFLICT, row: row(1, "a") });
+    outbox.enqueue({ table: "call_ratings", onConflict: ON_CONFLICT, row: row(2, "b") });
+    outbox.enqueue({ table: "call_completions", onConflict: "call_id", row: { call_id: "call-1" } });
+
+    start();
+    await vi.runAllTimersAsync();
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[0][0]).toEqual({
+      table: "call_ratings",
+      onConflict: ON_CONFLICT,
+      rows: [row(1, "a"), row(2, "b")],
+    });
+    expect(send.mock.calls[1][0].table).toBe("call_completions");
+  });
+
+  it("holds a delayed entry back until its delay has passed", async () => {
+    const send = stubSend();
+    const { outbox, start } = startOutbox({ send });
+    start();
+    outbox.enqueue(
+      { table: "call_ratings", onConflict: ON_CONFLICT, row: row(1, "a") },
+      { delayMs: 800 }
+    );
+
+    await vi.advanceTimersByTimeAsync(799);
+    expect(send).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(1);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it("retries failed sends with exponential backoff", async () => {
+    const send = stubSend(new Error("offline"), new Error("offline"));
+    const { outbox, start } = startOutbox({ send, baseDelayMs: 1000 });
+    outbox.enqueue({ table: "call_ratings", onConflict: ON_CONFLICT, row: row(1, "a") });
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    start();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(storedEntries()[0]).toMatchObject({ attempts: 1, lastError: "offline" });
+
+    await vi.advanceTimersByTimeAsync(999);
+    expect(send).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(send).toHaveBeenCalledTimes(2);
+
+    // second failure doubles the delay
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(send).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(outbox.getStatus()).toMatchObject({ pending: 0, failed: 0 });
+  });
+
+  it("keeps a change queued while an older revision of the row was in flight", async () => {
+    let finishSend;
+    const send = vi
+      .fn()
+      .mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            finishSend = () => resolve({ error: null });
+          })
+      )
+      .mockResolvedValue({ error: null });
+    const { outbox, start } = startOutbox({ send });
+    outbox.enqueue({ table: "call_ratings", onConflict: ON_CONFLICT, row: row(1, "a") });
+
+    start();
+    await vi.advanceTimersByTimeAsync(0);
+    outbox.enqueue({ table: "call_ratings", onConflict: ON_CONFLICT, row: row(1, "b") });
+    finishSend();
+    await vi.runAllTimersAsync();
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[1][0].rows).toEqual([row(1, "b")]);
+    expect(outbox.getStatus().pending).toBe(0);
+  });
+
+  it("reports the rows of successful sends only", async () => {
+    const send = stubSend(new Error("offline"));
+    const { outbox, start } = startOutbox({ send });
+    const sent = vi.fn();
+    outbox.subscribeSent(sent);
+    outbox.enqueue({ table: "call_ratings", onConflict: ON_CONFLICT, row: row(1, "a") });
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    start();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(sent).not.toHaveBeenCalled();
+
+    await vi.runAllTimersAsync();
+    expect(sent).toHaveBeenCalledTimes(1);
+    expect(sent).toHaveBeenCalledWith({
+      table: "call_ratings",
+      onConflict: ON_CONFLICT,
+      rows: [row(1, "a")],
+    });
+  });
+
+  it("gives up after maxAttempts until retryFailed is called", async () => {
+    const send = stubSend(new Error("denied"), new Error("denied"));
+    const { outbox, start } = startOutbox({ send, maxAttempts: 2 });
+    outbox.enqueue({ table: "call_ratings", onConflict: ON_CONFLICT, row: row(1, "a") });
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    start();
+    await vi.runAllTimersAsync();
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(outbox.getStatus()).toMatchObject({ pending: 0, failed: 1, lastError: "denied" });
+
+    outbox.retryFailed();
+    await vi.runAllTimersAsync();
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(outbox.getStatus()).toMatchObject({ pending: 0, failed: 0 });
+  });
+
+  it("restores queued entries after a reload", async () => {
+    const first = createOutbox({ storageKey: STORAGE_KEY, send: stubSend() });
+    first.enqueue({ table: "call_ratings", onConflict: ON_CONFLICT, row: row(1, "a") });
+    first.enqueue({ table: "call_ratings", onConflict: ON_CONFLICT, row: row(2, "b") });
+
+    const send = stubSend();
+    const { outbox, start } = startOutbox({ send });
+    expect(outbox.getStatus().pending).toBe(2);
+    expect(outbox.hasPending("call_ratings", ON_CONFLICT, row(2, "b"))).toBe(true);
+
+    start();
+    await vi.runAllTimersAsync();
+    expect(send.mock.calls[0][0].rows).toEqual([row(1, "a"), row(2, "b")]);
+  });
+
+  it("resets and saves the backoff when the browser comes back online", async () => {
+    const send = stubSend(new Error("offline"), new Error("offline"));
+    const { outbox, start } = startOutbox({ send, maxAttempts: 2 });
+    outbox.enqueue({ table: "call_ratings", onConflict: ON_CONFLICT, row: row(1, "a") });
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    start();
+    await vi.runAllTimersAsync();
+    expect(storedEntries()[0].attempts).toBe(2);
+
+    // the send triggered by "online" stays in flight, so the reset is what was saved
+    send.mockImplementationOnce(() => new Promise(() => {}));
+    window.dispatchEvent(new Event("online"));
+    expect(storedEntries()[0]).toMatchObject({ attempts: 0 });
+    expect(send).toHaveBeenCalledTimes(3);
+  });
+});
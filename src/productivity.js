@@ -0,0 +1,91 @@
+// ---------------------------------------------------
+// Throughput metrics from the time entries of timeTracking.js
+// Per annotator (and for everyone selected together):
+//   activeMs       active time with a call open (turn sessions run inside it)
+//   turnsRated     distinct turns edited in a rating-modal session
+//   turnsPerHour   turnsRated / active hours
+//   medianTurnMs   median active time per rated turn, summed over its sessions
+//   fields         { [field]: { ms, turns } } time attributed to each rating
+//                  field and the number of turns where it was edited
+// ---------------------------------------------------
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// from / to are "YYYY-MM-DD" (local dates, inclusive) or "" for open-ended
+export const entryInRange = (entry, from, to) => {
+  const started = new Date(entry.startedAt).getTime();
+  if (from && started < new Date(`${from}T00:00:00`).getTime()) return false;
+  if (to && started > new Date(`${to}T23:59:59.999`).getTime()) return false;
+  return true;
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const summarize = (entries) => {
+  let activeMs = 0;
+  const turnMs = new Map(); // "callId:idx" -> ms, rated turns only
+  const fields = {};
+
+  entries.forEach((e) => {
+    if (e.kind === "call") {
+      activeMs += e.activeMs;
+      return;
+    }
+    const edited = Object.keys(e.fieldMs || {});
+    if (edited.length === 0) return;
+    const key = `${e.callId}:${e.turnIndex}`;
+    turnMs.set(key, (turnMs.get(key) || 0) + e.activeMs);
+    edited.forEach((field) => {
+      const f = fields[field] || (fields[field] = { ms: 0, turnKeys: new Set() });
+      f.ms += e.fieldMs[field];
+      f.turnKeys.add(key);
+    });
+  });
+
+  return {
+    activeMs,
+    turnsRated: turnMs.size,
+    turnsPerHour: activeMs > 0 ? turnMs.size / (activeMs / HOUR_MS) : null,
+    medianTurnMs: median([...turnMs.values()]),
+    fields: Object.fromEntries(
+      Object.entries(fields).map(([field, f]) => [field, { ms: f.ms, turns: f.turnKeys.size }])
+    ),
+  };
+};
+
+// { annotators: [{ userId, email, ...summary }], total: summary }
+// userId: only this annotator's entries ("" for everyone)
+export const buildProductivityReport = ({ entries, userId = "", from = "", to = "" }) => {
+  const selected = entries.filter(
+    (e) => (!userId || e.userId === userId) && entryInRange(e, from, to)
+  );
+  const byUser = new Map();
+  selected.forEach((e) => {
+    if (!byUser.has(e.userId)) byUser.set(e.userId, []);
+    byUser.get(e.userId).push(e);
+  });
+
+  return {
+    annotators: [...byUser.entries()].map(([uid, list]) => ({
+      userId: uid,
+      email: list.find((e) => e.email)?.email || "",
+      ...summarize(list),
+    })),
+    total: summarize(selected),
+  };
+};
+
+// 45s, 3m 12s, 1h 05m
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return "–";
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, "0")}s`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+};
@@ -0,0 +1,129 @@
+import { emptyRating, ratingNotesEqual, rowToRating } from "./rubric";
+
+// ---------------------------------------------------
+// Merging Supabase rows into local ratings
+// Every rating carries:
+//   updatedAt  when its values last changed (ISO string)
+//   revision   incremented on every edit
+//   syncedAt   updatedAt of the last server version this copy is based on
+// A turn conflicts when it has unsynced local edits and the server copy
+// changed since syncedAt with different values. Otherwise the newer side wins.
+// A server copy with a lower revision and no newer timestamp is an echo of an
+// earlier write of this copy (e.g. realtime delivering revision N while N+1
+// is still queued) and is ignored.
+// A conflicting rating keeps the local values and holds the server version
+// in rating.conflict until the annotator picks one.
+// ---------------------------------------------------
+
+const toTime = (iso) => (iso ? Date.parse(iso) || 0 : 0);
+
+export const isNewer = (a, b) => toTime(a) > toTime(b);
+
+export const metricValuesEqual = (rubric, a, b) =>
+  rubric.metrics.every((m) => (a[m.key] ?? null) === (b[m.key] ?? null));
+
+// metric values, ideal response and turn notes
+export const ratingValuesEqual = (rubric, a, b) =>
+  metricValuesEqual(rubric, a, b) &&
+  (a.idealResponse || "") === (b.idealResponse || "") &&
+  ratingNotesEqual(a, b);
+
+// Applies one local edit: bumps updatedAt and revision.
+export const touchRating = (rating, changes) => ({
+  ...rating,
+  ...changes,
+  updatedAt: new Date().toISOString(),
+  revision: (rating.revision || 0) + 1,
+});
+
+// Decides what a turn should hold after seeing the server version.
+// Returns { rating, conflict }.
+export const mergeRating = (rubric, local, remote, { localDirty }) => {
+  if (!local) return { rating: remote, conflict: false };
+
+  const staleEcho =
+    (remote.revision || 0) < (local.revision || 0) && !isNewer(remote.updatedAt, local.updatedAt);
+  if (staleEcho) return { rating: local, conflict: false };
+
+  if (ratingValuesEqual(rubric, local, remote)) {
+    const { conflict: _resolved, ...rest } = local;
+    const newer = isNewer(remote.updatedAt, local.updatedAt) ? remote : local;
+    return {
+      rating: {
+        ...rest,
+        updatedAt: newer.updatedAt,
+        revision: Math.max(local.revision || 0, remote.revision || 0),
+        syncedAt: remote.updatedAt,
+      },
+      conflict: false,
+    };
+  }
+
+  const remoteChangedSinceSync = !local.syncedAt || isNewer(remote.updatedAt, local.syncedAt);
+  if (localDirty && remoteChangedSinceSync) {
+    return { rating: { ...local, conflict: remote }, conflict: true };
+  }
+
+  if (isNewer(local.updatedAt, remote.updatedAt)) {
+    return { rating: local, conflict: false };
+  }
+  return { rating: remote, conflict: false };
+};
+
+// Merges call_ratings rows into a ratings snapshot.
+// isDirty(row) tells whether that turn has local edits not yet on the server.
+// Returns { updates: { [callId]: { [idx]: rating } }, conflicts: [{ callId, idx }] }
+// with only the turns that changed.
+export const mergeRemoteRows = (rubric, localRatings, rows, isDirty) => {
+  const updates = {};
+  const conflicts = [];
+
+  rows.forEach((row) => {
+    const callId = row.call_id;
+    const idx = row.turn_index;
+    if (!callId || idx == null) return;
+
+    const local = localRatings[callId]?.[idx];
+    const remote = rowToRating(rubric, row, emptyRating(rubric));
+    const { rating, conflict } = mergeRating(rubric, local, remote, {
+      localDirty: isDirty(row),
+    });
+
+    if (rating === local) return;
+    if (!updates[callId]) updates[callId] = {};
+    updates[callId][idx] = rating;
+    if (conflict) conflicts.push({ callId, idx });
+  });
+
+  return { updates, conflicts };
+};
+
+// Records call_ratings rows the server accepted (reported by the outbox) as
+// the version each turn is now based on. A turn edited again since keeps its
+// newer values; only syncedAt moves.
+export const markRatingsSynced = (current, rows) => {
+  let next = current;
+  rows.forEach((row) => {
+    const local = next[row.call_id]?.[row.turn_index];
+    if (!local || !row.updated_at || !isNewer(row.updated_at, local.syncedAt)) return;
+    if (next === current) next = { ...current };
+    next[row.call_id] = {
+      ...next[row.call_id],
+      [row.turn_index]: { ...local, syncedAt: row.updated_at },
+    };
+  });
+  return next;
+};
+
+// Applies merge updates to current state, skipping turns that were edited
+// after the snapshot the merge was computed from.
+export const applyRatingUpdates = (current, snapshot, updates) => {
+  const next = { ...current };
+  Object.entries(updates).forEach(([callId, turns]) => {
+    Object.entries(turns).forEach(([idx, rating]) => {
+      if (current[callId]?.[idx] !== snapshot[callId]?.[idx]) return;
+      next[callId] = { ...(next[callId] || {}), [idx]: rating };
+    });
+  });
+  return next;
+};
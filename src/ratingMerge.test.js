@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import { markRatingsSynced, mergeRating } from "./ratingMerge";
+import { emptyRating, parseRubric } from "./rubric";
+
+const RUBRIC = parseRubric({
+  metrics: [{ key: "fluency", label: "Fluency", scale: { type: "stars", max: 5 } }],
+});
+
+const T1 = "2026-01-01T10:00:00.000Z";
+const T2 = "2026-01-01T10:05:00.000Z";
+const T3 = "2026-01-01T10:10:00.000Z";
+
+const rating = (fluency, updatedAt, extra = {}) => ({
+  ...emptyRating(RUBRIC),
+  fluency,
+  updatedAt,
+  revision: 1,
+  syncedAt: null,
+  ...extra,
+});
+
+describe("mergeRating", () => {
+  it("takes the remote rating when there is no local one", () => {
+    const remote = rating(3, T1);
+    expect(mergeRating(RUBRIC, undefined, remote, { localDirty: false })).toEqual({
+      rating: remote,
+      conflict: false,
+    });
+  });
+
+  it("keeps a newer local rating", () => {
+    const local = rating(4, T2, { syncedAt: T1 });
+    const remote = rating(3, T1);
+    const { rating: merged, conflict } = mergeRating(RUBRIC, local, remote, { localDirty: false });
+    expect(conflict).toBe(false);
+    expect(merged).toBe(local);
+  });
+
+  it("takes a newer remote rating", () => {
+    const local = rating(4, T1, { syncedAt: T1 });
+    const remote = rating(2, T2, { revision: 2 });
+    const { rating: merged, conflict } = mergeRating(RUBRIC, local, remote, { localDirty: false });
+    expect(conflict).toBe(false);
+    expect(merged).toBe(remote);
+  });
+
+  it("marks equal values as synced, keeping the newer timestamp and revision", () => {
+    const local = rating(4, T2, { revision: 2, conflict: rating(1, T1) });
+    const remote = rating(4, T1, { revision: 3 });
+    const { rating: merged, conflict } = mergeRating(RUBRIC, local, remote, { localDirty: true });
+    expect(conflict).toBe(false);
+    expect(merged).toMatchObject({ fluency: 4, updatedAt: T2, revision: 3, syncedAt: T1 });
+    expect(merged).not.toHaveProperty("conflict");
+  });
+
+  it("keeps a dirty local edit when the server copy is unchanged since the last sync", () => {
+    const local = rating(4, T3, { revision: 2, syncedAt: T1 });
+    const remote = rating(3, T1);
+    const { rating: merged, conflict } = mergeRating(RUBRIC, local, remote, { localDirty: true });
+    expect(conflict).toBe(false);
+    expect(merged).toBe(local);
+  });
+
+  it("ignores an echo of an earlier revision while a newer edit is queued", () => {
+    // never synced: revision 1 was sent, revision 2 is still in the outbox
+    const local = rating(4, T2, { revision: 2 });
+    const echo = rating(3, T1, { revision: 1 });
+    const { rating: merged, conflict } = mergeRating(RUBRIC, local, echo, { localDirty: true });
+    expect(conflict).toBe(false);
+    expect(merged).toBe(local);
+  });
+
+  it("reports a conflict when both sides changed since the last sync", () => {
+    const local = rating(4, T2, { revision: 2, syncedAt: T1 });
+    const remote = rating(1, T3, { revision: 2 });
+    const { rating: merged, conflict } = mergeRating(RUBRIC, local, remote, { localDirty: true });
+    expect(conflict).toBe(true);
+    expect(merged).toEqual({ ...local, conflict: remote });
+  });
+});
+
+describe("markRatingsSynced", () => {
+  const row = (updatedAt) => ({ call_id: "c1", turn_index: 0, updated_at: updatedAt });
+
+  it("moves syncedAt to the sent version and keeps the local values", () => {
+    const local = rating(5, T3, { revision: 3, syncedAt: T1 });
+    const next = markRatingsSynced({ c1: { 0: local } }, [row(T2)]);
+    expect(next.c1[0]).toEqual({ ...local, syncedAt: T2 });
+  });
+
+  it("returns the same state when nothing moves forward", () => {
+    const current = { c1: { 0: rating(5, T3, { syncedAt: T2 }) } };
+    expect(markRatingsSynced(current, [row(T1), { ...row(T3), call_id: "c2" }])).toBe(current);
+  });
+});
@@ -0,0 +1,172 @@
+import { isLocalAuth } from "./auth";
+import { supabase } from "./supabaseClient";
+
+// ---------------------------------------------------
+// Realtime transport
+// The dashboard only talks to realtime through this interface, so it can run
+// against Supabase or against the in-memory mock below:
+//
+//   subscribeTable(table, onChange) -> unsubscribe
+//     onChange({ eventType: "INSERT" | "UPDATE" | "DELETE", row, oldRow })
+//   joinRoom(room, { presenceKey, onPresence, onBroadcast }) -> { track, send, leave }
+//     onPresence([{ ...trackedState }])   everyone currently in the room
+//     onBroadcast(event, payload)          messages sent by other members
+//
+// VITE_REALTIME=mock (or local auth mode) selects the mock transport.
+// ---------------------------------------------------
+
+export const createSupabaseTransport = (client) => ({
+  subscribeTable: (table, onChange) => {
+    const channel = client
+      .channel(`table:${table}`)
+      .on("postgres_changes", { event: "*", schema: "public", table }, (payload) =>
+        onChange({ eventType: payload.eventType, row: payload.new, oldRow: payload.old })
+      )
+      .subscribe((status, err) => {
+        if (err) console.error(`Realtime subscription to ${table} failed:`, err);
+      });
+    return () => {
+      client.removeChannel(channel);
+    };
+  },
+
+  joinRoom: (room, { presenceKey, onPresence, onBroadcast }) => {
+    const channel = client.channel(room, {
+      config: { presence: { key: presenceKey }, broadcast: { self: false } },
+    });
+    let subscribed = false;
+    let tracked = null;
+
+    channel
+      .on("presence", { event: "sync" }, () => {
+        onPresence(Object.values(channel.presenceState()).flat());
+      })
+      .on("broadcast", { event: "*" }, ({ event, payload }) => onBroadcast?.(event, payload))
+      .subscribe((status) => {
+        subscribed = status === "SUBSCRIBED";
+        if (subscribed && tracked) channel.track(tracked);
+      });
+
+    return {
+      track: (state) => {
+        tracked = state;
+        if (subscribed) channel.track(state);
+      },
+      send: (event, payload) => channel.send({ type: "broadcast", event, payload }),
+      leave: () => {
+        client.removeChannel(channel);
+      },
+    };
+  },
+});
+
+// In-memory transport. Events are mirrored to other tabs of the same browser
+// through BroadcastChannel when available, which is enough to exercise
+// presence and live updates offline. emitTableChange() injects a table event
+// as if it came from the database.
+export const createMockTransport = ({ channelName = "call-rating-dashboard-realtime" } = {}) => {
+  const tableListeners = new Map(); // table -> Set(onChange)
+  const rooms = new Map(); // room -> Set(member)
+  const bus =
+    typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(channelName) : null;
+
+  const deliverTable = (table, change) => {
+    tableListeners.get(table)?.forEach((cb) => cb(change));
+  };
+
+  // presence from other tabs: room -> { presenceKey: state }
+  const remotePresence = new Map();
+
+  const presenceFor = (room) => {
+    const local = [...(rooms.get(room) || [])]
+      .filter((m) => m.state)
+      .map((m) => m.state);
+    const remote = Object.values(remotePresence.get(room) || {});
+    return [...local, ...remote];
+  };
+
+  const syncRoom = (room) => {
+    const everyone = presenceFor(room);
+    rooms.get(room)?.forEach((m) => m.onPresence(everyone));
+  };
+
+  const deliverBroadcast = (room, event, payload, sender) => {
+    rooms.get(room)?.forEach((m) => {
+      if (m !== sender) m.onBroadcast?.(event, payload);
+    });
+  };
+
+  bus?.addEventListener("message", ({ data }) => {
+    if (data.kind === "table") deliverTable(data.table, data.change);
+    if (data.kind === "broadcast") deliverBroadcast(data.room, data.event, data.payload);
+    if (data.kind === "presence") {
+      const states = { ...(remotePresence.get(data.room) || {}) };
+      if (data.state) states[data.presenceKey] = data.state;
+      else delete states[data.presenceKey];
+      remotePresence.set(data.room, states);
+      syncRoom(data.room);
+      // answer newcomers with our own presence
+      if (data.hello) {
+        rooms.get(data.room)?.forEach((m) => {
+          if (m.state) {
+            bus.postMessage({
+              kind: "presence",
+              room: data.room,
+              presenceKey: m.presenceKey,
+              state: m.state,
+            });
+          }
+        });
+      }
+    }
+  });
+
+  return {
+    subscribeTable: (table, onChange) => {
+      if (!tableListeners.has(table)) tableListeners.set(table, new Set());
+      tableListeners.get(table).add(onChange);
+      return () => {
+        tableListeners.get(table)?.delete(onChange);
+      };
+    },
+
+    joinRoom: (room, { presenceKey, onPresence, onBroadcast }) => {
+      if (!rooms.has(room)) rooms.set(room, new Set());
+      const member = { presenceKey, onPresence, onBroadcast, state: null };
+      rooms.get(room).add(member);
+      // closing the tab never reaches leave()
+      const handlePageHide = () =>
+        bus?.postMessage({ kind: "presence", room, presenceKey, state: null });
+      window.addEventListener("pagehide", handlePageHide);
+
+      return {
+        track: (state) => {
+          const hello = !member.state;
+          member.state = state;
+          syncRoom(room);
+          bus?.postMessage({ kind: "presence", room, presenceKey, state, hello });
+        },
+        send: (event, payload) => {
+          deliverBroadcast(room, event, payload, member);
+          bus?.postMessage({ kind: "broadcast", room, event, payload });
+        },
+        leave: () => {
+          window.removeEventListener("pagehide", handlePageHide);
+          rooms.get(room)?.delete(member);
+          syncRoom(room);
+          bus?.postMessage({ kind: "presence", room, presenceKey, state: null });
+        },
+      };
+    },
+
+    emitTableChange: (table, change) => {
+      deliverTable(table, change);
+      bus?.postMessage({ kind: "table", table, change });
+    },
+  };
+};
+
+export const realtimeTransport =
+  isLocalAuth || import.meta.env.VITE_REALTIME === "mock"
+    ? createMockTransport()
+    : createSupabaseTransport(supabase);
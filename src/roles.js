@@ -0,0 +1,33 @@
+// ---------------------------------------------------
+// Roles
+// "lead"         assigns calls to annotators (and may adjudicate)
+// "adjudicator"  resolves disagreements into one final rating per turn
+// Roles are set server-side on the Supabase user as app_metadata.role (one
+// role) or app_metadata.roles (a list), or by email through
+// VITE_LEAD_EMAILS / VITE_ADJUDICATOR_EMAILS (comma-separated), which is also
+// how roles are given in local auth mode.
+// ---------------------------------------------------
+
+const emailList = (value) =>
+  (value || "")
+    .split(",")
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean);
+
+const leadEmails = emailList(import.meta.env.VITE_LEAD_EMAILS);
+const adjudicatorEmails = emailList(import.meta.env.VITE_ADJUDICATOR_EMAILS);
+
+const hasRole = (user, role, emails) => {
+  const meta = user?.app_metadata || {};
+  const roles = Array.isArray(meta.roles) ? meta.roles : [];
+  return (
+    meta.role === role ||
+    roles.includes(role) ||
+    emails.includes((user?.email || "").toLowerCase())
+  );
+};
+
+export const isLead = (user) => hasRole(user, "lead", leadEmails);
+
+export const isAdjudicator = (user) =>
+  isLead(user) || hasRole(user, "adjudicator", adjudicatorEmails);
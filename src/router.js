@@ -0,0 +1,47 @@
+// ---------------------------------------------------
+// URL routing for the selected call and turn
+//   /                          nothing selected (first call)
+//   /call/:callId              a call
+//   /call/:callId/turn/:idx    a call with the rating modal open on turn idx
+// Paths are relative to the Vite base URL. The query string (sidebar
+// filters, see callFilters.js) and hash are left alone.
+// The host must serve index.html for unknown paths (Vite's dev server does).
+// ---------------------------------------------------
+
+const BASE = (import.meta.env.BASE_URL || "/").replace(/\/$/, "");
+
+const stripBase = (pathname) =>
+  BASE && pathname.startsWith(BASE) ? pathname.slice(BASE.length) || "/" : pathname;
+
+// { callId, idx } from a pathname; both null when the path is not a call route
+export const parseRoute = (pathname) => {
+  const match = stripBase(pathname).match(/^\/call\/([^/]+)(?:\/turn\/(\d+))?\/?$/);
+  if (!match) return { callId: null, idx: null };
+  let callId;
+  try {
+    callId = decodeURIComponent(match[1]);
+  } catch {
+    return { callId: null, idx: null };
+  }
+  return { callId, idx: match[2] !== undefined ? Number(match[2]) : null };
+};
+
+export const buildPath = ({ callId, idx }) => {
+  if (!callId) return `${BASE}/`;
+  const callPath = `${BASE}/call/${encodeURIComponent(callId)}`;
+  return idx === null || idx === undefined ? callPath : `${callPath}/turn/${idx}`;
+};
+
+// Moves the URL to a route. A different call gets a new history entry so
+// back / forward step between calls; turn changes within a call replace it.
+export const navigateTo = (route) => {
+  const path = buildPath(route);
+  if (path === window.location.pathname) return;
+  const current = parseRoute(window.location.pathname);
+  const url = `${path}${window.location.search}${window.location.hash}`;
+  if (current.callId && current.callId !== route.callId) {
+    window.history.pushState(null, "", url);
+  } else {
+    window.history.replaceState(window.history.state, "", url);
+  }
+};
@@ -0,0 +1,460 @@
+import defaultRubricJson from "./defaultRubric.json";
+
+// ---------------------------------------------------
+// Rating rubric
+// A rubric is a JSON document:
+// {
+//   id, name,
+//   idealResponse: { required },
+//   metrics: [{ key, label, description, scale, required, level, column }],
+//   callMetrics: [ same shape ],     rated once per call (see callRating.js)
+//   callSummary: { required }        free-text summary of the call
+//   tags: [{ key, label, description }]   issue tags annotators can put on a
+//                                         turn; a string is short for { key, label }
+//   spanLabels: [{ key, label, description, color }]   labels for highlighted
+//                                         spans of an utterance (see spans.js)
+// }
+// scale is one of:
+//   { type: "stars", max }                  values 1..max, 0 = not rated
+//   { type: "binary", labels: [no, yes] }   values 0 | 1
+//   { type: "likert", min, max, labels }    values min..max (e.g. 0..3)
+//   { type: "categorical", options: [{ value, label, score? }] }
+//     (score makes a categorical metric usable in thresholds and statistics)
+// level is "response" (rated per Assistant turn) or "conversation". Entries of
+// metrics with level "conversation" are moved to callMetrics, so the parsed
+// rubric has response-level metrics only in metrics.
+// column is the snake_case column in call_ratings, or call_level_ratings for
+// call metrics (derived from key if omitted).
+// ---------------------------------------------------
+
+const SCALE_TYPES = ["stars", "binary", "likert", "categorical"];
+const LEVELS = ["response", "conversation"];
+
+const toSnakeCase = (key) => key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase();
+
+const normalizeScale = (scale) => {
+  switch (scale.type) {
+    case "stars":
+      return { type: "stars", max: scale.max ?? 5 };
+    case "binary":
+      return { type: "binary", labels: scale.labels ?? ["No", "Yes"] };
+    case "likert":
+      return {
+        type: "likert",
+        min: scale.min ?? 0,
+        max: scale.max ?? 3,
+        labels: scale.labels ?? null,
+      };
+    case "categorical":
+      return {
+        type: "categorical",
+        options: scale.options.map((opt) =>
+          typeof opt === "string" ? { value: opt, label: opt } : opt
+        ),
+      };
+    default:
+      return scale;
+  }
+};
+
+const validateMetrics = (metrics, name, reservedKey, problems) => {
+  const seenKeys = new Set();
+  metrics.forEach((m, i) => {
+    const where = `${name}[${i}]`;
+    if (!m || typeof m.key !== "string" || !m.key) {
+      problems.push(`${where}: key is required`);
+      return;
+    }
+    if (seenKeys.has(m.key)) problems.push(`${where}: duplicate key "${m.key}"`);
+    seenKeys.add(m.key);
+    if (m.key === reservedKey) {
+      problems.push(`${where}: "${reservedKey}" is reserved`);
+    }
+    if (typeof m.label !== "string" || !m.label) {
+      problems.push(`${where}: label is required`);
+    }
+    if (!m.scale || !SCALE_TYPES.includes(m.scale.type)) {
+      problems.push(`${where}: scale.type must be one of ${SCALE_TYPES.join(", ")}`);
+    } else if (m.scale.type === "categorical") {
+      if (!Array.isArray(m.scale.options) || m.scale.options.length === 0) {
+        problems.push(`${where}: categorical scale needs options`);
+      }
+    } else if (m.scale.type === "likert") {
+      const min = m.scale.min ?? 0;
+      const max = m.scale.max ?? 3;
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min >= max) {
+        problems.push(`${where}: likert scale needs integer min < max`);
+      }
+    } else if (m.scale.type === "stars") {
+      const max = m.scale.max ?? 5;
+      if (!Number.isInteger(max) || max < 2) {
+        problems.push(`${where}: stars scale needs an integer max >= 2`);
+      }
+    }
+    if (m.level != null && !LEVELS.includes(m.level)) {
+      problems.push(`${where}: level must be one of ${LEVELS.join(", ")}`);
+    }
+  });
+};
+
+const normalizeMetric = (m) => ({
+  key: m.key,
+  label: m.label,
+  description: m.description || "",
+  scale: normalizeScale(m.scale),
+  required: m.required ?? true,
+  level: m.level || "response",
+  column: m.column || toSnakeCase(m.key),
+});
+
+// tags and span labels: [{ key, label, ... }] or plain key strings
+const validateTags = (tags, name, problems) => {
+  if (!Array.isArray(tags)) {
+    problems.push(`${name} must be an array`);
+    return;
+  }
+  const seenKeys = new Set();
+  tags.forEach((t, i) => {
+    const key = typeof t === "string" ? t : t?.key;
+    if (typeof key !== "string" || !key) {
+      problems.push(`${name}[${i}]: key is required`);
+      return;
+    }
+    if (seenKeys.has(key)) problems.push(`${name}[${i}]: duplicate key "${key}"`);
+    seenKeys.add(key);
+  });
+};
+
+const normalizeTag = (t) =>
+  typeof t === "string"
+    ? { key: t, label: t, description: "" }
+    : { key: t.key, label: t.label || t.key, description: t.description || "" };
+
+const normalizeSpanLabel = (t) => ({
+  ...normalizeTag(t),
+  color: (typeof t === "object" && t.color) || null,
+});
+
+// Validates a rubric definition and fills in defaults. Throws an Error listing
+// every problem found.
+export const parseRubric = (json) => {
+  const problems = [];
+  if (!json || typeof json !== "object") {
+    throw new Error("Rubric must be a JSON object");
+  }
+  if (!Array.isArray(json.metrics) || json.metrics.length === 0) {
+    throw new Error("Rubric must declare a non-empty metrics array");
+  }
+
+  validateMetrics(json.metrics, "metrics", "idealResponse", problems);
+  if (json.callMetrics != null) {
+    if (!Array.isArray(json.callMetrics)) problems.push("callMetrics must be an array");
+    else validateMetrics(json.callMetrics, "callMetrics", "summary", problems);
+  }
+  if (json.tags != null) validateTags(json.tags, "tags", problems);
+  if (json.spanLabels != null) validateTags(json.spanLabels, "spanLabels", problems);
+  const callKeys = [
+    ...json.metrics.filter((m) => m?.level === "conversation").map((m) => m.key),
+    ...(Array.isArray(json.callMetrics) ? json.callMetrics.map((m) => m?.key) : []),
+  ];
+  callKeys
+    .filter((key, i) => callKeys.indexOf(key) !== i)
+    .forEach((key) => problems.push(`call-level metric "${key}" is declared twice`));
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid rubric:\n${problems.join("\n")}`);
+  }
+
+  const metrics = json.metrics.map(normalizeMetric);
+  return {
+    id: json.id || "custom",
+    name: json.name || json.id || "Custom rubric",
+    idealResponse: { required: json.idealResponse?.required ?? true },
+    metrics: metrics.filter((m) => m.level === "response"),
+    callMetrics: [
+      ...metrics.filter((m) => m.level === "conversation"),
+      ...(json.callMetrics || []).map((m) => normalizeMetric({ ...m, level: "conversation" })),
+    ],
+    callSummary: { required: json.callSummary?.required ?? false },
+    tags: (json.tags || []).map(normalizeTag),
+    spanLabels: (json.spanLabels || []).map(normalizeSpanLabel),
+  };
+};
+
+export const DEFAULT_RUBRIC = parseRubric(defaultRubricJson);
+
+// Fetches a rubric from VITE_RUBRIC_URL if configured, else the bundled default.
+export const loadRubric = async () => {
+  const url = import.meta.env.VITE_RUBRIC_URL;
+  if (!url) return DEFAULT_RUBRIC;
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`Failed to fetch rubric ${url}: ${r.status}`);
+  return parseRubric(await r.json());
+};
+
+export const levelLabel = (metric) =>
+  metric.level === "conversation" ? "Conversational Level" : "Response Level";
+
+// ---------------------------------------------------
+// Values
+// ---------------------------------------------------
+
+// value stored for a metric nobody has rated yet
+export const unsetValue = (metric) => (metric.scale.type === "stars" ? 0 : null);
+
+export const isMetricAnswered = (metric, value) => {
+  if (metric.scale.type === "stars") return (value || 0) > 0;
+  return value !== null && value !== undefined && value !== "";
+};
+
+// [{ value, label }] in display order
+export const scaleOptions = (metric) => {
+  const { scale } = metric;
+  switch (scale.type) {
+    case "stars":
+      return Array.from({ length: scale.max }, (_, i) => ({
+        value: i + 1,
+        label: String(i + 1),
+      }));
+    case "binary":
+      return [
+        { value: 0, label: scale.labels[0] },
+        { value: 1, label: scale.labels[1] },
+      ];
+    case "likert":
+      return Array.from({ length: scale.max - scale.min + 1 }, (_, i) => ({
+        value: scale.min + i,
+        label: scale.labels?.[i] ?? String(scale.min + i),
+      }));
+    case "categorical":
+      return scale.options;
+    default:
+      return [];
+  }
+};
+
+export const formatMetricValue = (metric, value) => {
+  if (!isMetricAnswered(metric, value)) return "Not rated";
+  if (metric.scale.type === "stars") return `${value} / ${metric.scale.max}`;
+  const option = scaleOptions(metric).find((o) => o.value === value);
+  return option ? option.label : String(value);
+};
+
+// Numeric value of a rating, for thresholds and statistics. null when unrated
+// or when the metric has no numeric meaning (categorical without scores).
+export const metricScore = (metric, value) => {
+  if (!isMetricAnswered(metric, value)) return null;
+  if (metric.scale.type === "categorical") {
+    const option = metric.scale.options.find((o) => o.value === value);
+    return typeof option?.score === "number" ? option.score : null;
+  }
+  return typeof value === "number" ? value : null;
+};
+
+// [min, max] of metricScore, or null if the metric is not numeric
+export const metricScoreRange = (metric) => {
+  const { scale } = metric;
+  if (scale.type === "stars") return [1, scale.max];
+  if (scale.type === "binary") return [0, 1];
+  if (scale.type === "likert") return [scale.min, scale.max];
+  const scores = scale.options.map((o) => o.score).filter((v) => typeof v === "number");
+  return scores.length > 0 ? [Math.min(...scores), Math.max(...scores)] : null;
+};
+
+export const emptyRating = (rubric) => {
+  const rating = { idealResponse: "" };
+  rubric.metrics.forEach((m) => {
+    rating[m.key] = unsetValue(m);
+  });
+  return rating;
+};
+
+// "not_started" | "partial" | "complete" for a set of metric values plus a
+// free-text field (the ideal response of a turn, the summary of a call)
+export const formStatus = (metrics, values, text, textRequired) => {
+  if (!values) return "not_started";
+  const hasAnyMetric = metrics.some((m) => isMetricAnswered(m, values[m.key]));
+  const hasText = (text || "").trim().length > 0;
+  if (!hasAnyMetric && !hasText) return "not_started";
+
+  const allRequiredFilled = metrics
+    .filter((m) => m.required)
+    .every((m) => isMetricAnswered(m, values[m.key]));
+  if (allRequiredFilled && (hasText || !textRequired)) return "complete";
+  return "partial";
+};
+
+// rating status helper for progress + list
+export const getRatingStatus = (rating, rubric) =>
+  formStatus(rubric.metrics, rating, rating?.idealResponse, rubric.idealResponse.required);
+
+// ---------------------------------------------------
+// Turn notes: why a turn got its scores and what went wrong with it
+//   rationales  { [metricKey]: text }   optional, per metric
+//   tags        [tagKey]                issue tags from rubric.tags
+//   flagged     boolean                 "flag for review"
+// They sit on the annotator's rating next to the metric values but don't
+// count toward its status. Adjudicated and gold ratings don't carry them.
+// ---------------------------------------------------
+
+export const hasRatingNotes = (rating) =>
+  !!rating &&
+  (!!rating.flagged ||
+    (rating.tags || []).length > 0 ||
+    Object.values(rating.rationales || {}).some((text) => text.trim().length > 0));
+
+export const ratingNotesEqual = (a, b) => {
+  const rationalesA = a.rationales || {};
+  const rationalesB = b.rationales || {};
+  const tagsA = a.tags || [];
+  const tagsB = b.tags || [];
+  return (
+    !!a.flagged === !!b.flagged &&
+    tagsA.length === tagsB.length &&
+    tagsA.every((t) => tagsB.includes(t)) &&
+    [...new Set([...Object.keys(rationalesA), ...Object.keys(rationalesB)])].every(
+      (key) => (rationalesA[key] || "") === (rationalesB[key] || "")
+    )
+  );
+};
+
+export const tagLabel = (rubric, key) => rubric.tags.find((t) => t.key === key)?.label || key;
+
+// ---------------------------------------------------
+// Persistence + export mapping
+// ---------------------------------------------------
+
+// rating -> call_ratings columns (without call_id / turn_index / user_id)
+export const ratingToRow = (rubric, rating) => {
+  const row = {
+    ideal_response: rating.idealResponse || "",
+    updated_at: rating.updatedAt || new Date().toISOString(),
+    revision: rating.revision || 0,
+  };
+  rubric.metrics.forEach((m) => {
+    row[m.column] = isMetricAnswered(m, rating[m.key]) ? rating[m.key] : unsetValue(m);
+  });
+  return row;
+};
+
+// turn notes -> call_ratings columns: rationales (jsonb keyed by
+// metric.column), tags (text[]), flagged (boolean)
+export const ratingNotesToRow = (rubric, rating) => {
+  const rationales = {};
+  rubric.metrics.forEach((m) => {
+    const text = rating.rationales?.[m.key] || "";
+    if (text) rationales[m.column] = text;
+  });
+  return { rationales, tags: rating.tags || [], flagged: !!rating.flagged };
+};
+
+// call_ratings row -> rating, keeping existing values for missing columns
+// (tables without the turn-note columns leave the notes as they were)
+export const rowToRating = (rubric, row, existing) => {
+  const next = { ...existing };
+  rubric.metrics.forEach((m) => {
+    const value = row[m.column];
+    next[m.key] = value !== undefined && value !== null ? value : existing[m.key] ?? unsetValue(m);
+  });
+  next.idealResponse =
+    typeof row.ideal_response === "string" ? row.ideal_response : existing.idealResponse || "";
+  next.updatedAt = row.updated_at || existing.updatedAt || null;
+  next.revision = row.revision ?? existing.revision ?? 0;
+  next.syncedAt = row.updated_at || null;
+  if (row.rationales && typeof row.rationales === "object") {
+    next.rationales = {};
+    rubric.metrics.forEach((m) => {
+      if (typeof row.rationales[m.column] === "string") {
+        next.rationales[m.key] = row.rationales[m.column];
+      }
+    });
+  }
+  if (Array.isArray(row.tags)) next.tags = row.tags;
+  if (typeof row.flagged === "boolean") next.flagged = row.flagged;
+  return next;
+};
+
+// rating -> rating_* fields written into exported dialogue turns
+export const ratingToExportFields = (rubric, rating) => {
+  const fields = {};
+  rubric.metrics.forEach((m) => {
+    fields[`rating_${m.column}`] = isMetricAnswered(m, rating[m.key])
+      ? rating[m.key]
+      : unsetValue(m);
+  });
+  fields.rating_ideal_response = rating.idealResponse || "";
+  return fields;
+};
+
+// turn notes -> rating_<column>_rationale (when written), rating_tags and
+// rating_flagged fields of an exported dialogue turn
+export const ratingNotesToExportFields = (rubric, rating) => {
+  const fields = {};
+  rubric.metrics.forEach((m) => {
+    const text = rating.rationales?.[m.key] || "";
+    if (text) fields[`rating_${m.column}_rationale`] = text;
+  });
+  fields.rating_tags = rating.tags || [];
+  fields.rating_flagged = !!rating.flagged;
+  return fields;
+};
+
+const exportFieldsToNotes = (rubric, utt, values, problems) => {
+  const rationaleFields = rubric.metrics.filter((m) => `rating_${m.column}_rationale` in utt);
+  if (rationaleFields.length > 0) {
+    values.rationales = {};
+    rationaleFields.forEach((m) => {
+      const field = `rating_${m.column}_rationale`;
+      if (typeof utt[field] === "string") values.rationales[m.key] = utt[field];
+      else if (utt[field] != null) problems.push(`${field} must be a string`);
+    });
+  }
+  if ("rating_tags" in utt) {
+    if (!Array.isArray(utt.rating_tags)) {
+      problems.push("rating_tags must be an array");
+    } else {
+      const unknown = utt.rating_tags.filter((t) => !rubric.tags.some((tag) => tag.key === t));
+      unknown.forEach((t) => problems.push(`rating_tags: ${JSON.stringify(t)} is not a rubric tag`));
+      values.tags = utt.rating_tags.filter((t) => !unknown.includes(t));
+    }
+  }
+  if ("rating_flagged" in utt) {
+    if (typeof utt.rating_flagged !== "boolean") problems.push("rating_flagged must be a boolean");
+    else values.flagged = utt.rating_flagged;
+  }
+};
+
+// rating_* fields of an exported dialogue turn -> rating values, the inverse
+// of ratingToExportFields and ratingNotesToExportFields. Returns
+// { values, problems }; values is null when the turn carries no rating
+// fields at all, and only holds the turn notes present in the file.
+export const exportFieldsToRating = (rubric, utt) => {
+  const problems = [];
+  const hasFields =
+    "rating_ideal_response" in utt ||
+    "rating_tags" in utt ||
+    "rating_flagged" in utt ||
+    rubric.metrics.some((m) => `rating_${m.column}` in utt || `rating_${m.column}_rationale` in utt);
+  if (!hasFields) return { values: null, problems };
+
+  const values = { idealResponse: "" };
+  rubric.metrics.forEach((m) => {
+    const field = `rating_${m.column}`;
+    const value = utt[field];
+    if (value === undefined || value === null || value === unsetValue(m)) {
+      values[m.key] = unsetValue(m);
+    } else if (scaleOptions(m).some((o) => o.value === value)) {
+      values[m.key] = value;
+    } else {
+      problems.push(`${field}: ${JSON.stringify(value)} is not on the ${m.label} scale`);
+      values[m.key] = unsetValue(m);
+    }
+  });
+  if (utt.rating_ideal_response != null && typeof utt.rating_ideal_response !== "string") {
+    problems.push("rating_ideal_response must be a string");
+  } else {
+    values.idealResponse = utt.rating_ideal_response || "";
+  }
+  exportFieldsToNotes(rubric, utt, values, problems);
+  return { values, problems };
+};
@@ -0,0 +1,185 @@
+import { isNewer } from "./ratingMerge";
+
+// ---------------------------------------------------
+// Span annotations: a label and comment on a character range of one
+// utterance, e.g. a wrongly switched word or a sentence that breaks the SOP
+// Offsets are JavaScript string indices into utt.text, end exclusive, so
+// utt.text.slice(start, end) === span.text when the transcript is unchanged.
+// Local shape: { [spanId]: { id, userId, callId, turnIndex, start, end, text,
+//   label, comment, deleted, createdAt, updatedAt } }
+// Removing a span sets deleted = true, so every write is an upsert and goes
+// through the outbox like ratings do.
+// Supabase table span_annotations: id (uuid, primary key), user_id, call_id,
+//   turn_index, start_offset, end_offset, text, label, comment, deleted,
+//   created_at, updated_at
+// Exported on the utterance as span_annotations: [{ start, end, text, label, comment }]
+// and read back by the annotated-file import (see annotatedImport.js).
+// ---------------------------------------------------
+
+export const SPANS_CONFLICT_COLUMNS = "id";
+
+// highlight colours for rubric.spanLabels without their own colour
+const LABEL_COLORS = ["#fde68a", "#fecaca", "#bfdbfe", "#c7d2fe", "#bbf7d0", "#fbcfe8"];
+
+export const spanLabelOf = (rubric, key) => {
+  const index = rubric.spanLabels.findIndex((l) => l.key === key);
+  const label = rubric.spanLabels[index];
+  return {
+    label: label?.label || key,
+    color: label?.color || LABEL_COLORS[Math.max(index, 0) % LABEL_COLORS.length],
+  };
+};
+
+export const newSpan = ({ userId, callId, turnIndex, start, end, text, label, comment }) => {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    userId,
+    callId,
+    turnIndex,
+    start,
+    end,
+    text,
+    label,
+    comment,
+    deleted: false,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+export const spanToRow = (span) => ({
+  id: span.id,
+  user_id: span.userId,
+  call_id: span.callId,
+  turn_index: span.turnIndex,
+  start_offset: span.start,
+  end_offset: span.end,
+  text: span.text,
+  label: span.label,
+  comment: span.comment || "",
+  deleted: !!span.deleted,
+  created_at: span.createdAt,
+  updated_at: span.updatedAt,
+});
+
+const rowToSpan = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  callId: row.call_id,
+  turnIndex: row.turn_index,
+  start: row.start_offset,
+  end: row.end_offset,
+  text: row.text || "",
+  label: row.label,
+  comment: row.comment || "",
+  deleted: !!row.deleted,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Applies this annotator's rows; the newer updated_at wins and rows with a
+// queued local edit (isDirty) are skipped.
+export const applySpanRows = (current, rows, isDirty = () => false) => {
+  const next = { ...current };
+  rows.forEach((row) => {
+    if (!row.id || !row.call_id || isDirty(row)) return;
+    const local = next[row.id];
+    if (local && !isNewer(row.updated_at, local.updatedAt)) return;
+    next[row.id] = rowToSpan(row);
+  });
+  return next;
+};
+
+// live spans grouped for rendering: { [callId]: { [turnIndex]: [span] } },
+// each list sorted by start offset
+export const groupSpans = (spans) => {
+  const grouped = {};
+  Object.values(spans).forEach((span) => {
+    if (span.deleted) return;
+    const forCall = grouped[span.callId] || (grouped[span.callId] = {});
+    (forCall[span.turnIndex] || (forCall[span.turnIndex] = [])).push(span);
+  });
+  Object.values(grouped).forEach((forCall) =>
+    Object.values(forCall).forEach((list) => list.sort((a, b) => a.start - b.start || b.end - a.end))
+  );
+  return grouped;
+};
+
+// Splits text into [{ text, spans }] at every span boundary; spans lists the
+// spans covering that piece (overlapping spans stack). Spans that no longer
+// fit the text are left out.
+export const spanSegments = (text, spans) => {
+  const fitting = spans.filter((s) => s.start < s.end && s.end <= text.length);
+  const cuts = [
+    ...new Set([0, text.length, ...fitting.flatMap((s) => [s.start, s.end])]),
+  ].sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i < cuts.length - 1; i += 1) {
+    const [from, to] = [cuts[i], cuts[i + 1]];
+    segments.push({
+      text: text.slice(from, to),
+      spans: fitting.filter((s) => s.start <= from && s.end >= to),
+    });
+  }
+  return segments;
+};
+
+// Character range of the current selection inside container, whose text
+// content must be the utterance text. Leading and trailing whitespace is left
+// out. null when nothing (or something outside container) is selected.
+export const selectionOffsets = (container) => {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+  const range = selection.getRangeAt(0);
+  if (!container.contains(range.startContainer) || !container.contains(range.endContainer)) {
+    return null;
+  }
+  const before = document.createRange();
+  before.selectNodeContents(container);
+  before.setEnd(range.startContainer, range.startOffset);
+  const selected = range.toString();
+  const start = before.toString().length + (selected.length - selected.trimStart().length);
+  const end = start + selected.trim().length;
+  return end > start ? { start, end } : null;
+};
+
+export const spanToExportFields = (span) => ({
+  start: span.start,
+  end: span.end,
+  text: span.text,
+  label: span.label,
+  comment: span.comment || "",
+});
+
+// span_annotations of an exported utterance -> { spans, problems }, the
+// inverse of spanToExportFields. A span whose offsets don't select its text
+// in utt.text (the transcript changed since the export) is left out.
+export const exportFieldsToSpans = (utt) => {
+  const problems = [];
+  const spans = [];
+  if (utt.span_annotations === undefined) return { spans, problems };
+  if (!Array.isArray(utt.span_annotations)) {
+    problems.push("span_annotations must be a list");
+    return { spans, problems };
+  }
+  const text = typeof utt.text === "string" ? utt.text : "";
+  utt.span_annotations.forEach((item, i) => {
+    const field = `span_annotations[${i}]`;
+    const { start, end, label, comment } = item || {};
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start) {
+      problems.push(`${field}: start and end must be offsets with start < end`);
+    } else if (typeof label !== "string" || !label.trim()) {
+      problems.push(`${field}: label is missing`);
+    } else if (comment != null && typeof comment !== "string") {
+      problems.push(`${field}: comment must be a string`);
+    } else if (text.slice(start, end) !== item.text) {
+      problems.push(
+        `${field}: ${JSON.stringify(item.text)} is not at ${start}–${end} of the utterance, skipped`
+      );
+    } else {
+      spans.push({ start, end, text: item.text, label: label.trim(), comment: comment || "" });
+    }
+  });
+  return { spans, problems };
+};
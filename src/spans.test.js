@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+import { exportFieldsToSpans, groupSpans, spanSegments } from "./spans";
+
+const TEXT = "Yes, it arrives in five days.";
+
+const span = (id, start, end, extra = {}) => ({
+  id,
+  callId: "c1",
+  turnIndex: 3,
+  start,
+  end,
+  text: TEXT.slice(start, end),
+  label: "factual_error",
+  comment: "",
+  deleted: false,
+  ...extra,
+});
+
+// segments as [text, [ids of the spans covering it]]
+const segments = (text, spans) =>
+  spanSegments(text, spans).map((s) => [s.text, s.spans.map((x) => x.id)]);
+
+describe("spanSegments", () => {
+  it("returns the whole text as one plain segment without spans", () => {
+    expect(segments(TEXT, [])).toEqual([[TEXT, []]]);
+  });
+
+  it("cuts at spans at the start and the end of the utterance", () => {
+    expect(segments(TEXT, [span("a", 0, 3), span("b", 16, TEXT.length)])).toEqual([
+      ["Yes", ["a"]],
+      [", it arrives ", []],
+      ["in five days.", ["b"]],
+    ]);
+    expect(segments(TEXT, [span("all", 0, TEXT.length)])).toEqual([[TEXT, ["all"]]]);
+  });
+
+  it("stacks overlapping and nested spans on the pieces they share", () => {
+    expect(segments(TEXT, [span("a", 5, 15), span("b", 8, 23), span("c", 19, 23)])).toEqual([
+      ["Yes, ", []],
+      ["it ", ["a"]],
+      ["arrives", ["a", "b"]],
+      [" in ", ["b"]],
+      ["five", ["b", "c"]],
+      [" days.", []],
+    ]);
+  });
+
+  it("leaves out spans that no longer fit the text", () => {
+    expect(segments("Yes.", [span("a", 0, 3), span("long", 2, 10), span("empty", 2, 2)])).toEqual([
+      ["Yes", ["a"]],
+      [".", []],
+    ]);
+  });
+});
+
+describe("groupSpans", () => {
+  it("groups live spans by call and turn, sorted by start then longest first", () => {
+    const grouped = groupSpans({
+      b: span("b", 8, 23),
+      a: span("a", 8, 15),
+      c: span("c", 0, 3),
+      gone: span("gone", 0, 29, { deleted: true }),
+      other: span("other", 0, 3, { turnIndex: 1 }),
+    });
+    expect(grouped.c1[3].map((s) => s.id)).toEqual(["c", "b", "a"]);
+    expect(grouped.c1[1].map((s) => s.id)).toEqual(["other"]);
+  });
+});
+
+describe("exportFieldsToSpans", () => {
+  const read = (spanAnnotations) =>
+    exportFieldsToSpans({ text: TEXT, span_annotations: spanAnnotations });
+
+  it("reads spans at the start and the end of the utterance", () => {
+    const { spans, problems } = read([
+      { start: 0, end: 3, text: "Yes", label: " factual_error " },
+      { start: 16, end: 29, text: "in five days.", label: "factual_error", comment: "seven" },
+    ]);
+    expect(problems).toEqual([]);
+    expect(spans).toEqual([
+      { start: 0, end: 3, text: "Yes", label: "factual_error", comment: "" },
+      { start: 16, end: 29, text: "in five days.", label: "factual_error", comment: "seven" },
+    ]);
+  });
+
+  it("skips spans whose offsets don't select their text", () => {
+    const { spans, problems } = read([
+      { start: 16, end: 28, text: "in five days.", label: "factual_error" },
+      { start: 25, end: 35, text: "days.", label: "factual_error" },
+      { start: 3, end: 3, text: "", label: "factual_error" },
+    ]);
+    expect(spans).toEqual([]);
+    expect(problems).toEqual([
+      'span_annotations[0]: "in five days." is not at 16–28 of the utterance, skipped',
+      'span_annotations[1]: "days." is not at 25–35 of the utterance, skipped',
+      "span_annotations[2]: start and end must be offsets with start < end",
+    ]);
+  });
+});
@@ -0,0 +1,521 @@
+import { normalizeCompletions } from "./completion";
+import { isNewer } from "./ratingMerge";
+
+// ---------------------------------------------------
+// Local persistence of each annotator's ratings, call ratings, "Mark done"
+// state, tracked time and span annotations. IndexedDB database
+// "call_rating_dashboard", one record per rated turn, per call, per time entry
+// and per span, so a change writes only the records it touched:
+//   ratings      { userId, callId, turnIndex, rating }   key [userId, callId, turnIndex]
+//   callRatings  { userId, callId, rating }              key [userId, callId]
+//   completions  { userId, callId, completion }          key [userId, callId]
+//   timeEntries  time entry (see timeTracking.js)       key id
+//   spans        span annotation (see spans.js)         key id
+// all indexed by userId.
+// Schema versions:
+//   v1  localStorage, one JSON object per annotator under
+//       call_rating_dashboard_ratings_v1:<userId> / ..._completed_v1:<userId>
+//       (or the bare key, from before sign-in existed)
+//   v2  the IndexedDB stores ratings and completions
+//   v3  adds timeEntries (localStorage fallback: call_rating_dashboard_time_v1:<userId>)
+//   v4  adds callRatings (localStorage fallback: call_rating_dashboard_call_ratings_v1:<userId>)
+//   v5  adds spans (localStorage fallback: call_rating_dashboard_spans_v1:<userId>)
+//   v6  moves every localStorage fallback key into IndexedDB (v3-v5 only
+//       created the stores), keeping whichever copy of a record is newer
+// MIGRATIONS upgrade the database one version at a time inside IndexedDB's
+// upgrade transaction, so a failing migration leaves the previous version
+// (and the v1 localStorage data) untouched. Without IndexedDB (some private
+// browsing modes, very old browsers) the v1 localStorage format is kept.
+// When another tab upgrades the schema this tab's connection is closed and
+// reopened at the new version; a write that still can't reach IndexedDB is
+// kept in the localStorage fallback and moved in the next time the database
+// opens.
+// Both backends expose
+//   { kind, saveRatings(previous, next), saveCallRatings(previous, next),
+//     saveCompletions(previous, next), saveTimeEntry(entry), saveSpans(previous, next) }
+// where previous / next are the App's state objects; only differences are written.
+// ---------------------------------------------------
+
+export const RATINGS_STORAGE_KEY = "call_rating_dashboard_ratings_v1";
+export const COMPLETED_CALLS_KEY = "call_rating_dashboard_completed_v1";
+const TIME_ENTRIES_KEY = "call_rating_dashboard_time_v1";
+const CALL_RATINGS_KEY = "call_rating_dashboard_call_ratings_v1";
+const SPANS_KEY = "call_rating_dashboard_spans_v1";
+
+const DB_NAME = "call_rating_dashboard";
+
+// localStorage keys are scoped per signed-in annotator
+export const userStorageKey = (baseKey, userId) => `${baseKey}:${userId}`;
+
+// Reads a stored object for this user. Data written before sign-in existed
+// (under the bare key) is adopted by the first annotator who signs in.
+const loadStoredObject = (baseKey, userId) => {
+  const scopedKey = userStorageKey(baseKey, userId);
+  const raw =
+    window.localStorage.getItem(scopedKey) ?? window.localStorage.getItem(baseKey);
+  if (!raw) return {};
+  const parsed = JSON.parse(raw);
+  return parsed && typeof parsed === "object" ? parsed : {};
+};
+
+const loadStoredList = (baseKey, userId) => {
+  const raw = window.localStorage.getItem(userStorageKey(baseKey, userId));
+  const parsed = raw ? JSON.parse(raw) : [];
+  return Array.isArray(parsed) ? parsed : [];
+};
+
+// ---------------------------------------------------
+// Diffs between two states; unchanged entries share identity, so only the
+// calls whose object changed are looked into.
+// ---------------------------------------------------
+
+// [{ callId, turnIndex, rating }] with rating null when the turn was removed
+export const changedTurns = (previous, next) => {
+  const changes = [];
+  const callIds = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  callIds.forEach((callId) => {
+    const before = previous[callId] || {};
+    const after = next[callId] || {};
+    if (before === after) return;
+    const turns = new Set([...Object.keys(before), ...Object.keys(after)]);
+    turns.forEach((idx) => {
+      if (before[idx] === after[idx]) return;
+      changes.push({ callId, turnIndex: Number(idx), rating: after[idx] ?? null });
+    });
+  });
+  return changes;
+};
+
+// [{ key, value }] for state keyed by call or id, value null when the entry was removed
+export const changedKeys = (previous, next) =>
+  [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter((key) => previous[key] !== next[key])
+    .map((key) => ({ key, value: next[key] ?? null }));
+
+// ---------------------------------------------------
+// localStorage backend (v1 format), also the fallback
+// ---------------------------------------------------
+const localStorageStore = (userId) => {
+  const save = (baseKey, value, label) => {
+    try {
+      window.localStorage.setItem(userStorageKey(baseKey, userId), JSON.stringify(value));
+      window.localStorage.removeItem(baseKey);
+    } catch (e) {
+      console.warn(`Failed to save ${label} to localStorage`, e);
+    }
+  };
+
+  return {
+    kind: "localStorage",
+    load: () => {
+      let ratings = {};
+      let callRatings = {};
+      let completedCalls = {};
+      let timeEntries = [];
+      let spans = {};
+      try {
+        ratings = loadStoredObject(RATINGS_STORAGE_KEY, userId);
+      } catch (e) {
+        console.warn("Failed to load ratings from localStorage", e);
+      }
+      try {
+        callRatings = loadStoredObject(CALL_RATINGS_KEY, userId);
+      } catch (e) {
+        console.warn("Failed to load call ratings from localStorage", e);
+      }
+      try {
+        completedCalls = normalizeCompletions(loadStoredObject(COMPLETED_CALLS_KEY, userId));
+      } catch (e) {
+        console.warn("Failed to load completed calls from localStorage", e);
+      }
+      try {
+        timeEntries = loadStoredList(TIME_ENTRIES_KEY, userId);
+      } catch (e) {
+        console.warn("Failed to load time entries from localStorage", e);
+      }
+      try {
+        spans = loadStoredObject(SPANS_KEY, userId);
+      } catch (e) {
+        console.warn("Failed to load span annotations from localStorage", e);
+      }
+      return { ratings, callRatings, completedCalls, timeEntries, spans };
+    },
+    saveRatings: (previous, next) => {
+      if (previous !== next) save(RATINGS_STORAGE_KEY, next, "ratings");
+    },
+    saveCallRatings: (previous, next) => {
+      if (previous !== next) save(CALL_RATINGS_KEY, next, "call ratings");
+    },
+    saveCompletions: (previous, next) => {
+      if (previous !== next) save(COMPLETED_CALLS_KEY, next, "completed calls");
+    },
+    saveTimeEntry: (entry) => {
+      try {
+        const entries = loadStoredList(TIME_ENTRIES_KEY, userId).filter((e) => e.id !== entry.id);
+        save(TIME_ENTRIES_KEY, [...entries, entry], "time entries");
+      } catch (e) {
+        console.warn("Failed to save time entries to localStorage", e);
+      }
+    },
+    saveSpans: (previous, next) => {
+      if (previous !== next) save(SPANS_KEY, next, "span annotations");
+    },
+  };
+};
+
+// ---------------------------------------------------
+// IndexedDB backend
+// ---------------------------------------------------
+
+// Every v1 localStorage object, as [{ key, userId, value }]. The bare keys
+// belong to adoptingUserId, unless that annotator has a scoped copy already.
+const readV1Objects = (baseKey, adoptingUserId) => {
+  const found = [];
+  for (let i = 0; i < window.localStorage.length; i += 1) {
+    const key = window.localStorage.key(i);
+    if (key?.startsWith(`${baseKey}:`)) {
+      found.push({ key, userId: key.slice(baseKey.length + 1) });
+    }
+  }
+  if (
+    window.localStorage.getItem(baseKey) !== null &&
+    !found.some((f) => f.userId === adoptingUserId)
+  ) {
+    found.push({ key: baseKey, userId: adoptingUserId });
+  }
+  return found.flatMap(({ key, userId }) => {
+    try {
+      const parsed = JSON.parse(window.localStorage.getItem(key));
+      return parsed && typeof parsed === "object" ? [{ key, userId, value: parsed }] : [];
+    } catch (e) {
+      console.warn(`Skipping unreadable localStorage entry ${key}`, e);
+      return [];
+    }
+  });
+};
+
+// The localStorage fallback keys and the IndexedDB records they hold.
+// records(userId, value) lists the records of one stored object; updatedAt
+// tells which of two copies of a record is newer.
+const FALLBACK_DATA = [
+  {
+    baseKey: RATINGS_STORAGE_KEY,
+    storeName: "ratings",
+    records: (userId, value) =>
+      Object.entries(value).flatMap(([callId, turns]) =>
+        Object.entries(turns || {})
+          .filter(([idx, rating]) => rating && Number.isInteger(Number(idx)))
+          .map(([idx, rating]) => ({ userId, callId, turnIndex: Number(idx), rating }))
+      ),
+    updatedAt: (record) => record.rating.updatedAt,
+  },
+  {
+    baseKey: COMPLETED_CALLS_KEY,
+    storeName: "completions",
+    records: (userId, value) =>
+      Object.entries(normalizeCompletions(value)).map(([callId, completion]) => ({
+        userId,
+        callId,
+        completion,
+      })),
+    updatedAt: (record) => record.completion.updatedAt,
+  },
+  {
+    baseKey: CALL_RATINGS_KEY,
+    storeName: "callRatings",
+    records: (userId, value) =>
+      Object.entries(value)
+        .filter(([, rating]) => rating)
+        .map(([callId, rating]) => ({ userId, callId, rating })),
+    updatedAt: (record) => record.rating.updatedAt,
+  },
+  {
+    baseKey: TIME_ENTRIES_KEY,
+    storeName: "timeEntries",
+    records: (userId, value) =>
+      (Array.isArray(value) ? value : [])
+        .filter((entry) => entry?.id)
+        .map((entry) => ({ ...entry, userId: entry.userId || userId })),
+    updatedAt: (record) => record.updatedAt,
+  },
+  {
+    baseKey: SPANS_KEY,
+    storeName: "spans",
+    records: (userId, value) =>
+      Object.values(value)
+        .filter((span) => span?.id)
+        .map((span) => ({ ...span, userId: span.userId || userId })),
+    updatedAt: (record) => record.updatedAt,
+  },
+];
+
+const hasFallbackData = () => {
+  for (let i = 0; i < window.localStorage.length; i += 1) {
+    const key = window.localStorage.key(i);
+    if (FALLBACK_DATA.some(({ baseKey }) => key === baseKey || key?.startsWith(`${baseKey}:`))) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// puts the record unless the store holds a copy at least as new
+const putIfNewer = (store, record, updatedAt) => {
+  const key = Array.isArray(store.keyPath)
+    ? store.keyPath.map((path) => record[path])
+    : record[store.keyPath];
+  const request = store.get(key);
+  request.onsuccess = () => {
+    const existing = request.result;
+    if (existing && !isNewer(updatedAt(record), updatedAt(existing))) return;
+    store.put(record);
+  };
+};
+
+// Copies every fallback key into tx (which covers all the stores) and lists
+// the keys in context.migratedKeys.
+const moveFallbackData = (tx, context) => {
+  FALLBACK_DATA.forEach(({ baseKey, storeName, records, updatedAt }) => {
+    readV1Objects(baseKey, context.userId).forEach(({ key, userId, value }) => {
+      records(userId, value).forEach((record) =>
+        putIfNewer(tx.objectStore(storeName), record, updatedAt)
+      );
+      context.migratedKeys.push(key);
+    });
+  });
+};
+
+// migrate(tx, context) runs inside the upgrade transaction. context.userId is
+// the annotator opening the database; keys listed in context.migratedKeys are
+// removed from localStorage once the upgrade has committed.
+const MIGRATIONS = [
+  {
+    version: 2,
+    migrate: (tx, context) => {
+      const db = tx.db;
+      db.createObjectStore("ratings", { keyPath: ["userId", "callId", "turnIndex"] }).createIndex(
+        "userId",
+        "userId"
+      );
+      db.createObjectStore("completions", { keyPath: ["userId", "callId"] }).createIndex(
+        "userId",
+        "userId"
+      );
+
+      readV1Objects(RATINGS_STORAGE_KEY, context.userId).forEach(({ key, userId, value }) => {
+        Object.entries(value).forEach(([callId, turns]) => {
+          Object.entries(turns || {}).forEach(([idx, rating]) => {
+            if (!rating || !Number.isInteger(Number(idx))) return;
+            tx.objectStore("ratings").put({ userId, callId, turnIndex: Number(idx), rating });
+          });
+        });
+        context.migratedKeys.push(key);
+      });
+      readV1Objects(COMPLETED_CALLS_KEY, context.userId).forEach(({ key, userId, value }) => {
+        Object.entries(normalizeCompletions(value)).forEach(([callId, completion]) => {
+          tx.objectStore("completions").put({ userId, callId, completion });
+        });
+        context.migratedKeys.push(key);
+      });
+    },
+  },
+  {
+    version: 3,
+    migrate: (tx) => {
+      tx.db.createObjectStore("timeEntries", { keyPath: "id" }).createIndex("userId", "userId");
+    },
+  },
+  {
+    version: 4,
+    migrate: (tx) => {
+      tx.db
+        .createObjectStore("callRatings", { keyPath: ["userId", "callId"] })
+        .createIndex("userId", "userId");
+    },
+  },
+  {
+    version: 5,
+    migrate: (tx) => {
+      tx.db.createObjectStore("spans", { keyPath: "id" }).createIndex("userId", "userId");
+    },
+  },
+  {
+    version: 6,
+    migrate: moveFallbackData,
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("transaction aborted"));
+  });
+
+// one connection per page, shared by every annotator signing in
+let databasePromise = null;
+
+// a newer tab is upgrading the schema: let it, and carry on with the
+// upgraded database
+const watchVersionChange = (db) => {
+  db.onversionchange = () => {
+    db.close();
+    databasePromise = reopenDatabase();
+    // a failed reopen surfaces in the next read or write
+    databasePromise.catch(() => {});
+  };
+  return db;
+};
+
+// opens the database at whatever version it has now, without upgrading it
+const reopenDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME);
+    request.onsuccess = () => resolve(watchVersionChange(request.result));
+    request.onerror = () => reject(request.error);
+  });
+
+const openDatabase = (userId) =>
+  new Promise((resolve, reject) => {
+    const context = { userId, migratedKeys: [] };
+    const request = window.indexedDB.open(DB_NAME, SCHEMA_VERSION);
+    request.onupgradeneeded = (event) => {
+      MIGRATIONS.filter((m) => m.version > event.oldVersion).forEach((m) =>
+        m.migrate(request.transaction, context)
+      );
+    };
+    request.onsuccess = () => {
+      context.migratedKeys.forEach((key) => window.localStorage.removeItem(key));
+      resolve(watchVersionChange(request.result));
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn("Local storage upgrade waits for other open tabs to close");
+  });
+
+// fallback data written since the last upgrade (see FALLBACK_DATA)
+const adoptFallbackData = async (db, userId) => {
+  const context = { userId, migratedKeys: [] };
+  const tx = db.transaction(FALLBACK_DATA.map((f) => f.storeName), "readwrite");
+  moveFallbackData(tx, context);
+  await transactionDone(tx);
+  context.migratedKeys.forEach((key) => window.localStorage.removeItem(key));
+};
+
+const indexedDbStore = (userId) => {
+  const fallback = localStorageStore(userId);
+
+  const readAll = async (storeName) => {
+    const tx = (await databasePromise).transaction(storeName, "readonly");
+    return requestResult(tx.objectStore(storeName).index("userId").getAll(userId));
+  };
+
+  // saveFallback() keeps the change in localStorage when IndexedDB can't take it
+  const write = async (storeName, records, label, saveFallback) => {
+    if (records.length === 0) return;
+    try {
+      const tx = (await databasePromise).transaction(storeName, "readwrite");
+      const store = tx.objectStore(storeName);
+      records.forEach(({ key, value }) => (value ? store.put(value) : store.delete(key)));
+      await transactionDone(tx);
+    } catch (e) {
+      console.warn(`Failed to save ${label} to IndexedDB, keeping them in localStorage`, e);
+      saveFallback();
+    }
+  };
+
+  return {
+    kind: "indexeddb",
+    load: async () => {
+      const [ratingRecords, callRatingRecords, completionRecords, timeEntries, spanRecords] =
+        await Promise.all([
+          readAll("ratings"),
+          readAll("callRatings"),
+          readAll("completions"),
+          readAll("timeEntries"),
+          readAll("spans"),
+        ]);
+      const ratings = {};
+      ratingRecords.forEach(({ callId, turnIndex, rating }) => {
+        (ratings[callId] || (ratings[callId] = {}))[turnIndex] = rating;
+      });
+      const completedCalls = Object.fromEntries(
+        completionRecords.map(({ callId, completion }) => [callId, completion])
+      );
+      const callRatings = Object.fromEntries(
+        callRatingRecords.map(({ callId, rating }) => [callId, rating])
+      );
+      return {
+        ratings,
+        callRatings,
+        completedCalls: normalizeCompletions(completedCalls),
+        timeEntries,
+        spans: Object.fromEntries(spanRecords.map((span) => [span.id, span])),
+      };
+    },
+    saveRatings: (previous, next) =>
+      write(
+        "ratings",
+        changedTurns(previous, next).map(({ callId, turnIndex, rating }) => ({
+          key: [userId, callId, turnIndex],
+          value: rating && { userId, callId, turnIndex, rating },
+        })),
+        "ratings",
+        () => fallback.saveRatings(previous, next)
+      ),
+    saveCallRatings: (previous, next) =>
+      write(
+        "callRatings",
+        changedKeys(previous, next).map(({ key: callId, value }) => ({
+          key: [userId, callId],
+          value: value && { userId, callId, rating: value },
+        })),
+        "call ratings",
+        () => fallback.saveCallRatings(previous, next)
+      ),
+    saveCompletions: (previous, next) =>
+      write(
+        "completions",
+        changedKeys(previous, next).map(({ key: callId, value }) => ({
+          key: [userId, callId],
+          value: value && { userId, callId, completion: value },
+        })),
+        "completed calls",
+        () => fallback.saveCompletions(previous, next)
+      ),
+    saveTimeEntry: (entry) =>
+      write("timeEntries", [{ key: entry.id, value: entry }], "time entries", () =>
+        fallback.saveTimeEntry(entry)
+      ),
+    saveSpans: (previous, next) =>
+      write("spans", changedKeys(previous, next), "span annotations", () =>
+        fallback.saveSpans(previous, next)
+      ),
+  };
+};
+
+// Opens this annotator's local data:
+// { store, ratings, callRatings, completedCalls, timeEntries, spans }.
+// Never rejects; when IndexedDB can't be used the localStorage store is returned.
+export const openLocalStore = async (userId) => {
+  if (window.indexedDB) {
+    try {
+      databasePromise = databasePromise || openDatabase(userId);
+      const db = await databasePromise;
+      if (hasFallbackData()) await adoptFallbackData(db, userId);
+      const store = indexedDbStore(userId);
+      return { store, ...(await store.load()) };
+    } catch (e) {
+      console.warn("IndexedDB unavailable, keeping ratings in localStorage", e);
+    }
+  }
+  const store = localStorageStore(userId);
+  return { store, ...store.load() };
+};
@@ -0,0 +1,165 @@
+import { IDBFactory } from "fake-indexeddb";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ---------------------------------------------------
+// Schema migrations and connection handling of the IndexedDB store, on
+// fake-indexeddb. Each test gets an empty database and a fresh storage.js
+// (it keeps one connection per page).
+// ---------------------------------------------------
+
+const DB_NAME = "call_rating_dashboard";
+const T1 = "2026-01-01T10:00:00.000Z";
+const T2 = "2026-01-01T11:00:00.000Z";
+
+// the stores each schema version had, as its migrations created them
+const STORES = [
+  { version: 2, name: "ratings", keyPath: ["userId", "callId", "turnIndex"] },
+  { version: 2, name: "completions", keyPath: ["userId", "callId"] },
+  { version: 3, name: "timeEntries", keyPath: "id" },
+  { version: 4, name: "callRatings", keyPath: ["userId", "callId"] },
+  { version: 5, name: "spans", keyPath: "id" },
+];
+
+const request = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+// an existing database at an older schema version, holding records
+const createDatabaseAt = async (version, records = {}) => {
+  const open = window.indexedDB.open(DB_NAME, version);
+  open.onupgradeneeded = () => {
+    STORES.filter((s) => s.version <= version).forEach(({ name, keyPath }) =>
+      open.result.createObjectStore(name, { keyPath }).createIndex("userId", "userId")
+    );
+  };
+  const db = await request(open);
+  const names = Object.keys(records);
+  if (names.length > 0) {
+    const tx = db.transaction(names, "readwrite");
+    names.forEach((name) => records[name].forEach((r) => tx.objectStore(name).put(r)));
+    await new Promise((resolve) => (tx.oncomplete = resolve));
+  }
+  db.close();
+};
+
+const rating = (codeSwitch, updatedAt) => ({ codeSwitch, updatedAt, revision: 1 });
+const timeEntry = (id, updatedAt) => ({ id, userId: "me", kind: "call", activeMs: 1000, updatedAt });
+const span = (id, comment, updatedAt) => ({
+  id,
+  userId: "me",
+  callId: "c1",
+  turnIndex: 1,
+  start: 0,
+  end: 2,
+  text: "Hi",
+  label: "factual_error",
+  comment,
+  deleted: false,
+  updatedAt,
+});
+
+const setFallback = (key, value) => window.localStorage.setItem(key, JSON.stringify(value));
+
+const fallbackKeys = () =>
+  Object.keys(window.localStorage).filter((k) => k.startsWith("call_rating_dashboard_"));
+
+describe("openLocalStore", () => {
+  let storage;
+
+  beforeEach(async () => {
+    vi.stubGlobal("indexedDB", new IDBFactory());
+    window.localStorage.clear();
+    vi.resetModules();
+    storage = await import("./storage");
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("moves every v1 localStorage key into a new database", async () => {
+    setFallback("call_rating_dashboard_ratings_v1", { c1: { 1: rating(4, T1) } });
+    setFallback("call_rating_dashboard_ratings_v1:other", { c2: { 3: rating(2, T1) } });
+    setFallback("call_rating_dashboard_completed_v1:me", { c1: true });
+    setFallback("call_rating_dashboard_call_ratings_v1:me", { c1: { taskSuccess: 1, updatedAt: T1 } });
+    setFallback("call_rating_dashboard_time_v1:me", [timeEntry("t1", T1)]);
+    setFallback("call_rating_dashboard_spans_v1:me", { s1: span("s1", "check", T1) });
+
+    const opened = await storage.openLocalStore("me");
+
+    expect(opened.store.kind).toBe("indexeddb");
+    expect(opened.ratings).toEqual({ c1: { 1: rating(4, T1) } });
+    expect(opened.completedCalls.c1.completed).toBe(true);
+    expect(opened.callRatings).toEqual({ c1: { taskSuccess: 1, updatedAt: T1 } });
+    expect(opened.timeEntries).toEqual([timeEntry("t1", T1)]);
+    expect(opened.spans).toEqual({ s1: span("s1", "check", T1) });
+    expect(fallbackKeys()).toEqual([]);
+
+    // other annotators' data moved too, under their own userId
+    const other = await storage.openLocalStore("other");
+    expect(other.ratings).toEqual({ c2: { 3: rating(2, T1) } });
+  });
+
+  it.each([2, 3, 4, 5])("upgrades a v%i database, keeping its records", async (version) => {
+    await createDatabaseAt(version, {
+      ratings: [{ userId: "me", callId: "c1", turnIndex: 1, rating: rating(4, T2) }],
+      ...(version >= 3 && { timeEntries: [timeEntry("t1", T2)] }),
+    });
+    setFallback("call_rating_dashboard_time_v1:me", [timeEntry("t1", T1), timeEntry("t2", T1)]);
+    setFallback("call_rating_dashboard_call_ratings_v1:me", { c1: { taskSuccess: 0, updatedAt: T1 } });
+    setFallback("call_rating_dashboard_spans_v1:me", { s1: span("s1", "check", T1) });
+
+    const opened = await storage.openLocalStore("me");
+
+    expect(opened.store.kind).toBe("indexeddb");
+    expect(opened.ratings).toEqual({ c1: { 1: rating(4, T2) } });
+    // the database's newer copy of t1 wins over the fallback's
+    expect(opened.timeEntries.sort((a, b) => a.id.localeCompare(b.id))).toEqual([
+      timeEntry("t1", version >= 3 ? T2 : T1),
+      timeEntry("t2", T1),
+    ]);
+    expect(opened.callRatings).toEqual({ c1: { taskSuccess: 0, updatedAt: T1 } });
+    expect(opened.spans).toEqual({ s1: span("s1", "check", T1) });
+    expect(fallbackKeys()).toEqual([]);
+  });
+
+  it("takes the fallback's copy when it is newer than the database's", async () => {
+    await createDatabaseAt(5, { spans: [span("s1", "old", T1)] });
+    setFallback("call_rating_dashboard_spans_v1:me", { s1: span("s1", "new", T2) });
+
+    const opened = await storage.openLocalStore("me");
+    expect(opened.spans.s1.comment).toBe("new");
+  });
+
+  it("keeps writing after another tab upgrades the schema", async () => {
+    const { store } = await storage.openLocalStore("me");
+
+    // another tab opens a newer schema version; this tab's connection yields
+    const upgrade = window.indexedDB.open(DB_NAME, storage.SCHEMA_VERSION + 1);
+    const newer = await request(upgrade);
+    newer.close();
+
+    await store.saveRatings({}, { c1: { 1: rating(5, T2) } });
+
+    const reopened = await storage.openLocalStore("me");
+    expect(reopened.store.kind).toBe("indexeddb");
+    expect(reopened.ratings).toEqual({ c1: { 1: rating(5, T2) } });
+    expect(fallbackKeys()).toEqual([]);
+  });
+
+  it("keeps a write in localStorage when the database can't take it", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { store } = await storage.openLocalStore("me");
+
+    // the database is deleted under this tab: the reopened one has no stores
+    await request(window.indexedDB.deleteDatabase(DB_NAME));
+    await store.saveSpans({}, { s1: span("s1", "kept", T2) });
+
+    expect(JSON.parse(window.localStorage.getItem("call_rating_dashboard_spans_v1:me"))).toEqual({
+      s1: span("s1", "kept", T2),
+    });
+  });
+});
@@ -1,6 +1,43 @@
 import { createClient } from "@supabase/supabase-js";
 
-export const supabase = createClient(
-  import.meta.env.VITE_SUPABASE_URL,
-  import.meta.env.VITE_SUPABASE_ANON_KEY
-);
\ No newline at end of file
+// ---------------------------------------------------
+// Supabase client
+// In local auth mode (VITE_AUTH_MODE=local, see auth.js) no Supabase project
+// is needed: the client is replaced by an offline stand-in whose queries
+// find no rows and whose writes succeed without being sent anywhere, so the
+// dashboard runs on browser storage alone.
+// ---------------------------------------------------
+
+// a query builder: every filter returns the builder, awaiting it resolves to
+// an empty result
+const createOfflineQuery = () => {
+  const result = Promise.resolve({ data: [], error: null });
+  const query = new Proxy(
+    {},
+    {
+      get: (target, prop) => {
+        if (prop === "then") return result.then.bind(result);
+        if (prop === "catch") return result.catch.bind(result);
+        if (prop === "finally") return result.finally.bind(result);
+        return () => query;
+      },
+    }
+  );
+  return query;
+};
+
+const createOfflineClient = () => ({
+  from: () => createOfflineQuery(),
+});
+
+export const supabase =
+  import.meta.env.VITE_AUTH_MODE === "local"
+    ? createOfflineClient()
+    : createClient(import.meta.env.VITE_SUPABASE_URL, import.meta.env.VITE_SUPABASE_ANON_KEY, {
+        auth: {
+          persistSession: true,
+          autoRefreshToken: true,
+          // picks up the session from the magic link redirect
+          detectSessionInUrl: true,
+        },
+      });
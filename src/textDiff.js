@@ -0,0 +1,110 @@
+// ---------------------------------------------------
+// Word-level diff and edit distance between an Assistant turn and the ideal
+// response written for it
+// diffWords(original, revised) -> [{ type: "same" | "removed" | "added", text }]
+//   runs of one type are merged; whitespace is normalised to single spaces
+// editStats(original, revised) -> { wordDistance, charDistance, wordEditRate }
+//   Levenshtein distances in words and characters; wordEditRate is
+//   wordDistance per word of the original (null for an empty original)
+// ---------------------------------------------------
+
+const toWords = (text) => (text || "").split(/\s+/).filter(Boolean);
+
+// table[i * (b.length + 1) + j] = length of the longest common subsequence
+// of a[i..] and b[j..]
+const lcsTable = (a, b) => {
+  const cols = b.length + 1;
+  const table = new Uint32Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      table[i * cols + j] =
+        a[i] === b[j]
+          ? table[(i + 1) * cols + j + 1] + 1
+          : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+  return table;
+};
+
+export const diffWords = (original, revised) => {
+  const a = toWords(original);
+  const b = toWords(revised);
+  const table = lcsTable(a, b);
+  const cols = b.length + 1;
+  const parts = [];
+  const push = (type, word) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += ` ${word}`;
+    else parts.push({ type, text: word });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i += 1;
+      j += 1;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      push("removed", a[i]);
+      i += 1;
+    } else {
+      push("added", b[j]);
+      j += 1;
+    }
+  }
+  for (; i < a.length; i += 1) push("removed", a[i]);
+  for (; j < b.length; j += 1) push("added", b[j]);
+  return parts;
+};
+
+// insertions, deletions and substitutions turning a into b (arrays). The
+// common prefix and suffix are cut first: an ideal response started from the
+// original mostly shares both, which keeps long turns cheap.
+const levenshtein = (fullA, fullB) => {
+  let start = 0;
+  while (start < fullA.length && start < fullB.length && fullA[start] === fullB[start]) start += 1;
+  let endA = fullA.length;
+  let endB = fullB.length;
+  while (endA > start && endB > start && fullA[endA - 1] === fullB[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  const a = fullA.slice(start, endA);
+  const b = fullB.slice(start, endB);
+
+  let previous = Uint32Array.from({ length: b.length + 1 }, (_, j) => j);
+  let row = new Uint32Array(b.length + 1);
+  for (let i = 1; i <= a.length; i += 1) {
+    row[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      row[j] = Math.min(
+        previous[j] + 1,
+        row[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    [previous, row] = [row, previous];
+  }
+  return previous[b.length];
+};
+
+export const editStats = (original, revised) => {
+  const originalWords = toWords(original);
+  const wordDistance = levenshtein(originalWords, toWords(revised));
+  return {
+    wordDistance,
+    charDistance: levenshtein([...(original || "").trim()], [...(revised || "").trim()]),
+    wordEditRate:
+      originalWords.length > 0
+        ? Math.round((wordDistance / originalWords.length) * 1000) / 1000
+        : null,
+  };
+};
+
+// edit stats of an ideal response -> fields of an exported dialogue turn
+export const editStatsToExportFields = (stats) => ({
+  rating_ideal_word_edit_distance: stats.wordDistance,
+  rating_ideal_char_edit_distance: stats.charDistance,
+  rating_ideal_word_edit_rate: stats.wordEditRate,
+});
@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import { diffWords, editStats, editStatsToExportFields } from "./textDiff";
+
+const ORIGINAL = "Your card is blocked";
+const EXTENDED = "Your new card is blocked today";
+
+describe("diffWords", () => {
+  it("returns no parts for empty text", () => {
+    expect(diffWords("", "")).toEqual([]);
+    expect(diffWords(null, undefined)).toEqual([]);
+    expect(diffWords("", "Hi there")).toEqual([{ type: "added", text: "Hi there" }]);
+    expect(diffWords("Hi there", "  ")).toEqual([{ type: "removed", text: "Hi there" }]);
+  });
+
+  it("merges identical text into one unchanged part", () => {
+    expect(diffWords(ORIGINAL, ORIGINAL)).toEqual([{ type: "same", text: ORIGINAL }]);
+  });
+
+  it("marks pure insertions and deletions between unchanged runs", () => {
+    expect(diffWords(ORIGINAL, EXTENDED)).toEqual([
+      { type: "same", text: "Your" },
+      { type: "added", text: "new" },
+      { type: "same", text: "card is blocked" },
+      { type: "added", text: "today" },
+    ]);
+    expect(diffWords(EXTENDED, ORIGINAL)).toEqual([
+      { type: "same", text: "Your" },
+      { type: "removed", text: "new" },
+      { type: "same", text: "card is blocked" },
+      { type: "removed", text: "today" },
+    ]);
+  });
+
+  it("ignores whitespace differences but not punctuation", () => {
+    expect(diffWords("  Your  card\n is blocked ", ORIGINAL)).toEqual([
+      { type: "same", text: ORIGINAL },
+    ]);
+    expect(diffWords("Yes, it arrives. Bye!", "Yes it arrives. Bye!")).toEqual([
+      { type: "removed", text: "Yes," },
+      { type: "added", text: "Yes" },
+      { type: "same", text: "it arrives. Bye!" },
+    ]);
+  });
+});
+
+describe("editStats", () => {
+  it("has no edit rate for an empty original", () => {
+    expect(editStats("", "")).toEqual({ wordDistance: 0, charDistance: 0, wordEditRate: null });
+    expect(editStats(null, "Hi there")).toEqual({
+      wordDistance: 2,
+      charDistance: 8,
+      wordEditRate: null,
+    });
+    expect(editStats("Hi there", "")).toEqual({ wordDistance: 2, charDistance: 8, wordEditRate: 1 });
+  });
+
+  it("is zero for identical text", () => {
+    expect(editStats(ORIGINAL, ORIGINAL)).toEqual({
+      wordDistance: 0,
+      charDistance: 0,
+      wordEditRate: 0,
+    });
+  });
+
+  it("counts pure insertions and deletions", () => {
+    // " new" and " today"
+    expect(editStats(ORIGINAL, EXTENDED)).toEqual({
+      wordDistance: 2,
+      charDistance: 10,
+      wordEditRate: 0.5,
+    });
+    expect(editStats(EXTENDED, ORIGINAL)).toEqual({
+      wordDistance: 2,
+      charDistance: 10,
+      wordEditRate: 0.333,
+    });
+  });
+
+  it("counts inner whitespace in characters only, punctuation in words too", () => {
+    // leading and trailing whitespace is trimmed; the extra space and newline are not
+    expect(editStats("  Your  card\n is blocked ", ORIGINAL)).toEqual({
+      wordDistance: 0,
+      charDistance: 2,
+      wordEditRate: 0,
+    });
+    // "bye!" and "bye." are different words, one character apart
+    expect(editStats("Great, bye!", "Great, bye.")).toEqual({
+      wordDistance: 1,
+      charDistance: 1,
+      wordEditRate: 0.5,
+    });
+  });
+
+  it("maps to the exported rating_ideal_* fields", () => {
+    expect(editStatsToExportFields(editStats(ORIGINAL, EXTENDED))).toEqual({
+      rating_ideal_word_edit_distance: 2,
+      rating_ideal_char_edit_distance: 10,
+      rating_ideal_word_edit_rate: 0.5,
+    });
+  });
+});
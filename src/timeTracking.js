@@ -0,0 +1,159 @@
+import { isNewer } from "./ratingMerge";
+
+// ---------------------------------------------------
+// Active-time tracking
+// A session runs while a call is open in the annotate view ("call") and while
+// the rating modal is open on a turn ("turn"). Only active time counts: a gap
+// between two bits of activity (pointer, keyboard, wheel, scroll) is added
+// when it is shorter than IDLE_AFTER_MS, and time with the tab hidden is
+// never counted.
+// Turn sessions also split their time by rating field: the active time since
+// the previous edit (or since the modal opened) goes to the field edited.
+// Local shape, one entry per session:
+//   { id, userId, email, kind: "call" | "turn", callId, turnIndex,
+//     startedAt, endedAt, activeMs, fieldMs: { [metricKey | "idealResponse"]: ms },
+//     updatedAt }
+// Supabase table annotation_time: id (uuid), user_id, email, kind, call_id,
+//   turn_index, started_at, ended_at, active_ms, field_ms (jsonb), updated_at
+//   primary key (id)
+// An open session is saved again (same id) when the page is hidden, so work
+// isn't lost if the tab is closed.
+// ---------------------------------------------------
+
+export const TIME_CONFLICT_COLUMNS = "id";
+export const IDLE_AFTER_MS = 60 * 1000;
+
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart"];
+
+// listen(onEntry) attaches the activity listeners and returns the detach
+// function; onEntry(entry) receives snapshots of sessions still open when the
+// page is hidden. start(meta) opens a session: { mark(field), end() -> entry }.
+export const createTimeTracker = ({ idleAfterMs = IDLE_AFTER_MS } = {}) => {
+  const open = new Set();
+  let onEntry = () => {};
+
+  // counts the time since each session's last activity, if it wasn't idle
+  const tick = (now) => {
+    open.forEach((s) => {
+      if (s.last !== null) {
+        const gap = now - s.last;
+        if (gap < idleAfterMs) {
+          s.activeMs += gap;
+          s.sinceMarkMs += gap;
+        }
+      }
+      s.last = now;
+    });
+  };
+
+  const snapshot = (s, endedAt) => ({
+    ...s.meta,
+    id: s.id,
+    startedAt: s.startedAt,
+    endedAt,
+    activeMs: Math.round(s.activeMs),
+    fieldMs: Object.fromEntries(
+      Object.entries(s.fieldMs).map(([field, ms]) => [field, Math.round(ms)])
+    ),
+    updatedAt: endedAt,
+  });
+
+  const handleActivity = () => {
+    if (document.visibilityState === "hidden") return;
+    tick(Date.now());
+  };
+
+  const handleVisibility = () => {
+    if (document.visibilityState !== "hidden") return;
+    tick(Date.now());
+    open.forEach((s) => {
+      s.last = null;
+      onEntry(snapshot(s, new Date().toISOString()));
+    });
+  };
+
+  return {
+    listen: (callback) => {
+      onEntry = callback;
+      ACTIVITY_EVENTS.forEach((type) =>
+        window.addEventListener(type, handleActivity, { passive: true })
+      );
+      window.addEventListener("scroll", handleActivity, { capture: true, passive: true });
+      document.addEventListener("visibilitychange", handleVisibility);
+      window.addEventListener("pagehide", handleVisibility);
+      return () => {
+        onEntry = () => {};
+        ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, handleActivity));
+        window.removeEventListener("scroll", handleActivity, { capture: true });
+        document.removeEventListener("visibilitychange", handleVisibility);
+        window.removeEventListener("pagehide", handleVisibility);
+      };
+    },
+    start: (meta) => {
+      const s = {
+        id: crypto.randomUUID(),
+        meta,
+        startedAt: new Date().toISOString(),
+        last: document.visibilityState === "hidden" ? null : Date.now(),
+        activeMs: 0,
+        sinceMarkMs: 0,
+        fieldMs: {},
+      };
+      open.add(s);
+      return {
+        mark: (field) => {
+          tick(Date.now());
+          s.fieldMs[field] = (s.fieldMs[field] || 0) + s.sinceMarkMs;
+          s.sinceMarkMs = 0;
+        },
+        end: () => {
+          if (document.visibilityState !== "hidden") tick(Date.now());
+          open.delete(s);
+          return snapshot(s, new Date().toISOString());
+        },
+      };
+    },
+  };
+};
+
+export const timeEntryToRow = (entry) => ({
+  id: entry.id,
+  user_id: entry.userId,
+  email: entry.email,
+  kind: entry.kind,
+  call_id: entry.callId,
+  turn_index: entry.turnIndex ?? null,
+  started_at: entry.startedAt,
+  ended_at: entry.endedAt,
+  active_ms: entry.activeMs,
+  field_ms: entry.fieldMs,
+  updated_at: entry.updatedAt,
+});
+
+const rowToTimeEntry = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  email: row.email || "",
+  kind: row.kind,
+  callId: row.call_id,
+  turnIndex: row.turn_index ?? null,
+  startedAt: row.started_at,
+  endedAt: row.ended_at,
+  activeMs: row.active_ms || 0,
+  fieldMs: row.field_ms || {},
+  updatedAt: row.updated_at,
+});
+
+// Merges entries by id; the newer updated_at wins. rows are Supabase rows,
+// entries already in local shape can be passed with fromRows = false.
+export const applyTimeEntries = (current, incoming, fromRows = true) => {
+  const byId = new Map(current.map((e) => [e.id, e]));
+  incoming.forEach((item) => {
+    if (!item?.id) return;
+    const entry = fromRows ? rowToTimeEntry(item) : item;
+    const local = byId.get(entry.id);
+    if (local && !isNewer(entry.updatedAt, local.updatedAt)) return;
+    byId.set(entry.id, entry);
+  });
+  return [...byId.values()];
+};
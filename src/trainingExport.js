@@ -0,0 +1,107 @@
+import { callRatingToExportFields, getCallRatingStatus } from "./callRating";
+import { isCallCompleted } from "./completion";
+import { metricScore } from "./rubric";
+import { editStats } from "./textDiff";
+
+// ---------------------------------------------------
+// Training-data export from ideal responses
+// "sft"  { messages: [...context, { role: "assistant", content: ideal }], metadata }
+// "dpo"  { prompt: [...context], chosen: [ideal], rejected: [original], metadata }
+// Context is the dialogue up to (not including) the rated Assistant turn.
+// metadata: call_id, turn_index, the ideal response's edit distance to the
+// original turn (word_edit_distance, char_edit_distance, word_edit_rate) and
+// the call rating as call_rating_* fields, like annotated exports (see
+// callRating.js), when the call has one.
+// filters:
+//   completion  "all" | "completed" | "not_completed"  (call "Mark done" state)
+//   minScores   { [metricKey]: number }  turn must score at least this much
+// ---------------------------------------------------
+
+export const EXPORT_MODES = {
+  sft: { label: "SFT (chat format)", fileSuffix: "sft" },
+  dpo: { label: "Preference pairs (DPO)", fileSuffix: "preference_pairs" },
+};
+
+const toRole = (author) => {
+  const lower = (author || "").toLowerCase();
+  if (lower === "assistant") return "assistant";
+  if (lower === "system") return "system";
+  return "user";
+};
+
+const toMessages = (dialogue) =>
+  dialogue.map((utt) => ({ role: toRole(utt.author), content: utt.text }));
+
+export const passesMinScores = (rubric, rating, minScores) =>
+  Object.entries(minScores || {}).every(([key, min]) => {
+    if (min == null || min === "") return true;
+    const metric = rubric.metrics.find((m) => m.key === key);
+    if (!metric) return true;
+    const score = metricScore(metric, rating[key]);
+    return score !== null && score >= Number(min);
+  });
+
+const passesCompletion = (completedCalls, callId, completion) => {
+  if (completion === "completed") return isCallCompleted(completedCalls, callId);
+  if (completion === "not_completed") return !isCallCompleted(completedCalls, callId);
+  return true;
+};
+
+export const buildTrainingRecords = ({
+  calls,
+  ratings,
+  callLevelRatings = {},
+  completedCalls,
+  rubric,
+  mode,
+  filters = {},
+}) => {
+  const records = [];
+
+  calls.forEach((call) => {
+    if (!passesCompletion(completedCalls, call.call_id, filters.completion)) return;
+    const callRatings = ratings[call.call_id] || {};
+    const callLevelRating = callLevelRatings[call.call_id];
+    const callFields =
+      getCallRatingStatus(callLevelRating, rubric) !== "not_started"
+        ? callRatingToExportFields(rubric, callLevelRating)
+        : {};
+
+    call.dialogue.forEach((utt, idx) => {
+      if (utt.author !== "Assistant") return;
+      const rating = callRatings[idx];
+      const ideal = (rating?.idealResponse || "").trim();
+      if (!ideal) return;
+      if (!passesMinScores(rubric, rating, filters.minScores)) return;
+
+      const context = toMessages(call.dialogue.slice(0, idx));
+      const stats = editStats(utt.text, ideal);
+      const metadata = {
+        call_id: call.call_id,
+        turn_index: idx,
+        word_edit_distance: stats.wordDistance,
+        char_edit_distance: stats.charDistance,
+        word_edit_rate: stats.wordEditRate,
+        ...callFields,
+      };
+
+      if (mode === "dpo") {
+        // nothing to learn from a pair whose sides are identical
+        if (ideal === (utt.text || "").trim()) return;
+        records.push({
+          prompt: context,
+          chosen: [{ role: "assistant", content: ideal }],
+          rejected: [{ role: "assistant", content: utt.text }],
+          metadata,
+        });
+      } else {
+        records.push({
+          messages: [...context, { role: "assistant", content: ideal }],
+          metadata,
+        });
+      }
+    });
+  });
+
+  return records;
+};
@@ -0,0 +1,271 @@
+// ---------------------------------------------------
+// Transcript ingestion + validation
+// Accepted inputs:
+//   JSON   array of calls
+//   JSONL  one call per line
+//   CSV    one row per utterance: call_id, author, text[, turn_index]
+// A call is { call_id, dialogue: [{ author, text }, ...] }; items wrapped as
+// { data: call } are unwrapped, as in the original transcripts.json.
+// Every parser returns { calls, errors }, errors being
+// [{ source, location, callId, message }] so they can be listed to the user.
+// ---------------------------------------------------
+
+const CSV_REQUIRED_COLUMNS = ["call_id", "author", "text"];
+
+export const detectFormat = (fileName, text) => {
+  const lower = (fileName || "").toLowerCase();
+  if (lower.endsWith(".jsonl") || lower.endsWith(".ndjson")) return "jsonl";
+  if (lower.endsWith(".csv")) return "csv";
+  if (lower.endsWith(".json")) return "json";
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith("[")) return "json";
+  if (trimmed.startsWith("{")) return "jsonl";
+  return "csv";
+};
+
+// RFC 4180: quoted fields may contain commas, newlines and "" escapes.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => !(r.length === 1 && r[0] === ""));
+};
+
+const unwrap = (item) => (item && typeof item === "object" && item.data ? item.data : item);
+
+// Checks one call's shape. Returns a list of messages (empty when valid).
+export const validateCall = (call) => {
+  const problems = [];
+  if (!call || typeof call !== "object" || Array.isArray(call)) {
+    return ["is not an object"];
+  }
+  if (
+    (typeof call.call_id !== "string" && typeof call.call_id !== "number") ||
+    String(call.call_id).trim() === ""
+  ) {
+    problems.push("call_id is missing");
+  }
+  if (!Array.isArray(call.dialogue)) {
+    problems.push("dialogue must be an array");
+  } else if (call.dialogue.length === 0) {
+    problems.push("dialogue is empty");
+  } else {
+    call.dialogue.forEach((utt, i) => {
+      if (!utt || typeof utt !== "object") {
+        problems.push(`dialogue[${i}] is not an object`);
+        return;
+      }
+      if (typeof utt.author !== "string" || !utt.author.trim()) {
+        problems.push(`dialogue[${i}].author is missing`);
+      }
+      if (typeof utt.text !== "string") {
+        problems.push(`dialogue[${i}].text must be a string`);
+      }
+    });
+  }
+  return problems;
+};
+
+// Validates parsed items, keeping the valid ones.
+// items: [{ value, location }]
+const collectCalls = (source, items) => {
+  const calls = [];
+  const errors = [];
+  items.forEach(({ value, location }) => {
+    const call = unwrap(value);
+    const problems = validateCall(call);
+    const callId = call && call.call_id != null ? String(call.call_id) : null;
+    if (problems.length > 0) {
+      problems.forEach((message) => errors.push({ source, location, callId, message }));
+      return;
+    }
+    calls.push({ ...call, call_id: String(call.call_id) });
+  });
+  return { calls, errors };
+};
+
+const parseJsonArray = (source, text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { calls: [], errors: [{ source, location: "file", callId: null, message: e.message }] };
+  }
+  if (!Array.isArray(data)) {
+    return {
+      calls: [],
+      errors: [{ source, location: "file", callId: null, message: "expected a JSON array of calls" }],
+    };
+  }
+  return collectCalls(
+    source,
+    data.map((value, i) => ({ value, location: `item ${i + 1}` }))
+  );
+};
+
+// lines of a JSONL file starting at line number firstLine, so a file read in
+// pieces (see transcriptLoader.js) still reports file line numbers
+export const parseJsonLineBatch = (source, lines, firstLine = 1) => {
+  const items = [];
+  const errors = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    const location = `line ${firstLine + i}`;
+    try {
+      items.push({ value: JSON.parse(line), location });
+    } catch (e) {
+      errors.push({ source, location, callId: null, message: e.message });
+    }
+  });
+  const collected = collectCalls(source, items);
+  return { calls: collected.calls, errors: [...errors, ...collected.errors] };
+};
+
+const parseJsonLines = (source, text) => parseJsonLineBatch(source, text.split(/\r?\n/));
+
+const parseUtteranceCsv = (source, text) => {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    return { calls: [], errors: [{ source, location: "file", callId: null, message: "file is empty" }] };
+  }
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const missing = CSV_REQUIRED_COLUMNS.filter((col) => !header.includes(col));
+  if (missing.length > 0) {
+    return {
+      calls: [],
+      errors: [
+        {
+          source,
+          location: "header",
+          callId: null,
+          message: `missing column${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}`,
+        },
+      ],
+    };
+  }
+
+  const col = (name) => header.indexOf(name);
+  const errors = [];
+  const byCall = new Map(); // call_id -> [{ order, author, text }]
+
+  rows.slice(1).forEach((r, i) => {
+    const location = `row ${i + 2}`;
+    const callId = (r[col("call_id")] || "").trim();
+    const author = (r[col("author")] || "").trim();
+    const textValue = r[col("text")];
+    if (r.length !== header.length) {
+      errors.push({
+        source,
+        location,
+        callId: callId || null,
+        message: `expected ${header.length} columns, found ${r.length}`,
+      });
+      return;
+    }
+    if (!callId) {
+      errors.push({ source, location, callId: null, message: "call_id is missing" });
+      return;
+    }
+    if (!author) {
+      errors.push({ source, location, callId, message: "author is missing" });
+      return;
+    }
+
+    let order = byCall.get(callId)?.length ?? 0;
+    if (col("turn_index") !== -1 && r[col("turn_index")].trim() !== "") {
+      order = Number(r[col("turn_index")]);
+      if (!Number.isInteger(order)) {
+        errors.push({ source, location, callId, message: "turn_index must be an integer" });
+        return;
+      }
+    }
+
+    if (!byCall.has(callId)) byCall.set(callId, []);
+    byCall.get(callId).push({ order, author, text: textValue ?? "" });
+  });
+
+  const calls = [];
+  byCall.forEach((utterances, callId) => {
+    const orders = utterances.map((u) => u.order);
+    if (new Set(orders).size !== orders.length) {
+      errors.push({ source, location: "rows", callId, message: "turn_index repeats within the call" });
+      return;
+    }
+    calls.push({
+      call_id: callId,
+      dialogue: [...utterances]
+        .sort((a, b) => a.order - b.order)
+        .map(({ author, text }) => ({ author, text })),
+    });
+  });
+
+  return { calls, errors };
+};
+
+export const parseTranscriptText = (source, text, format = detectFormat(source, text)) => {
+  if (format === "jsonl") return parseJsonLines(source, text);
+  if (format === "csv") return parseUtteranceCsv(source, text);
+  return parseJsonArray(source, text);
+};
+
+// Combines parsed files and reports call_ids that appear more than once,
+// across the files and against existingCallIds. Duplicates are not loaded.
+// Returns { calls, errors, duplicates: [{ callId, sources }] }.
+export const combineParsed = (results, existingCallIds = []) => {
+  const seen = new Map(); // call_id -> [source]
+  existingCallIds.forEach((id) => seen.set(id, ["already loaded"]));
+
+  const all = [];
+  results.forEach(({ source, calls }) => {
+    calls.forEach((call) => {
+      const sources = seen.get(call.call_id) || [];
+      seen.set(call.call_id, [...sources, source]);
+      all.push(call);
+    });
+  });
+
+  const duplicates = [];
+  seen.forEach((sources, callId) => {
+    if (sources.length > 1) duplicates.push({ callId, sources });
+  });
+  const duplicateIds = new Set(duplicates.map((d) => d.callId));
+
+  return {
+    calls: all.filter((c) => !duplicateIds.has(c.call_id)),
+    errors: results.flatMap((r) => r.errors),
+    duplicates,
+  };
+};
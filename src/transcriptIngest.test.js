@@ -0,0 +1,132 @@
+import { describe, expect, it } from "vitest";
+import { combineParsed, parseCsv, parseTranscriptText } from "./transcriptIngest";
+
+describe("parseCsv", () => {
+  it.each([
+    ["plain fields", "a,b\nc,d", [["a", "b"], ["c", "d"]]],
+    ["a quoted comma", 'a,"b, c"', [["a", "b, c"]]],
+    ["a quoted newline", 'a,"line 1\nline 2"\nb,c', [["a", "line 1\nline 2"], ["b", "c"]]],
+    ["an escaped quote", 'a,"say ""hi"""', [["a", 'say "hi"']]],
+    ["CRLF line ends", "a,b\r\nc,d\r\n", [["a", "b"], ["c", "d"]]],
+    ["CRLF inside quotes", 'a,"x\r\ny"\r\n', [["a", "x\r\ny"]]],
+    ["blank lines", "a,b\n\nc,d\n", [["a", "b"], ["c", "d"]]],
+    ["an empty last field", "a,\n", [["a", ""]]],
+  ])("parses %s", (_name, text, rows) => {
+    expect(parseCsv(text)).toEqual(rows);
+  });
+});
+
+describe("parseTranscriptText", () => {
+  const call = (id, ...texts) => ({
+    call_id: id,
+    dialogue: texts.map((text, i) => ({ author: i % 2 ? "Assistant" : "User", text })),
+  });
+
+  it.each([
+    [
+      "a JSON array, unwrapping { data }",
+      "calls.json",
+      JSON.stringify([call("c1", "hi"), { data: call("c2", "yo") }]),
+      [call("c1", "hi"), call("c2", "yo")],
+    ],
+    [
+      "JSONL with blank and CRLF lines",
+      "calls.jsonl",
+      `${JSON.stringify(call("c1", "hi"))}\r\n\r\n   \n${JSON.stringify(call("c2", "yo"))}\n`,
+      [call("c1", "hi"), call("c2", "yo")],
+    ],
+    [
+      "CSV with quoted text across lines",
+      "calls.csv",
+      'call_id,author,text\r\nc1,User,"Hello, I need ""help""\nwith my card"\r\nc1,Assistant,Sure\r\n',
+      [call("c1", 'Hello, I need "help"\nwith my card', "Sure")],
+    ],
+    [
+      "CSV ordered by turn_index",
+      "calls.csv",
+      "call_id,author,text,turn_index\nc1,Assistant,second,1\nc1,User,first,0\n",
+      [call("c1", "first", "second")],
+    ],
+    [
+      "numeric call_ids as strings",
+      "calls.json",
+      JSON.stringify([{ call_id: 7, dialogue: [{ author: "User", text: "hi" }] }]),
+      [call("7", "hi")],
+    ],
+  ])("reads %s", (_name, fileName, text, calls) => {
+    expect(parseTranscriptText(fileName, text)).toEqual({ calls, errors: [] });
+  });
+
+  it.each([
+    [
+      "JSONL line numbers, counting blank lines",
+      "calls.jsonl",
+      `${JSON.stringify(call("c1", "hi"))}\n\n{not json\n${JSON.stringify({ call_id: "c3", dialogue: [] })}`,
+      [
+        { location: "line 3", callId: null },
+        { location: "line 4", callId: "c3", message: "dialogue is empty" },
+      ],
+    ],
+    [
+      "a missing call_id, author and text in JSON",
+      "calls.json",
+      JSON.stringify([{ dialogue: [{ author: "", text: 3 }] }]),
+      [
+        { location: "item 1", callId: null, message: "call_id is missing" },
+        { location: "item 1", callId: null, message: "dialogue[0].author is missing" },
+        { location: "item 1", callId: null, message: "dialogue[0].text must be a string" },
+      ],
+    ],
+    [
+      "CSV row numbers, counting the header and quoted newlines once",
+      "calls.csv",
+      'call_id,author,text\nc1,User,"two\nlines"\n,User,no id\nc2,,no author\nc3,User\n',
+      [
+        { location: "row 3", callId: null, message: "call_id is missing" },
+        { location: "row 4", callId: "c2", message: "author is missing" },
+        { location: "row 5", callId: "c3", message: "expected 3 columns, found 2" },
+      ],
+    ],
+    [
+      "missing CSV columns",
+      "calls.csv",
+      "call_id,speaker,text\nc1,User,hi\n",
+      [{ location: "header", callId: null, message: "missing column: author" }],
+    ],
+    [
+      "a repeated CSV turn_index",
+      "calls.csv",
+      "call_id,author,text,turn_index\nc1,User,a,0\nc1,Assistant,b,0\n",
+      [{ location: "rows", callId: "c1", message: "turn_index repeats within the call" }],
+    ],
+  ])("reports %s", (_name, fileName, text, errors) => {
+    const result = parseTranscriptText(fileName, text);
+    expect(result.errors).toEqual(errors.map((e) => expect.objectContaining({ source: fileName, ...e })));
+  });
+});
+
+describe("combineParsed", () => {
+  const parsed = (source, ...ids) => ({
+    source,
+    calls: ids.map((id) => ({ call_id: id, dialogue: [{ author: "User", text: id }] })),
+    errors: [],
+  });
+
+  it("leaves out call_ids found in more than one file or already loaded", () => {
+    const result = combineParsed(
+      [parsed("a.json", "c1", "c2"), parsed("b.jsonl", "c2", "c3"), parsed("c.csv", "c4")],
+      ["c4"]
+    );
+    expect(result.calls.map((c) => c.call_id)).toEqual(["c1", "c3"]);
+    expect(result.duplicates).toEqual([
+      { callId: "c4", sources: ["already loaded", "c.csv"] },
+      { callId: "c2", sources: ["a.json", "b.jsonl"] },
+    ]);
+  });
+
+  it("reports a call_id repeated within one file", () => {
+    const result = combineParsed([parsed("a.json", "c1", "c1")]);
+    expect(result.calls).toEqual([]);
+    expect(result.duplicates).toEqual([{ callId: "c1", sources: ["a.json", "a.json"] }]);
+  });
+});
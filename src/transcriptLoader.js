@@ -0,0 +1,148 @@
+import { parseJsonLineBatch, parseTranscriptText } from "./transcriptIngest";
+
+// ---------------------------------------------------
+// Loading the transcript batch the dashboard starts with
+// VITE_TRANSCRIPTS_URL (default /transcripts.json) points at one of:
+//   - a JSON array of calls, read whole and validated like an upload
+//   - a JSONL file (.jsonl / .ndjson), streamed line by line
+//   - a manifest { "chunks": ["part-0001.jsonl", "part-0002.json", ...] }
+//     listing JSON or JSONL files, relative to the manifest, read in order
+// Streamed and chunked batches hand valid calls to onCalls(calls) as they
+// arrive, so the first ones can be rated while the rest load. The first copy
+// of a call_id wins; later copies are reported as problems.
+// ---------------------------------------------------
+
+export const TRANSCRIPTS_URL = import.meta.env.VITE_TRANSCRIPTS_URL || "/transcripts.json";
+
+// calls handed over per onCalls when streaming a JSONL file
+const BATCH_SIZE = 1000;
+
+const isJsonLines = (url) => /\.(jsonl|ndjson)(\?|#|$)/i.test(url);
+
+const fileName = (url) => decodeURIComponent(url.split(/[?#]/)[0].split("/").pop() || url);
+
+const fetchOk = async (url, signal) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) throw new Error(`request failed with status ${response.status}`);
+  return response;
+};
+
+// Yields batches of lines as the response body comes in.
+async function* readLineBatches(response) {
+  if (!response.body) {
+    yield (await response.text()).split(/\r?\n/);
+    return;
+  }
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let rest = "";
+  let batch = [];
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    const lines = (rest + value).split(/\r?\n/);
+    rest = lines.pop();
+    batch.push(...lines);
+    if (batch.length >= BATCH_SIZE) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (rest) batch.push(rest);
+  if (batch.length > 0) yield batch;
+}
+
+// Collects calls across files: drops repeated call_ids and records the problems.
+const createCollector = (onCalls) => {
+  const seen = new Map(); // call_id -> source
+  const errors = [];
+  return {
+    errors,
+    add: ({ calls, errors: parseErrors }, source) => {
+      errors.push(...parseErrors);
+      const fresh = calls.filter((call) => {
+        if (!seen.has(call.call_id)) {
+          seen.set(call.call_id, source);
+          return true;
+        }
+        errors.push({
+          source,
+          location: "file",
+          callId: call.call_id,
+          message: `call_id already loaded from ${seen.get(call.call_id)}`,
+        });
+        return false;
+      });
+      if (fresh.length > 0) onCalls(fresh);
+    },
+  };
+};
+
+const streamJsonLines = async (response, source, collector) => {
+  let firstLine = 1;
+  for await (const lines of readLineBatches(response)) {
+    collector.add(parseJsonLineBatch(source, lines, firstLine), source);
+    firstLine += lines.length;
+  }
+};
+
+const loadChunk = async (url, collector, signal) => {
+  const source = fileName(url);
+  try {
+    const response = await fetchOk(url, signal);
+    if (isJsonLines(url)) {
+      await streamJsonLines(response, source, collector);
+    } else {
+      collector.add(parseTranscriptText(source, await response.text(), "json"), source);
+    }
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    collector.errors.push({ source, location: "file", callId: null, message: err.message });
+  }
+};
+
+// Resolves to one of
+//   { chunked: false, source, parsed }   a plain JSON array; nothing was passed
+//                                        to onCalls, parsed is { calls, errors }
+//   { chunked: true, errors }            calls went to onCalls as they loaded
+// Rejects only when signal aborts.
+export const loadTranscripts = async (url, onCalls, signal) => {
+  const source = fileName(url);
+  const collector = createCollector(onCalls);
+
+  if (isJsonLines(url)) {
+    await loadChunk(url, collector, signal);
+    return { chunked: true, errors: collector.errors };
+  }
+
+  let text;
+  try {
+    text = await (await fetchOk(url, signal)).text();
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    return {
+      chunked: false,
+      source,
+      parsed: { calls: [], errors: [{ source, location: "file", callId: null, message: err.message }] },
+    };
+  }
+
+  // only an object can be a manifest; arrays skip the extra parse
+  let manifest = null;
+  if (text.trimStart().startsWith("{")) {
+    try {
+      const data = JSON.parse(text);
+      if (Array.isArray(data?.chunks)) manifest = data;
+    } catch {
+      // parseTranscriptText reports the syntax error below
+    }
+  }
+  if (!manifest) {
+    return { chunked: false, source, parsed: parseTranscriptText(source, text, "json") };
+  }
+
+  const base = new URL(url, window.location.href);
+  for (const chunk of manifest.chunks) {
+    await loadChunk(new URL(chunk, base).toString(), collector, signal);
+  }
+  return { chunked: true, errors: collector.errors };
+};
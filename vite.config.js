@@ -4,4 +4,9 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    environment: 'jsdom',
+    // local auth mode swaps Supabase for the offline stand-in (see supabaseClient.js)
+    env: { VITE_AUTH_MODE: 'local' },
+  },
 })